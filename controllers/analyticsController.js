@@ -0,0 +1,287 @@
+// Import mongoose - aggregation pipelines do not cast, so brand IDs are converted to ObjectIds here
+const mongoose = require('mongoose');
+
+// Import the Shoe and Brand models - all statistics are computed with MongoDB aggregations
+// over the catalog; trashed shoes are excluded by the soft delete plugin's aggregate hook
+const Shoe = require('../models/Shoe');
+const Brand = require('../models/Brand');
+
+// Import brand lookup and permission helpers - brand-scoped roles only ever see their own brand
+const resolveBrand = require('../utils/resolveBrand');
+const { isBrandScoped } = require('../utils/permissions');
+
+// Import the standard error envelope helper used for every error response
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Date formats used to group shoes by creation period (ISO week numbering for weeks)
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+  year: '%Y',
+};
+
+// List price of a variant inside a pipeline: its override or the shoe's price
+const VARIANT_LIST_PRICE = { $ifNull: ['$variants.price', '$price'] };
+
+// Round a pipeline expression to cents
+const roundPrice = (expression) => ({ $round: [expression, 2] });
+
+// Build the $match stage shared by every statistic from the caller's scope and the query
+// Brand-scoped users are pinned to their brand; global roles see active brands, optionally one
+// Sends the error response itself and returns null when the request must stop
+const buildMatch = async (req, res) => {
+  const { brand, from, to } = req.query;
+  const match = {};
+
+  if (isBrandScoped(req.user)) {
+    match.brand = new mongoose.Types.ObjectId(req.user.brand);
+  } else if (brand) {
+    const brandDoc = await resolveBrand(brand);
+    if (!brandDoc) {
+      sendError(res, 400, 'Unknown brand');
+      return null;
+    }
+    match.brand = brandDoc._id;
+  } else {
+    match.brand = { $in: await Brand.find({ active: true }).distinct('_id') };
+  }
+
+  // Date range on the shoes' creation date (inclusive)
+  if (from && to && from > to) {
+    sendError(res, 400, 'from must not be after to');
+    return null;
+  }
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  return match;
+};
+
+// GET /api/analytics/summary - Headline numbers for the dashboard
+// Catalog size, list/effective price statistics, promotions and inventory (stock and its value
+// at list prices)
+//
+// Supported query parameters (all endpoints):
+//   brand      - brand ID, slug or name (global roles only; brand-scoped roles get their own)
+//   from, to   - only shoes created in this range (ISO dates, inclusive)
+exports.getSummary = async (req, res) => {
+  try {
+    const match = await buildMatch(req, res);
+    if (!match) return;
+
+    const [result] = await Shoe.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          catalog: [
+            {
+              $group: {
+                _id: null,
+                shoes: { $sum: 1 },
+                averagePrice: { $avg: '$price' },
+                minPrice: { $min: '$price' },
+                maxPrice: { $max: '$price' },
+                averageEffectivePrice: { $avg: { $ifNull: ['$effectivePrice', '$price'] } },
+                onPromotion: { $sum: { $cond: [{ $ifNull: ['$promotion.promotion', false] }, 1, 0] } },
+              },
+            },
+          ],
+          inventory: [
+            { $unwind: '$variants' },
+            {
+              $group: {
+                _id: null,
+                variants: { $sum: 1 },
+                variantsOutOfStock: { $sum: { $cond: [{ $gt: ['$variants.stock', 0] }, 0, 1] } },
+                totalStock: { $sum: '$variants.stock' },
+                inventoryValue: { $sum: { $multiply: ['$variants.stock', VARIANT_LIST_PRICE] } },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const catalog = result.catalog[0] || {};
+    const inventory = result.inventory[0] || {};
+
+    res.json({
+      catalog: {
+        shoes: catalog.shoes || 0,
+        averagePrice: catalog.averagePrice === undefined ? null : Math.round(catalog.averagePrice * 100) / 100,
+        minPrice: catalog.minPrice === undefined ? null : catalog.minPrice,
+        maxPrice: catalog.maxPrice === undefined ? null : catalog.maxPrice,
+        averageEffectivePrice: catalog.averageEffectivePrice === undefined
+          ? null
+          : Math.round(catalog.averageEffectivePrice * 100) / 100,
+        onPromotion: catalog.onPromotion || 0,
+      },
+      inventory: {
+        variants: inventory.variants || 0,
+        variantsOutOfStock: inventory.variantsOutOfStock || 0,
+        totalStock: inventory.totalStock || 0,
+        inventoryValue: Math.round((inventory.inventoryValue || 0) * 100) / 100,
+      },
+    });
+
+  } catch (error) {
+    logger.error('Error computing analytics summary', { error });
+    sendError(res, 500, 'Error computing analytics summary');
+  }
+};
+
+// GET /api/analytics/shoes-over-time - Number of shoes added per period, oldest period first
+// ?interval=day|week|month|year (default month); periods without new shoes are omitted
+exports.getShoesOverTime = async (req, res) => {
+  try {
+    const match = await buildMatch(req, res);
+    if (!match) return;
+
+    const interval = req.query.interval || 'month';
+    const periods = await Shoe.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$createdAt' } },
+          added: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, period: '$_id', added: 1 } },
+    ]);
+
+    // Running total so charts can show catalog growth as well as additions
+    let total = 0;
+    const data = periods.map((period) => {
+      total += period.added;
+      return { ...period, total };
+    });
+
+    res.json({ interval, data });
+
+  } catch (error) {
+    logger.error('Error computing shoes over time', { error });
+    sendError(res, 500, 'Error computing shoes over time');
+  }
+};
+
+// GET /api/analytics/price-distribution - How many shoes fall into each list price range
+// ?bucketSize=X gives fixed-width ranges (0-X, X-2X, ...; empty ranges omitted); otherwise
+// ?buckets=N (default 10) ranges are chosen so each holds roughly the same number of shoes
+// Ranges include their min and exclude their max (the last automatic range includes both)
+exports.getPriceDistribution = async (req, res) => {
+  try {
+    const match = await buildMatch(req, res);
+    if (!match) return;
+
+    const { bucketSize } = req.query;
+    const output = { count: { $sum: 1 }, averagePrice: { $avg: '$price' } };
+
+    const bucketStages = bucketSize
+      ? [
+        { $group: { _id: { $floor: { $divide: ['$price', bucketSize] } }, ...output } },
+        { $sort: { _id: 1 } },
+        { $set: { min: { $multiply: ['$_id', bucketSize] }, max: { $multiply: [{ $add: ['$_id', 1] }, bucketSize] } } },
+      ]
+      : [
+        { $bucketAuto: { groupBy: '$price', buckets: req.query.buckets || 10, output } },
+        { $set: { min: '$_id.min', max: '$_id.max' } },
+      ];
+
+    const data = await Shoe.aggregate([
+      { $match: match },
+      ...bucketStages,
+      {
+        $project: {
+          _id: 0,
+          min: roundPrice('$min'),
+          max: roundPrice('$max'),
+          count: 1,
+          averagePrice: roundPrice('$averagePrice'),
+        },
+      },
+    ]);
+
+    res.json({ data });
+
+  } catch (error) {
+    logger.error('Error computing price distribution', { error });
+    sendError(res, 500, 'Error computing price distribution');
+  }
+};
+
+// GET /api/analytics/brands - Side-by-side statistics for every brand (global roles only)
+// Sorted by catalog size; ?from/?to limit the shoes counted as for the other endpoints
+exports.getBrandComparison = async (req, res) => {
+  try {
+    if (isBrandScoped(req.user)) {
+      return sendError(res, 403, 'Brand comparison is only available to global roles');
+    }
+
+    const match = await buildMatch(req, res);
+    if (!match) return;
+
+    const data = await Shoe.aggregate([
+      { $match: match },
+      {
+        $project: {
+          brand: 1,
+          price: 1,
+          effectivePrice: { $ifNull: ['$effectivePrice', '$price'] },
+          onPromotion: { $cond: [{ $ifNull: ['$promotion.promotion', false] }, 1, 0] },
+          stock: { $sum: '$variants.stock' },
+          inventoryValue: {
+            $sum: {
+              $map: {
+                input: '$variants',
+                as: 'variant',
+                in: { $multiply: ['$$variant.stock', { $ifNull: ['$$variant.price', '$price'] }] },
+              },
+            },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: '$brand',
+          shoes: { $sum: 1 },
+          averagePrice: { $avg: '$price' },
+          minPrice: { $min: '$price' },
+          maxPrice: { $max: '$price' },
+          averageEffectivePrice: { $avg: '$effectivePrice' },
+          onPromotion: { $sum: '$onPromotion' },
+          totalStock: { $sum: '$stock' },
+          inventoryValue: { $sum: '$inventoryValue' },
+        },
+      },
+      { $lookup: { from: Brand.collection.name, localField: '_id', foreignField: '_id', as: 'brand' } },
+      { $unwind: '$brand' },
+      { $sort: { shoes: -1, _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          brand: { id: '$brand._id', name: '$brand.name', slug: '$brand.slug' },
+          shoes: 1,
+          averagePrice: roundPrice('$averagePrice'),
+          minPrice: 1,
+          maxPrice: 1,
+          averageEffectivePrice: roundPrice('$averageEffectivePrice'),
+          onPromotion: 1,
+          totalStock: 1,
+          inventoryValue: roundPrice('$inventoryValue'),
+        },
+      },
+    ]);
+
+    res.json({ data });
+
+  } catch (error) {
+    logger.error('Error computing brand comparison', { error });
+    sendError(res, 500, 'Error computing brand comparison');
+  }
+};
@@ -0,0 +1,228 @@
+// Import the ApiKey model - credentials for a brand's machine-to-machine integrations
+// Keys are accepted by the catalog, promotion and analytics routes (see middleware/apiKeyMiddleware.js);
+// these endpoints issue, change, rotate and revoke them
+const ApiKey = require('../models/ApiKey');
+
+// Import brand lookup and permission helpers - brand-scoped roles only manage their own brand's keys,
+// and nobody can give a key a permission they do not hold themselves
+const resolveBrand = require('../utils/resolveBrand');
+const { isBrandScoped, hasPermission } = require('../utils/permissions');
+
+// Import key generation - the key itself is only ever returned on creation and rotation
+const { generateApiKey, isUsable } = require('../utils/apiKeys');
+
+// Import pagination, audit and error helpers shared across controllers
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Load an API key the caller may manage (brand-scoped callers only see their own brand's keys)
+const findManagedApiKey = (req) => ApiKey.findOne({
+  _id: req.params.id,
+  ...(isBrandScoped(req.user) ? { brand: req.user.brand } : {}),
+});
+
+// The permissions among `permissions` the caller does not hold
+const ungrantable = (req, permissions) => permissions.filter((permission) => !hasPermission(req.user, permission));
+
+// The API key with the key itself - only returned when it is created or rotated
+const withKey = (apiKey, key) => ({ ...apiKey.toJSON(), key });
+
+// GET /api/api-keys - List API keys, newest first
+// Optional filters: brand (global roles only), revoked (default: only keys that were not revoked)
+exports.getApiKeys = async (req, res) => {
+  try {
+    const { brand, revoked } = req.query;
+    const query = isBrandScoped(req.user) ? { brand: req.user.brand } : {};
+
+    if (brand && !isBrandScoped(req.user)) {
+      const brandDoc = await resolveBrand(brand);
+      if (!brandDoc) return sendError(res, 400, 'Unknown brand');
+      query.brand = brandDoc._id;
+    }
+
+    query.revokedAt = revoked ? { $ne: null } : null;
+
+    const pagination = parsePagination(req.query);
+    const [apiKeys, total] = await Promise.all([
+      ApiKey.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('brand', 'name slug'),
+      ApiKey.countDocuments(query),
+    ]);
+
+    res.json({ data: apiKeys, pagination: paginationMeta(pagination, total) });
+
+  } catch (error) {
+    logger.error('Error fetching API keys', { error });
+    sendError(res, 500, 'Error fetching API keys');
+  }
+};
+
+// GET /api/api-keys/:id - A single API key (without the key itself)
+exports.getApiKey = async (req, res) => {
+  try {
+    const apiKey = await findManagedApiKey(req);
+    if (!apiKey) return sendError(res, 404, 'API key not found');
+
+    await apiKey.populate('brand', 'name slug');
+    res.json(apiKey);
+
+  } catch (error) {
+    logger.error('Error fetching API key', { error });
+    sendError(res, 500, 'Error fetching API key');
+  }
+};
+
+// POST /api/api-keys - Issue a key for a brand's integration
+// Body: { name, permissions, expiresAt?, brand? } - brand-scoped users issue keys for their own brand,
+// global roles name the brand. The key is only ever returned in this response
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, permissions, expiresAt } = req.body;
+
+    let brandId = req.user.brand;
+    if (!isBrandScoped(req.user)) {
+      if (!req.body.brand) return sendError(res, 400, 'brand is required');
+      const brandDoc = await resolveBrand(req.body.brand);
+      if (!brandDoc || !brandDoc.active) return sendError(res, 400, 'Unknown or inactive brand');
+      brandId = brandDoc._id;
+    }
+
+    const missing = ungrantable(req, permissions);
+    if (missing.length > 0) {
+      return sendError(res, 403, `Cannot grant permissions you do not hold: ${missing.join(', ')}`);
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name,
+      brand: brandId,
+      permissions: [...new Set(permissions)],
+      prefix,
+      keyHash,
+      expiresAt,
+      createdBy: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: 'api_key.create',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      brand: apiKey.brand,
+      after: apiKey,
+    });
+
+    res.status(201).json(withKey(apiKey, key));
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
+
+    logger.error('Error creating API key', { error });
+    sendError(res, 500, 'Error creating API key');
+  }
+};
+
+// PUT /api/api-keys/:id - Rename a key, change its permissions or its expiry (expiresAt: null removes it)
+// The change applies to the key's next request
+exports.updateApiKey = async (req, res) => {
+  try {
+    const apiKey = await findManagedApiKey(req);
+    if (!apiKey) return sendError(res, 404, 'API key not found');
+    if (apiKey.revokedAt) return sendError(res, 409, 'API key has been revoked');
+
+    const { name, permissions, expiresAt } = req.body;
+
+    if (permissions !== undefined) {
+      const missing = ungrantable(req, permissions);
+      if (missing.length > 0) {
+        return sendError(res, 403, `Cannot grant permissions you do not hold: ${missing.join(', ')}`);
+      }
+    }
+
+    const before = snapshot(apiKey);
+    if (name !== undefined) apiKey.name = name;
+    if (permissions !== undefined) apiKey.permissions = [...new Set(permissions)];
+    if (expiresAt !== undefined) apiKey.expiresAt = expiresAt ?? undefined;
+
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.update',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      brand: apiKey.brand,
+      before,
+      after: apiKey,
+    });
+
+    res.json(apiKey);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
+
+    logger.error('Error updating API key', { error });
+    sendError(res, 500, 'Error updating API key');
+  }
+};
+
+// POST /api/api-keys/:id/rotate - Replace the key, keeping its name, permissions and expiry
+// The old key stops working immediately; the new one is returned once
+exports.rotateApiKey = async (req, res) => {
+  try {
+    const apiKey = await findManagedApiKey(req);
+    if (!apiKey) return sendError(res, 404, 'API key not found');
+    if (!isUsable(apiKey)) return sendError(res, 409, 'API key has been revoked or has expired');
+
+    const { key, prefix, keyHash } = generateApiKey();
+    apiKey.prefix = prefix;
+    apiKey.keyHash = keyHash;
+    apiKey.lastUsedAt = undefined;
+    apiKey.lastUsedIp = undefined;
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.rotate',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      brand: apiKey.brand,
+      metadata: { prefix },
+    });
+
+    res.json(withKey(apiKey, key));
+
+  } catch (error) {
+    logger.error('Error rotating API key', { error });
+    sendError(res, 500, 'Error rotating API key');
+  }
+};
+
+// DELETE /api/api-keys/:id - Revoke a key for good
+// It stays listed (?revoked=true) so past audit entries can still be traced to it
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await findManagedApiKey(req);
+    if (!apiKey) return sendError(res, 404, 'API key not found');
+    if (apiKey.revokedAt) return sendError(res, 409, 'API key has already been revoked');
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user.id;
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.revoke',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      brand: apiKey.brand,
+    });
+
+    res.json({ message: 'API key revoked' });
+
+  } catch (error) {
+    logger.error('Error revoking API key', { error });
+    sendError(res, 500, 'Error revoking API key');
+  }
+};
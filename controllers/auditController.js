@@ -0,0 +1,68 @@
+// Import the AuditLog model to read the trail of administrative and catalog mutations
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Import permission helpers - brand-scoped roles only see their own brand's entries
+const { isBrandScoped } = require('../utils/permissions');
+
+// Import pagination helpers shared by list endpoints
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+
+// Import the standard error envelope helper used for every error response
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// GET /api/audit - Browse audit log entries, newest first
+// Global roles see every entry; brand-scoped roles only see entries for their own brand
+//
+// Supported query parameters:
+//   actor, targetId   - ObjectIds of the acting user / affected document
+//   targetType        - model name (Shoe, User, Brand)
+//   action            - exact action name (e.g. 'shoe.update')
+//   from, to          - date range (ISO dates, inclusive)
+//   page, limit       - pagination
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { actor, targetId, targetType, action, from, to } = req.query;
+
+    // Reject malformed IDs instead of letting Mongoose throw a CastError
+    for (const [field, value] of Object.entries({ actor, targetId })) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return sendError(res, 400, `${field} must be a valid ID`);
+      }
+    }
+
+    // Brand-scoped users are always restricted to their own brand
+    const query = isBrandScoped(req.user) ? { brand: req.user.brand } : {};
+
+    if (actor) query.actor = actor;
+    if (targetId) query.targetId = targetId;
+    if (targetType) query.targetType = targetType;
+    if (action) query.action = action;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some((date) => Number.isNaN(date.getTime()))) {
+        return sendError(res, 400, 'from and to must be valid dates');
+      }
+    }
+
+    const pagination = parsePagination(req.query);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('actor', 'name email role'),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({ data: entries, pagination: paginationMeta(pagination, total) });
+
+  } catch (error) {
+    logger.error('Error fetching audit logs', { error });
+    sendError(res, 500, 'Error fetching audit logs');
+  }
+};
@@ -3,76 +3,140 @@
 // Typically includes fields like name, email, password, role, brand, timestamps, etc.
 const User = require('../models/User');
 
+// Import brand lookup helper - the brand bound to an invite must still exist and be active
+const resolveBrand = require('../utils/resolveBrand');
+
+// Import role lookup - brand-scoped roles cannot sign in while their brand is deactivated
+const { getRole } = require('../utils/permissions');
+
+// Import lockout helpers - repeated failed logins lock the account for a growing period
+const { isLocked, registerFailedLogin, clearFailedLogins } = require('../utils/loginLockout');
+
+// Import invite helpers - staff accounts can only be created from a valid invitation
+const { claimInvite, releaseInvite } = require('../utils/invites');
+const Invite = require('../models/Invite');
+
 // Import bcryptjs library for secure password hashing and comparison
 // bcrypt is specifically designed for password hashing with built-in salt generation
 // It's intentionally slow to prevent brute force attacks and rainbow table attacks
 const bcrypt = require('bcryptjs');
 
-// Import jsonwebtoken library for creating and verifying JWT (JSON Web Token) tokens
-// JWTs are used for stateless authentication - no need to store sessions on server
-// Token contains encoded user information and expiration time
-const jwt = require('jsonwebtoken');
-
-// Utility function to generate a JWT token for authenticated users
-// This centralizes token creation logic and ensures consistent token structure
-const generateToken = (user) => {
-  // Create and return a JWT token with user information as payload
-  // JWT structure: header.payload.signature (all base64 encoded)
-  return jwt.sign(
-    // Payload: data to be encoded in the token (user ID, brand, and role)
-    // This data will be available in req.user after token verification
-    // Include minimal necessary data to keep token size small
-    { userId: user._id, brand: user.brand, role: user.role },
-    
-    // Secret key from environment variables used to sign the token
-    // This secret must be kept secure and should be a long, random string
-    // Same secret is used to verify tokens later in authentication middleware
-    process.env.JWT_SECRET,
-    
-    // Token options: configuration for the JWT
-    { expiresIn: process.env.JWT_EXPIRE || '1d' } // Token expiration time
-    // '1d' = 1 day, could also be '24h', '1440m', or number of seconds
-    // After expiration, token becomes invalid and user must re-authenticate
-  );
-}
+// Import the shared access token generator so every token uses the same claim format
+// authMiddleware understands exactly the claims produced by this helper
+const generateToken = require('../utils/generateToken');
+
+// Import refresh token helpers for issuing, rotating and revoking server-side sessions
+// Refresh tokens are stored hashed in the database so they can be revoked at any time
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+} = require('../utils/refreshTokens');
+
+// Import helpers for single-use email tokens and the pluggable mail transport
+// Verification and reset tokens are emailed in raw form and stored only as hashes
+const createSingleUseToken = require('../utils/singleUseToken');
+const hashToken = require('../utils/hashToken');
+const { sendMail } = require('../utils/mailer');
+
+// Import audit helper - successful and failed logins are recorded in the audit log
+const { recordAudit } = require('../utils/audit');
+
+// Import the standard error envelope helper used for every error response
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Import cart merging so an anonymous shopper keeps their cart after logging in
+const { mergeAnonymousCart } = require('../utils/cart');
+
+// Merge the anonymous cart named by the X-Cart-Id header into the user's cart
+// A failed merge is logged but never blocks authentication
+const mergeCartOnLogin = async (req, user) => {
+  try {
+    await mergeAnonymousCart(req.get('X-Cart-Id'), user._id);
+  } catch (error) {
+    logger.error('Cart merge error', { error });
+  }
+};
+
+// Token lifetimes for emailed links (in minutes)
+const EMAIL_VERIFICATION_TTL_MINUTES = 24 * 60; // 1 day
+const PASSWORD_RESET_TTL_MINUTES = 60;          // 1 hour
+
+// Base URL of the frontend that renders the verification and reset pages
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Generate a fresh verification token for the user and email the link
+// Any previously issued verification token is replaced (only the newest link works)
+const sendVerificationEmail = async (user) => {
+  const { token, hash, expires } = createSingleUseToken(EMAIL_VERIFICATION_TTL_MINUTES);
+  user.emailVerificationTokenHash = hash;
+  user.emailVerificationExpires = expires;
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Confirm your email by opening ${CLIENT_URL}/verify-email?token=${token}\n`
+      + 'This link expires in 24 hours.',
+  });
+};
 
 // User registration endpoint handler - handles POST requests to create new user accounts
 // Exports makes this function available to be imported in route files
+// Role and brand are never taken from the request: with a valid inviteToken the account gets
+// the invited role and brand, without one it is a plain customer account
 exports.register = async (req, res) => {
   // Destructure required fields from request body sent by frontend
-  // ES6 destructuring with default value assignment for role
-  // If role is not provided in request, it defaults to 'brand_user'
-  const { name, email, password, brand, role = 'brand_user' } = req.body;
+  const { name, email, password, inviteToken } = req.body;
 
-  try {
-    // Log the incoming registration data for debugging purposes
-    // Useful for troubleshooting API calls during development
-    // In production, be careful not to log sensitive data like passwords
-    console.log('📥 Register payload:', req.body);
+  // Invite claimed by this registration (released again if the account cannot be created)
+  let invite = null;
 
+  try {
     // Input validation: check that required fields are present and not empty
     // Frontend validation exists but backend must also validate for security
     // Prevents database errors and provides clear error messages
     if (!name || !email || !password) {
       // Return 400 Bad Request status with descriptive error message
       // Early return prevents further execution of the function
-      return res.status(400).json({ message: 'Name, email, and password are required.' });
-    }
-
-    // Business logic validation: brand users must specify which brand they represent
-    // This enforces the application's business rules at the API level
-    if (role === 'brand_user' && !brand) {
-      return res.status(400).json({ message: 'Brand is required for brand users.' });
+      return sendError(res, 400, 'Name, email, and password are required.');
     }
 
     // Check if a user with this email already exists in the database
     // Email should be unique across all users to prevent conflicts
     // Using findOne() which returns null if no document is found
-    const existingUser = await User.findOne({ email });
+    // Deactivated (trashed) accounts still own their email, so include them in the check
+    // Checked before claiming the invite so a failed attempt does not use it up
+    const existingUser = await User.findOne({ email }).setOptions({ withDeleted: true });
     
     // If user exists, return error to prevent duplicate accounts
     // Using same 400 status code to maintain consistency
-    if (existingUser) return res.status(400).json({ message: 'Email already exists.' });
+    if (existingUser) return sendError(res, 400, 'Email already exists.');
+
+    // Claim the invitation atomically so one token can never create two accounts
+    // The invite must be pending, unexpired and addressed to the registering email
+    let role = 'customer';
+    let brandId;
+    if (inviteToken) {
+      invite = await claimInvite(inviteToken, email);
+      if (!invite) {
+        return sendError(res, 403, 'Invitation is invalid, expired or was sent to another email address.');
+      }
+      role = invite.role;
+      brandId = invite.brand;
+
+      // The brand may have been deactivated since the invite was sent
+      if (brandId) {
+        const brandDoc = await resolveBrand(brandId.toString());
+        if (!brandDoc || !brandDoc.active) {
+          await releaseInvite(invite);
+          invite = null;
+          return sendError(res, 400, 'Unknown or inactive brand.');
+        }
+      }
+    }
 
     // Hash the password with bcrypt using salt rounds of 10 for security
     // Salt rounds = 10 means 2^10 = 1024 iterations (good balance of security vs performance)
@@ -86,22 +150,46 @@ exports.register = async (req, res) => {
       name,                    // User's full name for display purposes
       email,                   // User's email address (used for login)
       password: hashedPassword, // Hashed password for security (never store plain text passwords)
-      role,                    // User's role in the system (admin, brand_user, etc.)
+      role,                    // Invited role, or 'customer' without an invite
       
-      // Conditional field assignment: only set brand field if user is a brand_user
-      // This prevents non-brand users from having unnecessary brand data
+      // Brand bound to the invite (brand-scoped roles only)
       // undefined fields are not stored in MongoDB
-      brand: role === 'brand_user' ? brand : undefined,
+      brand: brandId,
     });
 
     // Save the new user to the database
     // This triggers Mongoose validations and creates the document in MongoDB
     // Returns the saved document with generated _id and timestamps
     const savedUser = await newUser.save();
+
+    // Link the invite to the account it created and record the acceptance
+    if (invite) {
+      await Invite.updateOne({ _id: invite._id }, { $set: { acceptedBy: savedUser._id } });
+      invite = null; // The account exists now - never release the invite from here on
+      await recordAudit(req, {
+        actor: { id: savedUser._id, role: savedUser.role },
+        action: 'invite.accept',
+        targetType: 'User',
+        targetId: savedUser._id,
+        brand: savedUser.brand,
+      });
+    }
+
+    // Send the email verification link; shoe mutations stay blocked until it is confirmed
+    // A mail failure must not fail the registration - the user can request a new link later
+    try {
+      await sendVerificationEmail(savedUser);
+    } catch (mailError) {
+      logger.error('Verification email error', { error: mailError });
+    }
     
-    // Generate a JWT token for the newly registered user
+    // Generate a short-lived access token and a refresh token for the newly registered user
     // This allows immediate login after registration (better UX)
     const token = generateToken(savedUser);
+    const refreshToken = await issueRefreshToken(savedUser, req.ip);
+
+    // Carry over the cart the shopper filled before creating the account
+    await mergeCartOnLogin(req, savedUser);
 
     // Send success response with user data (excluding password) and token
     // 201 status code indicates successful resource creation
@@ -113,26 +201,41 @@ exports.register = async (req, res) => {
         email: savedUser.email, // User's email address
         brand: savedUser.brand, // User's brand (null/undefined for non-brand users)
         role: savedUser.role,   // User's role for permission checking
+        emailVerified: savedUser.emailVerified, // False until the emailed link is confirmed
       },
-      token, // JWT token for immediate authentication in subsequent requests
+      token,        // Access token for immediate authentication in subsequent requests
+      refreshToken, // Long-lived token used with /api/auth/refresh to obtain new access tokens
     });
     
   } catch (error) {
     // Catch any errors that occur during registration process
     // This includes database errors, validation errors, or network issues
+
+    // Give a claimed invite back so the invited person can try again
+    if (invite) await releaseInvite(invite).catch(() => {});
+
+    // e.g. the invited role was deleted after the invite was sent
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
     
     // Log detailed error information for debugging
     // error.stack provides full stack trace for debugging
     // In production, consider using a proper logging service
-    console.error('❌ Registration error:', error.stack || error);
+    logger.error('Registration error', { error });
     
     // Return generic server error message to client
     // Don't expose internal error details to prevent information leakage
     // 500 status code indicates internal server error
-    res.status(500).json({ message: 'Server error during registration' });
+    sendError(res, 500, 'Server error during registration');
   }
 };
 
+// Customer registration endpoint handler - self-service sign-up for shoppers
+// Always creates a 'customer' account; no brand is involved (the route rejects invite tokens)
+exports.registerCustomer = (req, res) => {
+  req.body = { ...req.body, inviteToken: undefined };
+  return exports.register(req, res);
+};
+
 // User login endpoint handler - handles POST requests for user authentication
 // This function validates credentials and returns a JWT token for successful logins
 exports.login = async (req, res) => {
@@ -141,11 +244,6 @@ exports.login = async (req, res) => {
   const { email, password } = req.body;
 
   try {
-    // Log the incoming login data for debugging purposes
-    // Helps track login attempts and troubleshoot authentication issues
-    // Note: In production, avoid logging passwords even in encrypted form
-    console.log('🔑 Login payload:', req.body);
-
     // Find user in database by email address
     // Email is used as the unique identifier for login
     // Returns null if no user found with this email
@@ -154,7 +252,17 @@ exports.login = async (req, res) => {
     // If no user found, return error with generic message
     // Generic message prevents attackers from knowing if email exists
     // This is a security best practice to prevent user enumeration
-    if (!user) return res.status(400).json({ message: 'Invalid credentials.' });
+    if (!user) {
+      await recordAudit(req, { action: 'auth.login_failed', targetType: 'User', metadata: { email } });
+      return sendError(res, 400, 'Invalid credentials.');
+    }
+
+    // Locked accounts are refused without even checking the password
+    // A super admin can lift the lock early (POST /api/users/:id/unlock), or the user can reset their password
+    if (isLocked(user)) {
+      res.set('Retry-After', String(Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000)));
+      return sendError(res, 423, 'Account is temporarily locked after too many failed logins.');
+    }
 
     // Compare provided password with hashed password stored in database
     // bcrypt.compare() handles the hashing and comparison automatically
@@ -164,12 +272,57 @@ exports.login = async (req, res) => {
     // If passwords don't match, return error with same generic message
     // Using same message for both "user not found" and "wrong password"
     // This prevents attackers from distinguishing between the two cases
-    if (!isMatch) return res.status(400).json({ message: 'Invalid credentials.' });
+    if (!isMatch) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        targetType: 'User',
+        targetId: user._id,
+        brand: user.brand,
+        metadata: { email },
+      });
+
+      // Count the failure; the attempt that reaches the limit locks the account
+      const lockUntil = await registerFailedLogin(user);
+      if (lockUntil) {
+        await recordAudit(req, {
+          action: 'auth.account_locked',
+          targetType: 'User',
+          targetId: user._id,
+          brand: user.brand,
+          metadata: { lockUntil },
+        });
+      }
+      return sendError(res, 400, 'Invalid credentials.');
+    }
+
+    // A successful login resets the failure counter and the lockout escalation
+    await clearFailedLogins(user);
+
+    // Brand-scoped users cannot sign in while their brand is deactivated
+    const roleDoc = await getRole(user.role);
+    if (roleDoc && roleDoc.scope === 'brand') {
+      await user.populate('brand', 'active');
+      if (!user.brand || !user.brand.active) {
+        return sendError(res, 403, 'Brand is deactivated');
+      }
+      user.depopulate('brand');
+    }
 
-    // Generate JWT token for the authenticated user
-    // Token will be used for subsequent authenticated requests
-    // Contains user information for authorization decisions
+    // Generate an access token and a refresh token for the authenticated user
+    // The access token is short-lived; the refresh token keeps the session alive
     const token = generateToken(user);
+    const refreshToken = await issueRefreshToken(user, req.ip);
+
+    // Carry over the cart the shopper filled before logging in
+    await mergeCartOnLogin(req, user);
+
+    await recordAudit(req, {
+      actor: { id: user._id, role: user.role },
+      action: 'auth.login',
+      targetType: 'User',
+      targetId: user._id,
+      brand: user.brand,
+    });
 
     // Send success response with user data (excluding password) and token
     // 200 status code indicates successful authentication
@@ -181,10 +334,12 @@ exports.login = async (req, res) => {
         email: user.email, // User's email address
         brand: user.brand, // User's brand (may be null for non-brand users)
         role: user.role,   // User's role for permission-based access control
+        emailVerified: user.emailVerified, // Frontend can prompt unverified users to confirm
       },
       token, // JWT token for authorization in future requests
              // Frontend should store this token (in localStorage, sessionStorage, or cookie)
              // and include it in Authorization header for protected routes
+      refreshToken, // Exchange at /api/auth/refresh when the access token expires
     });
     
   } catch (error) {
@@ -193,11 +348,202 @@ exports.login = async (req, res) => {
     
     // Log detailed error information for debugging and monitoring
     // Include stack trace for better error tracking
-    console.error('❌ Login error:', error.stack || error);
+    logger.error('Login error', { error });
     
     // Return generic server error message to client
     // Don't expose internal error details for security reasons
     // 500 status code indicates internal server error
-    res.status(500).json({ message: 'Server error during login' });
+    sendError(res, 500, 'Server error during login');
+  }
+};
+
+// Refresh endpoint handler - exchanges a valid refresh token for a new token pair
+// The presented refresh token is revoked (rotation) so each one can only be used once
+exports.refresh = async (req, res) => {
+  // Extract the refresh token issued at login/register from the request body
+  const { refreshToken } = req.body;
+
+  try {
+    // Refresh token is mandatory - nothing to rotate without it
+    if (!refreshToken) {
+      return sendError(res, 400, 'Refresh token is required.');
+    }
+
+    // Rotate the token: returns null if it is unknown, expired or already revoked
+    // Reuse of a revoked token also revokes every other session of that user
+    const result = await rotateRefreshToken(refreshToken, req.ip);
+    if (!result) return sendError(res, 401, 'Invalid refresh token');
+
+    // Issue a fresh access token from the current user record
+    // This picks up any role/brand changes made since the last login
+    res.json({
+      token: generateToken(result.user),
+      refreshToken: result.token,
+    });
+
+  } catch (error) {
+    // Handle database errors during token lookup or rotation
+    logger.error('Refresh error', { error });
+    sendError(res, 500, 'Server error during token refresh');
   }
-};
\ No newline at end of file
+};
+
+// Logout endpoint handler - revokes the refresh token of the current session
+// Access tokens are short-lived, so revoking the refresh token ends the session
+exports.logout = async (req, res) => {
+  // Extract the refresh token belonging to the session being closed
+  const { refreshToken } = req.body;
+
+  try {
+    if (!refreshToken) {
+      return sendError(res, 400, 'Refresh token is required.');
+    }
+
+    // Revoke the token; unknown or already revoked tokens are silently ignored
+    // so logout is idempotent and does not reveal whether a token existed
+    await revokeRefreshToken(refreshToken);
+
+    res.json({ message: 'Logged out' });
+
+  } catch (error) {
+    logger.error('Logout error', { error });
+    sendError(res, 500, 'Server error during logout');
+  }
+};
+
+// Logout-all endpoint handler - revokes every session of the authenticated user
+// Also bumps tokenVersion so outstanding access tokens are rejected immediately
+exports.logoutAll = async (req, res) => {
+  try {
+    // Find the authenticated user (req.user is set by authMiddleware)
+    const user = await User.findById(req.user.id);
+    if (!user) return sendError(res, 404, 'User not found');
+
+    // Invalidate all access tokens and refresh tokens for this user
+    user.tokenVersion += 1;
+    await user.save();
+    await revokeAllForUser(user._id);
+
+    res.json({ message: 'Logged out of all sessions' });
+
+  } catch (error) {
+    logger.error('Logout-all error', { error });
+    sendError(res, 500, 'Server error during logout');
+  }
+};
+
+// Verify-email endpoint handler - confirms ownership of the registered email address
+// The token comes from the link sent by sendVerificationEmail and can be used only once
+exports.verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    if (!token) return sendError(res, 400, 'Verification token is required.');
+
+    // Burn the token and mark the address verified in one atomic update, so two requests racing
+    // with the same link cannot both use it; expired tokens do not match
+    const user = await User.findOneAndUpdate(
+      { emailVerificationTokenHash: hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+      {
+        $set: { emailVerified: true },
+        $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 },
+        $inc: { __v: 1 },
+      }
+    );
+    if (!user) return sendError(res, 400, 'Invalid or expired verification token.');
+
+    res.json({ message: 'Email verified' });
+
+  } catch (error) {
+    logger.error('Email verification error', { error });
+    sendError(res, 500, 'Server error during email verification');
+  }
+};
+
+// Resend-verification endpoint handler - emails a new verification link to the current user
+// Requires authentication so links can only be requested for one's own account
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return sendError(res, 404, 'User not found');
+
+    if (user.emailVerified) return sendError(res, 400, 'Email is already verified.');
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+
+  } catch (error) {
+    logger.error('Resend verification error', { error });
+    sendError(res, 500, 'Server error while sending verification email');
+  }
+};
+
+// Forgot-password endpoint handler - emails a single-use password reset link
+// Always responds with the same message so attackers cannot discover registered emails
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    if (!email) return sendError(res, 400, 'Email is required.');
+
+    const user = await User.findOne({ email });
+
+    // Only send mail when the account exists, but never reveal whether it does
+    if (user) {
+      const { token, hash, expires } = createSingleUseToken(PASSWORD_RESET_TTL_MINUTES);
+      user.passwordResetTokenHash = hash;
+      user.passwordResetExpires = expires;
+      await user.save();
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Reset your password by opening ${CLIENT_URL}/reset-password?token=${token}\n`
+          + 'This link expires in 1 hour. If you did not request a reset, ignore this email.',
+      });
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent.' });
+
+  } catch (error) {
+    logger.error('Forgot password error', { error });
+    sendError(res, 500, 'Server error during password reset request');
+  }
+};
+
+// Reset-password endpoint handler - sets a new password using an emailed reset token
+// Ends every existing session because the old password may have been compromised
+exports.resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    if (!token || !password) {
+      return sendError(res, 400, 'Token and new password are required.');
+    }
+
+    // Hash first so the token is consumed in the same atomic update that stores the new password:
+    // two requests racing with the same reset link cannot both use it; expired tokens do not match
+    const passwordHash = await bcrypt.hash(password, 10);
+    const user = await User.findOneAndUpdate(
+      { passwordResetTokenHash: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+      {
+        // Receiving the reset email also proves ownership of the address,
+        // which lifts any brute-force lock as well
+        $set: { password: passwordHash, emailVerified: true, failedLoginAttempts: 0, lockCount: 0 },
+        $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1, lockUntil: 1 },
+        // Invalidate outstanding access tokens (refresh tokens are revoked below)
+        $inc: { tokenVersion: 1, __v: 1 },
+      }
+    );
+    if (!user) return sendError(res, 400, 'Invalid or expired reset token.');
+
+    await revokeAllForUser(user._id);
+
+    res.json({ message: 'Password has been reset' });
+
+  } catch (error) {
+    logger.error('Reset password error', { error });
+    sendError(res, 500, 'Server error during password reset');
+  }
+};
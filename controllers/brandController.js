@@ -0,0 +1,147 @@
+// Import the Brand model to manage the collection of brands sold on the platform
+// Brands replace the old hardcoded enum so new brands can be onboarded without a deploy
+const Brand = require('../models/Brand');
+
+// Import Shoe and User models to check whether a brand is still referenced before deletion
+const Shoe = require('../models/Shoe');
+const User = require('../models/User');
+
+// Import audit helpers - brand changes are administrative actions
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Import the standard error envelope helper used for every error response
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// GET /api/brands - List all brands (super admin only)
+// Includes inactive brands so administrators can reactivate them
+exports.getBrands = async (req, res) => {
+  try {
+    // Sort alphabetically for predictable display in admin dashboards
+    const brands = await Brand.find().sort({ name: 1 });
+    res.json(brands);
+
+  } catch (error) {
+    logger.error('Error fetching brands', { error });
+    sendError(res, 500, 'Error fetching brands');
+  }
+};
+
+// GET /api/brands/:id - Retrieve a single brand by ID
+exports.getBrand = async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) return sendError(res, 404, 'Brand not found');
+
+    res.json(brand);
+
+  } catch (error) {
+    logger.error('Error fetching brand', { error });
+    sendError(res, 500, 'Error fetching brand');
+  }
+};
+
+// POST /api/brands - Create a new brand
+// Slug is derived from the name when not supplied (see Brand schema)
+exports.createBrand = async (req, res) => {
+  try {
+    const { name, slug, logo, active } = req.body;
+
+    if (!name) return sendError(res, 400, 'Brand name is required.');
+
+    // Name and slug must both be unique - check up front for a clear error message
+    const existing = await Brand.findOne({
+      $or: [{ name }, ...(slug ? [{ slug: slug.toLowerCase() }] : [])],
+    });
+    if (existing) return sendError(res, 400, 'Brand already exists.');
+
+    const brand = await Brand.create({ name, slug, logo, active });
+
+    await recordAudit(req, {
+      action: 'brand.create',
+      targetType: 'Brand',
+      targetId: brand._id,
+      brand: brand._id,
+      after: brand,
+    });
+
+    res.status(201).json(brand);
+
+  } catch (error) {
+    logger.error('Error creating brand', { error });
+    sendError(res, 500, 'Error creating brand');
+  }
+};
+
+// PUT /api/brands/:id - Update brand details or toggle the active flag
+// Deactivating a brand hides its shoes and blocks its users (enforced at read/auth time)
+exports.updateBrand = async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) return sendError(res, 404, 'Brand not found');
+
+    const { name, slug, logo, active } = req.body;
+    const before = snapshot(brand);
+
+    // Only overwrite fields that were actually sent
+    if (name !== undefined) brand.name = name;
+    if (slug !== undefined) brand.slug = slug;
+    if (logo !== undefined) brand.logo = logo;
+    if (active !== undefined) brand.active = Boolean(active);
+
+    await brand.save();
+
+    await recordAudit(req, {
+      action: 'brand.update',
+      targetType: 'Brand',
+      targetId: brand._id,
+      brand: brand._id,
+      before,
+      after: brand,
+    });
+
+    res.json(brand);
+
+  } catch (error) {
+    // Duplicate key error from the unique name/slug indexes
+    if (error.code === 11000) {
+      return sendError(res, 400, 'Brand name or slug already in use.');
+    }
+    logger.error('Error updating brand', { error });
+    sendError(res, 500, 'Error updating brand');
+  }
+};
+
+// DELETE /api/brands/:id - Remove a brand that nothing references any more
+// Brands with shoes or users must be deactivated instead to avoid dangling references
+exports.deleteBrand = async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) return sendError(res, 404, 'Brand not found');
+
+    // Trashed shoes and users count too - they can still be restored
+    const [shoeCount, userCount] = await Promise.all([
+      Shoe.countDocuments({ brand: brand._id }).setOptions({ withDeleted: true }),
+      User.countDocuments({ brand: brand._id }).setOptions({ withDeleted: true }),
+    ]);
+    if (shoeCount > 0 || userCount > 0) {
+      return sendError(res, 409, 'Brand is still in use by shoes or users; deactivate it instead');
+    }
+
+    await brand.deleteOne();
+
+    await recordAudit(req, {
+      action: 'brand.delete',
+      targetType: 'Brand',
+      targetId: brand._id,
+      brand: brand._id,
+      before: brand,
+    });
+
+    res.json({ message: 'Brand deleted' });
+
+  } catch (error) {
+    logger.error('Error deleting brand', { error });
+    sendError(res, 500, 'Error deleting brand');
+  }
+};
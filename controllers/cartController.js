@@ -0,0 +1,148 @@
+// Shopping cart endpoints for logged-in users and anonymous shoppers
+// Anonymous carts are identified by the X-Cart-Id header returned when the cart is created;
+// logging in (or registering) with that header merges the cart into the user's cart
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const hashToken = require('../utils/hashToken');
+const { findPurchasable, priceCart, addToCart, mergeAnonymousCart } = require('../utils/cart');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Find the caller's cart, optionally creating it
+// Returns { cart, cartId } where cartId is only set when a new anonymous cart was created
+const loadCart = async (req, { create = false } = {}) => {
+  if (req.user) {
+    let cart = await Cart.findOne({ user: req.user.id });
+    if (!cart && create) cart = new Cart({ user: req.user.id });
+    return { cart };
+  }
+
+  const headerId = req.get('X-Cart-Id');
+  if (headerId) {
+    const cart = await Cart.findOne({ sessionHash: hashToken(headerId) });
+    if (cart || !create) return { cart };
+  }
+  if (!create) return { cart: null };
+
+  // Start a new anonymous cart; the raw ID is returned to the client once and only its hash is stored
+  const cartId = crypto.randomBytes(24).toString('hex');
+  return { cart: new Cart({ sessionHash: hashToken(cartId) }), cartId };
+};
+
+// Respond with the cart priced against the current catalog
+const sendCart = async (res, cart, cartId, status = 200) => {
+  const priced = cart ? await priceCart(cart) : { items: [], subtotal: 0, hasUnavailableItems: false };
+  res.status(status).json({ ...(cartId ? { cartId } : {}), ...priced });
+};
+
+// GET /api/cart - Current cart with live prices and availability
+exports.getCart = async (req, res) => {
+  try {
+    const { cart } = await loadCart(req);
+    await sendCart(res, cart);
+
+  } catch (error) {
+    logger.error('Error fetching cart', { error });
+    sendError(res, 500, 'Error fetching cart');
+  }
+};
+
+// POST /api/cart/items - Add a variant to the cart (quantities of the same variant are combined)
+exports.addItem = async (req, res) => {
+  try {
+    const { shoe: shoeId, variant: variantId, quantity } = req.body;
+
+    const { shoe, variant, problem } = await findPurchasable(shoeId, variantId);
+    if (problem) return sendError(res, 422, problem);
+
+    const { cart, cartId } = await loadCart(req, { create: true });
+    const existing = cart.items.find((item) => item.variant.equals(variant._id));
+    const wanted = quantity + (existing ? existing.quantity : 0);
+    if (variant.stock < wanted) {
+      return sendError(res, 409, `Only ${variant.stock} left in stock`, { code: 'INSUFFICIENT_STOCK' });
+    }
+
+    addToCart(cart, shoe._id, variant._id, quantity);
+    await cart.save();
+
+    await sendCart(res, cart, cartId, cartId ? 201 : 200);
+
+  } catch (error) {
+    logger.error('Error adding cart item', { error });
+    sendError(res, 500, 'Error adding item to cart');
+  }
+};
+
+// PUT /api/cart/items/:itemId - Change the quantity of a cart line
+exports.updateItem = async (req, res) => {
+  try {
+    const { cart } = await loadCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+    if (!item) return sendError(res, 404, 'Cart item not found');
+
+    const { variant, problem } = await findPurchasable(item.shoe, item.variant);
+    if (problem) return sendError(res, 422, problem);
+    if (variant.stock < req.body.quantity) {
+      return sendError(res, 409, `Only ${variant.stock} left in stock`, { code: 'INSUFFICIENT_STOCK' });
+    }
+
+    item.quantity = req.body.quantity;
+    await cart.save();
+
+    await sendCart(res, cart);
+
+  } catch (error) {
+    logger.error('Error updating cart item', { error });
+    sendError(res, 500, 'Error updating cart item');
+  }
+};
+
+// DELETE /api/cart/items/:itemId - Remove a line from the cart
+exports.removeItem = async (req, res) => {
+  try {
+    const { cart } = await loadCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+    if (!item) return sendError(res, 404, 'Cart item not found');
+
+    item.deleteOne();
+    await cart.save();
+
+    await sendCart(res, cart);
+
+  } catch (error) {
+    logger.error('Error removing cart item', { error });
+    sendError(res, 500, 'Error removing cart item');
+  }
+};
+
+// DELETE /api/cart - Empty the cart
+exports.clearCart = async (req, res) => {
+  try {
+    const { cart } = await loadCart(req);
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    await sendCart(res, cart);
+
+  } catch (error) {
+    logger.error('Error clearing cart', { error });
+    sendError(res, 500, 'Error clearing cart');
+  }
+};
+
+// POST /api/cart/merge - Merge an anonymous cart (X-Cart-Id header) into the logged-in user's cart
+// Login and registration do this automatically; this endpoint covers already-open sessions
+exports.mergeCart = async (req, res) => {
+  try {
+    await mergeAnonymousCart(req.get('X-Cart-Id'), req.user.id);
+
+    const { cart } = await loadCart(req);
+    await sendCart(res, cart);
+
+  } catch (error) {
+    logger.error('Error merging cart', { error });
+    sendError(res, 500, 'Error merging cart');
+  }
+};
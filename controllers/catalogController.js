@@ -0,0 +1,195 @@
+// Public storefront catalog - read-only and unauthenticated
+// Only published shoes are listed (see utils/shoeWorkflow.js), and only their public fields:
+// no stock counts, review/revision, audit/trash metadata or storage keys
+const Shoe = require('../models/Shoe');
+const Brand = require('../models/Brand');
+
+// Import price helpers - shoppers see both the list price and today's promoted price
+const { currentPromotionOf } = require('../utils/pricing');
+
+// Import market helpers - shoppers pick a currency and get content in their language
+const { resolveMarket, localizeContent, priceIn, effectivePriceIn, toDefaultCurrency } = require('../utils/localization');
+
+// Import pagination helpers shared by list endpoints
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+
+// Import the standard error envelope helper used for every error response
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Brand fields shoppers may see
+const PUBLIC_BRAND_FIELDS = 'name slug logo';
+
+// Shape a brand for the storefront
+const toPublicBrand = (brand) => ({
+  name: brand.name,
+  slug: brand.slug,
+  logo: brand.logo,
+});
+
+// Shape a (lean, brand-populated) shoe for the storefront in the shopper's currency and locale
+// Variants expose only whether they can be bought, never the stock count
+// `price` is the list price; `effectivePrice` is what the shopper pays today
+const toPublicShoe = (shoe, market) => {
+  const variants = (shoe.variants || []).map((variant) => ({
+    id: variant._id,
+    size: variant.size,
+    sizeSystem: variant.sizeSystem,
+    color: variant.color,
+    sku: variant.sku,
+    price: priceIn(market, shoe, variant),
+    effectivePrice: effectivePriceIn(market, shoe, variant),
+    inStock: variant.stock > 0,
+  }));
+
+  const promotion = currentPromotionOf(shoe);
+  const { locale, name, description } = localizeContent(shoe, market.locales);
+  return {
+    id: shoe._id,
+    locale,
+    name,
+    description,
+    currency: market.currency,
+    price: priceIn(market, shoe),
+    effectivePrice: effectivePriceIn(market, shoe),
+    promotion: promotion ? { name: promotion.name, endsAt: promotion.endsAt } : null,
+    brand: shoe.brand ? toPublicBrand(shoe.brand) : null,
+    image: shoe.image,
+    images: (shoe.images || [])
+      .slice()
+      .sort((a, b) => a.position - b.position)
+      .map((image) => ({
+        url: image.url,
+        thumbnailUrl: image.thumbnailUrl,
+        width: image.width,
+        height: image.height,
+        isPrimary: image.isPrimary,
+      })),
+    variants,
+    inStock: variants.some((variant) => variant.inStock),
+    createdAt: shoe.createdAt,
+  };
+};
+
+// Sort options offered to shoppers; defaults to newest first
+// Price sorts and filters use the effective (promoted) price shoppers actually pay, in the
+// default currency (filter bounds in another currency are converted with its exchange rate)
+const SORTS = {
+  price: { effectivePrice: 1, _id: 1 },
+  '-price': { effectivePrice: -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+  '-name': { name: -1, _id: -1 },
+  createdAt: { createdAt: 1, _id: 1 },
+  '-createdAt': { createdAt: -1, _id: -1 },
+};
+
+// Build the shoe filter shared by the list and brand pages
+// Only published shoes of active brands are ever visible; trashed shoes are excluded by the soft delete plugin
+const buildCatalogQuery = ({ q, minPrice, maxPrice, size, color, inStock }, brandIds, market) => {
+  const query = { status: 'published', brand: { $in: brandIds } };
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    query.effectivePrice = {};
+    if (minPrice !== undefined) query.effectivePrice.$gte = toDefaultCurrency(market, minPrice);
+    if (maxPrice !== undefined) query.effectivePrice.$lte = toDefaultCurrency(market, maxPrice);
+  }
+
+  // Size/color/availability must all match the same variant
+  if (size || color || inStock) {
+    const variantMatch = {};
+    if (size) variantMatch.size = size;
+    if (color) variantMatch.color = new RegExp(`^${color.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    if (inStock) variantMatch.stock = { $gt: 0 };
+    query.variants = { $elemMatch: variantMatch };
+  }
+
+  // Text search covers the default-locale name and description
+  if (q) query.$text = { $search: q };
+
+  return query;
+};
+
+// Run a paginated catalog query and return { data, pagination } in the storefront shape
+const findShoePage = async (req, query, market) => {
+  const pagination = parsePagination(req.query);
+  const sort = SORTS[req.query.sort] || (req.query.q ? { score: { $meta: 'textScore' } } : SORTS['-createdAt']);
+  const projection = req.query.q ? { score: { $meta: 'textScore' } } : {};
+
+  const [shoes, total] = await Promise.all([
+    Shoe.find(query, projection)
+      .sort(sort)
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .populate('brand', PUBLIC_BRAND_FIELDS)
+      .lean(),
+    Shoe.countDocuments(query),
+  ]);
+
+  return {
+    data: shoes.map((shoe) => toPublicShoe(shoe, market)),
+    pagination: paginationMeta(pagination, total),
+  };
+};
+
+// GET /api/catalog/shoes - Browse the public catalog
+// Filters: q, brand (slug), minPrice, maxPrice, size, color, inStock; sort; page/limit
+// currency and locale (or Accept-Language) choose how prices and content are shown
+exports.listShoes = async (req, res) => {
+  try {
+    const market = await resolveMarket(req, res);
+    if (!market) return;
+
+    const brandFilter = { active: true };
+    if (req.query.brand) brandFilter.slug = req.query.brand;
+    const brandIds = await Brand.find(brandFilter).distinct('_id');
+
+    const query = buildCatalogQuery(req.query, brandIds, market);
+    res.json(await findShoePage(req, query, market));
+
+  } catch (error) {
+    logger.error('Error fetching catalog shoes', { error });
+    sendError(res, 500, 'Error fetching catalog');
+  }
+};
+
+// GET /api/catalog/shoes/:id - Public product detail page (?currency, ?locale as for the list)
+exports.getShoe = async (req, res) => {
+  try {
+    const market = await resolveMarket(req, res);
+    if (!market) return;
+
+    const shoe = await Shoe.findOne({ _id: req.params.id, status: 'published' })
+      .populate({ path: 'brand', select: PUBLIC_BRAND_FIELDS, match: { active: true } })
+      .lean();
+
+    // Unpublished shoes and shoes of inactive brands are treated as non-existent
+    if (!shoe || !shoe.brand) return sendError(res, 404, 'Shoe not found');
+
+    res.json(toPublicShoe(shoe, market));
+
+  } catch (error) {
+    logger.error('Error fetching catalog shoe', { error });
+    sendError(res, 500, 'Error fetching shoe');
+  }
+};
+
+// GET /api/catalog/brands/:brand - Brand page: brand details plus its shoes
+// :brand is the brand slug; accepts the same filters as the shoe list
+exports.getBrand = async (req, res) => {
+  try {
+    const market = await resolveMarket(req, res);
+    if (!market) return;
+
+    const brand = await Brand.findOne({ slug: req.params.brand, active: true });
+    if (!brand) return sendError(res, 404, 'Brand not found');
+
+    const query = buildCatalogQuery(req.query, [brand._id], market);
+    const page = await findShoePage(req, query, market);
+
+    res.json({ brand: toPublicBrand(brand), ...page });
+
+  } catch (error) {
+    logger.error('Error fetching catalog brand', { error });
+    sendError(res, 500, 'Error fetching brand');
+  }
+};
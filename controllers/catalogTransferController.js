@@ -0,0 +1,285 @@
+// Bulk import and export of a brand's catalog
+// Brand managers keep their catalogs in spreadsheets; these endpoints move whole catalogs in one request
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+
+// Import Shoe and Brand models - imports create/update shoes, exports read them
+const Shoe = require('../models/Shoe');
+const Brand = require('../models/Brand');
+
+// Import the brand lookup helper - brands are referenced by ID, slug or name exactly as in createShoe
+const resolveBrand = require('../utils/resolveBrand');
+
+// Import permission helpers - brand-scoped users only import into and export their own brand
+const { isBrandScoped, canAccessBrand } = require('../utils/permissions');
+
+// Each imported shoe is validated with the same schema as POST /api/shoes/create
+const { newShoeSchema } = require('../utils/validators');
+
+// Imports follow the review workflow: new shoes are drafts, published ones get revisions
+const { editShoe, isInReview } = require('../utils/shoeWorkflow');
+
+// CSV/JSON parsing and serialisation helpers
+const {
+  CSV_COLUMNS,
+  parseCsvImport,
+  parseJsonImport,
+  toCsvRows,
+  toJsonExport,
+} = require('../utils/catalogTransfer');
+
+// Import audit and error helpers - every imported change is audited like a single edit
+const { recordAudit, snapshot } = require('../utils/audit');
+const { emitShoeEvent } = require('../utils/webhooks');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Maximum number of shoes accepted in one import
+const MAX_IMPORT_ITEMS = 1000;
+
+// Find the shoe an import item should update: first by any of its SKUs, then by brand + name
+const findExistingShoe = async (shoe, brandId) => {
+  const skus = (shoe.variants || []).map((variant) => variant.sku.toUpperCase());
+  if (skus.length > 0) {
+    const bySku = await Shoe.findOne({ 'variants.sku': { $in: skus } });
+    if (bySku) return bySku;
+  }
+  return Shoe.findOne({ brand: brandId, name: shoe.name });
+};
+
+// Apply an import item onto an existing shoe: overwrite shoe fields, upsert variants by SKU
+// Prices and translations are merged by currency/locale, so ones missing from the item are kept
+// Like a PATCH, changed fields and variant prices of a published shoe become a pending revision
+// (the caller has already refused shoes in review); the rest of the variants is updated directly
+// Returns the reason the shoe cannot be edited right now (see editShoe), or null
+const mergeIntoShoe = (existing, shoe, userId) => {
+  const variantPrices = {};
+  (shoe.variants || []).forEach(({ price, ...variant }) => {
+    let current = existing.variants.find((candidate) => candidate.sku === variant.sku.toUpperCase());
+    if (current) {
+      current.set(variant);
+    } else {
+      existing.variants.push(variant);
+      current = existing.variants[existing.variants.length - 1];
+    }
+    if (price !== undefined) variantPrices[current._id.toString()] = price;
+  });
+
+  return editShoe(existing, {
+    name: shoe.name,
+    price: shoe.price,
+    description: shoe.description,
+    prices: shoe.prices,
+    translations: shoe.translations,
+    variantPrices: Object.keys(variantPrices).length > 0 ? variantPrices : undefined,
+  }, userId);
+};
+
+// The staged changes of a shoe's pending revision (as JSON), to tell whether an import added to them
+const pendingChangesOf = (shoe) => {
+  const { revision } = snapshot(shoe);
+  return JSON.stringify(revision ? revision.changes : null);
+};
+
+// Per-row errors for a failed save; anything else is rethrown
+const saveErrorsOf = (saveError) => {
+  if (saveError.code === 11000) return [{ field: 'variants', message: 'SKU already exists' }];
+  if (saveError.name === 'ValidationError') return [{ field: 'shoe', message: saveError.message }];
+  throw saveError;
+};
+
+// Merge an import item into an existing shoe and save it
+// The merge also runs when dry-running (without saving), so the preview tells updates and revisions apart
+const updateImportedShoe = async (req, existing, shoe, dryRun) => {
+  const before = snapshot(existing);
+  const pendingBefore = pendingChangesOf(existing);
+  const blocked = mergeIntoShoe(existing, shoe, req.user.id);
+  if (blocked) return { errors: [{ field: 'shoe', message: blocked }] };
+
+  const action = pendingChangesOf(existing) !== pendingBefore ? 'revise' : 'update';
+  if (dryRun) return { action, shoeId: existing._id };
+
+  // Anything besides the revision (e.g. variant stock) changed the live shoe
+  const changedLive = existing.modifiedPaths().some((path) => path.split('.')[0] !== 'revision');
+
+  try {
+    existing.$locals.changedBy = req.user.id;
+    existing.$locals.priceSource = 'import';
+    await existing.save();
+  } catch (saveError) {
+    return { errors: saveErrorsOf(saveError) };
+  }
+
+  await recordAudit(req, {
+    action: action === 'revise' ? 'shoe.revise' : 'shoe.update',
+    targetType: 'Shoe',
+    targetId: existing._id,
+    brand: existing.brand,
+    before,
+    after: existing,
+    metadata: { source: 'import' },
+  });
+  if (changedLive) await emitShoeEvent('shoe.updated', existing);
+  return { action, shoeId: existing._id };
+};
+
+// Create a shoe (a draft) from an import item
+const createImportedShoe = async (req, shoe, dryRun) => {
+  if (dryRun) return { action: 'create' };
+
+  const created = new Shoe(shoe);
+  try {
+    created.$locals.changedBy = req.user.id;
+    created.$locals.priceSource = 'import';
+    await created.save();
+  } catch (saveError) {
+    return { errors: saveErrorsOf(saveError) };
+  }
+
+  await recordAudit(req, {
+    action: 'shoe.create',
+    targetType: 'Shoe',
+    targetId: created._id,
+    brand: created.brand,
+    after: created,
+    metadata: { source: 'import' },
+  });
+  await emitShoeEvent('shoe.created', created);
+  return { action: 'create', shoeId: created._id };
+};
+
+// Validate and (unless dry-running) apply one import item
+// Returns { action, shoeId } on success or { errors } listing every problem found. action is
+// 'create', 'update' (changed directly) or 'revise' (changes to a published shoe wait for review;
+// variant stock and details may still have changed directly)
+const importItem = async (req, { shoe: raw }, dryRun) => {
+  const { error, value: shoe } = newShoeSchema.validate(raw, { abortEarly: false, convert: true });
+  if (error) {
+    return { errors: error.details.map((detail) => ({ field: detail.path.join('.'), message: detail.message.replace(/"/g, '') })) };
+  }
+
+  // Same brand rules as createShoe: existing, active, and the caller's own brand for brand-scoped users
+  const brandDoc = await resolveBrand(shoe.brand);
+  if (!brandDoc || !brandDoc.active) return { errors: [{ field: 'brand', message: 'Unknown or inactive brand' }] };
+  if (!canAccessBrand(req.user, brandDoc._id)) {
+    return { errors: [{ field: 'brand', message: 'Cannot import shoes for another brand' }] };
+  }
+  shoe.brand = brandDoc._id;
+
+  const existing = await findExistingShoe(shoe, brandDoc._id);
+  if (existing && !existing.brand.equals(brandDoc._id)) {
+    return { errors: [{ field: 'variants', message: 'SKU belongs to a shoe of another brand' }] };
+  }
+
+  if (existing && isInReview(existing)) {
+    return { errors: [{ field: 'shoe', message: 'Shoe is in review; withdraw it before importing changes' }] };
+  }
+
+  return existing ? updateImportedShoe(req, existing, shoe, dryRun) : createImportedShoe(req, shoe, dryRun);
+};
+
+// POST /api/shoes/import - Bulk create/update shoes from CSV (text/csv body) or JSON
+// ?dryRun=true validates everything and reports what would happen without writing
+// Valid items are applied even when others fail; every failure is reported per row
+exports.importShoes = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === true;
+    const format = req.query.format || (req.is('text/csv') || req.is('text/plain') ? 'csv' : 'json');
+
+    let items;
+    if (format === 'csv') {
+      if (typeof req.body !== 'string' || !req.body.trim()) return sendError(res, 400, 'CSV body is empty');
+      try {
+        items = parseCsvImport(req.body);
+      } catch (parseError) {
+        return sendError(res, 400, `Invalid CSV: ${parseError.message}`, { code: 'INVALID_CSV' });
+      }
+    } else {
+      items = parseJsonImport(req.body);
+      if (!items) return sendError(res, 400, 'JSON body must be an array of shoes or { shoes: [...] }');
+    }
+
+    if (items.length === 0) return sendError(res, 400, 'Nothing to import');
+    if (items.length > MAX_IMPORT_ITEMS) {
+      return sendError(res, 413, `Imports are limited to ${MAX_IMPORT_ITEMS} shoes per request`);
+    }
+
+    // Process sequentially so SKU/name matches see shoes created earlier in the same file
+    const results = [];
+    for (const item of items) {
+      const result = await importItem(req, item, dryRun);
+      results.push({ rows: item.rows, name: item.shoe && item.shoe.name, ...result });
+    }
+
+    const count = (action) => results.filter((result) => result.action === action).length;
+    res.json({
+      dryRun,
+      summary: {
+        total: results.length,
+        created: count('create'),
+        updated: count('update'),
+        revised: count('revise'),
+        failed: results.filter((result) => result.errors).length,
+      },
+      results,
+    });
+
+  } catch (error) {
+    logger.error('Error importing shoes', { error });
+    sendError(res, 500, 'Error importing shoes');
+  }
+};
+
+// GET /api/shoes/export?format=csv|json - Stream the caller's visible catalog
+// Brand-scoped users export their own brand; global roles export every active brand
+exports.exportShoes = async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const query = isBrandScoped(req.user)
+      ? { brand: req.user.brand }
+      : { brand: { $in: await Brand.find({ active: true }).distinct('_id') } };
+
+    const cursor = Shoe.find(query).sort({ createdAt: 1 }).populate('brand', 'slug').lean().cursor();
+    const filename = `shoes-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.attachment(filename);
+
+    // Shoes are streamed with backpressure: the cursor only reads on as fast as the client downloads
+    if (format === 'csv') {
+      res.type('text/csv');
+      await pipeline(
+        cursor,
+        async function* csvRows(shoes) {
+          for await (const shoe of shoes) yield* toCsvRows(shoe);
+        },
+        stringify({ header: true, columns: CSV_COLUMNS }),
+        res
+      );
+      return;
+    }
+
+    // JSON: stream an array one shoe at a time instead of building it in memory
+    res.type('application/json');
+    await pipeline(
+      cursor,
+      async function* jsonArray(shoes) {
+        yield '[';
+        let first = true;
+        for await (const shoe of shoes) {
+          yield `${first ? '' : ','}${JSON.stringify(toJsonExport(shoe))}`;
+          first = false;
+        }
+        yield ']';
+      },
+      res
+    );
+
+  } catch (error) {
+    // The client went away mid-download; the pipeline has already closed the cursor
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+
+    logger.error('Error exporting shoes', { error });
+    // Headers are gone once streaming started - all we can do is cut the response short
+    if (res.headersSent) return res.destroy(error);
+    sendError(res, 500, 'Error exporting shoes');
+  }
+};
@@ -0,0 +1,86 @@
+// Import the ExchangeRate model - the conversion table for currencies other than the default one
+// A currency is offered (?currency= on shoe listings and the catalog) exactly when it has a rate here
+const ExchangeRate = require('../models/ExchangeRate');
+
+// Import the default currency - its prices are the shoes' list prices and need no rate
+const { DEFAULT_CURRENCY } = require('../utils/localization');
+
+// Import audit and error helpers shared across controllers
+const { recordAudit, snapshot } = require('../utils/audit');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// GET /api/exchange-rates - The default currency and every offered currency with its rate
+// Public, so storefronts can build their currency picker
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find()
+      .select('currency rate updatedAt')
+      .sort({ currency: 1 });
+
+    res.json({ baseCurrency: DEFAULT_CURRENCY, data: rates });
+
+  } catch (error) {
+    logger.error('Error fetching exchange rates', { error });
+    sendError(res, 500, 'Error fetching exchange rates');
+  }
+};
+
+// PUT /api/exchange-rates/:currency - Offer a currency or change its rate (requires currency:manage)
+// Body: { rate } - units of :currency per one unit of the default currency
+// Prices without an explicit amount in the currency are converted with the new rate straight away
+exports.setExchangeRate = async (req, res) => {
+  try {
+    const { currency } = req.params;
+    if (currency === DEFAULT_CURRENCY) {
+      return sendError(res, 400, `${DEFAULT_CURRENCY} is the default currency and has no exchange rate`);
+    }
+
+    const existing = await ExchangeRate.findOne({ currency });
+    const before = snapshot(existing);
+    const exchangeRate = existing || new ExchangeRate({ currency });
+    exchangeRate.rate = req.body.rate;
+    exchangeRate.updatedBy = req.user.id;
+    await exchangeRate.save();
+
+    await recordAudit(req, {
+      action: existing ? 'exchange_rate.update' : 'exchange_rate.create',
+      targetType: 'ExchangeRate',
+      targetId: exchangeRate._id,
+      before,
+      after: exchangeRate,
+    });
+
+    res.status(existing ? 200 : 201).json(exchangeRate);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
+    // Two requests adding the same currency at once (unique index on currency)
+    if (error.code === 11000) return sendError(res, 409, 'Exchange rate was created by another request; retry');
+
+    logger.error('Error saving exchange rate', { error });
+    sendError(res, 500, 'Error saving exchange rate');
+  }
+};
+
+// DELETE /api/exchange-rates/:currency - Stop offering a currency (requires currency:manage)
+// Shoes keep their explicit prices in it, which are used again if the currency is re-added
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ currency: req.params.currency });
+    if (!exchangeRate) return sendError(res, 404, 'Exchange rate not found');
+
+    await recordAudit(req, {
+      action: 'exchange_rate.delete',
+      targetType: 'ExchangeRate',
+      targetId: exchangeRate._id,
+      before: exchangeRate,
+    });
+
+    res.json({ message: 'Exchange rate deleted' });
+
+  } catch (error) {
+    logger.error('Error deleting exchange rate', { error });
+    sendError(res, 500, 'Error deleting exchange rate');
+  }
+};
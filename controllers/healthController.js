@@ -0,0 +1,75 @@
+// Import mongoose - readiness depends on the MongoDB connection
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Import the metrics registry filled by middleware/requestContext.js
+const { renderMetrics } = require('../utils/metrics');
+
+// Import error and logging helpers shared across controllers
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// How long the readiness probe waits for MongoDB to answer a ping
+const READY_TIMEOUT_MS = Number(process.env.READY_TIMEOUT_MS) || 2000;
+
+// Mongoose connection state names, for status responses
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// The MongoDB connection state ('connected', 'connecting', ...)
+const databaseState = () => CONNECTION_STATES[mongoose.connection.readyState] || 'unknown';
+
+// Ping MongoDB; rejects when it does not answer within READY_TIMEOUT_MS
+const pingDatabase = () => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('MongoDB ping timed out')), READY_TIMEOUT_MS);
+  });
+  return Promise.race([mongoose.connection.db.admin().ping(), timeout]).finally(() => clearTimeout(timer));
+};
+
+// Compare bearer tokens without leaking their length or content through timing
+const sameToken = (given, expected) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(given).digest(),
+  crypto.createHash('sha256').update(expected).digest()
+);
+
+// GET /api/health/live - The process is up and serving requests
+// Never checks dependencies: a failing database should not get the process restarted
+exports.live = (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+};
+
+// GET /api/health/ready - The API can serve traffic (MongoDB connected and answering)
+// 503 otherwise, so load balancers stop routing requests to this instance
+exports.ready = async (req, res) => {
+  const state = databaseState();
+  if (state !== 'connected') {
+    return res.status(503).json({ status: 'unavailable', checks: { mongodb: state } });
+  }
+
+  try {
+    await pingDatabase();
+    res.json({ status: 'ok', checks: { mongodb: 'connected' } });
+
+  } catch (error) {
+    logger.warn('Readiness check failed', { error });
+    res.status(503).json({ status: 'unavailable', checks: { mongodb: 'unresponsive' } });
+  }
+};
+
+// GET /api/metrics - Request counts, latency histograms and process metrics in the Prometheus text format
+// When METRICS_TOKEN is set, scrapers must send it as `Authorization: Bearer <token>`
+exports.metrics = (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const [scheme, given] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !given || !sameToken(given, token)) {
+      return sendError(res, 401, 'Invalid or missing metrics token');
+    }
+  }
+
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+};
+
+// Exposed for the /api status endpoint in server.js
+exports.databaseState = databaseState;
@@ -0,0 +1,137 @@
+// Image gallery management for shoes
+// Images are stored through the pluggable storage adapter; the Shoe document keeps
+// their URLs, display order and which one is primary
+const findOwnedShoe = require('../utils/findOwnedShoe');
+const { storeShoeImage, removeShoeImageFiles } = require('../utils/shoeImages');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { emitShoeEvent } = require('../utils/webhooks');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Record a gallery change as a diff of the shoe's images and notify webhooks of the updated shoe
+const auditImageChange = async (req, action, shoe, before) => {
+  await recordAudit(req, {
+    action,
+    targetType: 'Shoe',
+    targetId: shoe._id,
+    brand: shoe.brand,
+    before,
+    after: shoe,
+  });
+  await emitShoeEvent('shoe.updated', shoe);
+};
+
+// POST /api/shoes/:id/images - Upload one or more images (multipart field "images")
+// New images are appended to the end of the gallery; the first image ever uploaded becomes primary
+exports.uploadImages = async (req, res) => {
+  const stored = [];
+
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    // Decode, thumbnail and store every file before touching the document
+    for (const file of req.files) {
+      const image = await storeShoeImage(shoe._id, file);
+      if (!image) {
+        // Roll back files already written for this request
+        await removeShoeImageFiles(stored);
+        return sendError(res, 400, `File "${file.originalname}" is not a valid image`);
+      }
+      stored.push(image);
+    }
+
+    const before = snapshot(shoe);
+    const nextPosition = shoe.images.length;
+    stored.forEach((image, index) => shoe.images.push({ ...image, position: nextPosition + index }));
+    shoe.normalizeImages();
+    await shoe.save();
+    await auditImageChange(req, 'shoe.image.upload', shoe, before);
+
+    res.status(201).json(shoe.images);
+
+  } catch (error) {
+    // Don't leave orphaned files behind when the upload fails halfway
+    await removeShoeImageFiles(stored);
+    logger.error('Error uploading images', { error });
+    sendError(res, 500, 'Error uploading images');
+  }
+};
+
+// PUT /api/shoes/:id/images/order - Reorder the gallery
+// Body: { order: [imageId, ...] } listing every image ID of the shoe exactly once
+exports.reorderImages = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    const { order } = req.body;
+    const currentIds = shoe.images.map((image) => image._id.toString()).sort();
+    if (!Array.isArray(order) || [...order].sort().join() !== currentIds.join()) {
+      return sendError(res, 400, 'order must list every image ID of the shoe exactly once');
+    }
+
+    const before = snapshot(shoe);
+    order.forEach((imageId, index) => { shoe.images.id(imageId).position = index; });
+    shoe.normalizeImages();
+    await shoe.save();
+    await auditImageChange(req, 'shoe.image.reorder', shoe, before);
+
+    res.json(shoe.images);
+
+  } catch (error) {
+    logger.error('Error reordering images', { error });
+    sendError(res, 500, 'Error reordering images');
+  }
+};
+
+// PUT /api/shoes/:id/images/:imageId/primary - Make an image the primary one
+exports.setPrimaryImage = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    const target = shoe.images.id(req.params.imageId);
+    if (!target) return sendError(res, 404, 'Image not found');
+
+    const before = snapshot(shoe);
+    shoe.images.forEach((image) => { image.isPrimary = image._id.equals(target._id); });
+    shoe.normalizeImages();
+    await shoe.save();
+    await auditImageChange(req, 'shoe.image.set_primary', shoe, before);
+
+    res.json(shoe.images);
+
+  } catch (error) {
+    logger.error('Error setting primary image', { error });
+    sendError(res, 500, 'Error setting primary image');
+  }
+};
+
+// DELETE /api/shoes/:id/images/:imageId - Remove an image and its stored files
+// If the primary image is removed, the next image in order becomes primary
+exports.deleteImage = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    const image = shoe.images.id(req.params.imageId);
+    if (!image) return sendError(res, 404, 'Image not found');
+
+    const before = snapshot(shoe);
+    const removed = image.toObject();
+    image.deleteOne();
+    shoe.normalizeImages();
+    await shoe.save();
+    await auditImageChange(req, 'shoe.image.delete', shoe, before);
+
+    // Delete files only after the document no longer references them
+    await removeShoeImageFiles([removed]);
+
+    res.json(shoe.images);
+
+  } catch (error) {
+    logger.error('Error deleting image', { error });
+    sendError(res, 500, 'Error deleting image');
+  }
+};
@@ -0,0 +1,176 @@
+// Import the Invite model - invitations are the only way to get a staff account
+// Each invite pre-binds the role and brand the new account will receive
+const Invite = require('../models/Invite');
+
+// Import User model to refuse invites for addresses that already have an account
+const User = require('../models/User');
+
+// Import brand and role lookups - invites must reference an active brand and an existing role
+const resolveBrand = require('../utils/resolveBrand');
+const { getRole, isBrandScoped, canAccessBrand, canGrantRole } = require('../utils/permissions');
+
+// Import the invite delivery helper (token generation + pluggable notifier)
+// A failed delivery does not fail the request; the invite can be re-sent later
+const { sendInvite } = require('../utils/invites');
+
+// Import pagination, audit and error helpers shared across controllers
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+const { recordAudit } = require('../utils/audit');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Load an invite the caller may manage (brand-scoped callers only see their own brand's invites)
+const findManagedInvite = (req) => Invite.findOne({
+  _id: req.params.id,
+  ...(isBrandScoped(req.user) ? { brand: req.user.brand } : {}),
+});
+
+// POST /api/invites - Invite someone to create an account with a given role (and brand)
+// Super admins can invite to any role and brand; brand admins only to brand-scoped roles of
+// their own brand, and never to a role with permissions they do not hold themselves
+exports.createInvite = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    const roleDoc = await getRole(role);
+    if (!roleDoc) return sendError(res, 400, 'Unknown role');
+    if (!canGrantRole(req.user, roleDoc)) return sendError(res, 403, `Not allowed to invite as ${role}`);
+
+    // Brand-scoped roles need a brand; brand admins invite into their own brand by default
+    let brandDoc = null;
+    if (roleDoc.scope === 'brand') {
+      const brand = req.body.brand || (isBrandScoped(req.user) ? req.user.brand : undefined);
+      if (!brand) return sendError(res, 400, `Brand is required for role ${role}`);
+
+      brandDoc = await resolveBrand(brand);
+      if (!brandDoc || !brandDoc.active) return sendError(res, 400, 'Unknown or inactive brand');
+      if (!canAccessBrand(req.user, brandDoc._id)) {
+        return sendError(res, 403, 'Cannot invite users to another brand');
+      }
+    }
+
+    // Deactivated (trashed) accounts still own their email
+    const existingUser = await User.exists({ email }).setOptions({ withDeleted: true });
+    if (existingUser) return sendError(res, 409, 'A user with this email already exists');
+
+    // Only the newest invite for an address should work
+    await Invite.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    // The brand is set as a document (populated) so the notification can name it
+    const invite = new Invite({
+      email,
+      role: roleDoc.name,
+      brand: brandDoc || undefined,
+      invitedBy: req.user.id,
+    });
+    const delivered = await sendInvite(invite);
+
+    await recordAudit(req, {
+      action: 'invite.create',
+      targetType: 'Invite',
+      targetId: invite._id,
+      brand: brandDoc ? brandDoc._id : undefined,
+      metadata: { email, role: invite.role },
+    });
+
+    res.status(201).json({ invite, delivered });
+
+  } catch (error) {
+    logger.error('Error creating invite', { error });
+    sendError(res, 500, 'Error creating invite');
+  }
+};
+
+// GET /api/invites - List invites, newest first
+// Optional ?status=pending|accepted|revoked|expired filter and page/limit pagination
+exports.getInvites = async (req, res) => {
+  try {
+    const query = isBrandScoped(req.user) ? { brand: req.user.brand } : {};
+
+    const now = new Date();
+    const statusFilters = {
+      pending: { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      accepted: { acceptedAt: { $ne: null } },
+      revoked: { acceptedAt: null, revokedAt: { $ne: null } },
+      expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } },
+    };
+    if (req.query.status) Object.assign(query, statusFilters[req.query.status]);
+
+    const pagination = parsePagination(req.query);
+    const [invites, total] = await Promise.all([
+      Invite.find(query)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('brand', 'name slug')
+        .populate('invitedBy', 'name email'),
+      Invite.countDocuments(query),
+    ]);
+
+    res.json({ data: invites, pagination: paginationMeta(pagination, total) });
+
+  } catch (error) {
+    logger.error('Error fetching invites', { error });
+    sendError(res, 500, 'Error fetching invites');
+  }
+};
+
+// POST /api/invites/:id/resend - Send a pending or expired invite again with a new token
+exports.resendInvite = async (req, res) => {
+  try {
+    const invite = await findManagedInvite(req);
+    if (!invite) return sendError(res, 404, 'Invite not found');
+    if (invite.acceptedAt || invite.revokedAt) {
+      return sendError(res, 409, `Invite has already been ${invite.status}`);
+    }
+
+    await invite.populate('brand', 'name');
+    const delivered = await sendInvite(invite);
+    if (!delivered) return sendError(res, 503, 'Invite could not be delivered, please retry');
+
+    await recordAudit(req, {
+      action: 'invite.resend',
+      targetType: 'Invite',
+      targetId: invite._id,
+      brand: invite.brand ? invite.brand._id : undefined,
+      metadata: { email: invite.email },
+    });
+
+    res.json(invite);
+
+  } catch (error) {
+    logger.error('Error resending invite', { error });
+    sendError(res, 500, 'Error resending invite');
+  }
+};
+
+// DELETE /api/invites/:id - Revoke a pending invite so its token can no longer be used
+exports.revokeInvite = async (req, res) => {
+  try {
+    const invite = await findManagedInvite(req);
+    if (!invite) return sendError(res, 404, 'Invite not found');
+    if (invite.acceptedAt) return sendError(res, 409, 'Invite has already been accepted');
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+
+      await recordAudit(req, {
+        action: 'invite.revoke',
+        targetType: 'Invite',
+        targetId: invite._id,
+        brand: invite.brand,
+        metadata: { email: invite.email },
+      });
+    }
+
+    res.json({ message: 'Invite revoked' });
+
+  } catch (error) {
+    logger.error('Error revoking invite', { error });
+    sendError(res, 500, 'Error revoking invite');
+  }
+};
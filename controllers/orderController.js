@@ -0,0 +1,257 @@
+// Import the Order model and its status rules to place and manage orders
+// Orders snapshot prices at purchase time; stock lives on shoe variants
+const Order = require('../models/Order');
+const { ORDER_TRANSITIONS } = require('../models/Order');
+
+// Import Shoe and Brand models to validate the items being ordered
+const Shoe = require('../models/Shoe');
+const Brand = require('../models/Brand');
+
+// Import atomic stock helpers - reservation never oversells under concurrent orders
+const { reserveLines, releaseLines } = require('../utils/stock');
+
+// Import price helpers - orders are charged the effective price (list price after promotions)
+const { listPriceOf, effectivePriceOf, currentPromotionOf } = require('../utils/pricing');
+
+// Import permission helpers - order visibility depends on order:read and the role's scope
+const { hasPermission, isBrandScoped } = require('../utils/permissions');
+
+// Import pagination, audit and error helpers shared across controllers
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+const { recordAudit } = require('../utils/audit');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Statuses reached from a state where goods never left the warehouse restock the order
+const restocks = (from, to) => to === 'cancelled' || (to === 'refunded' && from === 'paid');
+
+// Limit an order to what the caller may see
+// Brand-scoped staff only get their brand's lines (mirroring getShoes scoping), with a brand subtotal
+// Shoppers always see their own orders in full
+const scopeOrder = (order, user) => {
+  const plain = order.toObject();
+  if (!hasPermission(user, 'order:read') || !isBrandScoped(user)) return plain;
+
+  const items = plain.items.filter((item) => item.brand.toString() === user.brand);
+  return {
+    ...plain,
+    items,
+    total: undefined,
+    brandTotal: items.reduce((sum, item) => sum + item.lineTotal, 0),
+  };
+};
+
+// Orders of the caller's brand: brand-scoped roles only read and manage orders containing their brand
+const brandOrdersQuery = (user) => (isBrandScoped(user) ? { 'items.brand': user.brand } : {});
+
+// Build the base query for the caller's visible orders
+// With order:read, global roles see everything and brand-scoped roles orders containing their brand
+// Everyone else (shoppers) only sees their own orders
+const visibleOrdersQuery = (user) => {
+  if (!hasPermission(user, 'order:read')) return { user: user.id };
+  return brandOrdersQuery(user);
+};
+
+// POST /api/orders - Place an order
+// Body: { items: [{ shoe, variant, quantity }], shippingAddress }
+// Stock for every line is reserved atomically; if any line is short, nothing is reserved
+exports.createOrder = async (req, res) => {
+  try {
+    const { items, shippingAddress } = req.body;
+
+    // Load every referenced shoe once; only published shoes can be bought
+    // (trashed shoes are excluded by the soft delete plugin)
+    const shoeIds = [...new Set(items.map((item) => item.shoe))];
+    const shoes = await Shoe.find({ _id: { $in: shoeIds }, status: 'published' });
+    const activeBrands = await Brand.find({
+      _id: { $in: shoes.map((shoe) => shoe.brand) },
+      active: true,
+    }).distinct('_id');
+
+    // Resolve each line to its shoe and variant and snapshot the current price
+    const lines = [];
+    for (const [index, item] of items.entries()) {
+      const shoe = shoes.find((candidate) => candidate._id.toString() === item.shoe);
+      const available = shoe && activeBrands.some((brandId) => brandId.equals(shoe.brand));
+      const variant = available && shoe.variants.id(item.variant);
+      if (!variant) {
+        return sendError(res, 422, 'Order contains unavailable items', {
+          errors: [{ location: 'body', field: `items.${index}`, message: 'Shoe or variant not found' }],
+        });
+      }
+
+      // Snapshot both the list price and the promoted price actually charged
+      const unitPrice = effectivePriceOf(shoe, variant);
+      const promotion = currentPromotionOf(shoe);
+      lines.push({
+        shoe: shoe._id,
+        variant: variant._id,
+        brand: shoe.brand,
+        name: shoe.name,
+        sku: variant.sku,
+        size: variant.size,
+        sizeSystem: variant.sizeSystem,
+        color: variant.color,
+        quantity: item.quantity,
+        listPrice: listPriceOf(shoe, variant),
+        unitPrice,
+        promotion: promotion ? promotion.promotion : undefined,
+        lineTotal: Math.round(unitPrice * item.quantity * 100) / 100,
+      });
+    }
+
+    // Reserve stock for all lines (all-or-nothing)
+    const failedIndex = await reserveLines(lines);
+    if (failedIndex !== -1) {
+      return sendError(res, 409, 'Insufficient stock', {
+        code: 'INSUFFICIENT_STOCK',
+        errors: [{ location: 'body', field: `items.${failedIndex}`, message: `Not enough stock for ${lines[failedIndex].sku}` }],
+      });
+    }
+
+    let order;
+    try {
+      order = await Order.create({
+        user: req.user.id,
+        items: lines,
+        total: Math.round(lines.reduce((sum, line) => sum + line.lineTotal, 0) * 100) / 100,
+        statusHistory: [{ status: 'pending', by: req.user.id }],
+        shippingAddress,
+      });
+    } catch (error) {
+      // The order could not be stored - give the reserved stock back
+      await releaseLines(lines);
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'order.create',
+      targetType: 'Order',
+      targetId: order._id,
+      after: order,
+    });
+
+    res.status(201).json(order);
+
+  } catch (error) {
+    logger.error('Error creating order', { error });
+    sendError(res, 500, 'Error creating order');
+  }
+};
+
+// GET /api/orders - List orders visible to the caller, newest first
+// Optional ?status= filter and page/limit pagination
+exports.getOrders = async (req, res) => {
+  try {
+    const query = visibleOrdersQuery(req.user);
+    if (req.query.status) query.status = req.query.status;
+
+    const pagination = parsePagination(req.query);
+    const [orders, total] = await Promise.all([
+      Order.find(query).sort({ createdAt: -1 }).skip(pagination.skip).limit(pagination.limit),
+      Order.countDocuments(query),
+    ]);
+
+    res.json({
+      data: orders.map((order) => scopeOrder(order, req.user)),
+      pagination: paginationMeta(pagination, total),
+    });
+
+  } catch (error) {
+    logger.error('Error fetching orders', { error });
+    sendError(res, 500, 'Error fetching orders');
+  }
+};
+
+// GET /api/orders/:id - Retrieve a single order the caller may see
+exports.getOrder = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, ...visibleOrdersQuery(req.user) });
+    if (!order) return sendError(res, 404, 'Order not found');
+
+    res.json(scopeOrder(order, req.user));
+
+  } catch (error) {
+    logger.error('Error fetching order', { error });
+    sendError(res, 500, 'Error fetching order');
+  }
+};
+
+// Move an order from its current status to `to`, restocking when required
+// The status check and update happen in one atomic operation, so two concurrent
+// requests cannot both cancel (and double-restock) the same order
+const transitionOrder = async (req, res, order, to) => {
+  const from = order.status;
+  if (!ORDER_TRANSITIONS[from].includes(to)) {
+    sendError(res, 409, `Cannot change order status from ${from} to ${to}`, { code: 'INVALID_TRANSITION' });
+    return null;
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    { $set: { status: to }, $push: { statusHistory: { status: to, by: req.user.id } } },
+    { new: true }
+  );
+  if (!updated) {
+    sendError(res, 409, 'Order was modified concurrently, please retry');
+    return null;
+  }
+
+  if (restocks(from, to)) await releaseLines(updated.items);
+
+  await recordAudit(req, {
+    action: `order.${to}`,
+    targetType: 'Order',
+    targetId: updated._id,
+    before: { status: from },
+    after: { status: to },
+  });
+
+  return updated;
+};
+
+// PUT /api/orders/:id/status - Move an order through its lifecycle (requires order:manage)
+// pending -> paid -> shipped, with cancelled/refunded as exits; illegal moves are rejected
+exports.updateOrderStatus = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, ...brandOrdersQuery(req.user) });
+    if (!order) return sendError(res, 404, 'Order not found');
+
+    const updated = await transitionOrder(req, res, order, req.body.status);
+    if (!updated) return;
+
+    res.json(updated);
+
+  } catch (error) {
+    logger.error('Error updating order status', { error });
+    sendError(res, 500, 'Error updating order status');
+  }
+};
+
+// POST /api/orders/:id/cancel - Cancel an order and restore its stock
+// Shoppers may cancel their own orders until they are paid; order:manage holders may cancel any
+// cancellable order they manage
+exports.cancelOrder = async (req, res) => {
+  try {
+    const canManage = hasPermission(req.user, 'order:manage');
+    const own = { user: req.user.id };
+    const order = await Order.findOne({
+      _id: req.params.id,
+      ...(canManage ? { $or: [own, brandOrdersQuery(req.user)] } : own),
+    });
+    if (!order) return sendError(res, 404, 'Order not found');
+
+    if (!canManage && order.status !== 'pending') {
+      return sendError(res, 409, 'Only pending orders can be cancelled', { code: 'INVALID_TRANSITION' });
+    }
+
+    const updated = await transitionOrder(req, res, order, 'cancelled');
+    if (!updated) return;
+
+    res.json(updated);
+
+  } catch (error) {
+    logger.error('Error cancelling order', { error });
+    sendError(res, 500, 'Error cancelling order');
+  }
+};
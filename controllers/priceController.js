@@ -0,0 +1,139 @@
+// Controllers for a shoe's pricing over time: past list price changes and scheduled future ones
+// Routes live under /api/shoes/:id; the shoe is loaded with the usual brand-ownership check
+
+// Import the price models - history is written by the Shoe model itself, scheduled changes
+// are applied by the promotion scheduler once they become effective
+const PriceHistory = require('../models/PriceHistory');
+const ScheduledPriceChange = require('../models/ScheduledPriceChange');
+
+// Import the shared loader that sends 404/403 for missing or foreign shoes
+const findOwnedShoe = require('../utils/findOwnedShoe');
+
+// Import pagination, audit and error helpers shared across controllers
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+const { recordAudit } = require('../utils/audit');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// GET /api/shoes/:id/price-history - List price changes of a shoe and its variants, newest first
+// Optional ?variant= narrows the history to one variant's overrides
+exports.getPriceHistory = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    const query = { shoe: shoe._id };
+    if (req.query.variant) query.variant = req.query.variant;
+
+    const pagination = parsePagination(req.query);
+    const [entries, total] = await Promise.all([
+      PriceHistory.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('changedBy', 'name email'),
+      PriceHistory.countDocuments(query),
+    ]);
+
+    res.json({ data: entries, pagination: paginationMeta(pagination, total) });
+
+  } catch (error) {
+    logger.error('Error fetching price history', { error });
+    sendError(res, 500, 'Error fetching price history');
+  }
+};
+
+// GET /api/shoes/:id/scheduled-prices - Pending price changes of a shoe, soonest first
+// ?all=true also includes applied and cancelled ones
+exports.getScheduledPrices = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    const query = req.query.all
+      ? { shoe: shoe._id }
+      : { shoe: shoe._id, appliedAt: null, cancelledAt: null };
+
+    const changes = await ScheduledPriceChange.find(query).sort({ effectiveAt: 1, _id: 1 });
+    res.json(changes);
+
+  } catch (error) {
+    logger.error('Error fetching scheduled prices', { error });
+    sendError(res, 500, 'Error fetching scheduled prices');
+  }
+};
+
+// POST /api/shoes/:id/scheduled-prices - Schedule a new list price for the shoe or one variant
+// Body: { price, effectiveAt, variant? } - for a variant, price null removes its override
+exports.schedulePriceChange = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    const { price, effectiveAt, variant } = req.body;
+
+    if (variant && !shoe.variants.id(variant)) return sendError(res, 404, 'Variant not found');
+    if (!variant && (price === null || price === undefined)) {
+      return sendError(res, 400, 'price is required for the shoe price');
+    }
+
+    const change = await ScheduledPriceChange.create({
+      shoe: shoe._id,
+      brand: shoe.brand,
+      variant,
+      price,
+      effectiveAt,
+      createdBy: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: 'shoe.price_schedule',
+      targetType: 'Shoe',
+      targetId: shoe._id,
+      brand: shoe.brand,
+      metadata: { scheduledPriceChange: change._id, variant, price, effectiveAt },
+    });
+
+    res.status(201).json(change);
+
+  } catch (error) {
+    logger.error('Error scheduling price change', { error });
+    sendError(res, 500, 'Error scheduling price change');
+  }
+};
+
+// DELETE /api/shoes/:id/scheduled-prices/:changeId - Cancel a price change that has not been applied yet
+exports.cancelScheduledPrice = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    // Conditional update so a change the scheduler is applying right now cannot also be cancelled
+    const change = await ScheduledPriceChange.findOneAndUpdate(
+      { _id: req.params.changeId, shoe: shoe._id, appliedAt: null, cancelledAt: null },
+      { cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!change) {
+      const exists = await ScheduledPriceChange.exists({ _id: req.params.changeId, shoe: shoe._id });
+      return exists
+        ? sendError(res, 409, 'Price change has already been applied or cancelled')
+        : sendError(res, 404, 'Scheduled price change not found');
+    }
+
+    await recordAudit(req, {
+      action: 'shoe.price_schedule_cancel',
+      targetType: 'Shoe',
+      targetId: shoe._id,
+      brand: shoe.brand,
+      metadata: { scheduledPriceChange: change._id },
+    });
+
+    res.json({ message: 'Scheduled price change cancelled' });
+
+  } catch (error) {
+    logger.error('Error cancelling scheduled price change', { error });
+    sendError(res, 500, 'Error cancelling scheduled price change');
+  }
+};
@@ -0,0 +1,246 @@
+// Import the Promotion model - scheduled percentage or fixed discounts on a brand's shoes
+// The promotion scheduler activates and expires them; these endpoints only plan and cancel them
+const Promotion = require('../models/Promotion');
+
+// Import the Shoe model to check that listed shoes belong to the promotion's brand
+const Shoe = require('../models/Shoe');
+
+// Import brand lookup and permission helpers - brand-scoped roles only manage their own brand's promotions
+const resolveBrand = require('../utils/resolveBrand');
+const { isBrandScoped, canAccessBrand } = require('../utils/permissions');
+
+// Import the helper that re-applies promotions to shoes, so changes take effect immediately
+// instead of on the scheduler's next tick
+const { refreshPromotionShoes } = require('../utils/promotions');
+
+// Import pagination, audit and error helpers shared across controllers
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Fields that can still change once a promotion is running (its discount is already on shoes)
+const ACTIVE_EDITABLE_FIELDS = ['name', 'endsAt'];
+
+// Load a promotion the caller may see (brand-scoped callers only see their own brand's promotions)
+const findManagedPromotion = (req) => Promotion.findOne({
+  _id: req.params.id,
+  ...(isBrandScoped(req.user) ? { brand: req.user.brand } : {}),
+});
+
+// Every listed shoe must exist and belong to the promotion's brand
+const shoesBelongToBrand = async (shoeIds, brandId) => {
+  const unique = [...new Set(shoeIds.map(String))];
+  const found = await Shoe.countDocuments({ _id: { $in: unique }, brand: brandId });
+  return found === unique.length;
+};
+
+// A promotion whose window has already started goes live straight away
+const activateIfStarted = async (promotion) => {
+  if (promotion.status !== 'scheduled' || promotion.startsAt > new Date()) return;
+  promotion.status = 'active';
+  await promotion.save();
+};
+
+// GET /api/promotions - List promotions, soonest start first
+// Optional filters: status, brand (global roles only), shoe (promotions covering that shoe)
+exports.getPromotions = async (req, res) => {
+  try {
+    const { status, brand, shoe } = req.query;
+    const query = isBrandScoped(req.user) ? { brand: req.user.brand } : {};
+
+    if (brand && !isBrandScoped(req.user)) {
+      const brandDoc = await resolveBrand(brand);
+      if (!brandDoc) return sendError(res, 400, 'Unknown brand');
+      query.brand = brandDoc._id;
+    }
+
+    if (status) query.status = status;
+
+    // Promotions covering a shoe: those listing it plus brand-wide ones of its brand
+    if (shoe) {
+      const shoeDoc = await Shoe.findById(shoe);
+      if (!shoeDoc || !canAccessBrand(req.user, shoeDoc.brand)) return sendError(res, 404, 'Shoe not found');
+      query.brand = shoeDoc.brand;
+      query.$or = [{ shoes: shoeDoc._id }, { shoes: { $size: 0 } }];
+    }
+
+    const pagination = parsePagination(req.query);
+    const [promotions, total] = await Promise.all([
+      Promotion.find(query)
+        .sort({ startsAt: 1, _id: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('brand', 'name slug'),
+      Promotion.countDocuments(query),
+    ]);
+
+    res.json({ data: promotions, pagination: paginationMeta(pagination, total) });
+
+  } catch (error) {
+    logger.error('Error fetching promotions', { error });
+    sendError(res, 500, 'Error fetching promotions');
+  }
+};
+
+// GET /api/promotions/:id - A single promotion
+exports.getPromotion = async (req, res) => {
+  try {
+    const promotion = await findManagedPromotion(req);
+    if (!promotion) return sendError(res, 404, 'Promotion not found');
+
+    await promotion.populate('brand', 'name slug');
+    res.json(promotion);
+
+  } catch (error) {
+    logger.error('Error fetching promotion', { error });
+    sendError(res, 500, 'Error fetching promotion');
+  }
+};
+
+// POST /api/promotions - Schedule a discount for a brand, optionally limited to some of its shoes
+// Brand-scoped users create promotions for their own brand (the brand field may be omitted)
+exports.createPromotion = async (req, res) => {
+  try {
+    const { name, type, value, startsAt, endsAt, shoes = [] } = req.body;
+
+    const brand = req.body.brand || (isBrandScoped(req.user) ? req.user.brand : undefined);
+    if (!brand) return sendError(res, 400, 'Brand is required');
+
+    const brandDoc = await resolveBrand(brand);
+    if (!brandDoc || !brandDoc.active) return sendError(res, 400, 'Unknown or inactive brand');
+    if (!canAccessBrand(req.user, brandDoc._id)) {
+      return sendError(res, 403, 'Cannot create promotions for another brand');
+    }
+
+    if (!(await shoesBelongToBrand(shoes, brandDoc._id))) {
+      return sendError(res, 400, "Every shoe must exist and belong to the promotion's brand");
+    }
+
+    const promotion = await Promotion.create({
+      name,
+      brand: brandDoc._id,
+      shoes: [...new Set(shoes)],
+      type,
+      value,
+      startsAt,
+      endsAt,
+      createdBy: req.user.id,
+    });
+
+    await activateIfStarted(promotion);
+    if (promotion.status === 'active') await refreshPromotionShoes(promotion);
+
+    await recordAudit(req, {
+      action: 'promotion.create',
+      targetType: 'Promotion',
+      targetId: promotion._id,
+      brand: promotion.brand,
+      after: promotion,
+    });
+
+    res.status(201).json(promotion);
+
+  } catch (error) {
+    // Cross-field rules enforced by the schema (e.g. endsAt before startsAt after an edit)
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
+
+    logger.error('Error creating promotion', { error });
+    sendError(res, 500, 'Error creating promotion');
+  }
+};
+
+// PUT /api/promotions/:id - Change a promotion
+// Scheduled promotions can change everything but their brand; running ones only their name
+// and end date; expired or cancelled promotions are final
+exports.updatePromotion = async (req, res) => {
+  try {
+    const promotion = await findManagedPromotion(req);
+    if (!promotion) return sendError(res, 404, 'Promotion not found');
+
+    if (promotion.status === 'expired' || promotion.status === 'cancelled') {
+      return sendError(res, 409, `Promotion is ${promotion.status} and can no longer be changed`);
+    }
+
+    if (promotion.status === 'active') {
+      const locked = Object.keys(req.body).filter((field) => !ACTIVE_EDITABLE_FIELDS.includes(field));
+      if (locked.length > 0) {
+        return sendError(res, 409, `Running promotions can only change ${ACTIVE_EDITABLE_FIELDS.join(', ')}`);
+      }
+    }
+
+    if (req.body.shoes && !(await shoesBelongToBrand(req.body.shoes, promotion.brand))) {
+      return sendError(res, 400, "Every shoe must exist and belong to the promotion's brand");
+    }
+
+    const before = snapshot(promotion);
+    const covered = { brand: promotion.brand, shoes: [...promotion.shoes], _id: promotion._id };
+
+    const { name, type, value, startsAt, endsAt, shoes } = req.body;
+    if (name !== undefined) promotion.name = name;
+    if (type !== undefined) promotion.type = type;
+    if (value !== undefined) promotion.value = value;
+    if (startsAt !== undefined) promotion.startsAt = startsAt;
+    if (endsAt !== undefined) promotion.endsAt = endsAt;
+    if (shoes !== undefined) promotion.shoes = [...new Set(shoes)];
+
+    await promotion.save();
+    await activateIfStarted(promotion);
+
+    // Re-apply to the shoes covered before and after the change (the new end date is part of the snapshot)
+    if (promotion.status === 'active') {
+      await refreshPromotionShoes(covered);
+      await refreshPromotionShoes(promotion);
+    }
+
+    await recordAudit(req, {
+      action: 'promotion.update',
+      targetType: 'Promotion',
+      targetId: promotion._id,
+      brand: promotion.brand,
+      before,
+      after: promotion,
+    });
+
+    res.json(promotion);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
+
+    logger.error('Error updating promotion', { error });
+    sendError(res, 500, 'Error updating promotion');
+  }
+};
+
+// DELETE /api/promotions/:id - Cancel a scheduled or running promotion
+// The promotion is kept (status 'cancelled') for reporting; its discount is removed from shoes at once
+exports.cancelPromotion = async (req, res) => {
+  try {
+    const promotion = await findManagedPromotion(req);
+    if (!promotion) return sendError(res, 404, 'Promotion not found');
+
+    if (promotion.status === 'expired' || promotion.status === 'cancelled') {
+      return sendError(res, 409, `Promotion is already ${promotion.status}`);
+    }
+
+    const before = snapshot(promotion);
+    promotion.status = 'cancelled';
+    await promotion.save();
+    await refreshPromotionShoes(promotion);
+
+    await recordAudit(req, {
+      action: 'promotion.cancel',
+      targetType: 'Promotion',
+      targetId: promotion._id,
+      brand: promotion.brand,
+      before,
+      after: promotion,
+    });
+
+    res.json({ message: 'Promotion cancelled' });
+
+  } catch (error) {
+    logger.error('Error cancelling promotion', { error });
+    sendError(res, 500, 'Error cancelling promotion');
+  }
+};
@@ -0,0 +1,146 @@
+// Controllers for the catalog review workflow: submit, withdraw, approve and reject shoes
+// (or the pending revision of a published shoe) - see utils/shoeWorkflow.js for the rules
+// Routes live under /api/shoes/:id; the shoe is loaded with the usual brand-ownership check
+
+// Import the shared loader that sends 404/403 for missing or foreign shoes
+const findOwnedShoe = require('../utils/findOwnedShoe');
+
+// Import the workflow rules - illegal transitions are refused with the reason
+const { transitionShoe } = require('../utils/shoeWorkflow');
+
+// Import ETag helpers - a reviewer's decision can be tied to the version they looked at
+const { setETag, ifMatchSatisfied, isVersionConflict } = require('../utils/etag');
+
+// Import webhook events - publishing a shoe (or a revision of it) changes the live catalog
+const { emitShoeEvent } = require('../utils/webhooks');
+
+// Import audit and error helpers shared across controllers
+const { recordAudit, snapshot } = require('../utils/audit');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Run one workflow action on the shoe from req.params.id and respond with the shoe
+// Illegal transitions get 409 with the reason; a stale If-Match gets 412
+const runTransition = async (req, res, action) => {
+  const shoe = await findOwnedShoe(req, res);
+  if (!shoe) return;
+
+  if (!ifMatchSatisfied(req, shoe)) {
+    return sendError(res, 412, 'Shoe has been modified since it was loaded; fetch it again and retry');
+  }
+
+  const before = snapshot(shoe);
+  const wasPublished = shoe.status === 'published';
+  const comment = req.body ? req.body.comment : undefined;
+
+  const refused = transitionShoe(shoe, action, { userId: req.user.id, comment });
+  if (refused) return sendError(res, 409, refused);
+
+  try {
+    await shoe.save();
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendError(res, 409, 'Shoe was modified by another request; fetch it again and retry');
+    }
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: `shoe.${action}`,
+    targetType: 'Shoe',
+    targetId: shoe._id,
+    brand: shoe.brand,
+    before,
+    after: shoe,
+    metadata: { revision: wasPublished, ...(comment ? { comment } : {}) },
+  });
+
+  // First approval publishes the shoe; an approved revision updates the published shoe
+  if (action === 'approve') await emitShoeEvent(wasPublished ? 'shoe.updated' : 'shoe.published', shoe);
+
+  setETag(res, shoe);
+  res.json(shoe);
+};
+
+// POST /api/shoes/:id/submit - Send a draft (or rejected) shoe or revision for review
+exports.submitShoe = async (req, res) => {
+  try {
+    await runTransition(req, res, 'submit');
+  } catch (error) {
+    logger.error('Error submitting shoe for review', { error });
+    sendError(res, 500, 'Error submitting shoe for review');
+  }
+};
+
+// POST /api/shoes/:id/withdraw - Take a shoe or revision back out of review to edit it further
+exports.withdrawShoe = async (req, res) => {
+  try {
+    await runTransition(req, res, 'withdraw');
+  } catch (error) {
+    logger.error('Error withdrawing shoe from review', { error });
+    sendError(res, 500, 'Error withdrawing shoe from review');
+  }
+};
+
+// POST /api/shoes/:id/approve - Publish a shoe, or apply a published shoe's revision (requires shoe:review)
+// Body: { comment? }
+exports.approveShoe = async (req, res) => {
+  try {
+    await runTransition(req, res, 'approve');
+  } catch (error) {
+    // The approved fields are validated by the Shoe schema when they are applied
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
+
+    logger.error('Error approving shoe', { error });
+    sendError(res, 500, 'Error approving shoe');
+  }
+};
+
+// POST /api/shoes/:id/reject - Send a shoe or revision back to its authors (requires shoe:review)
+// Body: { comment } - the reason is shown to the authors
+exports.rejectShoe = async (req, res) => {
+  try {
+    await runTransition(req, res, 'reject');
+  } catch (error) {
+    logger.error('Error rejecting shoe', { error });
+    sendError(res, 500, 'Error rejecting shoe');
+  }
+};
+
+// DELETE /api/shoes/:id/revision - Discard the pending revision of a published shoe
+// Revisions in review must be withdrawn first
+exports.discardRevision = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    if (!shoe.revision) return sendError(res, 404, 'Shoe has no pending revision');
+    if (shoe.revision.status === 'in_review') {
+      return sendError(res, 409, 'Revision is in review; withdraw it before discarding');
+    }
+
+    const before = snapshot(shoe);
+    shoe.revision = undefined;
+    await shoe.save();
+
+    await recordAudit(req, {
+      action: 'shoe.revision_discard',
+      targetType: 'Shoe',
+      targetId: shoe._id,
+      brand: shoe.brand,
+      before,
+      after: shoe,
+    });
+
+    setETag(res, shoe);
+    res.json(shoe);
+
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendError(res, 409, 'Shoe was modified by another request; fetch it again and retry');
+    }
+
+    logger.error('Error discarding revision', { error });
+    sendError(res, 500, 'Error discarding revision');
+  }
+};
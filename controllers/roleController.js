@@ -0,0 +1,129 @@
+// Import the Role model and the list of known permissions to manage roles stored in the database
+// Roles group permissions (e.g. 'shoe:create') so teams can be given exactly the access they need
+const Role = require('../models/Role');
+const { PERMISSIONS } = require('../models/Role');
+
+// Import the User model to check whether a role is still assigned before deletion
+const User = require('../models/User');
+
+// Import the role cache helper - every change must be visible to authMiddleware immediately
+const { clearRoleCache } = require('../utils/permissions');
+
+// Import audit helpers - role changes alter what users may do and are always recorded
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Import the standard error envelope helper used for every error response
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// GET /api/roles - List all roles with their permissions
+// Brand admins need this too, to know which roles they can assign
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+    res.json(roles);
+
+  } catch (error) {
+    logger.error('Error fetching roles', { error });
+    sendError(res, 500, 'Error fetching roles');
+  }
+};
+
+// GET /api/roles/permissions - List every permission a role can contain
+exports.getPermissions = (req, res) => {
+  res.json(PERMISSIONS);
+};
+
+// POST /api/roles - Create a custom role
+// Scope 'brand' restricts holders to the brand on their user record; 'global' spans all brands
+exports.createRole = async (req, res) => {
+  try {
+    const { name, description, scope, permissions } = req.body;
+
+    const existing = await Role.findOne({ name });
+    if (existing) return sendError(res, 409, 'Role already exists');
+
+    const role = await Role.create({ name, description, scope, permissions });
+    clearRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.create',
+      targetType: 'Role',
+      targetId: role._id,
+      after: role,
+    });
+
+    res.status(201).json(role);
+
+  } catch (error) {
+    logger.error('Error creating role', { error });
+    sendError(res, 500, 'Error creating role');
+  }
+};
+
+// PUT /api/roles/:id - Change a role's description or permissions
+// Takes effect for every holder on their next request; scope and name are fixed because
+// users and issued tokens reference the role by name and brand assignment depends on scope
+exports.updateRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) return sendError(res, 404, 'Role not found');
+
+    // super_admin always holds every permission (re-applied on startup anyway)
+    if (role.name === 'super_admin') return sendError(res, 409, 'The super_admin role cannot be changed');
+
+    const { description, permissions } = req.body;
+    const before = snapshot(role);
+
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+
+    await role.save();
+    clearRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'Role',
+      targetId: role._id,
+      before,
+      after: role,
+    });
+
+    res.json(role);
+
+  } catch (error) {
+    logger.error('Error updating role', { error });
+    sendError(res, 500, 'Error updating role');
+  }
+};
+
+// DELETE /api/roles/:id - Remove a custom role that no user holds
+// Built-in roles are recreated on startup, so they cannot be deleted
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) return sendError(res, 404, 'Role not found');
+
+    if (role.system) return sendError(res, 409, 'Built-in roles cannot be deleted');
+
+    // Trashed users count too - they can still be restored
+    const holders = await User.countDocuments({ role: role.name }).setOptions({ withDeleted: true });
+    if (holders > 0) return sendError(res, 409, 'Role is still assigned to users');
+
+    await role.deleteOne();
+    clearRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      targetType: 'Role',
+      targetId: role._id,
+      before: role,
+    });
+
+    res.json({ message: 'Role deleted' });
+
+  } catch (error) {
+    logger.error('Error deleting role', { error });
+    sendError(res, 500, 'Error deleting role');
+  }
+};
@@ -3,65 +3,247 @@
 // Provides methods for CRUD operations and Mongoose schema validation
 const Shoe = require('../models/Shoe');
 
+// Import the Brand model and lookup helper - shoes must belong to an existing, active brand
+// Shoes of deactivated brands are hidden from listings
+const Brand = require('../models/Brand');
+const resolveBrand = require('../utils/resolveBrand');
+
+// Import permission helpers - brand-scoped roles may only act on their own brand's shoes
+const { isBrandScoped, canAccessBrand } = require('../utils/permissions');
+
+// Import image file cleanup so deleting a shoe also removes its uploaded images
+const { removeShoeImageFiles } = require('../utils/shoeImages');
+
+// Import audit helpers - every catalog mutation records who changed what
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Import webhook events - subscribers (ERP, search indexers) are told about every catalog change
+const { emitShoeEvent } = require('../utils/webhooks');
+
+// Import the review workflow - edits to published shoes are staged as revisions
+const { editShoe } = require('../utils/shoeWorkflow');
+
+// Import ETag helpers - edits can be made conditional on the version the client last saw
+const { setETag, ifMatchSatisfied, isVersionConflict } = require('../utils/etag');
+
+// Import market helpers - listings are shown in the requested currency and language
+const { resolveMarket, localizeContent, priceIn, effectivePriceIn, toDefaultCurrency } = require('../utils/localization');
+
+// Import pagination helpers shared by list endpoints
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+
+// Import the standard error envelope helper used for every error response
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Fields clients may sort by; prefix with '-' for descending (e.g. ?sort=-price)
+const SORTABLE_FIELDS = ['price', 'name', 'createdAt'];
+
+// Translate a ?sort= value into a Mongoose sort object
+// Falls back to newest first, or to relevance when a text search is active
+const parseSort = (sort, hasSearch) => {
+  if (sort) {
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const field = sort.replace(/^-/, '');
+    if (SORTABLE_FIELDS.includes(field)) return { [field]: direction, _id: direction };
+  }
+
+  return hasSearch ? { score: { $meta: 'textScore' } } : { createdAt: -1, _id: -1 };
+};
+
+// A shoe as listed in the requested currency and locale: name/description in the best matching
+// locale and every price converted; the stored `prices` and `translations` are included unchanged
+const toListedShoe = (shoe, market) => {
+  const json = shoe.toJSON();
+
+  return {
+    ...json,
+    ...localizeContent(shoe, market.locales),
+    currency: market.currency,
+    price: priceIn(market, shoe),
+    effectivePrice: effectivePriceIn(market, shoe),
+    variants: json.variants.map((variant, index) => ({
+      ...variant,
+      price: variant.price !== undefined && variant.price !== null
+        ? priceIn(market, shoe, shoe.variants[index])
+        : variant.price,
+      effectivePrice: effectivePriceIn(market, shoe, shoe.variants[index]),
+    })),
+  };
+};
+
 // GET /api/shoes - Retrieve shoes based on user role and permissions
-// Brand users see only their brand's shoes, super admins see all shoes
+// Brand-scoped users see only their brand's shoes, global roles (super admins) see all shoes
 // This implements role-based access control (RBAC) at the data level
+//
+// Supported query parameters:
+//   page, limit              - pagination (limit is capped at 100)
+//   q                        - full-text search across name and description
+//   minPrice, maxPrice       - price range (inclusive, in the listed currency)
+//   brand                    - brand ID, slug or name (global roles only)
+//   createdFrom, createdTo   - creation date range (ISO dates, inclusive)
+//   status                   - review workflow state (draft, in_review, published, rejected)
+//   inReview                 - true: shoes or pending revisions waiting for a reviewer
+//   sort                     - price | name | createdAt, prefixed with '-' for descending
+//   currency                 - ISO code to list prices in (default currency; others need an exchange rate)
+//   locale                   - language of name/description (Accept-Language is used without it)
 exports.getShoes = async (req, res) => {
   try {
-    // Build MongoDB query based on user's role and permissions
+    const { q, minPrice, maxPrice, brand, createdFrom, createdTo, status, inReview, sort } = req.query;
+
+    // Currency and locale of the listing - unknown currencies are refused with 400
+    const market = await resolveMarket(req, res);
+    if (!market) return;
+
+    // Build MongoDB query based on the scope of the user's role
     // Ternary operator: condition ? valueIfTrue : valueIfFalse
-    const query = req.user.role === 'super_admin' 
+    const query = !isBrandScoped(req.user)
       ? {}                        // Empty query = get all shoes (no filter)
       : { brand: req.user.brand }; // Filtered query = get only shoes matching user's brand
 
-    // Execute the query to find shoes matching the criteria
-    // Mongoose find() returns an array of documents that match the query
-    // If no documents match, returns empty array []
-    const shoes = await Shoe.find(query);
+    if (!isBrandScoped(req.user)) {
+      // Hide shoes whose brand has been deactivated
+      // Brand users of inactive brands never get here (blocked by authMiddleware)
+      const inactiveBrands = await Brand.find({ active: false }).distinct('_id');
+      query.brand = { $nin: inactiveBrands };
+
+      // Optional brand filter is only honoured for admins; brand users are already scoped
+      if (brand) {
+        const brandDoc = await resolveBrand(brand);
+        if (!brandDoc) return sendError(res, 400, 'Unknown brand');
+        query.brand.$eq = brandDoc._id;
+      }
+    }
+
+    // Price range filter - bounds in another currency are converted to the default currency's list price
+    // (sorting by price also follows the default currency)
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      query.price = {};
+      if (minPrice !== undefined) query.price.$gte = toDefaultCurrency(market, Number(minPrice));
+      if (maxPrice !== undefined) query.price.$lte = toDefaultCurrency(market, Number(maxPrice));
+      if (Number.isNaN(query.price.$gte) || Number.isNaN(query.price.$lte)) {
+        return sendError(res, 400, 'minPrice and maxPrice must be numbers');
+      }
+    }
+
+    // Creation date range filter
+    if (createdFrom || createdTo) {
+      query.createdAt = {};
+      if (createdFrom) query.createdAt.$gte = new Date(createdFrom);
+      if (createdTo) query.createdAt.$lte = new Date(createdTo);
+      if (Object.values(query.createdAt).some((date) => Number.isNaN(date.getTime()))) {
+        return sendError(res, 400, 'createdFrom and createdTo must be valid dates');
+      }
+    }
+
+    // Review workflow filters - the review queue is every shoe or revision waiting for a decision
+    if (status) query.status = status;
+    if (inReview) query.$or = [{ status: 'in_review' }, { 'revision.status': 'in_review' }];
+
+    // Full-text search uses the text index on name and description
+    if (q) query.$text = { $search: q };
+
+    const pagination = parsePagination(req.query);
+    const projection = q ? { score: { $meta: 'textScore' } } : {};
+
+    // Run the page query and the total count in parallel
+    const [shoes, total] = await Promise.all([
+      Shoe.find(query, projection)
+        .sort(parseSort(sort, Boolean(q)))
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Shoe.countDocuments(query),
+    ]);
     
-    // Send successful response with shoes data
-    // 200 status code is default for successful GET requests
-    res.json(shoes);
+    // Send the page of shoes together with pagination metadata
+    // Frontends can keep requesting nextPage until it is null (infinite scroll)
+    res.json({
+      data: shoes.map((shoe) => toListedShoe(shoe, market)),
+      pagination: paginationMeta(pagination, total),
+    });
     
   } catch (error) {
     // Catch any database errors, network issues, or other exceptions
     // Log error details for debugging (consider using proper logging service in production)
-    console.error('❌ Error fetching shoes:', error);
+    logger.error('Error fetching shoes', { error });
     
     // Return generic error message to client
     // 500 status code indicates internal server error
-    res.status(500).json({ message: 'Error fetching shoes' });
+    sendError(res, 500, 'Error fetching shoes');
+  }
+};
+
+// GET /api/shoes/:id - A single shoe, with its version as the ETag
+// Send the ETag back in If-Match when updating so concurrent edits are detected
+exports.getShoe = async (req, res) => {
+  try {
+    const shoe = await Shoe.findById(req.params.id);
+    if (!shoe) return sendError(res, 404, 'Shoe not found');
+
+    // Brand-scoped users may only look at their own brand's shoes
+    if (!canAccessBrand(req.user, shoe.brand)) {
+      return sendError(res, 403, 'Not authorized to view this shoe');
+    }
+
+    setETag(res, shoe);
+    res.json(shoe);
+
+  } catch (error) {
+    logger.error('Error fetching shoe', { error });
+    sendError(res, 500, 'Error fetching shoe');
   }
 };
 
 // POST /api/shoes - Create a new shoe with role-based brand validation
-// Ensures brand users can only create shoes for their own brand
-// Super admins can create shoes for any brand
+// Requires shoe:create; brand-scoped users can only create shoes for their own brand
+// Global roles (super admins) can create shoes for any brand
 exports.createShoe = async (req, res) => {
   try {
     // Extract shoe data from request body sent by frontend
     // Destructuring assignment makes code cleaner and more readable
-    const { name, price, description, brand } = req.body;
+    const { name, price, description, prices, translations, brand, variants } = req.body;
+
+    // Validate the brand against the managed brand collection (ID, slug or name accepted)
+    const brandDoc = await resolveBrand(brand);
+    if (!brandDoc || !brandDoc.active) {
+      return sendError(res, 400, 'Unknown or inactive brand');
+    }
 
-    // Authorization check: Brand users can only create shoes for their own brand
+    // Authorization check: Brand-scoped users can only create shoes for their own brand
     // This prevents brand users from creating shoes for competitor brands
-    // Super admins bypass this check (they can create for any brand)
-    if (req.user.role === 'brand_user' && brand !== req.user.brand) {
+    // Global roles bypass this check (they can create for any brand)
+    if (!canAccessBrand(req.user, brandDoc._id)) {
       // 403 Forbidden status indicates user lacks permission for this action
       // Different from 401 Unauthorized (which means not authenticated)
-      return res.status(403).json({ message: 'Cannot create shoe for another brand' });
+      return sendError(res, 403, 'Cannot create shoe for another brand');
     }
 
-    // Create new shoe document in database using Mongoose create() method
-    // create() is shorthand for: new Shoe({...}).save()
-    // Automatically handles validation defined in the Shoe schema
-    const shoe = await Shoe.create({ 
-      name,        // Shoe name/title
-      price,       // Shoe price (typically a number)
-      description, // Detailed description of the shoe
-      brand        // Brand name (must match user's brand for brand_users)
+    // Build the new shoe document and save it to the database
+    // save() runs the validation defined in the Shoe schema and applies any running promotion
+    // New shoes start as drafts: they reach the public catalog once a reviewer approves them
+    const shoe = new Shoe({
+      name,         // Shoe name/title in the default locale
+      price,        // List price in the default currency
+      description,  // Detailed description of the shoe
+      prices,       // Optional explicit prices in other currencies (others are converted)
+      translations, // Optional name/description in other locales
+      brand: brandDoc._id, // Brand reference (must match user's brand for brand-scoped users)
+      variants     // Optional initial size/color variants (SKUs must be unique)
     });
+
+    // Attribute the initial price in the shoe's price history to the creator
+    shoe.$locals.changedBy = req.user.id;
+    await shoe.save();
     
+    await recordAudit(req, {
+      action: 'shoe.create',
+      targetType: 'Shoe',
+      targetId: shoe._id,
+      brand: shoe.brand,
+      after: shoe,
+    });
+    await emitShoeEvent('shoe.created', shoe);
+
     // Send successful creation response with the new shoe data
     // 201 status code specifically indicates successful resource creation
     res.status(201).json(shoe);
@@ -69,16 +251,25 @@ exports.createShoe = async (req, res) => {
   } catch (error) {
     // Handle various types of errors that can occur during shoe creation
     // Could be validation errors, database connection issues, etc.
-    console.error('❌ Error creating shoe:', error);
+    // Duplicate SKU in the submitted variants (unique index on variants.sku)
+    if (error.code === 11000) return sendError(res, 409, 'SKU already exists');
+    // Schema rules the request schema cannot express (e.g. the same SKU twice within the shoe)
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
+
+    logger.error('Error creating shoe', { error });
     
     // Return generic error message to client
     // In production, you might want to handle specific error types differently
-    res.status(500).json({ message: 'Error creating shoe' });
+    sendError(res, 500, 'Error creating shoe');
   }
 };
 
 // PUT/PATCH /api/shoes/:id - Update an existing shoe with authorization checks
 // Implements both resource existence validation and role-based access control
+// Only the fields present in the body change; `description: null` clears the description
+// `prices` and `translations` are merged by currency/locale; a null entry removes it
+// Published shoes are not changed directly: the edits become a pending revision (see /:id/submit)
+// With an If-Match header the update only applies to the version the client last saw (412 otherwise)
 exports.updateShoe = async (req, res) => {
   try {
     // First, find the shoe to be updated by its ID from URL parameters
@@ -88,89 +279,242 @@ exports.updateShoe = async (req, res) => {
     
     // Check if shoe exists in database
     // Early return pattern prevents deeply nested code
-    if (!shoe) return res.status(404).json({ message: 'Shoe not found' });
+    if (!shoe) return sendError(res, 404, 'Shoe not found');
 
-    // Authorization check: Brand users can only update shoes from their own brand
+    // Authorization check: Brand-scoped users can only update shoes from their own brand
     // This prevents unauthorized modification of competitor's shoes
-    // Super admins can update any shoe regardless of brand
-    if (req.user.role === 'brand_user' && shoe.brand !== req.user.brand) {
+    // Global roles can update any shoe regardless of brand
+    if (!canAccessBrand(req.user, shoe.brand)) {
       // 403 Forbidden indicates user doesn't have permission to modify this resource
-      return res.status(403).json({ message: 'Not authorized to update this shoe' });
+      return sendError(res, 403, 'Not authorized to update this shoe');
+    }
+
+    // Optimistic locking: refuse to overwrite changes the client has not seen
+    if (!ifMatchSatisfied(req, shoe)) {
+      return sendError(res, 412, 'Shoe has been modified since it was loaded; fetch it again and retry');
     }
 
     // Extract updated data from request body
     // Client can send partial updates (only fields they want to change)
-    const { name, price, description, brand } = req.body;
+    const { name, price, description, prices, translations, brand } = req.body;
+
+    // Capture the current state for the audit trail before applying changes
+    const before = snapshot(shoe);
 
     // Additional authorization check: Brand users cannot change shoe's brand
     // This prevents brand users from "stealing" shoes by changing their brand
     // The 'brand &&' check ensures we only validate if brand is being updated
-    if (req.user.role === 'brand_user' && brand && brand !== req.user.brand) {
-      return res.status(403).json({ message: 'Cannot change shoe brand to another brand' });
+    // Resolve the new brand (if any) against the managed brand collection
+    let brandDoc = null;
+    if (brand) {
+      brandDoc = await resolveBrand(brand);
+      if (!brandDoc || !brandDoc.active) {
+        return sendError(res, 400, 'Unknown or inactive brand');
+      }
+    }
+
+    if (brandDoc && !canAccessBrand(req.user, brandDoc._id)) {
+      return sendError(res, 403, 'Cannot change shoe brand to another brand');
     }
 
-    // Update shoe fields using conditional assignment (only update if new value provided)
-    // Logical OR operator (||) provides fallback to current value if new value is falsy
-    // This allows partial updates - client can send only the fields they want to change
-    shoe.name = name || shoe.name;                   // Update name if provided, otherwise keep current
-    shoe.price = price || shoe.price;               // Update price if provided, otherwise keep current
-    shoe.description = description || shoe.description; // Update description if provided, otherwise keep current
-    shoe.brand = brand || shoe.brand;               // Update brand if provided, otherwise keep current
+    // Apply only the fields the client sent - absent fields keep their current value
+    // Explicit checks (not ||) so a price of 0 or an empty description can be saved
+    // Drafts change directly; a published shoe collects the edits in a pending revision
+    // that needs review, so the live version stays as it is (see utils/shoeWorkflow.js)
+    const blocked = editShoe(shoe, {
+      name,
+      price,
+      description,
+      prices,
+      translations,
+      brand: brandDoc ? brandDoc._id : undefined,
+    }, req.user.id);
+    if (blocked) return sendError(res, 409, blocked);
 
     // Save the updated shoe to database
     // This triggers Mongoose validation and updates the document
-    // Also updates the 'updatedAt' timestamp if it exists in schema
+    // A changed price is recorded in the shoe's price history, attributed to the current user
+    shoe.$locals.changedBy = req.user.id;
     await shoe.save();
+
+    const revised = shoe.status === 'published';
+    await recordAudit(req, {
+      action: revised ? 'shoe.revise' : 'shoe.update',
+      targetType: 'Shoe',
+      targetId: shoe._id,
+      brand: shoe.brand,
+      before,
+      after: shoe,
+    });
+
+    // A pending revision changes nothing visible yet, so webhooks only hear about direct edits
+    if (!revised) await emitShoeEvent('shoe.updated', shoe);
     
-    // Return the updated shoe data to client
+    // Return the updated shoe data to client with its new version
     // Allows frontend to immediately display the updated information
+    setETag(res, shoe);
     res.json(shoe);
     
   } catch (error) {
+    // Another request saved the shoe between our read and our write
+    if (isVersionConflict(error)) {
+      return sendError(res, 409, 'Shoe was modified by another request; fetch it again and retry');
+    }
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
+
     // Handle various errors: database issues, validation failures, etc.
-    console.error('❌ Error updating shoe:', error);
+    logger.error('Error updating shoe', { error });
     
     // Return generic error message
     // Consider handling specific error types (validation, cast errors, etc.)
-    res.status(500).json({ message: 'Error updating shoe' });
+    sendError(res, 500, 'Error updating shoe');
   }
 };
 
-// DELETE /api/shoes/:id - Remove a shoe from the database with authorization
-// Implements soft delete prevention - only authorized users can delete shoes
+// DELETE /api/shoes/:id - Move a shoe to the trash with authorization
+// Soft delete: the shoe disappears from all listings but can be restored from the trash
 exports.deleteShoe = async (req, res) => {
   try {
     // Find the shoe to be deleted by ID from URL parameters
     // Same pattern as update - first check if resource exists
+    // Already-trashed shoes are excluded by the soft delete plugin and yield 404
     const shoe = await Shoe.findById(req.params.id);
     
     // Validate that shoe exists before attempting deletion
     // 404 Not Found is appropriate when resource doesn't exist
-    if (!shoe) return res.status(404).json({ message: 'Shoe not found' });
+    if (!shoe) return sendError(res, 404, 'Shoe not found');
 
-    // Authorization check: Brand users can only delete their own brand's shoes
+    // Authorization check: Brand-scoped users can only delete their own brand's shoes
     // This prevents accidental or malicious deletion of competitor's products
-    // Super admins have full deletion privileges
-    if (req.user.role === 'brand_user' && shoe.brand !== req.user.brand) {
+    // Global roles with shoe:delete can delete any shoe
+    if (!canAccessBrand(req.user, shoe.brand)) {
       // 403 Forbidden indicates user lacks permission to delete this resource
-      return res.status(403).json({ message: 'Not authorized to delete this shoe' });
+      return sendError(res, 403, 'Not authorized to delete this shoe');
     }
 
-    // Delete the shoe from database
-    // deleteOne() is preferred over remove() (which is deprecated)
-    // This permanently removes the document from the collection
-    await shoe.deleteOne();
+    // Move the shoe to the trash (sets deletedAt/deletedBy)
+    // Image files are kept so a restored shoe still has its gallery
+    const before = snapshot(shoe);
+    await shoe.softDelete(req.user.id);
+
+    await recordAudit(req, {
+      action: 'shoe.delete',
+      targetType: 'Shoe',
+      targetId: shoe._id,
+      brand: shoe.brand,
+      before,
+      after: shoe,
+    });
+    await emitShoeEvent('shoe.deleted', shoe);
     
     // Confirm successful deletion to client
     // 200 status with confirmation message is standard for successful deletion
-    res.json({ message: 'Shoe deleted' });
+    res.json({ message: 'Shoe moved to trash' });
     
   } catch (error) {
     // Handle deletion errors: database issues, constraint violations, etc.
-    console.error('❌ Error deleting shoe:', error);
+    logger.error('Error deleting shoe', { error });
     
     // Return generic error message to client
     // In production, might want to handle specific error scenarios
-    res.status(500).json({ message: 'Error deleting shoe' });
+    sendError(res, 500, 'Error deleting shoe');
+  }
+};
+
+// GET /api/shoes/trash - List soft-deleted shoes, most recently deleted first
+// Brand-scoped users only see their own brand's trash, global roles see everything
+exports.getTrashedShoes = async (req, res) => {
+  try {
+    const query = isBrandScoped(req.user)
+      ? { deletedAt: { $ne: null }, brand: req.user.brand }
+      : { deletedAt: { $ne: null } };
+
+    const pagination = parsePagination(req.query);
+    const [shoes, total] = await Promise.all([
+      Shoe.find(query)
+        .sort({ deletedAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('deletedBy', 'name email'),
+      Shoe.countDocuments(query),
+    ]);
+
+    res.json({ data: shoes, pagination: paginationMeta(pagination, total) });
+
+  } catch (error) {
+    logger.error('Error fetching trashed shoes', { error });
+    sendError(res, 500, 'Error fetching trashed shoes');
+  }
+};
+
+// Load a trashed shoe by :id with the usual brand-ownership check
+// Sends the 404/403 response itself and returns null when the request must stop
+const findTrashedShoe = async (req, res) => {
+  const shoe = await Shoe.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+  if (!shoe) {
+    sendError(res, 404, 'Shoe not found in trash');
+    return null;
+  }
+
+  if (!canAccessBrand(req.user, shoe.brand)) {
+    sendError(res, 403, 'Not authorized to manage this shoe');
+    return null;
   }
-};
\ No newline at end of file
+
+  return shoe;
+};
+
+// POST /api/shoes/:id/restore - Bring a shoe back from the trash
+exports.restoreShoe = async (req, res) => {
+  try {
+    const shoe = await findTrashedShoe(req, res);
+    if (!shoe) return;
+
+    const before = snapshot(shoe);
+    await shoe.restore();
+
+    await recordAudit(req, {
+      action: 'shoe.restore',
+      targetType: 'Shoe',
+      targetId: shoe._id,
+      brand: shoe.brand,
+      before,
+      after: shoe,
+    });
+    await emitShoeEvent('shoe.restored', shoe);
+
+    res.json(shoe);
+
+  } catch (error) {
+    logger.error('Error restoring shoe', { error });
+    sendError(res, 500, 'Error restoring shoe');
+  }
+};
+
+// DELETE /api/shoes/:id/purge - Permanently delete a trashed shoe (requires shoe:purge)
+// Also removes its image files from storage; this cannot be undone
+exports.purgeShoe = async (req, res) => {
+  try {
+    const shoe = await findTrashedShoe(req, res);
+    if (!shoe) return;
+
+    await shoe.deleteOne();
+
+    // Remove the shoe's image files from storage once the document is gone
+    await removeShoeImageFiles(shoe.images);
+
+    await recordAudit(req, {
+      action: 'shoe.purge',
+      targetType: 'Shoe',
+      targetId: shoe._id,
+      brand: shoe.brand,
+      before: shoe,
+    });
+
+    res.json({ message: 'Shoe permanently deleted' });
+
+  } catch (error) {
+    logger.error('Error purging shoe', { error });
+    sendError(res, 500, 'Error purging shoe');
+  }
+};
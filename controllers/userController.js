@@ -8,8 +8,49 @@ const User = require('../models/User');
 // Maintains the same import pattern as auth controller for code consistency
 const bcrypt = require('bcryptjs');
 
-// GET /api/users - Retrieve all users from the database (super admin only)
-// This endpoint is typically restricted to super admins through middleware authentication
+// Import refresh token helper to end sessions when a user is removed or their access changes
+const { revokeAllForUser } = require('../utils/refreshTokens');
+
+// Import brand lookup helper so brand assignments are validated against the Brand collection
+const resolveBrand = require('../utils/resolveBrand');
+
+// Import permission helpers - brand admins manage only their own brand's users and
+// can never hand out more access than they hold themselves
+const { getRole, isBrandScoped, canAccessBrand, canGrantRole } = require('../utils/permissions');
+
+// Import lockout helpers so administrators can lift a brute-force lock early
+const { clearFailedLogins } = require('../utils/loginLockout');
+const { resetAccountRateLimit } = require('../middleware/rateLimit');
+
+// Import audit helpers - administrative actions on users are recorded in the audit log
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Import webhook events - integrations are told when a user's role or brand changes
+const { emitWebhookEvent } = require('../utils/webhooks');
+
+// Import ETag helpers - role and brand changes can be made conditional on the version last seen
+const { setETag, ifMatchSatisfied, isVersionConflict } = require('../utils/etag');
+
+// Import the standard error envelope helper used for every error response
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Restrict a user query to the users the caller may manage
+// Brand-scoped managers (e.g. brand_admin) only see users of their own brand
+const managedUsersQuery = (user, query = {}) => (
+  isBrandScoped(user) ? { ...query, brand: user.brand } : query
+);
+
+// Whether the caller may act on the target user: same brand for brand-scoped managers,
+// and the target's role must not hold permissions the caller lacks (no acting on admins above you)
+const canManageUser = async (manager, target) => {
+  if (!canAccessBrand(manager, target.brand)) return false;
+  const targetRole = await getRole(target.role);
+  return !targetRole || canGrantRole(manager, targetRole);
+};
+
+// GET /api/users - Retrieve users from the database (requires user:read)
+// Global roles see every user; brand-scoped roles (brand admins) see their own brand's users
 // Used for user management dashboards and administrative oversight
 exports.getUsers = async (req, res) => {
   try {
@@ -17,7 +58,7 @@ exports.getUsers = async (req, res) => {
     // .select('-password') explicitly excludes the password field for security
     // The minus sign (-) before 'password' means "exclude this field"
     // This prevents sensitive password hashes from being sent to the client
-    const users = await User.find().select('-password');
+    const users = await User.find(managedUsersQuery(req.user)).select('-password');
     
     // Return array of users to client
     // 200 status code is default for successful GET requests
@@ -27,51 +68,183 @@ exports.getUsers = async (req, res) => {
   } catch (error) {
     // Handle any database errors, connection issues, or query failures
     // Common errors: database connection lost, invalid query, memory issues
-    console.error('❌ Error fetching users:', error);
+    logger.error('Error fetching users', { error });
     
     // Return generic error message to client
     // 500 Internal Server Error indicates server-side problem
-    res.status(500).json({ message: 'Error fetching users' });
+    sendError(res, 500, 'Error fetching users');
   }
 };
 
-// DELETE /api/users/:id - Remove a user from the database
-// Typically restricted to super admins through middleware authentication
-// Permanent deletion - consider implementing soft delete for better data retention
+// GET /api/users/:id - A single user, with its version as the ETag (requires user:read)
+// Brand-scoped roles only see users of their own brand
+exports.getUser = async (req, res) => {
+  try {
+    const user = await User.findOne(managedUsersQuery(req.user, { _id: req.params.id })).select('-password');
+    if (!user) return sendError(res, 404, 'User not found');
+
+    setETag(res, user);
+    res.json(user);
+
+  } catch (error) {
+    logger.error('Error fetching user', { error });
+    sendError(res, 500, 'Error fetching user');
+  }
+};
+
+// DELETE /api/users/:id - Deactivate a user by moving them to the trash
+// Requires user:manage; brand admins can only deactivate users of their own brand
+// Soft delete: the account can no longer sign in but can be restored later
 exports.deleteUser = async (req, res) => {
   try {
     // Find the user to be deleted using ID from URL parameters
     // req.params.id comes from the route definition (/api/users/:id)
-    // findById() returns the user document or null if not found
+    // findById() returns the user document or null if not found (or already trashed)
     const user = await User.findById(req.params.id);
     
     // Validate that user exists before attempting deletion
     // Early return pattern prevents unnecessary processing and provides clear error
-    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user) return sendError(res, 404, 'User not found');
 
-    // Permanently delete the user document from the database
-    // deleteOne() is the recommended method (remove() is deprecated)
-    // This action is irreversible - all user data will be lost
-    await user.deleteOne();
+    // Brand and privilege boundary: users outside the caller's reach look like missing users
+    if (!(await canManageUser(req.user, user))) return sendError(res, 404, 'User not found');
+
+    // Move the user to the trash (sets deletedAt/deletedBy)
+    // authMiddleware rejects deactivated users, so existing access tokens stop working
+    const before = snapshot(user);
+    await user.softDelete(req.user.id);
+
+    // Revoke all refresh tokens so the deactivated user cannot obtain new access tokens
+    await revokeAllForUser(user._id);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: user._id,
+      brand: user.brand,
+      before,
+      after: user,
+    });
     
     // Confirm successful deletion to the client
     // Standard response pattern for successful deletion operations
-    res.json({ message: 'User deleted' });
+    res.json({ message: 'User moved to trash' });
     
   } catch (error) {
     // Handle deletion errors: database issues, constraint violations, etc.
     // Could include foreign key constraints if user has related data
-    console.error('❌ Error deleting user:', error);
+    logger.error('Error deleting user', { error });
     
     // Return generic error message to client
     // Avoid exposing internal error details for security reasons
-    res.status(500).json({ message: 'Error deleting user' });
+    sendError(res, 500, 'Error deleting user');
+  }
+};
+
+// GET /api/users/trash - List deactivated (soft-deleted) users, most recently deleted first
+exports.getTrashedUsers = async (req, res) => {
+  try {
+    const users = await User.find(managedUsersQuery(req.user, { deletedAt: { $ne: null } }))
+      .select('-password')
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+
+    res.json(users);
+
+  } catch (error) {
+    logger.error('Error fetching trashed users', { error });
+    sendError(res, 500, 'Error fetching trashed users');
+  }
+};
+
+// POST /api/users/:id/restore - Reactivate a user from the trash
+// The user has to log in again; their old sessions were revoked on deletion
+exports.restoreUser = async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!user || !(await canManageUser(req.user, user))) return sendError(res, 404, 'User not found in trash');
+
+    const before = snapshot(user);
+    await user.restore();
+
+    await recordAudit(req, {
+      action: 'user.restore',
+      targetType: 'User',
+      targetId: user._id,
+      brand: user.brand,
+      before,
+      after: user,
+    });
+
+    const restored = user.toObject();
+    delete restored.password;
+    res.json(restored);
+
+  } catch (error) {
+    logger.error('Error restoring user', { error });
+    sendError(res, 500, 'Error restoring user');
+  }
+};
+
+// DELETE /api/users/:id/purge - Permanently delete a trashed user
+// This action is irreversible - all user data will be lost (requires user:purge)
+exports.purgeUser = async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!user || !(await canManageUser(req.user, user))) return sendError(res, 404, 'User not found in trash');
+
+    await user.deleteOne();
+
+    await recordAudit(req, {
+      action: 'user.purge',
+      targetType: 'User',
+      targetId: user._id,
+      brand: user.brand,
+      before: user,
+    });
+
+    res.json({ message: 'User permanently deleted' });
+
+  } catch (error) {
+    logger.error('Error purging user', { error });
+    sendError(res, 500, 'Error purging user');
+  }
+};
+
+// POST /api/users/:id/unlock - Lift a login lockout before it expires (requires user:unlock)
+// Also clears the per-account login rate limit so the user can sign in right away
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || !(await canManageUser(req.user, user))) return sendError(res, 404, 'User not found');
+
+    const before = { lockUntil: user.lockUntil, failedLoginAttempts: user.failedLoginAttempts };
+    await clearFailedLogins(user);
+    await resetAccountRateLimit(user.email);
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: user._id,
+      brand: user.brand,
+      before,
+      after: { lockUntil: null, failedLoginAttempts: 0 },
+    });
+
+    res.json({ message: 'User unlocked' });
+
+  } catch (error) {
+    logger.error('Error unlocking user', { error });
+    sendError(res, 500, 'Error unlocking user');
   }
 };
 
 // PUT/PATCH /api/users/:id - Update user's brand assignment or role
-// Allows administrators to modify user permissions and brand associations
-// Typically used for user management and role assignment operations
+// Allows administrators to modify user permissions and brand associations (requires user:manage)
+// Only the fields present in the body change; `brand: null` removes the brand (for global roles)
+// With an If-Match header the update only applies to the version the client last saw (412 otherwise)
+// Brand admins may only assign brand-scoped roles within their own brand, and never a role
+// carrying permissions they do not have themselves
 exports.updateUser = async (req, res) => {
   try {
     // Extract fields to be updated from request body
@@ -85,60 +258,128 @@ exports.updateUser = async (req, res) => {
     
     // Validate user exists before attempting update
     // 404 Not Found is appropriate when the target resource doesn't exist
-    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user || !(await canManageUser(req.user, user))) return sendError(res, 404, 'User not found');
+
+    // Optimistic locking: refuse to overwrite changes the client has not seen
+    if (!ifMatchSatisfied(req, user)) {
+      return sendError(res, 412, 'User has been modified since it was loaded; fetch it again and retry');
+    }
 
-    // Update user fields using conditional assignment
-    // Logical OR (||) operator provides fallback to current value if new value is falsy
-    // This allows partial updates - admin can update just brand or just role
-    user.brand = brand || user.brand;   // Update brand if provided, otherwise keep current brand
-    user.role = role || user.role;     // Update role if provided, otherwise keep current role
+    // Brand-scoped managers cannot move users out of their brand
+    if (brand === null && isBrandScoped(req.user)) {
+      return sendError(res, 403, 'Cannot remove users from your brand');
+    }
+
+    // Resolve the brand (ID, slug or name) so only existing brands can be assigned
+    let brandDoc = null;
+    if (brand) {
+      brandDoc = await resolveBrand(brand);
+      if (!brandDoc) return sendError(res, 400, 'Unknown brand');
+      if (!canAccessBrand(req.user, brandDoc._id)) {
+        return sendError(res, 403, 'Cannot assign users to another brand');
+      }
+    }
+
+    // The new role must exist and must not grant more than the caller holds
+    if (role) {
+      const roleDoc = await getRole(role);
+      if (!roleDoc) return sendError(res, 400, 'Unknown role');
+      if (!canGrantRole(req.user, roleDoc)) {
+        return sendError(res, 403, `Not allowed to assign role ${role}`);
+      }
+    }
+
+    // Capture the current state for the audit trail before applying changes
+    const before = snapshot(user);
+    const previousRole = user.role;
+    const previousBrand = user.brand;
+
+    // Apply only the fields the client sent - absent fields keep their current value
+    // brand: null removes the brand; the User schema rejects that for brand-scoped roles (422)
+    if (brand === null) user.brand = undefined;
+    if (brandDoc) user.brand = brandDoc._id;
+    if (role !== undefined) user.role = role;
+
+    // If the user's access level changed, invalidate every existing session
+    // Bumping tokenVersion makes authMiddleware reject previously issued access tokens
+    const accessChanged = user.isModified('role') || user.isModified('brand');
+    if (accessChanged) user.tokenVersion += 1;
 
     // Save the updated user document to database
     // This triggers Mongoose validation defined in the User schema
     // Also updates any timestamp fields like 'updatedAt' if they exist
     await user.save();
 
-    // Return the updated user document to client
-    // Note: This includes the password field which might be a security concern
-    // Consider using .select('-password') or creating a clean user object
+    // Revoke refresh tokens after the change is persisted so the user must log in again
+    if (accessChanged) await revokeAllForUser(user._id);
+
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'User',
+      targetId: user._id,
+      brand: user.brand,
+      before,
+      after: user,
+    });
+
+    // Notify the webhooks of the user's brand - and of the brand they left, if it changed
+    if (accessChanged) {
+      const data = {
+        user: { _id: user._id, name: user.name, email: user.email, role: user.role, brand: user.brand },
+        previousRole,
+        previousBrand,
+      };
+      const brands = [user.brand, previousBrand].filter(Boolean).map(String);
+      const notified = brands.length > 0 ? [...new Set(brands)] : [null];
+      for (const brandId of notified) {
+        await emitWebhookEvent('user.role_changed', { brand: brandId, data });
+      }
+    }
+
+    // Return the updated user document to client with its new version
+    // The User schema's toJSON leaves out the password hash and token version
     // Frontend can use this to immediately update the UI without refetching
+    setETag(res, user);
     res.json(user);
     
   } catch (error) {
     // Handle update errors: validation failures, database issues, etc.
-    // Mongoose validation errors would be caught here
-    console.error('❌ Error updating user:', error);
+    // Another request saved the user between our read and our write
+    if (isVersionConflict(error)) {
+      return sendError(res, 409, 'User was modified by another request; fetch it again and retry');
+    }
+    // Mongoose validation errors (e.g. a brand-scoped role without a brand) are client errors
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
+    logger.error('Error updating user', { error });
     
     // Return generic error message to client
     // Consider handling specific error types (validation, cast errors, etc.)
-    res.status(500).json({ message: 'Error updating user' });
+    sendError(res, 500, 'Error updating user');
   }
 };
 
 /* 
  * SECURITY CONSIDERATIONS FOR THIS CONTROLLER:
  * 
- * 1. Password Exposure: The updateUser function returns the full user object,
- *    which may include the password hash. Consider excluding sensitive fields.
+ * 1. Sensitive Fields: User documents are returned as they are; the User
+ *    schema's toJSON leaves out the password hash and token version.
  * 
- * 2. Authorization: These functions should be protected by middleware that
- *    ensures only super admins can access user management endpoints.
+ * 2. Authorization: Routes require user:read / user:manage / user:purge
+ *    (middleware/requirePermission.js); the controller additionally keeps
+ *    brand-scoped managers inside their brand and below their own privileges.
  * 
- * 3. Audit Trail: Consider logging administrative actions for compliance
- *    and security monitoring purposes.
+ * 3. Audit Trail: Administrative actions are recorded in the AuditLog
+ *    collection (see utils/audit.js) and exposed through GET /api/audit.
  * 
- * 4. Input Validation: Add validation for role and brand values to ensure
- *    only valid roles/brands can be assigned.
+ * 4. Input Validation: Role and brand values are validated by the Joi
+ *    schemas declared in routes/userRoutes.js before reaching this controller.
  * 
- * 5. Soft Delete: Consider implementing soft delete instead of hard delete
- *    to maintain data integrity and allow for data recovery.
+ * 5. Soft Delete: deleteUser moves users to the trash; only purgeUser
+ *    removes data permanently.
  * 
  * POTENTIAL IMPROVEMENTS:
  * 
- * 1. Add input validation middleware for role and brand fields
- * 2. Implement audit logging for all administrative actions
- * 3. Add pagination for getUsers when dealing with large user bases
- * 4. Create separate endpoints for different types of user updates
- * 5. Add email notifications for role/brand changes
- * 6. Implement user deactivation instead of deletion
+ * 1. Add pagination for getUsers when dealing with large user bases
+ * 2. Create separate endpoints for different types of user updates
+ * 3. Add email notifications for role/brand changes
  */
\ No newline at end of file
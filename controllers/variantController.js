@@ -0,0 +1,161 @@
+// Variants are stored as embedded subdocuments on each shoe
+// Each variant is one size/colorway with its own SKU, stock and optional price override
+// Shared loader applying the same brand-ownership rule as updateShoe
+const findOwnedShoe = require('../utils/findOwnedShoe');
+
+// Variant changes are catalog mutations and are recorded in the audit log
+const { recordAudit, snapshot } = require('../utils/audit');
+
+// Variant changes are shoe changes for webhook subscribers
+const { emitShoeEvent } = require('../utils/webhooks');
+
+// Price overrides of a published shoe's variants go through review like the shoe price
+const { editShoe } = require('../utils/shoeWorkflow');
+
+// Variant edits save the whole shoe, which fails when another request saved it first
+const { isVersionConflict } = require('../utils/etag');
+
+// Import the standard error envelope helper used for every error response
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Set a variant's price override (null removes it) - directly on drafts, as a pending revision
+// of a published shoe. Returns the reason it cannot be changed right now, or null
+const setVariantPrice = (req, shoe, variant, price) => editShoe(
+  shoe,
+  { variantPrices: { [variant._id.toString()]: price } },
+  req.user.id
+);
+
+// Record a variant change as a diff of the shoe's variants and notify webhooks of the updated shoe
+const auditVariantChange = async (req, action, shoe, before) => {
+  await recordAudit(req, {
+    action,
+    targetType: 'Shoe',
+    targetId: shoe._id,
+    brand: shoe.brand,
+    before,
+    after: shoe,
+  });
+  await emitShoeEvent('shoe.updated', shoe);
+};
+
+// Map save errors to client responses: duplicate SKUs, concurrent edits of the shoe and
+// schema validation failures. Returns true when a response has been sent
+const handleVariantSaveError = (error, res) => {
+  if (error.code === 11000) {
+    sendError(res, 409, 'SKU already exists');
+    return true;
+  }
+  if (isVersionConflict(error)) {
+    sendError(res, 409, 'Shoe was modified by another request; fetch it again and retry');
+    return true;
+  }
+  if (error.name === 'ValidationError') {
+    sendError(res, 422, error.message);
+    return true;
+  }
+  return false;
+};
+
+// GET /api/shoes/:id/variants - List all variants of a shoe
+exports.getVariants = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    res.json(shoe.variants);
+
+  } catch (error) {
+    logger.error('Error fetching variants', { error });
+    sendError(res, 500, 'Error fetching variants');
+  }
+};
+
+// POST /api/shoes/:id/variants - Add a variant to a shoe
+// SKU uniqueness is enforced by the Shoe schema (within the shoe) and a unique index (across shoes)
+// On a published shoe a price override is staged for review; the variant sells at the shoe price until then
+exports.createVariant = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    const { size, sizeSystem, color, sku, stock, price } = req.body;
+    const before = snapshot(shoe);
+
+    shoe.variants.push({ size, sizeSystem, color, sku, stock });
+    if (price !== undefined) {
+      const blocked = setVariantPrice(req, shoe, shoe.variants[shoe.variants.length - 1], price);
+      if (blocked) return sendError(res, 409, blocked);
+    }
+    await shoe.save();
+    await auditVariantChange(req, 'shoe.variant.create', shoe, before);
+
+    // Return the newly added variant (last element of the array)
+    res.status(201).json(shoe.variants[shoe.variants.length - 1]);
+
+  } catch (error) {
+    if (handleVariantSaveError(error, res)) return;
+    logger.error('Error creating variant', { error });
+    sendError(res, 500, 'Error creating variant');
+  }
+};
+
+// PUT /api/shoes/:id/variants/:variantId - Update a variant
+// Only fields present in the body are changed; send price: null to remove an override
+// A price change to a published shoe's variant is staged in the shoe's pending revision
+exports.updateVariant = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    const variant = shoe.variants.id(req.params.variantId);
+    if (!variant) return sendError(res, 404, 'Variant not found');
+
+    const { size, sizeSystem, color, sku, stock, price } = req.body;
+    const before = snapshot(shoe);
+
+    if (price !== undefined) {
+      const blocked = setVariantPrice(req, shoe, variant, price);
+      if (blocked) return sendError(res, 409, blocked);
+    }
+    if (size !== undefined) variant.size = size;
+    if (sizeSystem !== undefined) variant.sizeSystem = sizeSystem;
+    if (color !== undefined) variant.color = color;
+    if (sku !== undefined) variant.sku = sku;
+    if (stock !== undefined) variant.stock = stock;
+
+    await shoe.save();
+    await auditVariantChange(req, 'shoe.variant.update', shoe, before);
+
+    res.json(variant);
+
+  } catch (error) {
+    if (handleVariantSaveError(error, res)) return;
+    logger.error('Error updating variant', { error });
+    sendError(res, 500, 'Error updating variant');
+  }
+};
+
+// DELETE /api/shoes/:id/variants/:variantId - Remove a variant from a shoe
+exports.deleteVariant = async (req, res) => {
+  try {
+    const shoe = await findOwnedShoe(req, res);
+    if (!shoe) return;
+
+    const variant = shoe.variants.id(req.params.variantId);
+    if (!variant) return sendError(res, 404, 'Variant not found');
+
+    const before = snapshot(shoe);
+    variant.deleteOne();
+    await shoe.save();
+    await auditVariantChange(req, 'shoe.variant.delete', shoe, before);
+
+    res.json({ message: 'Variant deleted' });
+
+  } catch (error) {
+    if (handleVariantSaveError(error, res)) return;
+    logger.error('Error deleting variant', { error });
+    sendError(res, 500, 'Error deleting variant');
+  }
+};
@@ -0,0 +1,306 @@
+// Import the Webhook models - subscriptions and the queue/log of their deliveries
+// Events are queued by utils/webhooks.js and sent by the webhook dispatcher; these endpoints
+// manage subscriptions and let integrators inspect and replay deliveries
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Import brand lookup and permission helpers - brand-scoped roles only manage their own brand's webhooks
+const resolveBrand = require('../utils/resolveBrand');
+const { isBrandScoped } = require('../utils/permissions');
+
+// Import webhook helpers - secrets are generated here and URLs checked before they are stored
+const { generateWebhookSecret, checkWebhookDestination } = require('../utils/webhooks');
+
+// Import pagination, audit and error helpers shared across controllers
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Load a webhook the caller may manage (brand-scoped callers only see their own brand's webhooks)
+const findManagedWebhook = (req, id = req.params.id) => Webhook.findOne({
+  _id: id,
+  ...(isBrandScoped(req.user) ? { brand: req.user.brand } : {}),
+});
+
+// The webhook with its secret - only returned when the secret is created or rotated
+const withSecret = (webhook, secret) => ({ ...webhook.toJSON(), secret });
+
+// GET /api/webhooks - List webhooks, newest first
+// Optional filters: brand (global roles only; 'global' for subscriptions to every brand), event, active
+exports.getWebhooks = async (req, res) => {
+  try {
+    const { brand, event, active } = req.query;
+    const query = isBrandScoped(req.user) ? { brand: req.user.brand } : {};
+
+    if (brand && !isBrandScoped(req.user)) {
+      if (brand === 'global') {
+        query.brand = null;
+      } else {
+        const brandDoc = await resolveBrand(brand);
+        if (!brandDoc) return sendError(res, 400, 'Unknown brand');
+        query.brand = brandDoc._id;
+      }
+    }
+
+    if (event) query.events = event;
+    if (active !== undefined) query.active = active;
+
+    const pagination = parsePagination(req.query);
+    const [webhooks, total] = await Promise.all([
+      Webhook.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('brand', 'name slug'),
+      Webhook.countDocuments(query),
+    ]);
+
+    res.json({ data: webhooks, pagination: paginationMeta(pagination, total) });
+
+  } catch (error) {
+    logger.error('Error fetching webhooks', { error });
+    sendError(res, 500, 'Error fetching webhooks');
+  }
+};
+
+// GET /api/webhooks/:id - A single webhook
+exports.getWebhook = async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req);
+    if (!webhook) return sendError(res, 404, 'Webhook not found');
+
+    await webhook.populate('brand', 'name slug');
+    res.json(webhook);
+
+  } catch (error) {
+    logger.error('Error fetching webhook', { error });
+    sendError(res, 500, 'Error fetching webhook');
+  }
+};
+
+// POST /api/webhooks - Register a URL for some events
+// Brand-scoped users subscribe to their own brand; global roles pick a brand or omit it to
+// receive the events of every brand. The signing secret is only ever returned in this response
+exports.createWebhook = async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+
+    let brandId = null;
+    if (isBrandScoped(req.user)) {
+      brandId = req.user.brand;
+    } else if (req.body.brand) {
+      const brandDoc = await resolveBrand(req.body.brand);
+      if (!brandDoc || !brandDoc.active) return sendError(res, 400, 'Unknown or inactive brand');
+      brandId = brandDoc._id;
+    }
+
+    const refused = await checkWebhookDestination(url);
+    if (refused) return sendError(res, 400, refused);
+
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      brand: brandId,
+      url,
+      events: [...new Set(events)],
+      description,
+      active,
+      secret,
+      createdBy: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.create',
+      targetType: 'Webhook',
+      targetId: webhook._id,
+      brand: webhook.brand,
+      after: webhook,
+    });
+
+    res.status(201).json(withSecret(webhook, secret));
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
+
+    logger.error('Error creating webhook', { error });
+    sendError(res, 500, 'Error creating webhook');
+  }
+};
+
+// PUT /api/webhooks/:id - Change the URL, events, description or pause/resume a webhook
+// Pausing fails the deliveries still queued for it when the dispatcher reaches them
+exports.updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req);
+    if (!webhook) return sendError(res, 404, 'Webhook not found');
+
+    const { url, events, description, active } = req.body;
+
+    if (url !== undefined) {
+      const refused = await checkWebhookDestination(url);
+      if (refused) return sendError(res, 400, refused);
+    }
+
+    const before = snapshot(webhook);
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined) webhook.active = active;
+
+    await webhook.save();
+
+    await recordAudit(req, {
+      action: 'webhook.update',
+      targetType: 'Webhook',
+      targetId: webhook._id,
+      brand: webhook.brand,
+      before,
+      after: webhook,
+    });
+
+    res.json(webhook);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendError(res, 422, error.message);
+
+    logger.error('Error updating webhook', { error });
+    sendError(res, 500, 'Error updating webhook');
+  }
+};
+
+// POST /api/webhooks/:id/rotate-secret - Replace the signing secret
+// Deliveries sent from now on are signed with the new secret, which is returned once
+exports.rotateWebhookSecret = async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req);
+    if (!webhook) return sendError(res, 404, 'Webhook not found');
+
+    const secret = generateWebhookSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    await recordAudit(req, {
+      action: 'webhook.rotate_secret',
+      targetType: 'Webhook',
+      targetId: webhook._id,
+      brand: webhook.brand,
+    });
+
+    res.json(withSecret(webhook, secret));
+
+  } catch (error) {
+    logger.error('Error rotating webhook secret', { error });
+    sendError(res, 500, 'Error rotating webhook secret');
+  }
+};
+
+// DELETE /api/webhooks/:id - Remove a webhook
+// Its delivery log is kept until it expires; queued deliveries are failed by the dispatcher
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req);
+    if (!webhook) return sendError(res, 404, 'Webhook not found');
+
+    await webhook.deleteOne();
+
+    await recordAudit(req, {
+      action: 'webhook.delete',
+      targetType: 'Webhook',
+      targetId: webhook._id,
+      brand: webhook.brand,
+      before: webhook,
+    });
+
+    res.json({ message: 'Webhook deleted' });
+
+  } catch (error) {
+    logger.error('Error deleting webhook', { error });
+    sendError(res, 500, 'Error deleting webhook');
+  }
+};
+
+// GET /api/webhooks/:id/deliveries - Delivery log of a webhook, newest first
+// Optional filters: status, event. Payloads are left out of the list (see the single delivery)
+exports.getDeliveries = async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req);
+    if (!webhook) return sendError(res, 404, 'Webhook not found');
+
+    const { status, event } = req.query;
+    const query = { webhook: webhook._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const pagination = parsePagination(req.query);
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .select('-payload -responseBody -lockedUntil')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      WebhookDelivery.countDocuments(query),
+    ]);
+
+    res.json({ data: deliveries, pagination: paginationMeta(pagination, total) });
+
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries', { error });
+    sendError(res, 500, 'Error fetching webhook deliveries');
+  }
+};
+
+// GET /api/webhooks/:id/deliveries/:deliveryId - One delivery with its payload and every attempt
+exports.getDelivery = async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req);
+    if (!webhook) return sendError(res, 404, 'Webhook not found');
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+      .select('-lockedUntil');
+    if (!delivery) return sendError(res, 404, 'Delivery not found');
+
+    res.json(delivery);
+
+  } catch (error) {
+    logger.error('Error fetching webhook delivery', { error });
+    sendError(res, 500, 'Error fetching webhook delivery');
+  }
+};
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Send a past delivery again
+// Queues a new delivery with the same payload and event ID (so receivers can deduplicate);
+// the original stays in the log unchanged
+exports.redeliver = async (req, res) => {
+  try {
+    const webhook = await findManagedWebhook(req);
+    if (!webhook) return sendError(res, 404, 'Webhook not found');
+    if (!webhook.active) return sendError(res, 409, 'Webhook is inactive');
+
+    const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+    if (!original) return sendError(res, 404, 'Delivery not found');
+    if (original.status === 'pending') return sendError(res, 409, 'Delivery is still pending');
+
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      brand: original.brand,
+      event: original.event,
+      eventId: original.eventId,
+      payload: original.payload,
+      redeliveryOf: original._id,
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.redeliver',
+      targetType: 'Webhook',
+      targetId: webhook._id,
+      brand: webhook.brand,
+      metadata: { delivery: original._id, redelivery: delivery._id },
+    });
+
+    res.status(202).json(delivery);
+
+  } catch (error) {
+    logger.error('Error redelivering webhook', { error });
+    sendError(res, 500, 'Error redelivering webhook');
+  }
+};
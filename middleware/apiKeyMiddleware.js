@@ -0,0 +1,65 @@
+// Middleware to authenticate integrations by API key instead of a user's JWT
+// Routers that accept keys run it before authMiddleware, which then lets key requests through:
+//   router.use(apiKeyMiddleware); router.use(authMiddleware);
+// req.user describes the key like a brand-scoped user of the key's brand holding the key's
+// permissions, so controllers apply the same brand scoping. Requests without a key are untouched
+// A key never outlives its creator's access: it only holds the permissions the creator's current
+// role still grants, and stops working when the creator is deleted or moved off the key's brand
+const User = require('../models/User');
+const { getRole } = require('../utils/permissions');
+const { apiKeyFromRequest, loadRequestApiKey, isUsable, touchApiKey } = require('../utils/apiKeys');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// The key's permissions its creator still holds, or null when the creator can no longer act for the brand
+// Trashed creators are not found (soft delete), so their keys stop working
+const creatorPermissions = async (apiKey) => {
+  const creator = await User.findById(apiKey.createdBy).select('role brand');
+  if (!creator) return null;
+
+  const role = await getRole(creator.role);
+  if (!role) return null;
+  if (role.scope === 'brand' && String(creator.brand) !== apiKey.brand._id.toString()) return null;
+
+  return apiKey.permissions.filter((permission) => role.permissions.includes(permission));
+};
+
+const apiKeyMiddleware = async (req, res, next) => {
+  if (!apiKeyFromRequest(req)) return next();
+
+  try {
+    const apiKey = await loadRequestApiKey(req);
+    if (!apiKey || !isUsable(apiKey)) {
+      return sendError(res, 401, 'Invalid, expired or revoked API key');
+    }
+
+    // Keys of a deactivated (or removed) brand are blocked until it is reactivated
+    if (!apiKey.brand || !apiKey.brand.active) {
+      return sendError(res, 403, 'Brand is deactivated');
+    }
+
+    const permissions = await creatorPermissions(apiKey);
+    if (!permissions) {
+      return sendError(res, 401, 'API key is no longer valid: its creator has lost access to the brand');
+    }
+
+    // Changes are attributed to the key's creator; audit entries also record the key itself
+    req.user = {
+      id: String(apiKey.createdBy),
+      role: 'api_key',
+      scope: 'brand',
+      permissions,
+      brand: apiKey.brand._id.toString(),
+      emailVerified: true,
+      apiKey: apiKey._id.toString(),
+    };
+
+    await touchApiKey(apiKey, req.ip);
+    next();
+  } catch (error) {
+    logger.error('API key middleware error', { error });
+    return sendError(res, 500, 'Error authenticating request');
+  }
+};
+
+module.exports = apiKeyMiddleware;
@@ -1,31 +1,86 @@
 // Middleware to authenticate users based on JWT in Authorization header
 // This function checks if the request contains a valid token and attaches user info to req.user
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { getRole } = require('../utils/permissions');
+const { apiKeyFromRequest } = require('../utils/apiKeys');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const authMiddleware = async (req, res, next) => {
+  // Already authenticated by API key on a router that accepts keys (see apiKeyMiddleware)
+  if (req.user && req.user.apiKey) return next();
+
+  // Every other route needs a user: keys are refused rather than mistaken for a bad JWT
+  if (apiKeyFromRequest(req)) {
+    return sendError(res, 401, 'API keys are not accepted for this endpoint');
+  }
 
-const authMiddleware = (req, res, next) => {
   // Extract Authorization header from the request
   const authHeader = req.headers.authorization;
 
   // If header is missing or doesn't start with 'Bearer ', deny access
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'No token provided' });
+    return sendError(res, 401, 'No token provided');
   }
 
   // Extract token from 'Bearer <token>' format
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
     // Verify and decode the token using the secret key
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    // If token is invalid or expired, respond with unauthorized error
+    return sendError(res, 401, 'Invalid token');
+  }
 
-    // Attach decoded user info (userId, brand, role) to req.user
-    req.user = decoded;
+  try {
+    // Load the current user so deleted users and stale role/brand claims are rejected
+    // tokenVersion is bumped on role/brand changes and "log out all sessions"
+    // Trashed users are loaded too so they get a clear "deactivated" response
+    const user = await User.findById(decoded.id)
+      .setOptions({ withDeleted: true })
+      .select('role brand tokenVersion emailVerified deletedAt')
+      .populate('brand', 'active');
+    if (!user || (user.tokenVersion || 0) !== (decoded.tokenVersion || 0)) {
+      return sendError(res, 401, 'Token has been revoked');
+    }
+
+    // Soft-deleted (deactivated) accounts are rejected until restored
+    if (user.deletedAt) {
+      return sendError(res, 401, 'Account is deactivated');
+    }
+
+    // Resolve the role's permissions; a role deleted from under the user grants nothing
+    const role = await getRole(user.role);
+    if (!role) {
+      return sendError(res, 403, 'Role no longer exists');
+    }
+
+    // Users of a deactivated (or removed) brand are blocked until it is reactivated
+    if (role.scope === 'brand' && (!user.brand || !user.brand.active)) {
+      return sendError(res, 403, 'Brand is deactivated');
+    }
+
+    // Attach user info (id, brand, role, permissions, emailVerified) to req.user from the database record
+    // brand is the brand's ObjectId as a string so controllers can compare it directly
+    // scope tells controllers whether to restrict the user to that brand (see utils/permissions)
+    req.user = {
+      id: user._id.toString(),
+      role: user.role,
+      scope: role.scope,
+      permissions: role.permissions,
+      brand: user.brand ? user.brand._id.toString() : undefined,
+      emailVerified: user.emailVerified,
+    };
 
     // Allow request to proceed
     next();
   } catch (error) {
-    // If token is invalid or expired, respond with unauthorized error
-    return res.status(401).json({ message: 'Invalid token' });
+    logger.error('Auth middleware error', { error });
+    return sendError(res, 500, 'Error authenticating request');
   }
 };
 
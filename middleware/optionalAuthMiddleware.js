@@ -0,0 +1,11 @@
+// Middleware for routes that work both anonymously and logged in (e.g. the cart)
+// Without an Authorization header the request continues as anonymous; with one,
+// the token must be valid exactly as for authMiddleware
+const authMiddleware = require('./authMiddleware');
+
+const optionalAuthMiddleware = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  return authMiddleware(req, res, next);
+};
+
+module.exports = optionalAuthMiddleware;
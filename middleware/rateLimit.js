@@ -0,0 +1,131 @@
+// Rate limiting middleware backed by the pluggable store in utils/rateLimitStore
+// Fixed windows; every response carries RateLimit-* headers and rejected requests get 429 + Retry-After
+const jwt = require('jsonwebtoken');
+const { getRateLimitStore } = require('../utils/rateLimitStore');
+const { apiKeyFromRequest, loadRequestApiKey, isUsable } = require('../utils/apiKeys');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Build a limiter
+//   name     - keeps the counters of different limiters apart
+//   windowMs - window length
+//   max      - allowed requests per window, or (req) => number
+//   key      - (req) => string (or a promise of one) identifying who is counted; requests without
+//              a key pass unlimited
+const rateLimit = ({ name, windowMs, max, key, message = 'Too many requests, please try again later' }) => (
+  async (req, res, next) => {
+    const id = await key(req);
+    if (!id) return next();
+
+    let result;
+    try {
+      result = await getRateLimitStore().increment(`${name}:${id}`, windowMs);
+    } catch (error) {
+      // An unavailable store must not take the API down with it
+      logger.error('Rate limit store error', { error });
+      return next();
+    }
+
+    const limit = typeof max === 'function' ? max(req) : max;
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - result.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (result.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return sendError(res, 429, message);
+    }
+
+    next();
+  }
+);
+
+// Requests per window for the general API limiter, by the caller's role
+// 'anonymous' applies without a valid token or API key, 'api_key' to each brand API key,
+// 'default' to roles without their own tier
+// Override with RATE_LIMIT_TIERS='{"customer":300,"api_key":3000}' (merged over these defaults)
+const DEFAULT_TIERS = { anonymous: 100, customer: 300, default: 600, api_key: 1200, super_admin: 2000 };
+
+const parseTiers = () => {
+  try {
+    return { ...DEFAULT_TIERS, ...JSON.parse(process.env.RATE_LIMIT_TIERS || '{}') };
+  } catch (error) {
+    logger.error('Ignoring invalid RATE_LIMIT_TIERS', { error: error.message });
+    return DEFAULT_TIERS;
+  }
+};
+const TIERS = parseTiers();
+
+// Identify the caller from the access token without touching the database
+// authMiddleware still does the full check later; an invalid token just counts as anonymous
+const tokenClaims = (req) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) return null;
+  try {
+    return jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Who the general limiter counts and at which tier: an API key, else the user of a valid access
+// token, else the client IP. Unknown, revoked and expired keys count as anonymous, so made-up keys
+// cannot be used to get a fresh budget; a failed key lookup is left for apiKeyMiddleware to report
+const identifyCaller = async (req) => {
+  const anonymous = { id: `ip:${req.ip}`, tier: TIERS.anonymous };
+
+  if (apiKeyFromRequest(req)) {
+    const apiKey = await loadRequestApiKey(req).catch(() => null);
+    return apiKey && isUsable(apiKey) ? { id: `apikey:${apiKey._id}`, tier: TIERS.api_key } : anonymous;
+  }
+
+  const claims = tokenClaims(req);
+  if (!claims) return anonymous;
+  const tier = TIERS[claims.role];
+  return { id: `user:${claims.id}`, tier: tier !== undefined ? tier : TIERS.default };
+};
+
+// General limiter for the whole API: per API key or user when authenticated, per IP otherwise
+const apiRateLimit = rateLimit({
+  name: 'api',
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+  key: async (req) => {
+    req.rateLimitCaller = await identifyCaller(req);
+    return req.rateLimitCaller.id;
+  },
+  max: (req) => req.rateLimitCaller.tier,
+});
+
+// Authentication endpoints get much tighter limits to slow down credential stuffing
+const AUTH_WINDOW_MS = Number(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+
+// Per client IP across all /api/auth routes
+const authIpRateLimit = rateLimit({
+  name: 'auth-ip',
+  windowMs: AUTH_WINDOW_MS,
+  max: Number(process.env.AUTH_IP_RATE_LIMIT) || 50,
+  key: (req) => req.ip,
+  message: 'Too many authentication attempts from this address, please try again later',
+});
+
+// Per target account (the email in the body), whichever IPs the attempts come from
+const accountKey = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : undefined);
+const authAccountRateLimit = rateLimit({
+  name: 'auth-account',
+  windowMs: AUTH_WINDOW_MS,
+  max: Number(process.env.AUTH_ACCOUNT_RATE_LIMIT) || 10,
+  key: (req) => accountKey(req.body && req.body.email),
+  message: 'Too many attempts for this account, please try again later',
+});
+
+// Clear an account's auth counter (used when an administrator unlocks the account)
+const resetAccountRateLimit = (email) => getRateLimitStore().reset(`auth-account:${accountKey(email)}`);
+
+module.exports = {
+  rateLimit,
+  apiRateLimit,
+  authIpRateLimit,
+  authAccountRateLimit,
+  resetAccountRateLimit,
+};
@@ -0,0 +1,48 @@
+// Middleware giving every request a correlation ID, an access log entry and metrics
+// The ID is taken from the caller's X-Request-Id header when it is sensible (so IDs from a proxy or
+// another service carry through) and generated otherwise; it is sent back as X-Request-Id, included
+// in error responses and in every log entry written while the request is handled
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { recordRequest } = require('../utils/metrics');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Route pattern the request matched (e.g. /api/shoes/:id) - raw URLs would make metrics unbounded
+// Requests answered by router-level middleware (e.g. 401s) are labelled with the router's mount path
+const routeLabel = (req) => {
+  const path = req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl;
+  if (!path) return 'unmatched';
+  return path.length > 1 ? path.replace(/\/$/, '') : path;
+};
+
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const route = routeLabel(req);
+    recordRequest({ method: req.method, route, status: res.statusCode, durationSeconds });
+
+    // The query string is left out: it may carry search terms and other personal data
+    const level = res.statusCode >= 500 ? 'warn' : 'info';
+    logger[level]('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationSeconds * 100000) / 100,
+      ip: req.ip,
+      userId: req.user ? req.user.id : undefined,
+      apiKeyId: req.user ? req.user.apiKey : undefined,
+    });
+  });
+
+  logger.requestContext.run({ requestId: req.id }, next);
+};
+
+module.exports = requestContext;
@@ -0,0 +1,22 @@
+// Middleware to authorize users based on the permissions of their role
+// Usage: router.delete('/:id', requirePermission('shoe:delete'), handler)
+// Every listed permission is required; runs after authMiddleware
+const { hasPermission } = require('../utils/permissions');
+const { sendError } = require('../utils/errors');
+
+const requirePermission = (...permissions) => {
+  const middleware = (req, res, next) => {
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      return sendError(res, 403, `Access forbidden: requires ${missing.join(', ')}`);
+    }
+
+    next();
+  };
+
+  // Exposed so the OpenAPI generator (utils/openapi) can document the requirement
+  middleware.permissions = permissions;
+  return middleware;
+};
+
+module.exports = requirePermission;
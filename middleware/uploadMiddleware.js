@@ -0,0 +1,40 @@
+// Middleware to accept multipart image uploads for shoes
+// Files are kept in memory so they can be validated and resized before reaching storage
+const multer = require('multer');
+const { sendError } = require('../utils/errors');
+
+// Accepted image types and the per-file size limit (MAX_IMAGE_SIZE_MB, default 5 MB)
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_FILE_SIZE = (Number(process.env.MAX_IMAGE_SIZE_MB) || 5) * 1024 * 1024;
+const MAX_FILES = 10;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  },
+}).array('images', MAX_FILES);
+
+// Wrap multer so upload problems become 400 responses instead of reaching the global error handler
+const uploadImages = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Image exceeds the ${MAX_FILE_SIZE / (1024 * 1024)} MB limit`
+        : `Invalid upload: only up to ${MAX_FILES} JPEG, PNG or WebP files in the "images" field are accepted`;
+      return sendError(res, 400, message);
+    }
+    if (err) return next(err);
+
+    if (!req.files || req.files.length === 0) {
+      return sendError(res, 400, 'No images uploaded');
+    }
+    next();
+  });
+};
+
+module.exports = uploadImages;
@@ -0,0 +1,58 @@
+// Middleware factory validating request params, query and body against Joi schemas
+// Usage in routes: router.put('/:id', validate({ params: idParams, body: updateBody }), handler)
+// Invalid params/query respond 400, invalid bodies 422 - both in the standard error envelope
+const { sendError } = require('../utils/errors');
+
+// Validation order matters for the reported status: a bad URL trumps a bad body
+const LOCATIONS = ['params', 'query', 'body'];
+
+const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const values = {};
+
+    LOCATIONS.forEach((location) => {
+      if (!schemas[location]) return;
+
+      const { error, value } = schemas[location].validate(req[location] || {}, {
+        abortEarly: false, // Report every problem at once
+        convert: true,     // Turn query strings like '10' into numbers, trim strings, etc.
+      });
+
+      if (error) {
+        error.details.forEach((detail) => {
+          errors.push({
+            location,
+            field: detail.path.join('.') || location,
+            message: detail.message.replace(/"/g, ''),
+          });
+        });
+      } else {
+        values[location] = value;
+      }
+    });
+
+    if (errors.length > 0) {
+      const badRequest = errors.some((error) => error.location !== 'body');
+      return badRequest
+        ? sendError(res, 400, 'Invalid request parameters', { errors })
+        : sendError(res, 422, 'Request validation failed', { errors });
+    }
+
+    // Hand the converted values to the controllers
+    // Express 5 exposes req.query as a getter, so it has to be redefined rather than assigned
+    if (values.params) req.params = values.params;
+    if (values.body) req.body = values.body;
+    if (values.query) {
+      Object.defineProperty(req, 'query', { value: values.query, writable: true, configurable: true });
+    }
+
+    next();
+  };
+
+  // Exposed so the OpenAPI generator (utils/openapi) can document the request shape
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = validate;
@@ -0,0 +1,13 @@
+// Middleware to block users who have not yet verified their email address
+// Must run after authMiddleware, which sets req.user.emailVerified
+const { sendError } = require('../utils/errors');
+
+const verifiedMiddleware = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return sendError(res, 403, 'Email address must be verified to perform this action');
+  }
+
+  next();
+};
+
+module.exports = verifiedMiddleware;
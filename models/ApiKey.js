@@ -0,0 +1,44 @@
+// Mongoose schema for API keys - credentials a brand's integrations (e.g. a warehouse sync) use
+// instead of a user's JWT. Only a SHA-256 hash of the key is stored; the key is shown once
+const mongoose = require('mongoose');
+
+// Permissions an API key may hold - routers accepting keys are the catalog, promotions and analytics
+// (see middleware/apiKeyMiddleware.js). Read-only keys hold only the :read permissions
+const API_KEY_PERMISSIONS = [
+  'shoe:read',
+  'shoe:create',
+  'shoe:update',
+  'shoe:delete',
+  'promotion:manage',
+  'analytics:read',
+];
+
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },                            // e.g. 'Warehouse sync'
+  brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', required: true }, // The key only acts on this brand
+  permissions: [{ type: String, enum: API_KEY_PERMISSIONS, required: true }],
+  prefix: { type: String, required: true },                      // Start of the key, to recognize it in lists
+  keyHash: { type: String, required: true, unique: true, select: false },
+  expiresAt: { type: Date },                                     // Optional; expired keys are refused
+  lastUsedAt: { type: Date },                                    // Updated at most once a minute
+  lastUsedIp: { type: String },
+  // Requests made with the key are attributed to them, and it never holds more than their current role grants
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revokedAt: { type: Date },                                     // Revoked keys stay listed but never work again
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+apiKeySchema.index({ brand: 1, createdAt: -1 });
+
+// Never serialize the hash, even when it was explicitly selected
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  },
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_PERMISSIONS = API_KEY_PERMISSIONS;
@@ -0,0 +1,29 @@
+// Mongoose schema for audit log entries
+// One entry per administrative or catalog mutation (and per login attempt)
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Who did it (empty for failed logins)
+  actorRole: { type: String },                                   // Role of the actor at the time ('api_key' for keys)
+  apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' }, // Key the request was made with, if any
+  action: { type: String, required: true },                      // e.g. 'shoe.update', 'user.delete', 'auth.login'
+  targetType: { type: String, required: true },                  // Model name of the target (e.g. 'Shoe')
+  targetId: { type: mongoose.Schema.Types.ObjectId },            // ID of the affected document
+  brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand' }, // Brand the target belongs to (for brand-scoped views)
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed },               // Changed fields before the mutation
+    after: { type: mongoose.Schema.Types.Mixed },                // Changed fields after the mutation
+  },
+  metadata: { type: mongoose.Schema.Types.Mixed },               // Extra context (e.g. email of a failed login)
+  ip: { type: String },                                          // Client IP address
+  userAgent: { type: String },                                   // Client User-Agent header
+  createdAt: { type: Date, default: Date.now },                  // When it happened
+});
+
+// Indexes for the filters offered by GET /api/audit (newest first)
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+auditLogSchema.index({ brand: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
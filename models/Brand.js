@@ -0,0 +1,23 @@
+// Mongoose schema for brand documents
+// Brands are managed by super admins; shoes and brand users reference them by ID
+const mongoose = require('mongoose');
+
+const brandSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true }, // Display name (e.g. 'Nike')
+  slug: { type: String, required: true, unique: true, lowercase: true, trim: true }, // URL-safe identifier
+  logo: { type: String },                   // Logo URL or filename
+  active: { type: Boolean, default: true }, // Inactive brands have their shoes hidden and users blocked
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+// Derive the slug from the name when none is supplied
+brandSchema.pre('validate', function (next) {
+  if (!this.slug && this.name) {
+    this.slug = this.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Brand', brandSchema);
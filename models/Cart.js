@@ -0,0 +1,35 @@
+// Mongoose schema for shopping carts
+// A cart belongs either to a logged-in user or to an anonymous session (identified by a cart ID)
+const mongoose = require('mongoose');
+
+// Anonymous carts are removed after this many days without changes
+const ANONYMOUS_CART_DAYS = Number(process.env.ANONYMOUS_CART_DAYS) || 30;
+
+const cartItemSchema = new mongoose.Schema({
+  shoe: { type: mongoose.Schema.Types.ObjectId, ref: 'Shoe', required: true }, // Shoe in the cart
+  variant: { type: mongoose.Schema.Types.ObjectId, required: true },           // Chosen size/color variant
+  quantity: { type: Number, required: true, min: 1 },
+  addedAt: { type: Date, default: Date.now },
+});
+
+const cartSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Owner once logged in
+  sessionHash: { type: String },                                // SHA-256 of the anonymous cart ID
+  items: { type: [cartItemSchema], default: [] },
+  expiresAt: { type: Date },                                    // Only set for anonymous carts
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+// One cart per user and per anonymous session
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ sessionHash: 1 }, { unique: true, partialFilterExpression: { sessionHash: { $exists: true } } });
+
+// Let MongoDB drop abandoned anonymous carts
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Push the expiry of anonymous carts forward on every change
+cartSchema.pre('save', function (next) {
+  if (!this.user) this.expiresAt = new Date(Date.now() + ANONYMOUS_CART_DAYS * 24 * 60 * 60 * 1000);
+  next();
+});
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,14 @@
+// Mongoose schema for exchange rates - the admin-managed conversion table for foreign currencies
+// A shoe's list price is in the default currency (DEFAULT_CURRENCY); prices in other currencies come
+// from the shoe's explicit `prices` or are converted with these rates (see utils/localization.js)
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+  // ISO 4217 code (e.g. 'EUR'); only currencies listed here are offered to clients
+  currency: { type: String, required: true, unique: true, uppercase: true, trim: true, match: /^[A-Z]{3}$/ },
+  // Units of `currency` per one unit of the default currency
+  rate: { type: Number, required: true, min: 0.000001 },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,38 @@
+// Mongoose schema for invitations - the only way to obtain a staff (non-customer) account
+// The invited role and brand are fixed when the invite is created; registration just accepts them
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true }, // Address the invite was sent to
+  role: { type: String, required: true },                                // Role granted on acceptance
+  brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand' },         // Brand for brand-scoped roles
+  tokenHash: { type: String, required: true, unique: true, select: false }, // SHA-256 of the emailed token
+  expiresAt: { type: Date, required: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Unset for invites created by scripts/inviteAdmin.js
+  acceptedAt: { type: Date },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Account created from this invite
+  revokedAt: { type: Date },
+}, {
+  timestamps: true, // Automatically adds createdAt and updatedAt fields
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash; // Never expose the token hash, even right after creation
+      return ret;
+    },
+  },
+  toObject: { virtuals: true },
+});
+
+// pending -> accepted | revoked | expired
+inviteSchema.virtual('status').get(function () {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+inviteSchema.index({ brand: 1, createdAt: -1 });
+inviteSchema.index({ email: 1 });
+
+module.exports = mongoose.model('Invite', inviteSchema);
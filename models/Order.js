@@ -0,0 +1,62 @@
+// Mongoose schema for order documents
+// Each line snapshots the shoe/variant data and price at the time of purchase
+const mongoose = require('mongoose');
+
+// Allowed order statuses and the transitions between them
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'cancelled', 'refunded'];
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['refunded'],
+  cancelled: [],
+  refunded: [],
+};
+
+const orderItemSchema = new mongoose.Schema({
+  shoe: { type: mongoose.Schema.Types.ObjectId, ref: 'Shoe', required: true },   // Purchased shoe
+  variant: { type: mongoose.Schema.Types.ObjectId, required: true },              // Variant subdocument ID
+  brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', required: true }, // Brand of the shoe (for brand-scoped views)
+  name: { type: String, required: true },                                         // Shoe name at purchase time
+  sku: { type: String, required: true },
+  size: { type: String },
+  sizeSystem: { type: String },
+  color: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  listPrice: { type: Number, min: 0 },                                            // List price per unit before promotions
+  unitPrice: { type: Number, required: true, min: 0 },                            // Price charged per unit
+  promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },          // Promotion that set unitPrice, if any
+  lineTotal: { type: Number, required: true, min: 0 },                            // quantity * unitPrice
+});
+
+const orderSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Who placed the order
+  items: {
+    type: [orderItemSchema],
+    validate: [(items) => items.length > 0, 'An order needs at least one item'],
+  },
+  total: { type: Number, required: true, min: 0 },                              // Sum of line totals
+  status: { type: String, enum: ORDER_STATUSES, default: 'pending' },
+  statusHistory: [{
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  }],
+  shippingAddress: {
+    name: { type: String },
+    line1: { type: String },
+    line2: { type: String },
+    city: { type: String },
+    postalCode: { type: String },
+    country: { type: String },
+  },
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ 'items.brand': 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = Order;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
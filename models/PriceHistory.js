@@ -0,0 +1,19 @@
+// Mongoose schema for price history entries - one document per list price change
+// Written automatically when a shoe is saved (see models/plugins/priceHistory.js)
+const mongoose = require('mongoose');
+
+const priceHistorySchema = new mongoose.Schema({
+  shoe: { type: mongoose.Schema.Types.ObjectId, ref: 'Shoe', required: true },
+  brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand' },
+  variant: { type: mongoose.Schema.Types.ObjectId },  // Set for variant price overrides
+  sku: { type: String },                              // Variant SKU at the time of the change
+  oldPrice: { type: Number },                         // null when the price was first set
+  newPrice: { type: Number },                         // null when a variant override was removed
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  source: { type: String, enum: ['manual', 'import', 'schedule'], default: 'manual' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+priceHistorySchema.index({ shoe: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
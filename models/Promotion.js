@@ -0,0 +1,41 @@
+// Mongoose schema for promotions - scheduled percentage or fixed discounts on a brand's shoes
+// The promotion scheduler (utils/promotionScheduler.js) moves promotions through their statuses
+// and applies the best active promotion to each shoe it covers
+const mongoose = require('mongoose');
+
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+const PROMOTION_STATUSES = ['scheduled', 'active', 'expired', 'cancelled'];
+
+const promotionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },           // e.g. 'Summer sale'
+  brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', required: true }, // Owning brand
+  shoes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Shoe' }], // Covered shoes; empty = the whole brand
+  type: { type: String, enum: PROMOTION_TYPES, required: true },
+  value: { type: Number, required: true, min: 0 }, // Percent off, or amount off the list price
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  status: { type: String, enum: PROMOTION_STATUSES, default: 'scheduled' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+// Cross-field rules, checked on every save (not only when the field itself changes)
+promotionSchema.pre('validate', function (next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discounts cannot exceed 100');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  next();
+});
+
+// Scheduler lookups: what starts or ends next, and what covers a brand right now
+promotionSchema.index({ status: 1, startsAt: 1 });
+promotionSchema.index({ status: 1, endsAt: 1 });
+promotionSchema.index({ brand: 1, status: 1 });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
+module.exports.PROMOTION_TYPES = PROMOTION_TYPES;
+module.exports.PROMOTION_STATUSES = PROMOTION_STATUSES;
@@ -0,0 +1,17 @@
+// Mongoose schema for refresh token documents
+// Stores a hash of every issued refresh token so sessions can be rotated and revoked server-side
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Session owner
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the raw token (raw value is never stored)
+  expiresAt: { type: Date, required: true },                 // Absolute expiry of this refresh token
+  revokedAt: { type: Date },                                 // Set on logout, rotation or forced revocation
+  replacedBy: { type: String },                              // Hash of the token issued when this one was rotated
+  createdByIp: { type: String },                             // IP that obtained the token (for session listings)
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+// Lets MongoDB remove expired sessions on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,45 @@
+// Mongoose schema for roles - named sets of permissions assigned to users
+// Brand-scoped roles only act on the user's own brand; global roles act on every brand
+const mongoose = require('mongoose');
+
+// Every permission the API checks (see middleware/requirePermission.js)
+const PERMISSIONS = [
+  'shoe:read',    // List shoes, variants, trash; export the catalog
+  'shoe:create',  // Create shoes (and import new ones)
+  'shoe:update',  // Edit shoes, variants and images
+  'shoe:delete',  // Move shoes to the trash and restore them
+  'shoe:purge',   // Permanently delete trashed shoes
+  'shoe:review',  // Approve or reject shoes and revisions submitted for review
+  'user:read',    // List users
+  'user:manage',  // Change, deactivate and restore users and assign roles
+  'user:purge',   // Permanently delete trashed users
+  'user:unlock',  // Lift a brute-force login lock before it expires
+  'brand:manage', // Create, edit and delete brands
+  'role:manage',  // Create, edit and delete roles
+  'audit:read',   // Browse the audit log
+  'analytics:read', // Catalog statistics (own brand only for brand-scoped roles)
+  'order:read',   // See other people's orders (brand lines only for brand-scoped roles)
+  'order:manage', // Move orders through their status lifecycle
+  'promotion:manage', // Create, edit and cancel promotions
+  'webhook:manage', // Register webhooks and inspect or redeliver their deliveries
+  'currency:manage', // Maintain the exchange-rate table of offered currencies
+  'api_key:manage', // Create, rotate and revoke API keys for integrations
+];
+
+const ROLE_SCOPES = ['global', 'brand'];
+
+const roleSchema = new mongoose.Schema({
+  // Identifier stored on users and in tokens (e.g. 'brand_editor')
+  name: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  description: { type: String, trim: true },
+  scope: { type: String, enum: ROLE_SCOPES, default: 'brand' },
+  permissions: [{ type: String, enum: PERMISSIONS }],
+  system: { type: Boolean, default: false }, // Built-in roles cannot be deleted
+  grantedDefaults: { type: [String], select: false }, // Built-in permissions already handed to this role
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.ROLE_SCOPES = ROLE_SCOPES;
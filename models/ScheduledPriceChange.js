@@ -0,0 +1,22 @@
+// Mongoose schema for list price changes that take effect at a later date
+// Applied by the promotion scheduler (utils/promotionScheduler.js) once effectiveAt has passed
+const mongoose = require('mongoose');
+
+const scheduledPriceChangeSchema = new mongoose.Schema({
+  shoe: { type: mongoose.Schema.Types.ObjectId, ref: 'Shoe', required: true },
+  brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId }, // Change this variant's override instead of the shoe price
+  price: { type: Number, min: 0 },                   // New list price; null removes a variant override
+  effectiveAt: { type: Date, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  appliedAt: { type: Date },
+  cancelledAt: { type: Date },
+  failureReason: { type: String }, // Set when the change could not be applied (e.g. shoe deleted)
+  // How it was applied: directly, or staged in a published shoe's pending revision for review
+  outcome: { type: String, enum: ['applied', 'pending_review'] },
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+scheduledPriceChangeSchema.index({ appliedAt: 1, cancelledAt: 1, effectiveAt: 1 });
+scheduledPriceChangeSchema.index({ shoe: 1, effectiveAt: 1 });
+
+module.exports = mongoose.model('ScheduledPriceChange', scheduledPriceChangeSchema);
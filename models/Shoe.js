@@ -1,14 +1,211 @@
 // Mongoose schema for shoe documents
 // Defines structure of shoe items stored in MongoDB
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const priceHistory = require('./plugins/priceHistory');
+const Promotion = require('./Promotion');
+const { applyDiscount, effectivePriceOf, pickBestPromotion, toAppliedPromotion } = require('../utils/pricing');
+const { CURRENCY_PATTERN, LOCALE_PATTERN, DEFAULT_CURRENCY, DEFAULT_LOCALE } = require('../utils/localization');
+
+// Sellable variant of a shoe: one size/colorway combination with its own SKU and stock
+const variantSchema = new mongoose.Schema({
+  size: { type: String, required: true, trim: true },                      // e.g. '42', '9.5'
+  sizeSystem: { type: String, enum: ['EU', 'US', 'UK'], required: true },  // Sizing convention of `size`
+  color: { type: String, required: true, trim: true },                     // Colorway name
+  sku: { type: String, required: true, trim: true, uppercase: true },     // Stock keeping unit, unique across all shoes
+  stock: { type: Number, required: true, min: 0, default: 0 },            // Units available
+  price: { type: Number, min: 0 },                                         // Optional override of the shoe price
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Price after the shoe's current promotion, for this variant's list price
+variantSchema.virtual('effectivePrice').get(function () {
+  return effectivePriceOf(this.parent(), this);
+});
+
+// Discount currently applied to a shoe - a snapshot of the best active promotion covering it
+const appliedPromotionSchema = new mongoose.Schema({
+  promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+  name: { type: String },
+  type: { type: String, enum: ['percentage', 'fixed'] },
+  value: { type: Number },
+  endsAt: { type: Date },
+}, { _id: false });
+
+// Name/description in a locale other than the default; missing fields fall back to the default content
+const translationSchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  description: { type: String },
+}, { _id: false });
+
+// Review workflow (see utils/shoeWorkflow.js): only published shoes are in the public catalog
+const SHOE_STATUSES = ['draft', 'in_review', 'published', 'rejected'];
+const REVISION_STATUSES = ['draft', 'in_review', 'rejected'];
+
+// Latest submission and decision of a shoe or revision
+const reviewSchema = new mongoose.Schema({
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  submittedAt: { type: Date },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  decision: { type: String, enum: ['approved', 'rejected'] },
+  comment: { type: String, trim: true },  // Reviewer's explanation (required when rejecting)
+}, { _id: false });
+
+// Edits to a published shoe waiting for review; the published fields stay live until it is approved
+const revisionSchema = new mongoose.Schema({
+  changes: {
+    name: { type: String },
+    price: { type: Number },
+    description: { type: String }, // null: the description is removed on approval
+    brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand' },
+    prices: { type: Map, of: Number },                 // Complete new `prices`
+    translations: { type: Map, of: translationSchema }, // Complete new `translations`
+    variantPrices: { type: Map, of: Number },          // New variant price overrides by variant ID (null removes one)
+  },
+  status: { type: String, enum: REVISION_STATUSES, default: 'draft' },
+  review: { type: reviewSchema },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Author of the first change
+  updatedAt: { type: Date },
+}, { _id: false });
+
+// Uploaded image of a shoe; files live in the configured storage adapter under `key`
+const imageSchema = new mongoose.Schema({
+  key: { type: String, required: true },          // Storage key of the original file
+  url: { type: String, required: true },          // Public URL of the original file
+  thumbnailKey: { type: String, required: true }, // Storage key of the resized thumbnail
+  thumbnailUrl: { type: String, required: true }, // Public URL of the resized thumbnail
+  contentType: { type: String },                  // MIME type of the original
+  width: { type: Number },                        // Original dimensions in pixels
+  height: { type: Number },
+  size: { type: Number },                         // Original file size in bytes
+  position: { type: Number, default: 0 },         // Display order (0 first)
+  isPrimary: { type: Boolean, default: false },   // Exactly one image is primary when any exist
+});
 
 const shoeSchema = new mongoose.Schema({
-  name: { type: String, required: true }, // Name of the shoe
-  brand: { type: String, enum: ['Nike', 'Adidas', 'Puma'], required: true }, // Predefined brands
-  price: { type: Number, required: true }, // Price in your local currency
-  description: { type: String },           // Optional: shoe details
-  image: { type: String },                 // Filename of uploaded image
+  name: { type: String, required: true }, // Name of the shoe in the default locale
+  brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', required: true }, // Owning brand
+  price: { type: Number, required: true }, // List price in the default currency (changes are kept in PriceHistory)
+  prices: { type: Map, of: { type: Number, min: 0 } }, // Explicit list prices in other currencies, by ISO code
+  promotion: { type: appliedPromotionSchema }, // Active discount, maintained by the promotion scheduler
+  effectivePrice: { type: Number },            // List price after `promotion` (kept in sync on save)
+  description: { type: String },           // Optional: shoe details in the default locale
+  translations: { type: Map, of: translationSchema }, // Name/description in other locales, by language tag
+  image: { type: String },                 // URL of the primary image (kept in sync with `images`)
+  images: { type: [imageSchema], default: [] }, // Ordered image gallery
+  variants: { type: [variantSchema], default: [] }, // Size/color variants with per-variant stock
+  status: { type: String, enum: SHOE_STATUSES, default: 'draft' }, // Review workflow state
+  review: { type: reviewSchema },          // Latest review of the shoe (or of its last revision)
+  revision: { type: revisionSchema },      // Pending edits of a published shoe
+  publishedAt: { type: Date },             // First approval
   createdAt: { type: Date, default: Date.now } // Timestamp
+}, {
+  // Include virtuals (e.g. availability) in API responses
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+  // Every save bumps __v (the ETag of GET/PATCH /api/shoes/:id) and fails if another save came first
+  optimisticConcurrency: true,
+});
+
+// Aggregate stock across all variants, used by listings to show availability
+shoeSchema.virtual('availability').get(function () {
+  const variants = this.variants || [];
+  const totalStock = variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+
+  return {
+    totalStock,
+    inStock: totalStock > 0,
+    variantCount: variants.length,
+    variantsInStock: variants.filter((variant) => variant.stock > 0).length,
+  };
+});
+
+// Keep gallery positions contiguous, guarantee a single primary image and mirror it to `image`
+shoeSchema.methods.normalizeImages = function () {
+  this.images.sort((a, b) => a.position - b.position);
+  this.images.forEach((image, index) => { image.position = index; });
+
+  if (this.images.length > 0 && !this.images.some((image) => image.isPrimary)) {
+    this.images[0].isPrimary = true;
+  }
+
+  const primary = this.images.find((image) => image.isPrimary);
+  this.image = primary ? primary.url : undefined;
+};
+
+// A new, moved or restored shoe picks up the brand's running promotions straight away; after that
+// the scheduler maintains `promotion`. The effective price always follows the list price
+shoeSchema.pre('save', async function () {
+  if (this.promotion && this.promotion.endsAt <= new Date()) this.promotion = undefined;
+
+  if (this.isNew || this.isModified('brand') || this.isModified('deletedAt')) {
+    const now = new Date();
+    const promotions = await Promotion.find({
+      brand: this.brand,
+      status: 'active',
+      startsAt: { $lte: now },
+      endsAt: { $gt: now },
+      $or: [{ shoes: { $size: 0 } }, { shoes: this._id }],
+    }).lean();
+    this.promotion = toAppliedPromotion(pickBestPromotion(this.price, promotions));
+  }
+
+  this.effectivePrice = applyDiscount(this.price, this.promotion);
 });
 
-module.exports = mongoose.model('Shoe', shoeSchema);
+// SKUs must also be unique within a single shoe (the index below only covers other shoes), and
+// `prices`/`translations` may only be keyed by currency codes and language tags
+shoeSchema.pre('validate', function (next) {
+  const skus = (this.variants || []).map((variant) => variant.sku && variant.sku.toUpperCase());
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate('variants', 'Duplicate SKU within shoe variants');
+  }
+
+  // The default currency and locale live in price/name/description, which are always required
+  [...(this.prices || new Map()).keys()].forEach((currency) => {
+    if (!CURRENCY_PATTERN.test(currency)) this.invalidate(`prices.${currency}`, 'Unknown currency code');
+    if (currency === DEFAULT_CURRENCY) this.invalidate(`prices.${currency}`, 'The default currency price is `price`');
+  });
+  [...(this.translations || new Map()).entries()].forEach(([locale, translation]) => {
+    if (!LOCALE_PATTERN.test(locale)) this.invalidate(`translations.${locale}`, 'Invalid language tag');
+    if (locale === DEFAULT_LOCALE) {
+      this.invalidate(`translations.${locale}`, 'The default locale content is `name` and `description`');
+    }
+    if (!translation || (!translation.name && !translation.description)) {
+      this.invalidate(`translations.${locale}`, 'A translation needs a name or a description');
+    }
+  });
+  next();
+});
+
+// Indexes backing the list endpoint: brand scoping combined with sorting/filtering,
+// plus a text index for search across name and description (name matches rank higher)
+shoeSchema.index({ brand: 1, createdAt: -1 });
+shoeSchema.index({ brand: 1, price: 1 });
+shoeSchema.index({ brand: 1, effectivePrice: 1 });
+shoeSchema.index({ brand: 1, name: 1 });
+shoeSchema.index({ name: 'text', description: 'text' }, { weights: { name: 3, description: 1 } });
+
+// Public catalog (published shoes only) and the review queue
+shoeSchema.index({ status: 1, brand: 1, createdAt: -1 });
+shoeSchema.index({ 'revision.status': 1 }, { sparse: true });
+
+// SKU uniqueness across the whole catalog; partial so shoes without variants don't collide
+shoeSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Adds deletedAt/deletedBy and hides trashed documents from queries by default
+shoeSchema.plugin(softDelete);
+
+// Records every list price change (shoe and variant overrides) in PriceHistory
+shoeSchema.plugin(priceHistory);
+
+const Shoe = mongoose.model('Shoe', shoeSchema);
+
+module.exports = Shoe;
+module.exports.SHOE_STATUSES = SHOE_STATUSES;
@@ -1,25 +1,63 @@
 // Mongoose schema for user documents
-// Includes required fields and validations for role-based access control
+// Includes required fields and validations for permission-based access control
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const Role = require('./Role');
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },               // Full name
-  email: { type: String, required: true, unique: true },// Unique email address
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true }, // Unique email address, stored lowercased
   password: { type: String, required: true },           // Hashed password
 
-  brand: {
-    type: String,
-    required: function () {
-      // Brand is only required for users with role 'brand_user'
-      return this.role === 'brand_user';
-    },
-  },
+  brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand' }, // Required for brand-scoped roles (see below)
+
+  // Name of a Role document; the role's permissions decide what the user may do
+  role: { type: String, lowercase: true, trim: true, default: 'customer' }, // Least privilege unless invited
+
+  // Incremented whenever role or brand changes so previously issued access tokens stop working
+  tokenVersion: { type: Number, default: 0 },
+
+  // Brute-force protection (see utils/loginLockout.js)
+  failedLoginAttempts: { type: Number, default: 0 }, // Consecutive failures since the last lock or success
+  lockCount: { type: Number, default: 0 },           // Locks since the last successful login (lock length doubles)
+  lockUntil: { type: Date },                         // Login refused until this time
+
+  // Email ownership verification
+  emailVerified: { type: Boolean, default: false },
+  emailVerificationTokenHash: { type: String, select: false }, // SHA-256 of the emailed token
+  emailVerificationExpires: { type: Date, select: false },
 
-  role: {
-    type: String,
-    enum: ['brand_user', 'super_admin'], // Role-based access
-    default: 'brand_user',
+  // Password reset (single-use, expiring)
+  passwordResetTokenHash: { type: String, select: false },     // SHA-256 of the emailed token
+  passwordResetExpires: { type: Date, select: false },
+}, {
+  timestamps: true, // Automatically adds createdAt and updatedAt fields
+  // Every save bumps __v (the ETag of GET/PATCH /api/users/:id) and fails if another save came first
+  optimisticConcurrency: true,
+});
+
+// The role must exist, and brand-scoped roles need a brand to be scoped to
+userSchema.pre('validate', async function () {
+  if (!this.isNew && !this.isModified('role') && !this.isModified('brand')) return;
+
+  const role = await Role.findOne({ name: this.role }).lean();
+  if (!role) {
+    this.invalidate('role', `Unknown role: ${this.role}`, this.role);
+  } else if (role.scope === 'brand' && !this.brand) {
+    this.invalidate('brand', `Brand is required for role ${this.role}`);
   }
-}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+});
+
+// Never serialize the password hash or session version into API responses
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.tokenVersion;
+    return ret;
+  },
+});
+
+// Adds deletedAt/deletedBy and hides trashed documents from queries by default
+userSchema.plugin(softDelete);
 
 module.exports = mongoose.model('User', userSchema);
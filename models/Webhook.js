@@ -0,0 +1,39 @@
+// Mongoose schema for webhook subscriptions - URLs notified when catalog or user events happen
+// Deliveries are queued in WebhookDelivery and sent by utils/webhookDispatcher.js
+const mongoose = require('mongoose');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  'shoe.created',
+  'shoe.updated',
+  'shoe.published',
+  'shoe.deleted',
+  'shoe.restored',
+  'user.role_changed',
+];
+
+const webhookSchema = new mongoose.Schema({
+  // Events of this brand are delivered; global subscriptions (no brand, global roles only) get every brand
+  brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand' },
+  url: { type: String, required: true, trim: true },             // http(s) endpoint receiving POSTs
+  events: [{ type: String, enum: WEBHOOK_EVENTS, required: true }],
+  description: { type: String, trim: true },
+  secret: { type: String, required: true, select: false },        // HMAC key; shown once on creation
+  active: { type: Boolean, default: true },                       // Inactive webhooks receive nothing
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
+
+webhookSchema.index({ brand: 1, active: 1 });
+
+// Never serialize the secret, even when it was explicitly selected
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  },
+});
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
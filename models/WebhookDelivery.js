@@ -0,0 +1,42 @@
+// Mongoose schema for webhook deliveries - the persistent delivery queue and its log
+// One document per event and webhook; the dispatcher retries pending ones with exponential backoff
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Finished deliveries are kept this long for the delivery log
+const RETENTION_DAYS = Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+// One HTTP attempt
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  responseStatus: { type: Number },  // Missing when no response was received
+  error: { type: String },           // Network error, timeout or refused destination
+  durationMs: { type: Number },
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  brand: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand' }, // Brand the event belongs to
+  event: { type: String, required: true },
+  eventId: { type: String, required: true },        // Shared by the deliveries of one event; lets receivers deduplicate
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // Body sent (as JSON)
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  attemptLog: { type: [attemptSchema], default: [] },
+  nextAttemptAt: { type: Date, default: Date.now },  // When a pending delivery is due
+  lockedUntil: { type: Date },                       // Claimed by a dispatcher until then
+  responseStatus: { type: Number },                  // Of the last attempt
+  responseBody: { type: String },                    // Of the last attempt (truncated)
+  deliveredAt: { type: Date },
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' }, // Manual redelivery source
+  createdAt: { type: Date, default: Date.now, expires: `${RETENTION_DAYS}d` },
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -0,0 +1,61 @@
+// Mongoose plugin recording every list price change of a shoe and its variants in PriceHistory
+// Set doc.$locals.changedBy (user ID) and optionally doc.$locals.priceSource before saving to
+// attribute the change; documents are compared with the prices they had when loaded
+const PriceHistory = require('../PriceHistory');
+const logger = require('../../utils/logger');
+
+// Current prices of a shoe: { price, variants: { [variantId]: { price, sku } } }
+const capturePrices = (doc) => ({
+  price: doc.price,
+  variants: Object.fromEntries((doc.variants || []).map((variant) => [
+    variant._id.toString(),
+    { price: variant.price === undefined ? null : variant.price, sku: variant.sku },
+  ])),
+});
+
+const priceHistory = (schema) => {
+  // Remember the prices as loaded so saves can tell what changed
+  schema.post('init', function () {
+    this.$locals.loadedPrices = capturePrices(this);
+  });
+
+  // Work out the price changes this save makes
+  schema.pre('save', function () {
+    const before = this.$locals.loadedPrices || { price: null, variants: {} };
+    const after = capturePrices(this);
+    const base = { shoe: this._id, brand: this.brand };
+    const changes = [];
+
+    if (before.price !== after.price) {
+      changes.push({ ...base, oldPrice: before.price, newPrice: after.price });
+    }
+
+    // Only variant overrides are recorded; a variant without one follows the shoe price
+    Object.entries(after.variants).forEach(([id, variant]) => {
+      const old = before.variants[id];
+      const oldPrice = old ? old.price : null;
+      if (oldPrice !== variant.price && !(oldPrice === null && variant.price === null)) {
+        changes.push({ ...base, variant: id, sku: variant.sku, oldPrice, newPrice: variant.price });
+      }
+    });
+
+    this.$locals.pendingPriceChanges = changes;
+    this.$locals.loadedPrices = after;
+  });
+
+  // Persist the changes once the shoe itself is saved; history must never fail the save
+  schema.post('save', async function () {
+    const changes = this.$locals.pendingPriceChanges || [];
+    this.$locals.pendingPriceChanges = [];
+    if (changes.length === 0) return;
+
+    const meta = { changedBy: this.$locals.changedBy, source: this.$locals.priceSource || 'manual' };
+    try {
+      await PriceHistory.insertMany(changes.map((change) => ({ ...change, ...meta })));
+    } catch (error) {
+      logger.error('Price history error', { error });
+    }
+  });
+};
+
+module.exports = priceHistory;
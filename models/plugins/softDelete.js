@@ -0,0 +1,59 @@
+// Mongoose plugin adding soft deletion (deletedAt/deletedBy) to a schema
+// Queries exclude soft-deleted documents by default; opt back in with
+// .setOptions({ withDeleted: true }) or by filtering on deletedAt explicitly
+const mongoose = require('mongoose');
+
+// Query operations that hide soft-deleted documents
+// Hard deletes (deleteOne, deleteMany, findOneAndDelete) are deliberately left out: purging is how
+// trashed documents are removed for good, so those must still reach them
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },                        // When the document was moved to trash
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Who moved it to trash
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) return;
+
+    // $text matches must stay the first stage, so merge into a leading $match when there is one
+    const pipeline = this.pipeline();
+    if (pipeline[0] && pipeline[0].$match) {
+      if (pipeline[0].$match.deletedAt === undefined) pipeline[0].$match.deletedAt = null;
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  // Move the document to trash
+  schema.methods.softDelete = function (userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  // Bring the document back from trash
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+};
+
+module.exports = softDelete;
@@ -0,0 +1,53 @@
+// Routes for catalog statistics behind the admin dashboard
+// Brand-scoped roles get numbers for their own brand; global roles can compare brands
+const express = require('express');
+const router = express.Router();
+const {
+  getSummary,
+  getShoesOverTime,
+  getPriceDistribution,
+  getBrandComparison,
+} = require('../controllers/analyticsController');
+
+const apiKeyMiddleware = require('../middleware/apiKeyMiddleware');
+const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const { Joi, brandRef } = require('../utils/validators');
+
+// Request schemas
+// Every statistic can be limited to a brand (global roles) and a creation date range
+const scopeQuery = {
+  brand: brandRef(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+};
+const summaryQuery = Joi.object(scopeQuery);
+const overTimeQuery = Joi.object({
+  ...scopeQuery,
+  interval: Joi.string().valid('day', 'week', 'month', 'year'),
+});
+const distributionQuery = Joi.object({
+  ...scopeQuery,
+  buckets: Joi.number().integer().min(1).max(50),
+  bucketSize: Joi.number().positive(),
+}).oxor('buckets', 'bucketSize');
+const comparisonQuery = Joi.object({ from: scopeQuery.from, to: scopeQuery.to });
+
+router.use(apiKeyMiddleware); // Brand API keys are accepted as well as logins
+router.use(authMiddleware);
+router.use(requirePermission('analytics:read'));
+
+// GET /api/analytics/summary -> Catalog size, price statistics and inventory value
+router.get('/summary', validate({ query: summaryQuery }), getSummary);
+
+// GET /api/analytics/shoes-over-time -> Shoes added per day/week/month/year
+router.get('/shoes-over-time', validate({ query: overTimeQuery }), getShoesOverTime);
+
+// GET /api/analytics/price-distribution -> Shoe counts per price range
+router.get('/price-distribution', validate({ query: distributionQuery }), getPriceDistribution);
+
+// GET /api/analytics/brands -> Cross-brand comparison (global roles only)
+router.get('/brands', validate({ query: comparisonQuery }), getBrandComparison);
+
+module.exports = router;
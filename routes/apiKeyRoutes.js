@@ -0,0 +1,63 @@
+// Routes for API keys - credentials for a brand's integrations (e.g. a nightly warehouse sync)
+// Everything here needs api_key:manage and a user login: keys cannot manage keys
+const express = require('express');
+const router = express.Router();
+const {
+  getApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+} = require('../controllers/apiKeyController');
+
+const authMiddleware = require('../middleware/authMiddleware');
+const verifiedMiddleware = require('../middleware/verifiedMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const { Joi, idParams, brandRef, paginationQuery } = require('../utils/validators');
+const { API_KEY_PERMISSIONS } = require('../models/ApiKey');
+
+// Request schemas
+const apiKeyFields = {
+  name: Joi.string().trim().min(1).max(100),
+  permissions: Joi.array().items(Joi.string().valid(...API_KEY_PERMISSIONS)).min(1),
+  expiresAt: Joi.date().iso().greater('now'),
+};
+const createApiKeyBody = Joi.object({
+  ...apiKeyFields,
+  brand: brandRef(),
+}).fork(['name', 'permissions'], (field) => field.required());
+const updateApiKeyBody = Joi.object({
+  ...apiKeyFields,
+  expiresAt: apiKeyFields.expiresAt.allow(null),
+}).min(1);
+const listApiKeysQuery = Joi.object({
+  ...paginationQuery,
+  brand: brandRef(),
+  revoked: Joi.boolean(),
+});
+
+router.use(authMiddleware);
+router.use(verifiedMiddleware);
+router.use(requirePermission('api_key:manage'));
+
+// GET /api/api-keys -> List API keys
+router.get('/', validate({ query: listApiKeysQuery }), getApiKeys);
+
+// POST /api/api-keys -> Issue a key (the response holds the key itself)
+router.post('/', validate({ body: createApiKeyBody }), createApiKey);
+
+// GET /api/api-keys/:id -> A single API key
+router.get('/:id', validate({ params: idParams }), getApiKey);
+
+// PUT /api/api-keys/:id -> Rename a key or change its permissions or expiry
+router.put('/:id', validate({ params: idParams, body: updateApiKeyBody }), updateApiKey);
+
+// DELETE /api/api-keys/:id -> Revoke a key
+router.delete('/:id', validate({ params: idParams }), revokeApiKey);
+
+// POST /api/api-keys/:id/rotate -> Replace a key with a new one
+router.post('/:id/rotate', validate({ params: idParams }), rotateApiKey);
+
+module.exports = router;
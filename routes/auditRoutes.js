@@ -0,0 +1,29 @@
+// Routes for reading the audit log
+// Global roles see everything; brand-scoped roles get a view scoped to their brand
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs } = require('../controllers/auditController');
+
+const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const { Joi, objectId, paginationQuery } = require('../utils/validators');
+
+// Request schemas
+const auditQuery = Joi.object({
+  ...paginationQuery,
+  actor: objectId(),
+  targetId: objectId(),
+  targetType: Joi.string().trim().max(50),
+  action: Joi.string().trim().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+});
+
+router.use(authMiddleware);
+router.use(requirePermission('audit:read'));
+
+// GET /api/audit -> List audit log entries
+router.get('/', validate({ query: auditQuery }), getAuditLogs);
+
+module.exports = router;
@@ -1,12 +1,81 @@
-// Routes for user authentication: register and login
+// Routes for user authentication: register, login, token refresh, logout,
+// email verification and password reset
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/authController');
+const {
+  register,
+  registerCustomer,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+} = require('../controllers/authController');
+const authMiddleware = require('../middleware/authMiddleware');
+const validate = require('../middleware/validate');
+const { authIpRateLimit, authAccountRateLimit } = require('../middleware/rateLimit');
+const { Joi } = require('../utils/validators');
 
-// POST /api/auth/register -> Register a new user
-router.post('/register', register);
+// Request schemas
+const email = () => Joi.string().trim().lowercase().email();
+const registerBody = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  email: email().required(),
+  password: Joi.string().min(8).max(128).required(),
+  inviteToken: Joi.string().trim(), // Required for staff accounts; role and brand come from the invite
+});
+const registerCustomerBody = registerBody.fork(['inviteToken'], (field) => field.forbidden());
+const loginBody = Joi.object({
+  email: email().required(),
+  password: Joi.string().required(),
+});
+const refreshTokenBody = Joi.object({ refreshToken: Joi.string().required() });
+const tokenBody = Joi.object({ token: Joi.string().required() });
+const forgotPasswordBody = Joi.object({ email: email().required() });
+const resetPasswordBody = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(8).max(128).required(),
+});
 
-// POST /api/auth/login -> Login and receive token
-router.post('/login', login);
+// Every auth route is throttled per client IP; routes naming an account (email) also per account
+router.use(authIpRateLimit);
+
+// POST /api/auth/register -> Register a new user (staff accounts need an inviteToken from /api/invites)
+router.post('/register', authAccountRateLimit, validate({ body: registerBody }), register);
+
+// POST /api/auth/register/customer -> Register a shopper account (no brand)
+router.post(
+  '/register/customer',
+  authAccountRateLimit,
+  validate({ body: registerCustomerBody }),
+  registerCustomer
+);
+
+// POST /api/auth/login -> Login and receive access + refresh tokens
+router.post('/login', authAccountRateLimit, validate({ body: loginBody }), login);
+
+// POST /api/auth/refresh -> Exchange a refresh token for a new token pair
+router.post('/refresh', validate({ body: refreshTokenBody }), refresh);
+
+// POST /api/auth/logout -> Revoke the given refresh token
+router.post('/logout', validate({ body: refreshTokenBody }), logout);
+
+// POST /api/auth/logout-all -> Revoke every session of the current user
+router.post('/logout-all', authMiddleware, logoutAll);
+
+// POST /api/auth/verify-email -> Confirm email ownership with the emailed token
+router.post('/verify-email', validate({ body: tokenBody }), verifyEmail);
+
+// POST /api/auth/resend-verification -> Email a new verification link to the current user
+router.post('/resend-verification', authMiddleware, resendVerification);
+
+// POST /api/auth/forgot-password -> Email a password reset link
+router.post('/forgot-password', authAccountRateLimit, validate({ body: forgotPasswordBody }), forgotPassword);
+
+// POST /api/auth/reset-password -> Set a new password with the emailed token
+router.post('/reset-password', validate({ body: resetPasswordBody }), resetPassword);
 
 module.exports = router;
@@ -0,0 +1,47 @@
+// Routes for managing brands (requires brand:manage)
+const express = require('express');
+const router = express.Router();
+const {
+  getBrands,
+  getBrand,
+  createBrand,
+  updateBrand,
+  deleteBrand,
+} = require('../controllers/brandController');
+
+const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const { Joi, idParams } = require('../utils/validators');
+
+// Request schemas
+const brandFields = {
+  name: Joi.string().trim().min(1).max(100),
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(100)
+    .messages({ 'string.pattern.base': 'slug may only contain lowercase letters, digits and dashes' }),
+  logo: Joi.string().trim().max(500).allow(''),
+  active: Joi.boolean(),
+};
+const createBrandBody = Joi.object(brandFields).fork(['name'], (field) => field.required());
+const updateBrandBody = Joi.object(brandFields).min(1);
+
+// Protect all routes with auth and the brand:manage permission
+router.use(authMiddleware);
+router.use(requirePermission('brand:manage'));
+
+// GET /api/brands -> Get all brands
+router.get('/', getBrands);
+
+// GET /api/brands/:id -> Get a brand by ID
+router.get('/:id', validate({ params: idParams }), getBrand);
+
+// POST /api/brands -> Create a brand
+router.post('/', validate({ body: createBrandBody }), createBrand);
+
+// PUT /api/brands/:id -> Update a brand (including activate/deactivate)
+router.put('/:id', validate({ params: idParams, body: updateBrandBody }), updateBrand);
+
+// DELETE /api/brands/:id -> Delete an unused brand
+router.delete('/:id', validate({ params: idParams }), deleteBrand);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+// Routes for the shopping cart (anonymous via X-Cart-Id header, or logged in)
+const express = require('express');
+const router = express.Router();
+const {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  mergeCart,
+} = require('../controllers/cartController');
+
+const authMiddleware = require('../middleware/authMiddleware');
+const optionalAuthMiddleware = require('../middleware/optionalAuthMiddleware');
+const validate = require('../middleware/validate');
+const { Joi, objectId } = require('../utils/validators');
+
+// Request schemas
+const quantity = () => Joi.number().integer().min(1).max(100);
+const addItemBody = Joi.object({
+  shoe: objectId().required(),
+  variant: objectId().required(),
+  quantity: quantity().default(1),
+});
+const updateItemBody = Joi.object({ quantity: quantity().required() });
+const itemParams = Joi.object({ itemId: objectId().required() });
+
+// POST /api/cart/merge -> Merge the anonymous cart into the user's cart (login required)
+router.post('/merge', authMiddleware, mergeCart);
+
+// All other cart routes work with or without login
+router.use(optionalAuthMiddleware);
+
+// GET /api/cart -> Get the current cart
+router.get('/', getCart);
+
+// POST /api/cart/items -> Add an item
+router.post('/items', validate({ body: addItemBody }), addItem);
+
+// PUT /api/cart/items/:itemId -> Change an item's quantity
+router.put('/items/:itemId', validate({ params: itemParams, body: updateItemBody }), updateItem);
+
+// DELETE /api/cart/items/:itemId -> Remove an item
+router.delete('/items/:itemId', validate({ params: itemParams }), removeItem);
+
+// DELETE /api/cart -> Empty the cart
+router.delete('/', clearCart);
+
+module.exports = router;
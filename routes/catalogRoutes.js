@@ -0,0 +1,40 @@
+// Public, unauthenticated storefront routes (read-only)
+// The authenticated /api/shoes routes remain the management interface
+const express = require('express');
+const router = express.Router();
+const { listShoes, getShoe, getBrand } = require('../controllers/catalogController');
+const validate = require('../middleware/validate');
+const { Joi, idParams, price, currencyCode, localeTag, paginationQuery } = require('../utils/validators');
+
+// Request schemas
+// Every page can be shown in another currency and locale (Accept-Language is used without ?locale=)
+const marketQuery = {
+  currency: currencyCode(),
+  locale: localeTag(),
+};
+const browseFilters = {
+  ...marketQuery,
+  ...paginationQuery,
+  q: Joi.string().trim().max(200),
+  minPrice: price(),
+  maxPrice: price(),
+  size: Joi.string().trim().max(20),
+  color: Joi.string().trim().max(50),
+  inStock: Joi.boolean(),
+  sort: Joi.string().valid('price', '-price', 'name', '-name', 'createdAt', '-createdAt'),
+};
+const listQuery = Joi.object({ ...browseFilters, brand: Joi.string().trim().lowercase().max(100) });
+const brandQuery = Joi.object(browseFilters);
+const brandParams = Joi.object({ brand: Joi.string().trim().lowercase().max(100).required() });
+const detailQuery = Joi.object(marketQuery);
+
+// GET /api/catalog/shoes -> Browse published shoes
+router.get('/shoes', validate({ query: listQuery }), listShoes);
+
+// GET /api/catalog/shoes/:id -> Product detail
+router.get('/shoes/:id', validate({ params: idParams, query: detailQuery }), getShoe);
+
+// GET /api/catalog/brands/:brand -> Brand page with its shoes (by slug)
+router.get('/brands/:brand', validate({ params: brandParams, query: brandQuery }), getBrand);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// Routes serving the API documentation: the OpenAPI document and an interactive Swagger UI page
+// Public - the document only describes the API, it grants nothing
+const express = require('express');
+const router = express.Router();
+const swaggerUiDist = require('swagger-ui-dist');
+const { buildOpenApiSpec } = require('../utils/openapi');
+
+// The routes cannot change while the process runs, so the document is built once on first use
+let spec = null;
+
+// Swagger UI page; assets are served from the swagger-ui-dist package below
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Shoe Brand API docs</title>
+  <link rel="stylesheet" href="docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="docs/assets/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+// GET /api/openapi.json -> The OpenAPI 3 document
+router.get('/openapi.json', (req, res) => {
+  if (!spec) spec = buildOpenApiSpec();
+  res.json(spec);
+});
+
+// GET /api/docs -> Interactive documentation
+// Relative asset URLs above assume no trailing slash, so /api/docs/ is redirected
+router.get('/docs', (req, res) => {
+  if (req.originalUrl.split('?')[0].endsWith('/')) return res.redirect(301, '/api/docs');
+  res.type('html').send(DOCS_PAGE);
+});
+
+// GET /api/docs/assets/* -> Swagger UI scripts and styles
+router.use('/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// Routes for exchange rates - the currencies shoes can be listed in besides the default one
+// Listing is public; changing the table needs currency:manage
+const express = require('express');
+const router = express.Router();
+const {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+} = require('../controllers/exchangeRateController');
+
+const authMiddleware = require('../middleware/authMiddleware');
+const verifiedMiddleware = require('../middleware/verifiedMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const { Joi, currencyCode } = require('../utils/validators');
+
+// Request schemas
+const currencyParams = Joi.object({ currency: currencyCode().required() });
+const setRateBody = Joi.object({ rate: Joi.number().positive().precision(6).required() });
+
+// GET /api/exchange-rates -> Default currency and the offered currencies with their rates
+router.get('/', getExchangeRates);
+
+// PUT /api/exchange-rates/:currency -> Add a currency or change its rate
+router.put(
+  '/:currency',
+  authMiddleware,
+  verifiedMiddleware,
+  requirePermission('currency:manage'),
+  validate({ params: currencyParams, body: setRateBody }),
+  setExchangeRate
+);
+
+// DELETE /api/exchange-rates/:currency -> Stop offering a currency
+router.delete(
+  '/:currency',
+  authMiddleware,
+  verifiedMiddleware,
+  requirePermission('currency:manage'),
+  validate({ params: currencyParams }),
+  deleteExchangeRate
+);
+
+module.exports = router;
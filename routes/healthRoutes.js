@@ -0,0 +1,16 @@
+// Routes for monitoring: liveness and readiness probes and Prometheus metrics
+// Mounted before the API rate limit so probes and scrapers are never throttled
+const express = require('express');
+const router = express.Router();
+const { live, ready, metrics } = require('../controllers/healthController');
+
+// GET /api/health/live -> The process is up
+router.get('/health/live', live);
+
+// GET /api/health/ready -> MongoDB is connected and answering (503 otherwise)
+router.get('/health/ready', ready);
+
+// GET /api/metrics -> Prometheus metrics (Bearer METRICS_TOKEN when that is set)
+router.get('/metrics', metrics);
+
+module.exports = router;
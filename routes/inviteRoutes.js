@@ -0,0 +1,42 @@
+// Routes for inviting staff (brand users, brand admins, super admins)
+// Global roles invite to any brand; brand admins invite to their own brand
+const express = require('express');
+const router = express.Router();
+const {
+  createInvite,
+  getInvites,
+  resendInvite,
+  revokeInvite,
+} = require('../controllers/inviteController');
+
+const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const { Joi, idParams, role, brandRef, paginationQuery } = require('../utils/validators');
+
+// Request schemas
+const createInviteBody = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  role: role().required(),
+  brand: brandRef(),
+});
+const listInvitesQuery = Joi.object({
+  ...paginationQuery,
+  status: Joi.string().valid('pending', 'accepted', 'revoked', 'expired'),
+});
+
+router.use(authMiddleware);
+
+// GET /api/invites -> List invites
+router.get('/', requirePermission('user:read'), validate({ query: listInvitesQuery }), getInvites);
+
+// POST /api/invites -> Invite someone with a pre-bound role and brand
+router.post('/', requirePermission('user:manage'), validate({ body: createInviteBody }), createInvite);
+
+// POST /api/invites/:id/resend -> Send the invite again with a new token
+router.post('/:id/resend', requirePermission('user:manage'), validate({ params: idParams }), resendInvite);
+
+// DELETE /api/invites/:id -> Revoke a pending invite
+router.delete('/:id', requirePermission('user:manage'), validate({ params: idParams }), revokeInvite);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// Routes for placing and managing orders
+const express = require('express');
+const router = express.Router();
+const {
+  createOrder,
+  getOrders,
+  getOrder,
+  updateOrderStatus,
+  cancelOrder,
+} = require('../controllers/orderController');
+const { ORDER_STATUSES } = require('../models/Order');
+
+const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const { Joi, objectId, idParams, paginationQuery } = require('../utils/validators');
+
+// Request schemas
+const createOrderBody = Joi.object({
+  items: Joi.array().items(Joi.object({
+    shoe: objectId().required(),
+    variant: objectId().required(),
+    quantity: Joi.number().integer().min(1).max(100).required(),
+  })).min(1).max(50).required(),
+  shippingAddress: Joi.object({
+    name: Joi.string().trim().max(100),
+    line1: Joi.string().trim().max(200),
+    line2: Joi.string().trim().allow('').max(200),
+    city: Joi.string().trim().max(100),
+    postalCode: Joi.string().trim().max(20),
+    country: Joi.string().trim().max(100),
+  }),
+});
+const listOrdersQuery = Joi.object({ ...paginationQuery, status: Joi.string().valid(...ORDER_STATUSES) });
+const updateStatusBody = Joi.object({ status: Joi.string().valid(...ORDER_STATUSES).required() });
+
+// Every order route requires a logged-in user
+router.use(authMiddleware);
+
+// POST /api/orders -> Place an order
+router.post('/', validate({ body: createOrderBody }), createOrder);
+
+// GET /api/orders -> List visible orders (own, or brand lines / all with order:read)
+router.get('/', validate({ query: listOrdersQuery }), getOrders);
+
+// GET /api/orders/:id -> Get an order by ID
+router.get('/:id', validate({ params: idParams }), getOrder);
+
+// PUT /api/orders/:id/status -> Change order status
+router.put(
+  '/:id/status',
+  requirePermission('order:manage'),
+  validate({ params: idParams, body: updateStatusBody }),
+  updateOrderStatus
+);
+
+// POST /api/orders/:id/cancel -> Cancel an order and restore stock
+router.post('/:id/cancel', validate({ params: idParams }), cancelOrder);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+// Routes for promotions - scheduled discounts on a brand's shoes
+// Anyone who can see the catalog can list promotions; planning them needs promotion:manage
+const express = require('express');
+const router = express.Router();
+const {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  cancelPromotion,
+} = require('../controllers/promotionController');
+
+const apiKeyMiddleware = require('../middleware/apiKeyMiddleware');
+const authMiddleware = require('../middleware/authMiddleware');
+const verifiedMiddleware = require('../middleware/verifiedMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const { Joi, objectId, idParams, brandRef, paginationQuery } = require('../utils/validators');
+const { PROMOTION_TYPES, PROMOTION_STATUSES } = require('../models/Promotion');
+
+// Request schemas
+// Percentages are capped at 100; a fixed discount never takes a price below 0
+// endsAt must also be after startsAt, which the Promotion schema checks against the stored dates
+const promotionFields = {
+  name: Joi.string().trim().min(1).max(200),
+  type: Joi.string().valid(...PROMOTION_TYPES),
+  value: Joi.number().positive().precision(2).when('type', {
+    is: 'percentage',
+    then: Joi.number().max(100),
+  }),
+  startsAt: Joi.date().iso(),
+  endsAt: Joi.date().iso().greater('now'),
+  shoes: Joi.array().items(objectId()).max(1000),
+};
+const createPromotionBody = Joi.object({
+  ...promotionFields,
+  brand: brandRef(),
+}).fork(['name', 'type', 'value', 'startsAt', 'endsAt'], (field) => field.required());
+const updatePromotionBody = Joi.object(promotionFields).min(1);
+const listPromotionsQuery = Joi.object({
+  ...paginationQuery,
+  status: Joi.string().valid(...PROMOTION_STATUSES),
+  brand: brandRef(),
+  shoe: objectId(),
+});
+
+router.use(apiKeyMiddleware); // Brand API keys are accepted as well as logins
+router.use(authMiddleware);
+router.use(requirePermission('shoe:read'));
+
+// GET /api/promotions -> List promotions
+router.get('/', validate({ query: listPromotionsQuery }), getPromotions);
+
+// GET /api/promotions/:id -> A single promotion
+router.get('/:id', validate({ params: idParams }), getPromotion);
+
+// POST /api/promotions -> Schedule a promotion
+router.post(
+  '/',
+  verifiedMiddleware,
+  requirePermission('promotion:manage'),
+  validate({ body: createPromotionBody }),
+  createPromotion
+);
+
+// PUT /api/promotions/:id -> Change a scheduled (or extend a running) promotion
+router.put(
+  '/:id',
+  verifiedMiddleware,
+  requirePermission('promotion:manage'),
+  validate({ params: idParams, body: updatePromotionBody }),
+  updatePromotion
+);
+
+// DELETE /api/promotions/:id -> Cancel a promotion
+router.delete(
+  '/:id',
+  verifiedMiddleware,
+  requirePermission('promotion:manage'),
+  validate({ params: idParams }),
+  cancelPromotion
+);
+
+module.exports = router;
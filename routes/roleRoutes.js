@@ -0,0 +1,53 @@
+// Routes for managing roles and their permissions
+const express = require('express');
+const router = express.Router();
+const {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+} = require('../controllers/roleController');
+const { PERMISSIONS, ROLE_SCOPES } = require('../models/Role');
+
+const authMiddleware = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const { Joi, idParams, role } = require('../utils/validators');
+
+// Request schemas
+const permissionList = () => Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique();
+const createRoleBody = Joi.object({
+  name: role().required(),
+  description: Joi.string().trim().allow('').max(200),
+  scope: Joi.string().valid(...ROLE_SCOPES).required(),
+  permissions: permissionList().required(),
+});
+const updateRoleBody = Joi.object({
+  description: Joi.string().trim().allow('').max(200),
+  permissions: permissionList(),
+}).min(1);
+
+router.use(authMiddleware);
+
+// GET /api/roles -> List roles (anyone who can read users, to pick roles to assign)
+router.get('/', requirePermission('user:read'), getRoles);
+
+// GET /api/roles/permissions -> List all known permissions
+router.get('/permissions', requirePermission('user:read'), getPermissions);
+
+// POST /api/roles -> Create a custom role
+router.post('/', requirePermission('role:manage'), validate({ body: createRoleBody }), createRole);
+
+// PUT /api/roles/:id -> Update a role's description or permissions
+router.put(
+  '/:id',
+  requirePermission('role:manage'),
+  validate({ params: idParams, body: updateRoleBody }),
+  updateRole
+);
+
+// DELETE /api/roles/:id -> Delete an unused custom role
+router.delete('/:id', requirePermission('role:manage'), validate({ params: idParams }), deleteRole);
+
+module.exports = router;
@@ -1,22 +1,350 @@
 // Routes for CRUD operations on shoes
 const express = require('express');
 const router = express.Router();
-const { getShoes, createShoe, updateShoe, deleteShoe } = require('../controllers/shoeController');
+const {
+  getShoes,
+  getShoe,
+  createShoe,
+  updateShoe,
+  deleteShoe,
+  getTrashedShoes,
+  restoreShoe,
+  purgeShoe,
+} = require('../controllers/shoeController');
+const {
+  getVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+} = require('../controllers/variantController');
+const {
+  uploadImages,
+  reorderImages,
+  setPrimaryImage,
+  deleteImage,
+} = require('../controllers/imageController');
+const { importShoes, exportShoes } = require('../controllers/catalogTransferController');
+const {
+  submitShoe,
+  withdrawShoe,
+  approveShoe,
+  rejectShoe,
+  discardRevision,
+} = require('../controllers/reviewController');
+const {
+  getPriceHistory,
+  getScheduledPrices,
+  schedulePriceChange,
+  cancelScheduledPrice,
+} = require('../controllers/priceController');
+const uploadMiddleware = require('../middleware/uploadMiddleware');
+const validate = require('../middleware/validate');
+const {
+  Joi,
+  objectId,
+  idParams,
+  brandRef,
+  price,
+  currencyCode,
+  localeTag,
+  shoePrices,
+  shoeTranslations,
+  paginationQuery,
+  variantFields,
+  newVariantSchema,
+  newShoeSchema,
+} = require('../utils/validators');
+const { SHOE_STATUSES } = require('../models/Shoe');
 
-// Middleware to protect all routes
+// Largest import body accepted (CSV or JSON)
+const IMPORT_BODY_LIMIT = '5mb';
+
+// Request schemas
+const listQuery = Joi.object({
+  ...paginationQuery,
+  q: Joi.string().trim().max(200),
+  minPrice: price(),
+  maxPrice: price(),
+  brand: brandRef(),
+  createdFrom: Joi.date().iso(),
+  createdTo: Joi.date().iso(),
+  status: Joi.string().valid(...SHOE_STATUSES),
+  inReview: Joi.boolean(),
+  currency: currencyCode(),
+  locale: localeTag(),
+  sort: Joi.string().valid('price', '-price', 'name', '-name', 'createdAt', '-createdAt'),
+});
+const trashQuery = Joi.object(paginationQuery);
+const createVariantBody = newVariantSchema;
+const updateVariantBody = Joi.object(variantFields).min(1);
+const createShoeBody = newShoeSchema;
+// Partial update: absent fields are kept; only the optional description may be cleared with null
+// prices/translations are merged into the stored ones (null removes a currency or locale)
+const updateShoeBody = Joi.object({
+  name: Joi.string().trim().min(1).max(200),
+  price: price(),
+  description: Joi.string().allow('', null).max(5000),
+  prices: shoePrices({ nullable: true }),
+  translations: shoeTranslations({ nullable: true }),
+  brand: brandRef(),
+}).min(1);
+const importQuery = Joi.object({
+  dryRun: Joi.boolean(),
+  format: Joi.string().valid('csv', 'json'),
+});
+const exportQuery = Joi.object({ format: Joi.string().valid('csv', 'json') });
+const variantParams = Joi.object({ id: objectId().required(), variantId: objectId().required() });
+const imageParams = Joi.object({ id: objectId().required(), imageId: objectId().required() });
+const reorderImagesBody = Joi.object({ order: Joi.array().items(objectId()).required() });
+const priceHistoryQuery = Joi.object({ ...paginationQuery, variant: objectId() });
+const scheduledPricesQuery = Joi.object({ all: Joi.boolean() });
+const schedulePriceBody = Joi.object({
+  price: price().allow(null),
+  effectiveAt: Joi.date().iso().greater('now').required(),
+  variant: objectId(),
+});
+const approveBody = Joi.object({ comment: Joi.string().trim().max(2000) });
+const rejectBody = Joi.object({ comment: Joi.string().trim().min(1).max(2000).required() });
+const scheduledPriceParams = Joi.object({ id: objectId().required(), changeId: objectId().required() });
+
+// Middleware to protect all routes - integrations may use a brand API key instead of a login
+const apiKeyMiddleware = require('../middleware/apiKeyMiddleware');
 const authMiddleware = require('../middleware/authMiddleware');
+router.use(apiKeyMiddleware);
 router.use(authMiddleware);
 
+// Only users with a verified email address may change the catalog
+const verifiedMiddleware = require('../middleware/verifiedMiddleware');
+
+// Permission checks: every route needs shoe:read (customers use /api/catalog instead),
+// mutations additionally need the matching shoe:* permission
+const requirePermission = require('../middleware/requirePermission');
+router.use(requirePermission('shoe:read'));
+
 // GET /api/shoes -> Get all shoes
-router.get('/', getShoes);
+router.get('/', validate({ query: listQuery }), getShoes);
+
+// GET /api/shoes/trash -> List soft-deleted shoes
+router.get('/trash', validate({ query: trashQuery }), getTrashedShoes);
 
 // POST /api/shoes/create -> Add a new shoe
-router.post('/create', createShoe);
+router.post(
+  '/create',
+  verifiedMiddleware,
+  requirePermission('shoe:create'),
+  validate({ body: createShoeBody }),
+  createShoe
+);
+
+// GET /api/shoes/export -> Download the visible catalog (?format=csv|json)
+router.get('/export', validate({ query: exportQuery }), exportShoes);
+
+// POST /api/shoes/import -> Bulk create/update shoes from CSV or JSON (?dryRun=true to preview)
+// CSV (text/csv) and JSON bodies are parsed here with the import size limit; server.js leaves this
+// route out of its global JSON parser, whose default limit would reject whole catalogs
+router.post(
+  '/import',
+  verifiedMiddleware,
+  requirePermission('shoe:create', 'shoe:update'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }),
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  validate({ query: importQuery }),
+  importShoes
+);
+
+// GET /api/shoes/:id -> A single shoe (its ETag is the version to send in If-Match)
+router.get('/:id', validate({ params: idParams }), getShoe);
+
+// PATCH /api/shoes/:id -> Change some fields of a shoe (optionally If-Match guarded)
+router.patch(
+  '/:id',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: idParams, body: updateShoeBody }),
+  updateShoe
+);
+
+// PUT /api/shoes/:id -> Update a shoe by ID (same partial semantics as PATCH, kept for existing clients)
+router.put(
+  '/:id',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: idParams, body: updateShoeBody }),
+  updateShoe
+);
+
+// DELETE /api/shoes/:id -> Move a shoe to the trash
+router.delete(
+  '/:id',
+  verifiedMiddleware,
+  requirePermission('shoe:delete'),
+  validate({ params: idParams }),
+  deleteShoe
+);
+
+// POST /api/shoes/:id/restore -> Restore a shoe from the trash
+router.post(
+  '/:id/restore',
+  verifiedMiddleware,
+  requirePermission('shoe:delete'),
+  validate({ params: idParams }),
+  restoreShoe
+);
+
+// DELETE /api/shoes/:id/purge -> Permanently delete a trashed shoe
+router.delete(
+  '/:id/purge',
+  verifiedMiddleware,
+  requirePermission('shoe:purge'),
+  validate({ params: idParams }),
+  purgeShoe
+);
+
+// Review workflow: drafts and revisions of published shoes are submitted by the brand and
+// approved or rejected by reviewers (shoe:review); illegal transitions are answered with 409
+
+// POST /api/shoes/:id/submit -> Send a draft shoe (or a published shoe's revision) for review
+router.post(
+  '/:id/submit',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: idParams }),
+  submitShoe
+);
+
+// POST /api/shoes/:id/withdraw -> Take a shoe or revision back out of review
+router.post(
+  '/:id/withdraw',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: idParams }),
+  withdrawShoe
+);
+
+// POST /api/shoes/:id/approve -> Publish the shoe or apply its revision
+router.post(
+  '/:id/approve',
+  verifiedMiddleware,
+  requirePermission('shoe:review'),
+  validate({ params: idParams, body: approveBody }),
+  approveShoe
+);
+
+// POST /api/shoes/:id/reject -> Reject the shoe or its revision with a comment
+router.post(
+  '/:id/reject',
+  verifiedMiddleware,
+  requirePermission('shoe:review'),
+  validate({ params: idParams, body: rejectBody }),
+  rejectShoe
+);
+
+// DELETE /api/shoes/:id/revision -> Discard the pending revision of a published shoe
+router.delete(
+  '/:id/revision',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: idParams }),
+  discardRevision
+);
+
+// GET /api/shoes/:id/price-history -> List price changes of a shoe and its variants
+router.get(
+  '/:id/price-history',
+  validate({ params: idParams, query: priceHistoryQuery }),
+  getPriceHistory
+);
+
+// GET /api/shoes/:id/scheduled-prices -> List pending (or ?all=true every) scheduled price changes
+router.get(
+  '/:id/scheduled-prices',
+  validate({ params: idParams, query: scheduledPricesQuery }),
+  getScheduledPrices
+);
+
+// POST /api/shoes/:id/scheduled-prices -> Schedule a list price change
+router.post(
+  '/:id/scheduled-prices',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: idParams, body: schedulePriceBody }),
+  schedulePriceChange
+);
+
+// DELETE /api/shoes/:id/scheduled-prices/:changeId -> Cancel a pending price change
+router.delete(
+  '/:id/scheduled-prices/:changeId',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: scheduledPriceParams }),
+  cancelScheduledPrice
+);
+
+// GET /api/shoes/:id/variants -> List variants of a shoe
+router.get('/:id/variants', validate({ params: idParams }), getVariants);
+
+// POST /api/shoes/:id/variants -> Add a size/color variant
+router.post(
+  '/:id/variants',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: idParams, body: createVariantBody }),
+  createVariant
+);
+
+// PUT /api/shoes/:id/variants/:variantId -> Update a variant
+router.put(
+  '/:id/variants/:variantId',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: variantParams, body: updateVariantBody }),
+  updateVariant
+);
+
+// DELETE /api/shoes/:id/variants/:variantId -> Remove a variant
+router.delete(
+  '/:id/variants/:variantId',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: variantParams }),
+  deleteVariant
+);
+
+// POST /api/shoes/:id/images -> Upload images (multipart, field "images")
+router.post(
+  '/:id/images',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: idParams }),
+  uploadMiddleware,
+  uploadImages
+);
+
+// PUT /api/shoes/:id/images/order -> Reorder the image gallery
+router.put(
+  '/:id/images/order',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: idParams, body: reorderImagesBody }),
+  reorderImages
+);
 
-// PUT /api/shoes/:id -> Update a shoe by ID
-router.put('/:id', updateShoe);
+// PUT /api/shoes/:id/images/:imageId/primary -> Set the primary image
+router.put(
+  '/:id/images/:imageId/primary',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: imageParams }),
+  setPrimaryImage
+);
 
-// DELETE /api/shoes/:id -> Delete a shoe by ID
-router.delete('/:id', deleteShoe);
+// DELETE /api/shoes/:id/images/:imageId -> Delete an image
+router.delete(
+  '/:id/images/:imageId',
+  verifiedMiddleware,
+  requirePermission('shoe:update'),
+  validate({ params: imageParams }),
+  deleteImage
+);
 
 module.exports = router;
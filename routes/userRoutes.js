@@ -1,22 +1,76 @@
-// Routes for managing users (Super Admin only)
+// Routes for managing users
+// Global roles manage every user; brand-scoped roles (brand_admin) manage their own brand's users
 const express = require('express');
 const router = express.Router();
-const { getUsers, deleteUser, updateUser } = require('../controllers/userController');
+const {
+  getUsers,
+  getUser,
+  deleteUser,
+  updateUser,
+  getTrashedUsers,
+  restoreUser,
+  purgeUser,
+  unlockUser,
+} = require('../controllers/userController');
 
 const authMiddleware = require('../middleware/authMiddleware');
-const roleMiddleware = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const { Joi, idParams, role, brandRef } = require('../utils/validators');
 
-// Protect all routes with auth and super_admin role check
+// Request schemas
+// Partial update: absent fields are kept; brand: null removes the brand (global roles only)
+const updateUserBody = Joi.object({ brand: brandRef().allow(null), role: role() }).min(1);
+
+// Protect all routes with auth; reading users needs user:read, changes need user:manage
 router.use(authMiddleware);
-router.use(roleMiddleware(['super_admin']));
+router.use(requirePermission('user:read'));
 
 // GET /api/users -> Get all users
 router.get('/', getUsers);
 
-// DELETE /api/users/:id -> Delete a user by ID
-router.delete('/:id', deleteUser);
+// GET /api/users/trash -> Get deactivated (soft-deleted) users
+router.get('/trash', getTrashedUsers);
+
+// DELETE /api/users/:id -> Move a user to the trash (deactivate)
+router.delete('/:id', requirePermission('user:manage'), validate({ params: idParams }), deleteUser);
+
+// POST /api/users/:id/restore -> Restore a user from the trash
+router.post('/:id/restore', requirePermission('user:manage'), validate({ params: idParams }), restoreUser);
+
+// DELETE /api/users/:id/purge -> Permanently delete a trashed user
+router.delete(
+  '/:id/purge',
+  requirePermission('user:manage', 'user:purge'),
+  validate({ params: idParams }),
+  purgeUser
+);
+
+// POST /api/users/:id/unlock -> Lift a brute-force login lock
+router.post(
+  '/:id/unlock',
+  requirePermission('user:manage', 'user:unlock'),
+  validate({ params: idParams }),
+  unlockUser
+);
+
+// GET /api/users/:id -> A single user (its ETag is the version to send in If-Match)
+router.get('/:id', validate({ params: idParams }), getUser);
+
+// PATCH /api/users/:id -> Change a user's role or brand (optionally If-Match guarded)
+router.patch(
+  '/:id',
+  requirePermission('user:manage'),
+  validate({ params: idParams, body: updateUserBody }),
+  updateUser
+);
 
-// PUT /api/users/:id -> Update user by ID
-router.put('/:id', updateUser);
+// PUT /api/users/:id -> Update user by ID (same partial semantics as PATCH, kept for existing clients)
+router.put(
+  '/:id',
+  requirePermission('user:manage'),
+  validate({ params: idParams, body: updateUserBody }),
+  updateUser
+);
 
 module.exports = router;
@@ -0,0 +1,84 @@
+// Routes for outgoing webhooks - URLs notified of catalog and user events
+// Everything here needs webhook:manage; brand-scoped roles only manage their own brand's webhooks
+const express = require('express');
+const router = express.Router();
+const {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  getDeliveries,
+  getDelivery,
+  redeliver,
+} = require('../controllers/webhookController');
+
+const authMiddleware = require('../middleware/authMiddleware');
+const verifiedMiddleware = require('../middleware/verifiedMiddleware');
+const requirePermission = require('../middleware/requirePermission');
+const validate = require('../middleware/validate');
+const { Joi, objectId, idParams, brandRef, paginationQuery } = require('../utils/validators');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const { DELIVERY_STATUSES } = require('../models/WebhookDelivery');
+
+// Request schemas
+const webhookFields = {
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1),
+  description: Joi.string().trim().allow('').max(500),
+  active: Joi.boolean(),
+};
+const createWebhookBody = Joi.object({
+  ...webhookFields,
+  brand: brandRef(),
+}).fork(['url', 'events'], (field) => field.required());
+const updateWebhookBody = Joi.object(webhookFields).min(1);
+const listWebhooksQuery = Joi.object({
+  ...paginationQuery,
+  brand: brandRef(),
+  event: Joi.string().valid(...WEBHOOK_EVENTS),
+  active: Joi.boolean(),
+});
+const listDeliveriesQuery = Joi.object({
+  ...paginationQuery,
+  status: Joi.string().valid(...DELIVERY_STATUSES),
+  event: Joi.string().valid(...WEBHOOK_EVENTS),
+});
+const deliveryParams = Joi.object({
+  id: objectId().required(),
+  deliveryId: objectId().required(),
+});
+
+router.use(authMiddleware);
+router.use(verifiedMiddleware);
+router.use(requirePermission('webhook:manage'));
+
+// GET /api/webhooks -> List webhooks
+router.get('/', validate({ query: listWebhooksQuery }), getWebhooks);
+
+// POST /api/webhooks -> Register a webhook (the response holds its signing secret)
+router.post('/', validate({ body: createWebhookBody }), createWebhook);
+
+// GET /api/webhooks/:id -> A single webhook
+router.get('/:id', validate({ params: idParams }), getWebhook);
+
+// PUT /api/webhooks/:id -> Change or pause a webhook
+router.put('/:id', validate({ params: idParams, body: updateWebhookBody }), updateWebhook);
+
+// DELETE /api/webhooks/:id -> Remove a webhook
+router.delete('/:id', validate({ params: idParams }), deleteWebhook);
+
+// POST /api/webhooks/:id/rotate-secret -> Replace the signing secret
+router.post('/:id/rotate-secret', validate({ params: idParams }), rotateWebhookSecret);
+
+// GET /api/webhooks/:id/deliveries -> Delivery log
+router.get('/:id/deliveries', validate({ params: idParams, query: listDeliveriesQuery }), getDeliveries);
+
+// GET /api/webhooks/:id/deliveries/:deliveryId -> One delivery with its attempts
+router.get('/:id/deliveries/:deliveryId', validate({ params: deliveryParams }), getDelivery);
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver -> Send a delivery again
+router.post('/:id/deliveries/:deliveryId/redeliver', validate({ params: deliveryParams }), redeliver);
+
+module.exports = router;
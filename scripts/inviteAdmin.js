@@ -0,0 +1,27 @@
+// Bootstrap: invite the first super admin now that self-registration no longer grants staff roles
+// Usage: `npm run invite:admin -- admin@example.com`
+// The invite is delivered through the configured notifier (MAIL_TRANSPORT=file writes it to MAIL_OUTBOX)
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Invite = require('../models/Invite');
+const { ensureDefaultRoles } = require('../utils/permissions');
+const { sendInvite } = require('../utils/invites');
+
+const inviteAdmin = async (email) => {
+  if (!email) throw new Error('Usage: npm run invite:admin -- <email>');
+
+  await mongoose.connect(process.env.MONGO_URI);
+  await ensureDefaultRoles();
+
+  const invite = new Invite({ email, role: 'super_admin' });
+  const delivered = await sendInvite(invite);
+  console.log(` Invite ${invite._id} for ${invite.email} ${delivered ? 'sent' : 'created but not delivered'}`);
+
+  await mongoose.disconnect();
+};
+
+inviteAdmin(process.argv[2]).catch((err) => {
+  console.error(' Admin invite failed:', err.message);
+  process.exit(1);
+});
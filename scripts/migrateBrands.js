@@ -0,0 +1,38 @@
+// One-off migration: convert free-text brand strings on shoes and users into Brand references
+// Run once after deploying the Brand collection: `npm run migrate:brands`
+// Safe to re-run - documents that already reference a Brand ObjectId are left untouched
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Work on the raw collections because the schemas now expect ObjectIds
+  const shoes = mongoose.connection.collection('shoes');
+  const users = mongoose.connection.collection('users');
+
+  // Collect every distinct brand string still stored on shoes or users
+  const names = new Set([
+    ...(await shoes.distinct('brand', { brand: { $type: 'string' } })),
+    ...(await users.distinct('brand', { brand: { $type: 'string' } })),
+  ]);
+
+  for (const name of names) {
+    // Reuse an existing brand with the same name, otherwise create it
+    let brand = await Brand.findOne({ name });
+    if (!brand) brand = await Brand.create({ name });
+
+    const shoeResult = await shoes.updateMany({ brand: name }, { $set: { brand: brand._id } });
+    const userResult = await users.updateMany({ brand: name }, { $set: { brand: brand._id } });
+    console.log(` ${name}: ${shoeResult.modifiedCount} shoes, ${userResult.modifiedCount} users migrated`);
+  }
+
+  await mongoose.disconnect();
+};
+
+migrate().catch((err) => {
+  console.error(' Brand migration failed:', err);
+  process.exit(1);
+});
@@ -8,16 +8,57 @@ const express = require('express');     // Fast, unopinionated web framework for
 const mongoose = require('mongoose');   // Elegant MongoDB object modeling library with built-in type casting, validation, query building
 const cors = require('cors');          // Middleware to enable Cross-Origin Resource Sharing - allows frontend to talk to backend
 
+// Standard error envelope shared by all routes and the global error handler below
+const { ApiError, sendError } = require('./utils/errors');
+
+// Structured JSON logger (LOG_LEVEL) and the per-request correlation ID / access log / metrics middleware
+const logger = require('./utils/logger');
+const requestContext = require('./middleware/requestContext');
+
+// Built-in roles (super_admin, brand_admin, ...) are created once the database is reachable
+const { ensureDefaultRoles } = require('./utils/permissions');
+
+// Users created before email verification are marked verified on startup
+const { verifyLegacyUsers, normalizeLegacyEmails } = require('./utils/emailVerification');
+
+// Shoes created before the review workflow are marked published on startup
+const { publishLegacyShoes } = require('./utils/shoeWorkflow');
+
+// Background job activating/expiring promotions and applying scheduled price changes
+const { startPromotionScheduler } = require('./utils/promotionScheduler');
+
+// Background job sending queued webhook deliveries (with retries)
+const { startWebhookDispatcher } = require('./utils/webhookDispatcher');
+
 // Import custom route modules from separate files for better code organization
 // Each route file contains related API endpoints grouped by functionality
 const authRoutes = require('./routes/authRoutes');   // Handles user authentication: login, register, logout, password reset
 const shoeRoutes = require('./routes/shoeRoutes');   // Handles shoe inventory: create, read, update, delete shoes
 const userRoutes = require('./routes/userRoutes');   // Handles user management: profile updates, user lists, permissions
+const brandRoutes = require('./routes/brandRoutes'); // Handles brand management: create, list, update, deactivate brands
+const auditRoutes = require('./routes/auditRoutes'); // Handles audit trail: who changed what and when
+const catalogRoutes = require('./routes/catalogRoutes'); // Public storefront: browse shoes and brands without logging in
+const orderRoutes = require('./routes/orderRoutes');   // Handles orders: place, list, cancel, status changes
+const cartRoutes = require('./routes/cartRoutes');     // Handles shopping carts: add, update, remove, clear, merge
+const roleRoutes = require('./routes/roleRoutes');     // Handles roles: permission sets assigned to users
+const inviteRoutes = require('./routes/inviteRoutes'); // Handles invitations: the only way to create staff accounts
+const promotionRoutes = require('./routes/promotionRoutes'); // Handles promotions: scheduled discounts on shoes
+const analyticsRoutes = require('./routes/analyticsRoutes'); // Handles dashboard statistics: catalog, prices, inventory
+const webhookRoutes = require('./routes/webhookRoutes'); // Handles outgoing webhooks: subscriptions and delivery logs
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes'); // Handles exchange rates: currencies prices are offered in
+const apiKeyRoutes = require('./routes/apiKeyRoutes'); // Handles API keys: credentials for brand integrations
+const docsRoutes = require('./routes/docsRoutes');     // Serves the OpenAPI document and interactive API docs
+const healthRoutes = require('./routes/healthRoutes'); // Liveness/readiness probes and Prometheus metrics
+const { databaseState } = require('./controllers/healthController');
 
 // Create Express application instance - this is the main server object
 // Express app provides methods to define routes, configure middleware, and start the server
 const app = express();
 
+// Give every request an ID (X-Request-Id), log it once it completes and record its metrics
+// Registered first so even requests rejected by CORS or the rate limiter are logged and counted
+app.use(requestContext);
+
 // Whitelist of domains allowed to make requests to this API server
 // CORS security feature prevents unauthorized websites from accessing our API
 // Only these specific origins can send requests from a browser to our backend
@@ -41,7 +82,7 @@ app.use(cors({
     if (allowedOrigins.indexOf(origin) === -1) {
       // Origin not found in whitelist - reject the request with error message
       const msg = 'The CORS policy for this site does not allow access from the specified Origin.';
-      return callback(new Error(msg), false);  // First param is error, second is whether to allow
+      return callback(new ApiError(403, msg), false);  // First param is error, second is whether to allow
     }
     // Origin is approved - allow the request to proceed
     return callback(null, true);  // null = no error, true = allow request
@@ -54,14 +95,42 @@ app.use(cors({
 // Converts JSON strings in request bodies to JavaScript objects accessible via req.body
 // Without this, req.body would be undefined for JSON requests
 // Automatically adds Content-Type: application/json header support
-app.use(express.json());
+// Bulk catalog imports (POST /api/shoes/import) are skipped here: that route parses its body itself,
+// after authentication, with a larger limit - every other endpoint keeps the 100kb default
+const jsonParser = express.json();
+app.use((req, res, next) => (
+  req.method === 'POST' && req.path === '/api/shoes/import' ? next() : jsonParser(req, res, next)
+));
+
+// Behind a load balancer / reverse proxy, set TRUST_PROXY (e.g. 1 or 'loopback') so req.ip is the
+// real client address - the rate limiters below count requests per IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : Number(trustProxy) || trustProxy);
+}
+
+// Health probes and metrics - mounted before the rate limit so monitoring is never throttled
+app.use('/api', healthRoutes);
+
+// General API rate limit, tiered by the caller's role (see middleware/rateLimit.js)
+// /api/auth additionally has its own, much tighter per-IP and per-account limits
+const { apiRateLimit } = require('./middleware/rateLimit');
+app.use('/api', apiRateLimit);
 
-// API health check endpoint - useful for monitoring and debugging
-// Returns server status, timestamp, and environment info in JSON format
-// Helps developers and monitoring tools verify the API is running correctly
+// Serve uploaded shoe images stored by the local disk storage adapter
+// Not needed when an object storage adapter serves files from its own URLs
+const { UPLOAD_DIR, UPLOAD_PUBLIC_PATH } = require('./utils/storage');
+app.use(UPLOAD_PUBLIC_PATH, express.static(UPLOAD_DIR));
+
+// API status endpoint - useful for monitoring and debugging
+// Returns server status, database state, timestamp, and environment info in JSON format
+// Answers 503 while MongoDB is not connected (see also /api/health/live and /api/health/ready)
 app.get('/api', (req, res) => {
-  res.json({ 
-    message: 'Shoe Brand API is running!',
+  const database = databaseState();
+  const running = database === 'connected';
+  res.status(running ? 200 : 503).json({
+    message: running ? 'Shoe Brand API is running!' : 'Shoe Brand API is running, but the database is unavailable',
+    database,                                   // MongoDB connection state: connected, connecting, disconnected, ...
     timestamp: new Date().toISOString(),        // ISO 8601 formatted current date/time
     environment: process.env.NODE_ENV || 'development'  // Shows if running in dev, staging, or production
   });
@@ -84,8 +153,14 @@ mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,    // Use new URL string parser to avoid deprecation warnings
   useUnifiedTopology: true, // Use new Server Discover and Monitoring engine for better connection handling
 })
-  .then(() => console.log(' MongoDB connected'))           // Promise resolves on successful connection
-  .catch((err) => console.error(' MongoDB connection error:', err));  // Promise rejects on connection failure
+  .then(() => logger.info('MongoDB connected'))            // Promise resolves on successful connection
+  .then(() => ensureDefaultRoles())                        // Create the built-in roles on first start
+  .then(() => verifyLegacyUsers())                         // Keep pre-verification accounts working
+  .then(() => normalizeLegacyEmails())                     // Lowercase emails stored before normalization
+  .then(() => publishLegacyShoes())                        // Keep pre-workflow shoes in the catalog
+  .then(() => startPromotionScheduler())                   // Start activating/expiring promotions
+  .then(() => startWebhookDispatcher())                    // Start sending queued webhook deliveries
+  .catch((err) => logger.error('MongoDB connection error', { error: err }));  // Promise rejects on connection failure
 
 // Mount route handlers at specific URL paths (route prefixes)
 // All routes defined in these files will be prefixed with the specified path
@@ -93,36 +168,76 @@ mongoose.connect(process.env.MONGO_URI, {
 app.use('/api/auth', authRoutes);   // Authentication routes: /api/auth/login, /api/auth/register, etc.
 app.use('/api/shoes', shoeRoutes);  // Shoe management routes: /api/shoes, /api/shoes/:id, etc.
 app.use('/api/users', userRoutes);  // User management routes: /api/users, /api/users/:id, etc.
+app.use('/api/brands', brandRoutes); // Brand management routes: /api/brands, /api/brands/:id, etc.
+app.use('/api/audit', auditRoutes);  // Audit log routes: /api/audit
+app.use('/api/catalog', catalogRoutes); // Public catalog routes: /api/catalog/shoes, /api/catalog/brands/:brand
+app.use('/api/orders', orderRoutes);  // Order routes: /api/orders, /api/orders/:id, etc.
+app.use('/api/cart', cartRoutes);     // Cart routes: /api/cart, /api/cart/items/:itemId, etc.
+app.use('/api/roles', roleRoutes);    // Role routes: /api/roles, /api/roles/permissions, etc.
+app.use('/api/invites', inviteRoutes); // Invite routes: /api/invites, /api/invites/:id/resend, etc.
+app.use('/api/promotions', promotionRoutes); // Promotion routes: /api/promotions, /api/promotions/:id
+app.use('/api/analytics', analyticsRoutes);  // Analytics routes: /api/analytics/summary, /api/analytics/brands, etc.
+app.use('/api/webhooks', webhookRoutes);     // Webhook routes: /api/webhooks, /api/webhooks/:id/deliveries, etc.
+app.use('/api/exchange-rates', exchangeRateRoutes); // Exchange rate routes: /api/exchange-rates, /api/exchange-rates/:currency
+app.use('/api/api-keys', apiKeyRoutes);      // API key routes: /api/api-keys, /api/api-keys/:id/rotate, etc.
+app.use('/api', docsRoutes);                 // API docs: /api/openapi.json and /api/docs
+
+// Catch-all 404 handler for any routes that don't match above patterns
+// Registered without a path so it runs for every request no route has handled
+// Must be placed after all other routes to act as a fallback
+app.use((req, res) => {
+  sendError(res, 404, `Route not found: ${req.originalUrl}`);  // Shows exactly what URL was requested for debugging
+});
 
 // Global error handling middleware - must be defined after all routes
 // Express automatically calls this when any route throws an error or calls next(error)
 // The 4 parameters (err, req, res, next) identify this as an error handling middleware
+// Every error is answered with the standard envelope: { code, message, errors? }
 app.use((err, req, res, next) => {
-  console.error(' Error:', err.message);  // Log the error details to console for debugging
-  res.status(500).json({ 
-    error: 'Something went wrong!',           // Generic user-friendly error message
-    message: err.message                      // Specific error details (be careful not to expose sensitive info)
-  });
-});
+  // Errors raised deliberately with an HTTP status (ApiError, CORS rejection, etc.)
+  if (err instanceof ApiError) {
+    return sendError(res, err.status, err.message, { code: err.code, errors: err.errors });
+  }
 
-// Catch-all 404 handler for any routes that don't match above patterns
-// The '*' wildcard matches any path that hasn't been handled by previous routes
-// Must be placed after all other routes to act as a fallback
-app.use('*', (req, res) => {
-  res.status(404).json({ 
-    error: 'Route not found',
-    requestedPath: req.originalUrl  // Shows exactly what URL was requested for debugging
-  });
+  // Malformed JSON body rejected by express.json()
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+
+  // Mongoose schema validation failures that slipped past route validation
+  if (err.name === 'ValidationError' && err.errors) {
+    const errors = Object.values(err.errors).map((fieldError) => ({
+      location: 'body',
+      field: fieldError.path,
+      message: fieldError.message,
+    }));
+    return sendError(res, 422, 'Request validation failed', { errors });
+  }
+
+  // Invalid ObjectId or other type casts in queries
+  if (err.name === 'CastError') {
+    return sendError(res, 400, `Invalid value for ${err.path}`);
+  }
+
+  // Other client errors raised by middleware (e.g. payload too large)
+  if (err.status >= 400 && err.status < 500) {
+    return sendError(res, err.status, err.message);
+  }
+
+  logger.error('Unhandled error', { error: err });  // Logged with the request's ID for debugging
+  sendError(res, 500, 'Something went wrong!');  // Generic message - internal details are not exposed
 });
 
 // Start the HTTP server and listen for incoming requests
 const PORT = process.env.PORT || 5000;  // Use PORT from environment variables (required for deployment platforms like Heroku)
                                         // Falls back to 5000 if no PORT environment variable is set
 app.listen(PORT, () => {
-  // Server startup success callback - logs important information to console
-  console.log(` Server running on port ${PORT}`);
-  console.log(` Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(` CORS enabled for: ${allowedOrigins.join(', ')}`);
+  // Server startup success callback - logs important information
+  logger.info('Server running', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    corsOrigins: allowedOrigins,
+  });
 });
 
 // Export the Express app instance for use in other files
@@ -0,0 +1,84 @@
+// Emailed single-use links (authController.verifyEmail / resetPassword): each token is consumed in
+// the same atomic update that acts on it, so a link works exactly once even when requests race
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const authController = require('../controllers/authController');
+const hashToken = require('../utils/hashToken');
+
+const HOUR = 60 * 60 * 1000;
+
+// A stored user whose fields are updated in memory; each update is atomic, like MongoDB's
+const useUserStore = (t, fields) => {
+  const user = { _id: new mongoose.Types.ObjectId(), tokenVersion: 0, __v: 0, ...fields };
+  const matches = (filter) => Object.entries(filter).every(([field, condition]) => (
+    condition && condition.$gt ? user[field] > condition.$gt : user[field] === condition
+  ));
+
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    if (!matches(filter)) return null;
+    const before = { ...user };
+    Object.assign(user, update.$set);
+    Object.keys(update.$unset || {}).forEach((field) => { delete user[field]; });
+    Object.entries(update.$inc || {}).forEach(([field, amount]) => { user[field] += amount; });
+    return before;
+  });
+  const revocations = t.mock.method(RefreshToken, 'updateMany', async () => ({}));
+
+  return { user, revocations };
+};
+
+// Send the same body to `handler` twice at once; resolves to the two status codes, sorted
+const race = async (handler, body) => {
+  const responses = [fakeResponse(), fakeResponse()];
+  await Promise.all(responses.map((res) => handler(fakeRequest({ body }), res)));
+  return responses.map((res) => res.statusCode).sort();
+};
+
+test('a verification link works once, even for two requests at the same time', async (t) => {
+  const { user } = useUserStore(t, {
+    emailVerified: false,
+    emailVerificationTokenHash: hashToken('verify-token'),
+    emailVerificationExpires: new Date(Date.now() + HOUR),
+  });
+
+  assert.deepStrictEqual(await race(authController.verifyEmail, { token: 'verify-token' }), [200, 400]);
+  assert.strictEqual(user.emailVerified, true);
+  assert.strictEqual(user.emailVerificationTokenHash, undefined);
+});
+
+test('a password reset link works once, even for two requests at the same time', async (t) => {
+  const { user, revocations } = useUserStore(t, {
+    password: 'old-hash',
+    passwordResetTokenHash: hashToken('reset-token'),
+    passwordResetExpires: new Date(Date.now() + HOUR),
+    lockUntil: new Date(Date.now() + HOUR),
+    failedLoginAttempts: 3,
+  });
+
+  const statuses = await race(authController.resetPassword, { token: 'reset-token', password: 'new password' });
+
+  assert.deepStrictEqual(statuses, [200, 400]);
+  assert.notStrictEqual(user.password, 'old-hash');
+  assert.strictEqual(user.passwordResetTokenHash, undefined);
+  assert.strictEqual(user.lockUntil, undefined);
+  assert.strictEqual(user.tokenVersion, 1, 'existing access tokens stop working once');
+  assert.strictEqual(revocations.mock.callCount(), 1);
+});
+
+test('an expired reset link is refused', async (t) => {
+  const { user } = useUserStore(t, {
+    password: 'old-hash',
+    passwordResetTokenHash: hashToken('reset-token'),
+    passwordResetExpires: new Date(Date.now() - 1000),
+  });
+
+  const res = fakeResponse();
+  await authController.resetPassword(fakeRequest({ body: { token: 'reset-token', password: 'new password' } }), res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(user.password, 'old-hash');
+});
@@ -0,0 +1,188 @@
+// Brand API keys (middleware/apiKeyMiddleware.js, controllers/apiKeyController.js): a key acts like
+// a brand-scoped user of its brand, never holds more than its creator's current role grants, and is
+// refused everywhere once revoked, expired or cut off from the brand
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Shoe = require('../models/Shoe');
+const AuditLog = require('../models/AuditLog');
+const apiKeyMiddleware = require('../middleware/apiKeyMiddleware');
+const authMiddleware = require('../middleware/authMiddleware');
+const { apiRateLimit } = require('../middleware/rateLimit');
+const shoeController = require('../controllers/shoeController');
+const apiKeyController = require('../controllers/apiKeyController');
+const { DEFAULT_ROLES, clearRoleCache } = require('../utils/permissions');
+const { generateApiKey } = require('../utils/apiKeys');
+
+const brandId = new mongoose.Types.ObjectId();
+const roleNamed = (name) => DEFAULT_ROLES.find((role) => role.name === name);
+
+beforeEach(() => clearRoleCache());
+
+// A stored key of `brandId` created by a brand_admin of that brand; `overrides` change key or creator
+const useApiKey = (t, { key: keyOverrides = {}, creator: creatorOverrides = {}, brandActive = true } = {}) => {
+  const { key, keyHash } = generateApiKey();
+  const apiKey = {
+    _id: new mongoose.Types.ObjectId(),
+    brand: { _id: brandId, active: brandActive },
+    permissions: ['shoe:read', 'shoe:update', 'shoe:delete'],
+    createdBy: new mongoose.Types.ObjectId(),
+    ...keyOverrides,
+  };
+  const creator = creatorOverrides === null ? null : { role: 'brand_admin', brand: brandId, ...creatorOverrides };
+
+  t.mock.method(ApiKey, 'findOne', (filter) => ({
+    populate: () => ({ exec: async () => (filter.keyHash === keyHash ? apiKey : null) }),
+  }));
+  t.mock.method(User, 'findById', () => ({ select: async () => creator }));
+  t.mock.method(Role, 'findOne', ({ name }) => ({ lean: async () => roleNamed(name) || null }));
+  const touches = t.mock.method(ApiKey, 'updateOne', async () => ({}));
+
+  return { key, apiKey, touches };
+};
+
+// Run apiKeyMiddleware; resolves to the request, the response and whether next() was called
+const authenticate = async (headers) => {
+  const req = fakeRequest({ headers });
+  const res = fakeResponse();
+  let passed = false;
+  await apiKeyMiddleware(req, res, () => { passed = true; });
+  return { req, res, passed };
+};
+
+test('a valid key authenticates as its brand with the key permissions', async (t) => {
+  const { key, apiKey, touches } = useApiKey(t);
+
+  const { req, passed } = await authenticate({ 'X-API-Key': key });
+
+  assert.strictEqual(passed, true);
+  assert.deepStrictEqual(req.user, {
+    id: apiKey.createdBy.toString(),
+    role: 'api_key',
+    scope: 'brand',
+    permissions: ['shoe:read', 'shoe:update', 'shoe:delete'],
+    brand: brandId.toString(),
+    emailVerified: true,
+    apiKey: apiKey._id.toString(),
+  });
+  assert.strictEqual(touches.mock.callCount(), 1, 'last use is recorded');
+});
+
+test('a key is also accepted as a Bearer token', async (t) => {
+  const { key } = useApiKey(t);
+  assert.strictEqual((await authenticate({ Authorization: `Bearer ${key}` })).passed, true);
+});
+
+test('unknown, revoked and expired keys are a 401', async (t) => {
+  const cases = {
+    unknown: { headers: { 'X-API-Key': 'sbk_made-up' } },
+    revoked: { key: { revokedAt: new Date() } },
+    expired: { key: { expiresAt: new Date(Date.now() - 1000) } },
+  };
+  for (const [name, { headers, key: keyOverrides }] of Object.entries(cases)) {
+    await t.test(name, async (t) => {
+      const { key } = useApiKey(t, { key: keyOverrides });
+      const { res, passed } = await authenticate(headers || { 'X-API-Key': key });
+
+      assert.strictEqual(passed, false);
+      assert.strictEqual(res.statusCode, 401);
+    });
+  }
+});
+
+test('keys of a deactivated brand are a 403', async (t) => {
+  const { key } = useApiKey(t, { brandActive: false });
+  const { res } = await authenticate({ 'X-API-Key': key });
+
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('a key stops working when its creator loses access to the brand', async (t) => {
+  const cases = {
+    'creator deleted': null,
+    'creator moved to another brand': { brand: new mongoose.Types.ObjectId() },
+  };
+  for (const [name, creator] of Object.entries(cases)) {
+    await t.test(name, async (t) => {
+      const { key } = useApiKey(t, { creator });
+      const { res, passed } = await authenticate({ 'X-API-Key': key });
+
+      assert.strictEqual(passed, false);
+      assert.strictEqual(res.statusCode, 401);
+    });
+  }
+});
+
+test("a key never holds more than its creator's current role grants", async (t) => {
+  const { key } = useApiKey(t, { creator: { role: 'brand_editor' } });
+  const { req } = await authenticate({ 'X-API-Key': key });
+
+  assert.deepStrictEqual(req.user.permissions, ['shoe:read', 'shoe:update']);
+});
+
+test('routes without apiKeyMiddleware refuse keys', async (t) => {
+  const { key } = useApiKey(t);
+  const res = fakeResponse();
+  let passed = false;
+
+  await authMiddleware(fakeRequest({ headers: { 'X-API-Key': key } }), res, () => { passed = true; });
+
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.body.message, /not accepted/);
+});
+
+test("a key cannot change another brand's shoes", async (t) => {
+  const { key } = useApiKey(t);
+  const { req } = await authenticate({ 'X-API-Key': key });
+  const shoe = new Shoe({ name: 'Runner', brand: new mongoose.Types.ObjectId(), price: 100 });
+  t.mock.method(Shoe, 'findById', async () => shoe);
+
+  const res = fakeResponse();
+  await shoeController.updateShoe({ ...req, params: { id: shoe._id.toString() }, body: { price: 1 } }, res);
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(shoe.price, 100);
+});
+
+test('each usable key is rate limited on its own at the API key tier', async (t) => {
+  const { key } = useApiKey(t);
+  const res = fakeResponse();
+  await apiRateLimit(fakeRequest({ headers: { 'X-API-Key': key } }), res, () => {});
+  assert.strictEqual(res.get('RateLimit-Limit'), '1200');
+
+  const unknown = fakeResponse();
+  await apiRateLimit(fakeRequest({ headers: { 'X-API-Key': 'sbk_made-up' } }), unknown, () => {});
+  assert.strictEqual(unknown.get('RateLimit-Limit'), '100', 'made-up keys count as anonymous');
+});
+
+test('keys are issued for the caller brand and only with permissions the caller holds', async (t) => {
+  const editor = {
+    id: new mongoose.Types.ObjectId().toString(),
+    role: 'brand_editor',
+    scope: 'brand',
+    brand: brandId.toString(),
+    permissions: roleNamed('brand_editor').permissions,
+  };
+  const created = t.mock.method(ApiKey, 'create', async (doc) => new ApiKey(doc));
+  t.mock.method(AuditLog, 'create', async () => ({}));
+
+  const refused = fakeResponse();
+  await apiKeyController.createApiKey(fakeRequest({
+    body: { name: 'Sync', permissions: ['shoe:read', 'shoe:delete'] },
+    user: editor,
+  }), refused);
+  assert.strictEqual(refused.statusCode, 403);
+  assert.match(refused.body.message, /shoe:delete/);
+
+  const res = fakeResponse();
+  await apiKeyController.createApiKey(fakeRequest({ body: { name: 'Sync', permissions: ['shoe:read'] }, user: editor }), res);
+  assert.strictEqual(res.statusCode, 201);
+  assert.match(res.body.key, /^sbk_/);
+  assert.strictEqual(res.body.keyHash, undefined);
+  assert.strictEqual(String(created.mock.calls[0].arguments[0].brand), brandId.toString());
+});
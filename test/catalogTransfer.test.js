@@ -0,0 +1,126 @@
+// Bulk import (controllers/catalogTransferController.js): rows updating a published shoe are
+// reported as revisions waiting for review, not as direct updates, and a JSON export imports as-is
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough, Readable } = require('node:stream');
+const mongoose = require('mongoose');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const Shoe = require('../models/Shoe');
+const Brand = require('../models/Brand');
+const AuditLog = require('../models/AuditLog');
+const Webhook = require('../models/Webhook');
+const { importShoes, exportShoes } = require('../controllers/catalogTransferController');
+
+const brand = new Brand({ name: 'Acme', slug: 'acme', active: true });
+const editor = { id: new mongoose.Types.ObjectId().toString(), role: 'brand_admin', scope: 'brand', brand: brand._id.toString() };
+
+// A shoe as loaded from the database (nothing modified yet)
+const storedShoe = (status) => Shoe.hydrate(new Shoe({
+  name: 'Runner',
+  brand: brand._id,
+  price: 100,
+  status,
+  variants: [{ size: '42', sizeSystem: 'EU', color: 'Black', sku: 'RUN-42', stock: 3 }],
+}).toObject({ virtuals: false }));
+
+// Import `item` for a catalog holding `existing`; returns the response body and the saved shoes
+const runImport = async (t, existing, item, query = {}) => {
+  t.mock.method(Brand, 'findOne', async () => brand);
+  t.mock.method(Shoe, 'findOne', async () => existing);
+  const saves = t.mock.method(Shoe.prototype, 'save', async function save() {
+    await this.validate();
+    return this;
+  });
+  const audits = t.mock.method(AuditLog, 'create', async () => ({}));
+  const webhooks = t.mock.method(Webhook, 'find', () => ({ select: async () => [] }));
+
+  const res = fakeResponse();
+  await importShoes(fakeRequest({ query: { format: 'json', ...query }, body: [item], user: editor }), res);
+  assert.strictEqual(res.statusCode, 200);
+  return { body: res.body, saves, audits, webhooks };
+};
+
+const row = (changes) => ({
+  name: 'Runner',
+  brand: 'acme',
+  price: 100,
+  variants: [{ size: '42', sizeSystem: 'EU', color: 'Black', sku: 'RUN-42', stock: 3 }],
+  ...changes,
+});
+
+test('a price change to a published shoe is reported as a revision', async (t) => {
+  const shoe = storedShoe('published');
+  const { body, audits, webhooks } = await runImport(t, shoe, row({ price: 80 }));
+
+  assert.strictEqual(body.results[0].action, 'revise');
+  assert.deepStrictEqual(body.summary, { total: 1, created: 0, updated: 0, revised: 1, failed: 0 });
+  assert.strictEqual(shoe.price, 100);
+  assert.strictEqual(shoe.revision.changes.price, 80);
+  assert.strictEqual(audits.mock.calls[0].arguments[0].action, 'shoe.revise');
+  assert.strictEqual(webhooks.mock.callCount(), 0, 'nothing visible changed');
+});
+
+test('stock changes to a published shoe are direct updates', async (t) => {
+  const shoe = storedShoe('published');
+  const { body, webhooks } = await runImport(t, shoe, row({
+    variants: [{ size: '42', sizeSystem: 'EU', color: 'Black', sku: 'RUN-42', stock: 9 }],
+  }));
+
+  assert.strictEqual(body.results[0].action, 'update');
+  assert.strictEqual(shoe.variants[0].stock, 9);
+  assert.strictEqual(shoe.revision, undefined);
+  assert.strictEqual(webhooks.mock.callCount(), 1);
+});
+
+test('drafts are updated directly', async (t) => {
+  const shoe = storedShoe('draft');
+  const { body } = await runImport(t, shoe, row({ price: 80 }));
+
+  assert.strictEqual(body.results[0].action, 'update');
+  assert.strictEqual(shoe.price, 80);
+});
+
+test('a dry run previews revisions without saving', async (t) => {
+  const shoe = storedShoe('published');
+  const { body, saves } = await runImport(t, shoe, row({ name: 'Runner', description: 'New' }), { dryRun: true });
+
+  assert.strictEqual(body.results[0].action, 'revise');
+  assert.strictEqual(saves.mock.callCount(), 0);
+});
+
+// GET /api/shoes/export?format=json for a catalog holding `shoes` (as the lean, brand-populated cursor yields them)
+const exportJson = async (t, shoes) => {
+  t.mock.method(Shoe, 'find', () => {
+    const query = {
+      sort: () => query,
+      populate: () => query,
+      lean: () => query,
+      cursor: () => Readable.from(shoes),
+    };
+    return query;
+  });
+
+  const res = new PassThrough();
+  Object.assign(res, { attachment: () => res, type: () => res });
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  await exportShoes(fakeRequest({ query: { format: 'json' }, user: editor }), res);
+  return JSON.parse(Buffer.concat(chunks).toString());
+};
+
+test('a JSON export imports unchanged', async (t) => {
+  const shoe = new Shoe({
+    name: 'Runner',
+    brand: brand._id,
+    price: 100,
+    description: 'Light',
+    prices: { EUR: 90 },
+    translations: { de: { name: 'Läufer' } },
+    variants: [{ size: '42', sizeSystem: 'EU', color: 'Black', sku: 'RUN-42', stock: 3, price: 120 }],
+  }).toObject({ flattenMaps: true });
+  const exported = await exportJson(t, [{ ...shoe, brand: { _id: brand._id, slug: 'acme' }, createdAt: new Date() }]);
+
+  const { body } = await runImport(t, null, exported[0]);
+
+  assert.deepStrictEqual(body.summary, { total: 1, created: 1, updated: 0, revised: 0, failed: 0 });
+});
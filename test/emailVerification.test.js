@@ -0,0 +1,44 @@
+// Accounts from before email verification and email normalization must keep working
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+require('./support/http');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { verifyLegacyUsers, normalizeLegacyEmails } = require('../utils/emailVerification');
+
+test('only accounts without an emailVerified flag are marked verified, trashed ones included', () => {
+  // The query is only built here, never sent
+  const query = verifyLegacyUsers();
+
+  assert.deepStrictEqual(query.getFilter(), { emailVerified: { $exists: false } });
+  assert.deepStrictEqual(query.getUpdate(), { $set: { emailVerified: true } });
+  assert.strictEqual(query.getOptions().withDeleted, true);
+});
+
+test('emails are stored and looked up lowercased', () => {
+  assert.strictEqual(new User({ email: ' Ada@Example.com ' }).email, 'ada@example.com');
+
+  const query = User.findOne({ email: 'Ada@Example.com' });
+  query.cast(User);
+  assert.deepStrictEqual(query.getFilter(), { email: 'ada@example.com' });
+});
+
+test('mixed-case emails are lowercased unless another account already has that email', async (t) => {
+  const ada = { _id: new mongoose.Types.ObjectId(), email: 'Ada@Example.com' };
+  const grace = { _id: new mongoose.Types.ObjectId(), email: 'Grace@Example.com' };
+  t.mock.method(User, 'find', () => ({ setOptions: () => ({ select: () => ({ lean: async () => [ada, grace] }) }) }));
+  const updates = t.mock.method(User, 'updateOne', (filter, update) => ({
+    setOptions: async () => {
+      if (filter._id === grace._id) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      return update;
+    },
+  }));
+  const warnings = t.mock.method(logger, 'warn', () => {});
+
+  await normalizeLegacyEmails();
+
+  assert.deepStrictEqual(updates.mock.calls[0].arguments[1], { $set: { email: 'ada@example.com' } });
+  assert.strictEqual(updates.mock.callCount(), 2);
+  assert.deepStrictEqual(warnings.mock.calls[0].arguments[1], { userId: grace._id });
+});
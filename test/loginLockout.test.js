@@ -0,0 +1,122 @@
+// Account lockout (utils/loginLockout.js, authController.login): repeated failed logins lock the
+// account for a growing period, locked accounts are refused outright, and an administrator can unlock
+const { test } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const authController = require('../controllers/authController');
+const userController = require('../controllers/userController');
+const { DEFAULT_ROLES, clearRoleCache } = require('../utils/permissions');
+const { isLocked, registerFailedLogin } = require('../utils/loginLockout');
+
+const MINUTE = 60 * 1000;
+
+const storedUser = () => User.hydrate(new User({
+  name: 'Ada',
+  email: 'ada@example.com',
+  password: bcrypt.hashSync('correct horse', 4),
+  role: 'customer',
+}).toObject());
+
+// Apply the lockout updates to `user` in memory; each update is atomic, like MongoDB's
+const useLockoutStore = (t, user) => {
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    user.failedLoginAttempts += update.$inc.failedLoginAttempts;
+    return { failedLoginAttempts: user.failedLoginAttempts, lockCount: user.lockCount };
+  });
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    if (filter.failedLoginAttempts && user.failedLoginAttempts < filter.failedLoginAttempts.$gte) {
+      return { modifiedCount: 0 };
+    }
+    Object.assign(user, update.$set);
+    if (update.$inc) user.lockCount += update.$inc.lockCount;
+    if (update.$unset) user.lockUntil = undefined;
+    return { modifiedCount: 1 };
+  });
+};
+
+const minutesUntil = (date) => Math.round((date.getTime() - Date.now()) / MINUTE);
+
+test('the fifth failure locks the account, and each further lock lasts twice as long', async (t) => {
+  const user = storedUser();
+  useLockoutStore(t, user);
+
+  for (let attempt = 1; attempt < 5; attempt += 1) {
+    assert.strictEqual(await registerFailedLogin(user), null);
+  }
+  const firstLock = await registerFailedLogin(user);
+  assert.strictEqual(minutesUntil(firstLock), 15);
+  assert.strictEqual(isLocked(user), true);
+  assert.strictEqual(user.failedLoginAttempts, 0);
+
+  for (let attempt = 1; attempt < 5; attempt += 1) await registerFailedLogin(user);
+  assert.strictEqual(minutesUntil(await registerFailedLogin(user)), 30);
+});
+
+test('parallel failures lock the account only once', async (t) => {
+  const user = storedUser();
+  user.failedLoginAttempts = 3;
+  useLockoutStore(t, user);
+
+  const locks = await Promise.all([registerFailedLogin(user), registerFailedLogin(user), registerFailedLogin(user)]);
+
+  assert.strictEqual(locks.filter(Boolean).length, 1);
+  assert.strictEqual(user.lockCount, 1);
+});
+
+// POST /api/auth/login as `user`
+const login = async (t, user, password) => {
+  t.mock.method(User, 'findOne', async () => user);
+  const audits = t.mock.method(AuditLog, 'create', async () => ({}));
+  const res = fakeResponse();
+  await authController.login(fakeRequest({ body: { email: user.email, password } }), res);
+  return { res, audits };
+};
+
+test('a locked account is refused without checking the password', async (t) => {
+  const user = storedUser();
+  user.lockUntil = new Date(Date.now() + 10 * MINUTE);
+  const compare = t.mock.method(bcrypt, 'compare');
+
+  const { res } = await login(t, user, 'correct horse');
+
+  assert.strictEqual(res.statusCode, 423);
+  assert.strictEqual(res.get('Retry-After'), String(10 * 60));
+  assert.strictEqual(compare.mock.callCount(), 0);
+});
+
+test('the failed login that locks the account is audited', async (t) => {
+  const user = storedUser();
+  user.failedLoginAttempts = 4;
+  useLockoutStore(t, user);
+
+  const { res, audits } = await login(t, user, 'wrong');
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.deepStrictEqual(
+    audits.mock.calls.map((call) => call.arguments[0].action),
+    ['auth.login_failed', 'auth.account_locked']
+  );
+});
+
+test('an administrator can lift a lock early', async (t) => {
+  clearRoleCache();
+  const user = storedUser();
+  user.lockUntil = new Date(Date.now() + 10 * MINUTE);
+  user.lockCount = 2;
+  useLockoutStore(t, user);
+  t.mock.method(User, 'findById', async () => user);
+  t.mock.method(Role, 'findOne', ({ name }) => ({ lean: async () => DEFAULT_ROLES.find((role) => role.name === name) }));
+  t.mock.method(AuditLog, 'create', async () => ({}));
+
+  const admin = { id: 'admin', role: 'super_admin', scope: 'global', permissions: DEFAULT_ROLES[0].permissions };
+  const res = fakeResponse();
+  await userController.unlockUser(fakeRequest({ params: { id: user._id.toString() }, user: admin }), res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(isLocked(user), false);
+  assert.strictEqual(user.lockCount, 0);
+});
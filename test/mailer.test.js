@@ -0,0 +1,55 @@
+// Mail delivery (utils/mailer.js): message bodies carry single-use links, so they never reach the
+// logs, and production refuses to fall back to the console transport
+const { test } = require('node:test');
+const assert = require('node:assert');
+const logger = require('../utils/logger');
+
+// utils/mailer.js as loaded with the given environment
+const loadMailer = (env) => {
+  const saved = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+  Object.entries(env).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  delete require.cache[require.resolve('../utils/mailer')];
+  try {
+    return require('../utils/mailer');
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+};
+
+const resetMail = {
+  to: 'ada@example.com',
+  subject: 'Reset your password',
+  text: 'Reset your password by opening http://localhost:3000/reset-password?token=secret-token',
+};
+
+test('the console transport logs recipient and subject only', async (t) => {
+  const logged = t.mock.method(logger, 'info', () => {});
+  const { sendMail } = loadMailer({ NODE_ENV: 'development', MAIL_TRANSPORT: undefined });
+
+  await sendMail(resetMail);
+
+  assert.deepStrictEqual(logged.mock.calls[0].arguments, ['Mail sent', { to: resetMail.to, subject: resetMail.subject }]);
+});
+
+test('production has no default transport', async (t) => {
+  const logged = t.mock.method(logger, 'info', () => {});
+  const { sendMail } = loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: undefined });
+
+  await assert.rejects(sendMail(resetMail), /No mail transport configured/);
+  assert.strictEqual(logged.mock.callCount(), 0);
+});
+
+test('production may still choose the console transport explicitly', async (t) => {
+  const logged = t.mock.method(logger, 'info', () => {});
+  const { sendMail } = loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' });
+
+  await sendMail(resetMail);
+
+  assert.strictEqual(logged.mock.callCount(), 1);
+});
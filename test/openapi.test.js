@@ -0,0 +1,57 @@
+// Keeps the OpenAPI document (utils/openapi) in sync with the routers it covers
+// Run with `npm test`; no database is needed - only the route definitions are inspected
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { listDocumentedRoutes, routeKey, buildOpenApiSpec } = require('../utils/openapi');
+const operations = require('../utils/openapi/operations');
+
+test('every route has an entry in utils/openapi/operations.js', () => {
+  const undocumented = listDocumentedRoutes()
+    .map(routeKey)
+    .filter((key) => !operations[key]);
+
+  assert.deepStrictEqual(undocumented, [], `Undocumented routes: ${undocumented.join(', ')}`);
+});
+
+test('every entry in utils/openapi/operations.js belongs to an existing route', () => {
+  const routes = new Set(listDocumentedRoutes().map(routeKey));
+  const stale = Object.keys(operations).filter((key) => !routes.has(key));
+
+  assert.deepStrictEqual(stale, [], `Documented routes that no longer exist: ${stale.join(', ')}`);
+});
+
+test('every operation has a summary and its responses', () => {
+  const spec = buildOpenApiSpec();
+
+  Object.entries(spec.paths).forEach(([path, methods]) => {
+    Object.entries(methods).forEach(([method, operation]) => {
+      const name = `${method.toUpperCase()} ${path}`;
+      assert.ok(operation.summary, `${name} has no summary`);
+      assert.ok(Object.keys(operation.responses).some((status) => status < 300), `${name} has no success response`);
+      assert.ok(operation.responses[500], `${name} does not document server errors`);
+    });
+  });
+});
+
+test('path parameters match the path template', () => {
+  const spec = buildOpenApiSpec();
+
+  Object.entries(spec.paths).forEach(([path, methods]) => {
+    const templated = [...path.matchAll(/\{(\w+)\}/g)].map((match) => match[1]).sort();
+    Object.entries(methods).forEach(([method, operation]) => {
+      const declared = (operation.parameters || [])
+        .filter((parameter) => parameter.in === 'path')
+        .map((parameter) => parameter.name)
+        .sort();
+      assert.deepStrictEqual(declared, templated, `${method.toUpperCase()} ${path} path parameters`);
+    });
+  });
+});
+
+test('every $ref points to a defined component', () => {
+  const spec = buildOpenApiSpec();
+  const refs = [...JSON.stringify(spec).matchAll(/"\$ref":"#\/components\/schemas\/(\w+)"/g)].map((match) => match[1]);
+  const missing = [...new Set(refs)].filter((name) => !spec.components.schemas[name]);
+
+  assert.deepStrictEqual(missing, [], `Undefined schemas: ${missing.join(', ')}`);
+});
@@ -0,0 +1,210 @@
+// Orders (controllers/orderController.js, utils/stock.js): stock is reserved atomically and
+// all-or-nothing, cancellations restock exactly once, and brand staff only see their brand's lines
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const Shoe = require('../models/Shoe');
+const Brand = require('../models/Brand');
+const Order = require('../models/Order');
+const AuditLog = require('../models/AuditLog');
+const orderController = require('../controllers/orderController');
+const { reserveLines } = require('../utils/stock');
+
+const brandId = new mongoose.Types.ObjectId();
+const otherBrandId = new mongoose.Types.ObjectId();
+const shopper = { id: new mongoose.Types.ObjectId().toString(), role: 'customer', scope: 'global', permissions: [] };
+const viewer = {
+  id: new mongoose.Types.ObjectId().toString(),
+  role: 'brand_viewer',
+  scope: 'brand',
+  brand: brandId.toString(),
+  permissions: ['shoe:read', 'order:read'],
+};
+
+const shoe = new Shoe({
+  name: 'Runner',
+  brand: brandId,
+  price: 100,
+  status: 'published',
+  variants: [
+    { size: '42', sizeSystem: 'EU', color: 'Black', sku: 'RUN-42', stock: 2 },
+    { size: '43', sizeSystem: 'EU', color: 'Black', sku: 'RUN-43', stock: 1 },
+  ],
+});
+const [small, large] = shoe.variants.map((variant) => variant._id);
+
+// Variant stock kept in `stock` (variant ID -> units); each update is atomic, like MongoDB's
+const useStock = (t, stock) => t.mock.method(Shoe, 'updateOne', (filter, update) => {
+  const match = filter.variants ? filter.variants.$elemMatch : { _id: filter['variants._id'] };
+  const key = String(match._id);
+  const matched = key in stock && (!match.stock || stock[key] >= match.stock.$gte);
+  if (matched) stock[key] += update.$inc['variants.$.stock'];
+
+  const result = Promise.resolve({ modifiedCount: matched ? 1 : 0 });
+  result.setOptions = () => result;
+  return result;
+});
+
+const line = (variant, quantity) => ({ shoe: shoe._id, variant, quantity });
+
+test('a reservation takes every line or none', async (t) => {
+  const stock = { [small]: 2, [large]: 1 };
+  useStock(t, stock);
+
+  assert.strictEqual(await reserveLines([line(small, 2), line(large, 2)]), 1);
+  assert.deepStrictEqual(stock, { [small]: 2, [large]: 1 }, 'the first line was given back');
+
+  assert.strictEqual(await reserveLines([line(small, 2), line(large, 1)]), -1);
+  assert.deepStrictEqual(stock, { [small]: 0, [large]: 0 });
+});
+
+test('concurrent orders cannot oversell the last units', async (t) => {
+  const stock = { [small]: 3 };
+  useStock(t, stock);
+
+  const results = await Promise.all([reserveLines([line(small, 2)]), reserveLines([line(small, 2)])]);
+
+  assert.deepStrictEqual(results.sort(), [-1, 0]);
+  assert.strictEqual(stock[small], 1);
+});
+
+// Place an order for `items` against the stock in `stock`
+const placeOrder = async (t, stock, items) => {
+  useStock(t, stock);
+  t.mock.method(Shoe, 'find', async () => [shoe]);
+  t.mock.method(Brand, 'find', () => ({ distinct: async () => [brandId] }));
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  const created = t.mock.method(Order, 'create', async (doc) => new Order(doc));
+
+  const res = fakeResponse();
+  await orderController.createOrder(fakeRequest({ body: { items }, user: shopper }), res);
+  return { res, created };
+};
+
+test('an order for more than is in stock is refused and reserves nothing', async (t) => {
+  const stock = { [small]: 2, [large]: 1 };
+  const { res, created } = await placeOrder(t, stock, [
+    { shoe: shoe._id.toString(), variant: small.toString(), quantity: 1 },
+    { shoe: shoe._id.toString(), variant: large.toString(), quantity: 2 },
+  ]);
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(res.body.code, 'INSUFFICIENT_STOCK');
+  assert.strictEqual(res.body.errors[0].field, 'items.1');
+  assert.strictEqual(created.mock.callCount(), 0);
+  assert.deepStrictEqual(stock, { [small]: 2, [large]: 1 });
+});
+
+test('placing an order takes its stock and snapshots prices', async (t) => {
+  const stock = { [small]: 2, [large]: 1 };
+  const { res } = await placeOrder(t, stock, [{ shoe: shoe._id.toString(), variant: small.toString(), quantity: 2 }]);
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.strictEqual(res.body.total, 200);
+  assert.strictEqual(res.body.items[0].brand.toString(), brandId.toString());
+  assert.strictEqual(stock[small], 0);
+});
+
+const storedOrder = (status) => new Order({
+  user: shopper.id,
+  status,
+  total: 300,
+  items: [
+    { shoe: shoe._id, variant: small, brand: brandId, name: 'Runner', sku: 'RUN-42', quantity: 1, unitPrice: 100, lineTotal: 100 },
+    { shoe: new mongoose.Types.ObjectId(), variant: new mongoose.Types.ObjectId(), brand: otherBrandId, name: 'Trail', sku: 'TR-1', quantity: 1, unitPrice: 200, lineTotal: 200 },
+  ],
+});
+
+test('cancelling an order restocks it once, even when two cancellations race', async (t) => {
+  const order = storedOrder('pending');
+  const stock = { [small]: 0, [String(order.items[1].variant)]: 0 };
+  useStock(t, stock);
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  t.mock.method(Order, 'findOne', async () => order);
+  // The status filter of the atomic transition only matches for the first request
+  let claimed = false;
+  t.mock.method(Order, 'findOneAndUpdate', async (filter) => {
+    if (claimed || filter.status !== 'pending') return null;
+    claimed = true;
+    return Order.hydrate({ ...order.toObject(), status: 'cancelled' });
+  });
+
+  const responses = [fakeResponse(), fakeResponse()];
+  await Promise.all(responses.map((res) => orderController.cancelOrder(
+    fakeRequest({ params: { id: order._id.toString() }, user: shopper }),
+    res
+  )));
+
+  assert.deepStrictEqual(responses.map((res) => res.statusCode).sort(), [200, 409]);
+  assert.deepStrictEqual(Object.values(stock), [1, 1]);
+});
+
+test('shoppers cannot cancel orders that are already paid', async (t) => {
+  t.mock.method(Order, 'findOne', async () => storedOrder('paid'));
+
+  const res = fakeResponse();
+  await orderController.cancelOrder(fakeRequest({ params: { id: 'x' }, user: shopper }), res);
+
+  assert.strictEqual(res.statusCode, 409);
+});
+
+// A brand-scoped custom role allowed to manage orders
+const brandManager = { ...viewer, role: 'brand_orders', permissions: ['order:read', 'order:manage'] };
+
+test("order managers of a brand only reach their brand's orders", async (t) => {
+  const lookup = t.mock.method(Order, 'findOne', async () => null);
+  const updates = t.mock.method(Order, 'findOneAndUpdate', async () => null);
+
+  const updated = fakeResponse();
+  await orderController.updateOrderStatus(fakeRequest({
+    params: { id: 'x' },
+    body: { status: 'paid' },
+    user: brandManager,
+  }), updated);
+  const cancelled = fakeResponse();
+  await orderController.cancelOrder(fakeRequest({ params: { id: 'x' }, user: brandManager }), cancelled);
+
+  assert.deepStrictEqual([updated.statusCode, cancelled.statusCode], [404, 404]);
+  assert.deepStrictEqual(lookup.mock.calls[0].arguments[0], { _id: 'x', 'items.brand': brandManager.brand });
+  assert.deepStrictEqual(lookup.mock.calls[1].arguments[0], {
+    _id: 'x',
+    $or: [{ user: brandManager.id }, { 'items.brand': brandManager.brand }],
+  });
+  assert.strictEqual(updates.mock.callCount(), 0);
+});
+
+test('shoppers can only cancel their own orders', async (t) => {
+  const lookup = t.mock.method(Order, 'findOne', async () => null);
+
+  const res = fakeResponse();
+  await orderController.cancelOrder(fakeRequest({ params: { id: 'x' }, user: shopper }), res);
+
+  assert.strictEqual(res.statusCode, 404);
+  assert.deepStrictEqual(lookup.mock.calls[0].arguments[0], { _id: 'x', user: shopper.id });
+});
+
+test("brand staff only see their brand's lines of an order", async (t) => {
+  const lookup = t.mock.method(Order, 'findOne', async () => storedOrder('paid'));
+
+  const res = fakeResponse();
+  await orderController.getOrder(fakeRequest({ params: { id: 'x' }, user: viewer }), res);
+
+  assert.strictEqual(lookup.mock.calls[0].arguments[0]['items.brand'], viewer.brand);
+  assert.deepStrictEqual(res.body.items.map((item) => item.sku), ['RUN-42']);
+  assert.strictEqual(res.body.total, undefined);
+  assert.strictEqual(res.body.brandTotal, 100);
+});
+
+test('shoppers only list their own orders, in full', async (t) => {
+  const query = { sort: () => query, skip: () => query, limit: async () => [storedOrder('paid')] };
+  const find = t.mock.method(Order, 'find', () => query);
+  t.mock.method(Order, 'countDocuments', async () => 1);
+
+  const res = fakeResponse();
+  await orderController.getOrders(fakeRequest({ user: shopper }), res);
+
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0], { user: shopper.id });
+  assert.strictEqual(res.body.data[0].items.length, 2);
+  assert.strictEqual(res.body.data[0].total, 300);
+});
@@ -0,0 +1,134 @@
+// Permission-based authorization (utils/permissions.js, middleware/requirePermission.js): roles
+// grant named permissions, brand-scoped roles stay inside their brand, and nobody can hand out
+// more access than they hold
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Brand = require('../models/Brand');
+const AuditLog = require('../models/AuditLog');
+const RefreshToken = require('../models/RefreshToken');
+const Webhook = require('../models/Webhook');
+const requirePermission = require('../middleware/requirePermission');
+const userController = require('../controllers/userController');
+const {
+  DEFAULT_ROLES, clearRoleCache, hasPermission, canAccessBrand, canGrantRole,
+} = require('../utils/permissions');
+
+const brand = new Brand({ name: 'Acme', slug: 'acme', active: true });
+const otherBrand = new Brand({ name: 'Other', slug: 'other', active: true });
+const roleNamed = (name) => DEFAULT_ROLES.find((role) => role.name === name);
+
+// The request user authMiddleware builds for a holder of `roleName`
+const caller = (roleName, brandId = brand._id) => {
+  const role = roleNamed(roleName);
+  return {
+    id: new mongoose.Types.ObjectId().toString(),
+    role: role.name,
+    scope: role.scope,
+    permissions: role.permissions,
+    brand: role.scope === 'brand' ? brandId.toString() : undefined,
+  };
+};
+
+beforeEach(() => clearRoleCache());
+
+test('brand-scoped roles only reach their own brand', () => {
+  assert.strictEqual(canAccessBrand(caller('brand_admin'), brand._id), true);
+  assert.strictEqual(canAccessBrand(caller('brand_admin'), otherBrand._id), false);
+  assert.strictEqual(canAccessBrand(caller('super_admin'), otherBrand._id), true);
+});
+
+test('a role can only be granted by someone holding all of its permissions', () => {
+  const admin = caller('brand_admin');
+  assert.strictEqual(canGrantRole(admin, roleNamed('brand_editor')), true);
+  assert.strictEqual(canGrantRole(admin, roleNamed('super_admin')), false);
+  assert.strictEqual(canGrantRole(caller('brand_editor'), roleNamed('brand_user')), false, 'editors cannot delete');
+  assert.strictEqual(canGrantRole(admin, roleNamed('customer')), false, 'brand admins only grant brand roles');
+  assert.strictEqual(canGrantRole(caller('super_admin'), roleNamed('customer')), true);
+});
+
+test('requirePermission lets holders through and names what others lack', () => {
+  const middleware = requirePermission('shoe:update', 'shoe:delete');
+  let passed = 0;
+
+  middleware(fakeRequest({ user: caller('brand_user') }), fakeResponse(), () => { passed += 1; });
+  assert.strictEqual(passed, 1);
+
+  const res = fakeResponse();
+  middleware(fakeRequest({ user: caller('brand_editor') }), res, () => { passed += 1; });
+  assert.strictEqual(passed, 1);
+  assert.strictEqual(res.statusCode, 403);
+  assert.match(res.body.message, /requires shoe:delete$/);
+
+  assert.strictEqual(hasPermission(undefined, 'shoe:read'), false);
+});
+
+// A stored user holding `role`
+const userWithRole = (role, brandId = brand._id) => User.hydrate(new User({
+  name: 'Grace',
+  email: 'grace@example.com',
+  password: 'hash',
+  role,
+  brand: brandId,
+}).toObject());
+
+// PATCH /api/users/:id by `manager` on `target`
+const updateUser = async (t, manager, target, body) => {
+  t.mock.method(Role, 'findOne', ({ name }) => ({ lean: async () => roleNamed(name) || null }));
+  t.mock.method(User, 'findById', async () => target);
+  t.mock.method(Brand, 'findById', async (id) => [brand, otherBrand].find((candidate) => candidate._id.equals(id)) || null);
+  const saves = t.mock.method(User.prototype, 'save', async function save() {
+    await this.validate();
+    return this;
+  });
+  t.mock.method(RefreshToken, 'updateMany', async () => ({}));
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  t.mock.method(Webhook, 'find', () => ({ select: async () => [] }));
+
+  const res = fakeResponse();
+  await userController.updateUser(fakeRequest({ params: { id: target._id.toString() }, body, user: manager }), res);
+  return { res, saves };
+};
+
+test('brand admins assign brand roles within their brand', async (t) => {
+  const target = userWithRole('brand_viewer');
+  const { res } = await updateUser(t, caller('brand_admin'), target, { role: 'brand_editor' });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(target.role, 'brand_editor');
+  assert.strictEqual(target.tokenVersion, 1, 'existing sessions are ended');
+});
+
+test('brand admins cannot hand out super_admin', async (t) => {
+  const target = userWithRole('brand_viewer');
+  const { res, saves } = await updateUser(t, caller('brand_admin'), target, { role: 'super_admin' });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(saves.mock.callCount(), 0);
+});
+
+test('brand admins cannot move users to another brand', async (t) => {
+  const target = userWithRole('brand_viewer');
+  const { res } = await updateUser(t, caller('brand_admin'), target, { brand: otherBrand._id.toString() });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.ok(target.brand.equals(brand._id));
+});
+
+test('brand admins cannot manage users of other brands', async (t) => {
+  const target = userWithRole('brand_viewer', otherBrand._id);
+  const { res } = await updateUser(t, caller('brand_admin'), target, { role: 'brand_editor' });
+
+  assert.strictEqual(res.statusCode, 404);
+});
+
+test('brand admins cannot manage users holding permissions they lack', async (t) => {
+  const target = userWithRole('super_admin');
+  const { res } = await updateUser(t, caller('brand_admin'), target, { role: 'brand_viewer' });
+
+  assert.strictEqual(res.statusCode, 404);
+  assert.strictEqual(target.role, 'super_admin');
+});
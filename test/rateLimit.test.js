@@ -0,0 +1,76 @@
+// Rate limiting (middleware/rateLimit.js) with the default in-memory store: fixed windows per key,
+// tighter limits on /api/auth, and API tiers picked from the caller's role
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const {
+  rateLimit, apiRateLimit, authAccountRateLimit, resetAccountRateLimit,
+} = require('../middleware/rateLimit');
+const { getRateLimitStore, setRateLimitStore } = require('../utils/rateLimitStore');
+const logger = require('../utils/logger');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Run a limiter once; resolves to the response, with `passed` telling whether next() was called
+const hit = async (limiter, request) => {
+  const res = fakeResponse();
+  res.passed = false;
+  await limiter(fakeRequest(request), res, () => { res.passed = true; });
+  return res;
+};
+
+test('requests over the limit get 429 with Retry-After, per key', async () => {
+  const limiter = rateLimit({ name: 'test-window', windowMs: 60 * 1000, max: 2, key: (req) => req.ip });
+
+  const first = await hit(limiter, { ip: '10.0.0.1' });
+  assert.strictEqual(first.passed, true);
+  assert.strictEqual(first.get('RateLimit-Limit'), '2');
+  assert.strictEqual(first.get('RateLimit-Remaining'), '1');
+
+  await hit(limiter, { ip: '10.0.0.1' });
+  const blocked = await hit(limiter, { ip: '10.0.0.1' });
+  assert.strictEqual(blocked.passed, false);
+  assert.strictEqual(blocked.statusCode, 429);
+  assert.ok(Number(blocked.get('Retry-After')) > 0);
+
+  assert.strictEqual((await hit(limiter, { ip: '10.0.0.2' })).passed, true, 'other clients keep their budget');
+});
+
+test('an unavailable store lets requests through', async (t) => {
+  const store = getRateLimitStore();
+  setRateLimitStore({ increment: async () => { throw new Error('store down'); }, reset: async () => {} });
+  t.after(() => setRateLimitStore(store));
+  const logged = t.mock.method(logger, 'error', () => {});
+
+  const limiter = rateLimit({ name: 'test-down', windowMs: 1000, max: 0, key: () => 'caller' });
+  assert.strictEqual((await hit(limiter, {})).passed, true);
+  assert.strictEqual(logged.mock.callCount(), 1);
+});
+
+test('login attempts are counted per account across addresses until the account is reset', async () => {
+  const attempt = (ip, email) => hit(authAccountRateLimit, { ip, body: { email } });
+
+  for (let index = 0; index < 10; index += 1) {
+    assert.strictEqual((await attempt(`10.1.0.${index}`, 'target@example.com')).passed, true);
+  }
+  const blocked = await attempt('10.1.0.99', ' Target@Example.com ');
+  assert.strictEqual(blocked.statusCode, 429);
+
+  await resetAccountRateLimit('target@example.com');
+  assert.strictEqual((await attempt('10.1.0.99', 'target@example.com')).passed, true);
+});
+
+test('the API limiter applies the tier of the caller', async () => {
+  const tierOf = async (request) => (await hit(apiRateLimit, request)).get('RateLimit-Limit');
+  const bearer = (role) => ({
+    authorization: `Bearer ${jwt.sign({ id: new mongoose.Types.ObjectId().toString(), role }, process.env.JWT_SECRET)}`,
+  });
+
+  assert.strictEqual(await tierOf({ ip: '10.2.0.1' }), '100');
+  assert.strictEqual(await tierOf({ ip: '10.2.0.2', headers: { authorization: 'Bearer forged' } }), '100');
+  assert.strictEqual(await tierOf({ headers: bearer('customer') }), '300');
+  assert.strictEqual(await tierOf({ headers: bearer('brand_editor') }), '600');
+  assert.strictEqual(await tierOf({ headers: bearer('super_admin') }), '2000');
+});
@@ -0,0 +1,117 @@
+// Refresh token rotation (utils/refreshTokens.js): every token works once, and presenting a used
+// token again ends all of the user's sessions
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const RefreshToken = require('../models/RefreshToken');
+const hashToken = require('../utils/hashToken');
+const authController = require('../controllers/authController');
+const { issueRefreshToken, rotateRefreshToken, revokeRefreshToken } = require('../utils/refreshTokens');
+
+const user = { _id: new mongoose.Types.ObjectId(), name: 'Ada' };
+
+// In-memory RefreshToken collection; each operation is atomic, like its MongoDB counterpart
+const useTokenStore = (t) => {
+  const tokens = [];
+  const matches = (token, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$gt) return token[field] > condition.$gt;
+    if (condition === null) return token[field] == null;
+    return String(token[field]) === String(condition);
+  });
+  const apply = (token, update) => Object.assign(token, update);
+
+  t.mock.method(RefreshToken, 'create', async (doc) => {
+    const token = { _id: new mongoose.Types.ObjectId(), revokedAt: null, ...doc };
+    tokens.push(token);
+    return token;
+  });
+  t.mock.method(RefreshToken, 'findOneAndUpdate', (filter, update) => ({
+    populate: async () => {
+      const token = tokens.find((candidate) => matches(candidate, filter));
+      if (!token) return null;
+      apply(token, update);
+      return { ...token, user };
+    },
+  }));
+  t.mock.method(RefreshToken, 'findOne', (filter) => ({
+    select: async () => tokens.find((candidate) => matches(candidate, filter)) || null,
+  }));
+  t.mock.method(RefreshToken, 'updateOne', async (filter, update) => {
+    const token = tokens.find((candidate) => matches(candidate, filter));
+    if (token) apply(token, update);
+  });
+  t.mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    tokens.filter((candidate) => matches(candidate, filter)).forEach((token) => apply(token, update));
+  });
+
+  return tokens;
+};
+
+const activeTokens = (tokens) => tokens.filter((token) => !token.revokedAt);
+
+test('rotation revokes the presented token and links it to its replacement', async (t) => {
+  const tokens = useTokenStore(t);
+  const token = await issueRefreshToken(user, '127.0.0.1');
+
+  const result = await rotateRefreshToken(token, '127.0.0.1');
+
+  assert.strictEqual(result.user, user);
+  assert.notStrictEqual(result.token, token);
+  const old = tokens.find((stored) => stored.tokenHash === hashToken(token));
+  assert.ok(old.revokedAt);
+  assert.strictEqual(old.replacedBy, hashToken(result.token));
+  assert.deepStrictEqual(activeTokens(tokens).map((stored) => stored.tokenHash), [hashToken(result.token)]);
+});
+
+test('reusing a rotated token revokes every session of the user', async (t) => {
+  const tokens = useTokenStore(t);
+  const token = await issueRefreshToken(user, '127.0.0.1');
+  await issueRefreshToken(user, '10.0.0.2'); // Another device
+  await rotateRefreshToken(token, '127.0.0.1');
+
+  assert.strictEqual(await rotateRefreshToken(token, '203.0.113.9'), null);
+  assert.deepStrictEqual(activeTokens(tokens), []);
+});
+
+test('of two concurrent refreshes with the same token only one succeeds', async (t) => {
+  const tokens = useTokenStore(t);
+  const token = await issueRefreshToken(user, '127.0.0.1');
+
+  const results = await Promise.all([rotateRefreshToken(token, '127.0.0.1'), rotateRefreshToken(token, '127.0.0.1')]);
+
+  assert.strictEqual(results.filter(Boolean).length, 1);
+  assert.deepStrictEqual(activeTokens(tokens), [], 'the losing refresh counts as reuse');
+});
+
+test('unknown and expired tokens are refused without revoking anything', async (t) => {
+  const tokens = useTokenStore(t);
+  const token = await issueRefreshToken(user, '127.0.0.1');
+  const other = await issueRefreshToken(user, '127.0.0.1');
+  tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+  assert.strictEqual(await rotateRefreshToken('not-a-token', '127.0.0.1'), null);
+  assert.strictEqual(await rotateRefreshToken(token, '127.0.0.1'), null);
+  assert.deepStrictEqual(activeTokens(tokens).map((stored) => stored.tokenHash), [hashToken(token), hashToken(other)]);
+});
+
+test('a logged-out token can no longer be rotated', async (t) => {
+  useTokenStore(t);
+  const token = await issueRefreshToken(user, '127.0.0.1');
+
+  await revokeRefreshToken(token);
+
+  assert.strictEqual(await rotateRefreshToken(token, '127.0.0.1'), null);
+});
+
+test('the refresh endpoint answers 401 for a reused token', async (t) => {
+  useTokenStore(t);
+  const token = await issueRefreshToken(user, '127.0.0.1');
+  await rotateRefreshToken(token, '127.0.0.1');
+
+  const res = fakeResponse();
+  await authController.refresh(fakeRequest({ body: { refreshToken: token } }), res);
+
+  assert.strictEqual(res.statusCode, 401);
+  assert.strictEqual(res.body.message, 'Invalid refresh token');
+});
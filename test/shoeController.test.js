@@ -0,0 +1,131 @@
+// Shoe endpoints (controllers/shoeController.js) called directly with mocked models
+// Updates are partial and guarded by the shoe's version: a stale If-Match is a 412
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const Shoe = require('../models/Shoe');
+const Brand = require('../models/Brand');
+const AuditLog = require('../models/AuditLog');
+const Webhook = require('../models/Webhook');
+const shoeController = require('../controllers/shoeController');
+const variantController = require('../controllers/variantController');
+
+const brand = new Brand({ name: 'Acme', slug: 'acme', active: true });
+const editor = { id: new mongoose.Types.ObjectId().toString(), role: 'brand_admin', scope: 'brand', brand: brand._id.toString() };
+
+// Validate saves instead of writing them
+const mockWrites = (t) => {
+  t.mock.method(Shoe.prototype, 'save', async function save() {
+    await this.validate();
+    return this;
+  });
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  t.mock.method(Webhook, 'find', () => ({ select: async () => [] }));
+};
+
+test('creating a shoe that breaks a schema rule is a 422 in the standard envelope', async (t) => {
+  t.mock.method(Brand, 'findOne', async () => brand);
+  mockWrites(t);
+
+  const variant = { size: '42', sizeSystem: 'EU', color: 'Black', sku: 'RUN-42', stock: 1 };
+  const res = fakeResponse();
+  await shoeController.createShoe(fakeRequest({
+    body: { name: 'Runner', price: 100, brand: 'acme', variants: [variant, { ...variant, size: '43' }] },
+    user: editor,
+  }), res);
+
+  assert.strictEqual(res.statusCode, 422);
+  assert.strictEqual(res.body.code, 'VALIDATION_FAILED');
+  assert.match(res.body.message, /Duplicate SKU/);
+});
+
+// A draft shoe of the editor's brand as loaded from the database, at version 3
+const storedShoe = () => Shoe.hydrate({
+  ...new Shoe({
+    name: 'Runner',
+    brand: brand._id,
+    price: 100,
+    description: 'Light',
+    variants: [{ size: '42', sizeSystem: 'EU', color: 'Black', sku: 'RUN-42', stock: 1 }],
+  }).toObject({ virtuals: false }),
+  __v: 3,
+});
+
+// PATCH /api/shoes/:id on `shoe` with the given If-Match header
+const patchShoe = async (t, shoe, body, ifMatch) => {
+  t.mock.method(Shoe, 'findById', async () => shoe);
+  mockWrites(t);
+  const res = fakeResponse();
+  await shoeController.updateShoe(fakeRequest({
+    params: { id: shoe._id.toString() },
+    body,
+    headers: ifMatch ? { 'If-Match': ifMatch } : {},
+    user: editor,
+  }), res);
+  return res;
+};
+
+test('an update against the current version applies only the fields sent', async (t) => {
+  const shoe = storedShoe();
+  const res = await patchShoe(t, shoe, { price: 0, description: null }, '"3"');
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.get('ETag'), '"3"');
+  assert.strictEqual(shoe.price, 0);
+  assert.strictEqual(shoe.description, undefined);
+  assert.strictEqual(shoe.name, 'Runner');
+});
+
+test('an update against an older version is a 412 and changes nothing', async (t) => {
+  for (const ifMatch of ['"2"', 'W/"3"']) {
+    await t.test(ifMatch, async (t) => {
+      const shoe = storedShoe();
+      const res = await patchShoe(t, shoe, { price: 80 }, ifMatch);
+
+      assert.strictEqual(res.statusCode, 412);
+      assert.strictEqual(shoe.price, 100);
+      assert.strictEqual(Shoe.prototype.save.mock.callCount(), 0);
+    });
+  }
+});
+
+test('If-Match: * and a list containing the current version both match', async (t) => {
+  for (const ifMatch of ['*', '"2", "3"']) {
+    await t.test(ifMatch, async (t) => {
+      const res = await patchShoe(t, storedShoe(), { price: 80 }, ifMatch);
+      assert.strictEqual(res.statusCode, 200);
+    });
+  }
+});
+
+test('a save that loses a race with another save is a 409', async (t) => {
+  const shoe = storedShoe();
+  t.mock.method(Shoe, 'findById', async () => shoe);
+  mockWrites(t);
+  Shoe.prototype.save.mock.mockImplementation(async function save() {
+    throw new mongoose.Error.VersionError(this, 3, ['price']);
+  });
+
+  const res = fakeResponse();
+  await shoeController.updateShoe(fakeRequest({ params: { id: shoe._id.toString() }, body: { price: 80 }, user: editor }), res);
+
+  assert.strictEqual(res.statusCode, 409);
+});
+
+test('deleting a variant while another save wins the race is a 409', async (t) => {
+  const shoe = storedShoe();
+  t.mock.method(Shoe, 'findById', async () => shoe);
+  mockWrites(t);
+  Shoe.prototype.save.mock.mockImplementation(async function save() {
+    throw new mongoose.Error.VersionError(this, 3, ['variants']);
+  });
+
+  const res = fakeResponse();
+  await variantController.deleteVariant(fakeRequest({
+    params: { id: shoe._id.toString(), variantId: shoe.variants[0]._id.toString() },
+    user: editor,
+  }), res);
+
+  assert.strictEqual(res.statusCode, 409);
+});
@@ -0,0 +1,184 @@
+// Review workflow (utils/shoeWorkflow.js): changes to a published shoe's prices never reach the
+// public catalog before a reviewer approves them, whichever endpoint or job makes them
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { fakeRequest, fakeResponse } = require('./support/http');
+const Shoe = require('../models/Shoe');
+const AuditLog = require('../models/AuditLog');
+const Webhook = require('../models/Webhook');
+const ScheduledPriceChange = require('../models/ScheduledPriceChange');
+const variantController = require('../controllers/variantController');
+const catalogController = require('../controllers/catalogController');
+const { applyPriceChange } = require('../utils/promotionScheduler');
+const { editShoe, transitionShoe } = require('../utils/shoeWorkflow');
+
+const brandId = new mongoose.Types.ObjectId();
+const editor = { id: new mongoose.Types.ObjectId().toString(), role: 'super_admin', scope: 'global', permissions: [] };
+
+const newShoe = (status) => new Shoe({
+  name: 'Runner',
+  brand: brandId,
+  price: 100,
+  status,
+  variants: [{ size: '42', sizeSystem: 'EU', color: 'Black', sku: 'RUN-42', stock: 3, price: 110 }],
+});
+
+// Serve `shoe` to the controllers and validate saves instead of writing them
+const useShoe = (t, shoe) => {
+  t.mock.method(Shoe, 'findById', async () => shoe);
+  t.mock.method(Shoe.prototype, 'save', async function save() {
+    await this.validate();
+    return this;
+  });
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  t.mock.method(Webhook, 'find', () => ({ select: async () => [] }));
+};
+
+// The shoe as GET /api/catalog/shoes/:id shows it
+const catalogView = async (t, shoe) => {
+  t.mock.method(Shoe, 'findOne', () => ({
+    populate: () => ({
+      lean: async () => ({ ...shoe.toObject(), brand: { name: 'Acme', slug: 'acme', active: true } }),
+    }),
+  }));
+  const res = fakeResponse();
+  await catalogController.getShoe(fakeRequest({ params: { id: shoe._id.toString() } }), res);
+  assert.strictEqual(res.statusCode, 200);
+  return res.body;
+};
+
+test('a variant price change on a published shoe waits for review', async (t) => {
+  const shoe = newShoe('published');
+  const variantId = shoe.variants[0]._id.toString();
+  useShoe(t, shoe);
+
+  const res = fakeResponse();
+  await variantController.updateVariant(fakeRequest({
+    params: { id: shoe._id.toString(), variantId },
+    body: { price: 90, stock: 5 },
+    user: editor,
+  }), res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(shoe.variants[0].stock, 5, 'stock changes directly');
+  assert.strictEqual(shoe.variants[0].price, 110);
+  assert.deepStrictEqual(shoe.revision.toObject({ flattenMaps: true }).changes.variantPrices, { [variantId]: 90 });
+
+  const view = await catalogView(t, shoe);
+  assert.strictEqual(view.variants[0].price, 110);
+});
+
+test('a new variant of a published shoe sells at the shoe price until its override is approved', async (t) => {
+  const shoe = newShoe('published');
+  useShoe(t, shoe);
+
+  const res = fakeResponse();
+  await variantController.createVariant(fakeRequest({
+    params: { id: shoe._id.toString() },
+    body: { size: '43', sizeSystem: 'EU', color: 'Black', sku: 'RUN-43', stock: 1, price: 250 },
+    user: editor,
+  }), res);
+
+  assert.strictEqual(res.statusCode, 201);
+  const view = await catalogView(t, shoe);
+  assert.strictEqual(view.variants[1].price, 100);
+});
+
+test('variant prices of a draft change directly', async (t) => {
+  const shoe = newShoe('draft');
+  useShoe(t, shoe);
+
+  await variantController.updateVariant(fakeRequest({
+    params: { id: shoe._id.toString(), variantId: shoe.variants[0]._id.toString() },
+    body: { price: null },
+    user: editor,
+  }), fakeResponse());
+
+  assert.strictEqual(shoe.variants[0].price, undefined);
+  assert.strictEqual(shoe.revision, undefined);
+});
+
+test('variant price changes are refused while the shoe is in review', async (t) => {
+  const shoe = newShoe('in_review');
+  useShoe(t, shoe);
+
+  const res = fakeResponse();
+  await variantController.updateVariant(fakeRequest({
+    params: { id: shoe._id.toString(), variantId: shoe.variants[0]._id.toString() },
+    body: { price: 90 },
+    user: editor,
+  }), res);
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(shoe.variants[0].price, 110);
+});
+
+test('a scheduled price change on a published shoe waits for review', async (t) => {
+  const shoe = newShoe('published');
+  useShoe(t, shoe);
+  const outcome = t.mock.method(ScheduledPriceChange, 'updateOne', async () => ({}));
+
+  const change = new ScheduledPriceChange({ shoe: shoe._id, brand: brandId, price: 120, effectiveAt: new Date() });
+  assert.strictEqual(await applyPriceChange(change), null);
+
+  assert.strictEqual(shoe.price, 100);
+  assert.strictEqual(shoe.revision.changes.price, 120);
+  assert.deepStrictEqual(outcome.mock.calls[0].arguments[1], { outcome: 'pending_review' });
+
+  const view = await catalogView(t, shoe);
+  assert.strictEqual(view.price, 100);
+});
+
+test('a scheduled variant price change on a published shoe waits for review', async (t) => {
+  const shoe = newShoe('published');
+  const variant = shoe.variants[0];
+  useShoe(t, shoe);
+  t.mock.method(ScheduledPriceChange, 'updateOne', async () => ({}));
+
+  const change = new ScheduledPriceChange({ shoe: shoe._id, brand: brandId, variant: variant._id, effectiveAt: new Date() });
+  assert.strictEqual(await applyPriceChange(change), null);
+
+  assert.strictEqual(variant.price, 110);
+  assert.deepStrictEqual(shoe.revision.toObject({ flattenMaps: true }).changes.variantPrices, { [variant._id]: null });
+
+  const view = await catalogView(t, shoe);
+  assert.strictEqual(view.variants[0].price, 110);
+});
+
+test('a scheduled price change on a draft is applied directly', async (t) => {
+  const shoe = newShoe('draft');
+  useShoe(t, shoe);
+  const outcome = t.mock.method(ScheduledPriceChange, 'updateOne', async () => ({}));
+  t.mock.method(Shoe, 'distinct', async () => []);
+
+  const change = new ScheduledPriceChange({ shoe: shoe._id, brand: brandId, price: 120, effectiveAt: new Date() });
+  assert.strictEqual(await applyPriceChange(change), null);
+
+  assert.strictEqual(shoe.price, 120);
+  assert.deepStrictEqual(outcome.mock.calls[0].arguments[1], { outcome: 'applied' });
+});
+
+test('approving a revision applies its price changes', () => {
+  const shoe = newShoe('published');
+  const variantId = shoe.variants[0]._id.toString();
+
+  assert.strictEqual(editShoe(shoe, { price: 95, variantPrices: { [variantId]: 99 } }, editor.id), null);
+  assert.strictEqual(transitionShoe(shoe, 'submit', { userId: editor.id }), null);
+  assert.match(editShoe(shoe, { price: 1 }, editor.id), /in review/);
+  assert.strictEqual(transitionShoe(shoe, 'approve', { userId: editor.id, comment: 'ok' }), null);
+
+  assert.strictEqual(shoe.price, 95);
+  assert.strictEqual(shoe.variants[0].price, 99);
+  assert.strictEqual(shoe.revision, undefined);
+});
+
+test('reverting a staged change drops it from the revision', () => {
+  const shoe = newShoe('published');
+  const variantId = shoe.variants[0]._id.toString();
+
+  editShoe(shoe, { variantPrices: { [variantId]: 99 } }, editor.id);
+  editShoe(shoe, { variantPrices: { [variantId]: 110 } }, editor.id);
+
+  assert.strictEqual(shoe.revision, undefined);
+});
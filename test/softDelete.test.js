@@ -0,0 +1,29 @@
+// Soft delete plugin (models/plugins/softDelete.js): trashed documents stay out of every read
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./support/http'); // Queries fail at once instead of waiting for a database connection
+const Shoe = require('../models/Shoe');
+
+// Run the query's middleware and return its final filter
+// There is no database connection, so the query itself fails once the middleware has run
+const filterAfterHooks = async (query) => {
+  await query.exec().catch(() => {});
+  return query.getFilter();
+};
+
+test('distinct ignores trashed documents', async () => {
+  assert.deepStrictEqual(await filterAfterHooks(Shoe.distinct('brand', { status: 'published' })), {
+    status: 'published',
+    deletedAt: null,
+  });
+});
+
+test('withDeleted opts back in to trashed documents', async () => {
+  assert.deepStrictEqual(await filterAfterHooks(Shoe.distinct('brand').setOptions({ withDeleted: true })), {});
+  assert.deepStrictEqual(await filterAfterHooks(Shoe.find({ deletedAt: { $ne: null } })), { deletedAt: { $ne: null } });
+});
+
+test('hard deletes can still reach trashed documents', async () => {
+  const filter = await filterAfterHooks(Shoe.deleteOne({ name: 'Runner' }));
+  assert.strictEqual(filter.deletedAt, undefined);
+});
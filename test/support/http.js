@@ -0,0 +1,53 @@
+// Stand-ins for Express requests and responses, so controllers and middleware can be called directly
+// Tests run without a database: the model methods a test relies on are mocked with node:test's mock
+const mongoose = require('mongoose');
+
+// Queries a test forgot to mock fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const fakeRequest = ({ params = {}, query = {}, body = {}, headers = {}, user, ip = '127.0.0.1' } = {}) => {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    params,
+    query,
+    body,
+    headers: lowerCased,
+    user,
+    ip,
+    get: (name) => lowerCased[name.toLowerCase()],
+  };
+};
+
+// Records what the handler sent: statusCode, body and headers
+const fakeResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  headers: {},
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  },
+  set(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  },
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  },
+  vary() {
+    return this;
+  },
+  type() {
+    return this;
+  },
+});
+
+module.exports = { fakeRequest, fakeResponse };
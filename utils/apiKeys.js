@@ -0,0 +1,58 @@
+// API keys for machine-to-machine integrations (see models/ApiKey.js)
+// Keys are long random values, so like refresh tokens they are stored as a plain SHA-256 hash
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const hashToken = require('./hashToken');
+const logger = require('./logger');
+
+// Every key starts with this, so a key sent as a Bearer token is told apart from a JWT
+const KEY_PREFIX = 'sbk_';
+
+// lastUsedAt is only written when it is older than this, so busy keys don't write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// New key: the value handed to the client once, the prefix shown in lists and the hash to store
+const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, KEY_PREFIX.length + 8), keyHash: hashToken(key) };
+};
+
+// The API key sent with a request: X-API-Key header, or Authorization: Bearer sbk_...
+const apiKeyFromRequest = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith(`Bearer ${KEY_PREFIX}`)) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return null;
+};
+
+// The ApiKey (brand populated) matching the request's key, or null - looked up once per request,
+// so the API rate limiter and apiKeyMiddleware share the query
+const loadRequestApiKey = (req) => {
+  if (req.apiKeyLookup === undefined) {
+    const key = apiKeyFromRequest(req);
+    req.apiKeyLookup = key
+      ? ApiKey.findOne({ keyHash: hashToken(key) }).populate('brand', 'active').exec()
+      : Promise.resolve(null);
+  }
+  return req.apiKeyLookup;
+};
+
+// Whether the key is neither revoked nor expired
+const isUsable = (apiKey) => !apiKey.revokedAt && (!apiKey.expiresAt || apiKey.expiresAt > new Date());
+
+// Record that a key was just used; failures are logged and never fail the request
+const touchApiKey = async (apiKey, ip) => {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) return;
+
+  try {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } });
+  } catch (error) {
+    logger.error('Error recording API key use', { error });
+  }
+};
+
+module.exports = { KEY_PREFIX, generateApiKey, apiKeyFromRequest, loadRequestApiKey, isUsable, touchApiKey };
@@ -0,0 +1,70 @@
+// Helpers for writing audit log entries from controllers
+const AuditLog = require('../models/AuditLog');
+const logger = require('./logger');
+
+// Fields never copied into audit diffs (secrets and bookkeeping noise)
+const IGNORED_FIELDS = [
+  '_id',
+  '__v',
+  'updatedAt',
+  'password',
+  'tokenVersion',
+  'emailVerificationTokenHash',
+  'emailVerificationExpires',
+  'passwordResetTokenHash',
+  'passwordResetExpires',
+  'secret',
+  'keyHash',
+];
+
+// Convert a Mongoose document (or plain object) to a plain object suitable for diffing
+const snapshot = (doc) => {
+  if (!doc) return undefined;
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false, flattenMaps: true })
+    : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Reduce two snapshots to only the fields that differ
+// Creations (no before) and deletions (no after) keep the full non-ignored snapshot
+const diff = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = { before: {}, after: {} };
+
+  keys.forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+    if (before) changes.before[key] = oldValue;
+    if (after) changes.after[key] = newValue;
+  });
+
+  return changes;
+};
+
+// Record an audit entry for the current request
+// The actor defaults to req.user; pass { id, role } explicitly where no one is authenticated yet (login)
+// Failures are logged and swallowed - auditing must never break the mutation it describes
+const recordAudit = async (req, { actor = req.user, action, targetType, targetId, brand, before, after, metadata }) => {
+  try {
+    await AuditLog.create({
+      actor: actor ? actor.id : undefined,
+      actorRole: actor ? actor.role : undefined,
+      apiKey: actor ? actor.apiKey : undefined,
+      action,
+      targetType,
+      targetId,
+      brand,
+      changes: diff(snapshot(before), snapshot(after)),
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  } catch (error) {
+    logger.error('Error writing audit log', { error });
+  }
+};
+
+module.exports = { recordAudit, snapshot };
@@ -0,0 +1,102 @@
+// Helpers for pricing carts against the live catalog and merging anonymous carts
+const Shoe = require('../models/Shoe');
+const Brand = require('../models/Brand');
+const Cart = require('../models/Cart');
+const hashToken = require('./hashToken');
+const { effectivePriceOf } = require('./pricing');
+
+// Load the purchasable shoe/variant for a cart line
+// Returns { shoe, variant } or { problem } describing why it cannot be bought
+const findPurchasable = async (shoeId, variantId) => {
+  const shoe = await Shoe.findOne({ _id: shoeId, status: 'published' }).populate('brand', 'active');
+  if (!shoe || !shoe.brand || !shoe.brand.active) return { problem: 'Shoe is no longer available' };
+
+  const variant = shoe.variants.id(variantId);
+  if (!variant) return { problem: 'Variant is no longer available' };
+
+  return { shoe, variant };
+};
+
+// Price every line at today's catalog prices and flag lines that cannot be bought as-is
+const priceCart = async (cart) => {
+  const shoeIds = [...new Set(cart.items.map((item) => item.shoe.toString()))];
+  const shoes = await Shoe.find({ _id: { $in: shoeIds }, status: 'published' });
+  const activeBrands = await Brand.find({
+    _id: { $in: shoes.map((shoe) => shoe.brand) },
+    active: true,
+  }).distinct('_id');
+
+  const items = cart.items.map((item) => {
+    const shoe = shoes.find((candidate) => candidate._id.equals(item.shoe));
+    const listed = shoe && activeBrands.some((brandId) => brandId.equals(shoe.brand));
+    const variant = listed ? shoe.variants.id(item.variant) : null;
+
+    if (!variant) {
+      return {
+        id: item._id,
+        shoe: item.shoe,
+        variant: item.variant,
+        quantity: item.quantity,
+        available: false,
+        problem: 'No longer available',
+      };
+    }
+
+    // Today's price: the variant's list price after the shoe's current promotion
+    const unitPrice = effectivePriceOf(shoe, variant);
+    const enoughStock = variant.stock >= item.quantity;
+    return {
+      id: item._id,
+      shoe: shoe._id,
+      variant: variant._id,
+      name: shoe.name,
+      image: shoe.image,
+      sku: variant.sku,
+      size: variant.size,
+      sizeSystem: variant.sizeSystem,
+      color: variant.color,
+      quantity: item.quantity,
+      unitPrice,
+      lineTotal: Math.round(unitPrice * item.quantity * 100) / 100,
+      available: enoughStock,
+      ...(enoughStock ? {} : { problem: `Only ${variant.stock} left in stock` }),
+    };
+  });
+
+  const subtotal = items
+    .filter((item) => item.available)
+    .reduce((sum, item) => sum + item.lineTotal, 0);
+
+  return {
+    items,
+    subtotal: Math.round(subtotal * 100) / 100,
+    hasUnavailableItems: items.some((item) => !item.available),
+  };
+};
+
+// Add quantity to a line, or create it, keeping one line per variant
+const addToCart = (cart, shoeId, variantId, quantity) => {
+  const existing = cart.items.find((item) => item.variant.toString() === variantId.toString());
+  if (existing) existing.quantity += quantity;
+  else cart.items.push({ shoe: shoeId, variant: variantId, quantity });
+};
+
+// Move an anonymous cart's lines into the user's cart and delete the anonymous cart
+// Called when an anonymous shopper logs in or registers with their cart ID
+const mergeAnonymousCart = async (cartId, userId) => {
+  if (!cartId) return null;
+
+  const anonymous = await Cart.findOne({ sessionHash: hashToken(cartId), user: { $exists: false } });
+  if (!anonymous) return null;
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) cart = new Cart({ user: userId });
+
+  anonymous.items.forEach((item) => addToCart(cart, item.shoe, item.variant, item.quantity));
+  await cart.save();
+  await anonymous.deleteOne();
+
+  return cart;
+};
+
+module.exports = { findPurchasable, priceCart, addToCart, mergeAnonymousCart };
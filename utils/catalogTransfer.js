@@ -0,0 +1,117 @@
+// Helpers for bulk catalog import/export
+// CSV files use one row per variant; rows sharing brand + name are grouped into one shoe.
+// JSON uses the same shape as POST /api/shoes/create (an array of shoes with nested variants)
+const { parse } = require('csv-parse/sync');
+
+// Column order used by CSV export and understood by CSV import
+const CSV_COLUMNS = [
+  'name',
+  'brand',
+  'price',
+  'description',
+  'sku',
+  'size',
+  'sizeSystem',
+  'color',
+  'stock',
+  'variantPrice',
+];
+
+// Drop empty CSV cells so optional fields are simply absent
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== '')
+);
+
+// Parse CSV text into import items: [{ rows: [lineNumbers], shoe: { name, brand, ..., variants } }]
+// Throws the csv-parse error (with line information) when the file itself is malformed
+const parseCsvImport = (text) => {
+  const records = parse(text, { columns: true, skip_empty_lines: true, trim: true, info: true });
+  const groups = new Map();
+
+  records.forEach(({ record, info }) => {
+    const key = `${record.brand || ''}::${record.name || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        rows: [],
+        shoe: compact({
+          name: record.name,
+          brand: record.brand,
+          price: record.price,
+          description: record.description,
+          variants: [],
+        }),
+      });
+    }
+
+    const group = groups.get(key);
+    group.rows.push(info.lines);
+
+    // A row without a SKU describes the shoe only
+    if (record.sku) {
+      group.shoe.variants.push(compact({
+        sku: record.sku,
+        size: record.size,
+        sizeSystem: record.sizeSystem,
+        color: record.color,
+        stock: record.stock,
+        price: record.variantPrice,
+      }));
+    }
+  });
+
+  return [...groups.values()].map((group) => ({
+    ...group,
+    shoe: group.shoe.variants.length > 0 ? group.shoe : { ...group.shoe, variants: undefined },
+  }));
+};
+
+// Wrap a JSON payload (array of shoes, or { shoes: [...] }) into import items
+// Returns null when the payload has the wrong shape
+const parseJsonImport = (body) => {
+  const shoes = Array.isArray(body) ? body : body && body.shoes;
+  if (!Array.isArray(shoes)) return null;
+
+  return shoes.map((shoe, index) => ({ rows: [index + 1], shoe }));
+};
+
+// Flatten a brand-populated shoe into CSV rows (one per variant, or one for a shoe without variants)
+const toCsvRows = (shoe) => {
+  const base = {
+    name: shoe.name,
+    brand: shoe.brand ? shoe.brand.slug : '',
+    price: shoe.price,
+    description: shoe.description || '',
+  };
+  if (!shoe.variants || shoe.variants.length === 0) return [base];
+
+  return shoe.variants.map((variant) => ({
+    ...base,
+    sku: variant.sku,
+    size: variant.size,
+    sizeSystem: variant.sizeSystem,
+    color: variant.color,
+    stock: variant.stock,
+    variantPrice: variant.price !== undefined && variant.price !== null ? variant.price : '',
+  }));
+};
+
+// Shape a brand-populated shoe for JSON export (re-importable as-is)
+// Only fields the import accepts: shoes are matched by SKU or name, not by ID
+const toJsonExport = (shoe) => ({
+  name: shoe.name,
+  brand: shoe.brand ? shoe.brand.slug : null,
+  price: shoe.price,
+  description: shoe.description,
+  ...(shoe.prices && Object.keys(shoe.prices).length > 0 ? { prices: shoe.prices } : {}),
+  ...(shoe.translations && Object.keys(shoe.translations).length > 0 ? { translations: shoe.translations } : {}),
+  variants: (shoe.variants || []).map((variant) => ({
+    sku: variant.sku,
+    size: variant.size,
+    sizeSystem: variant.sizeSystem,
+    color: variant.color,
+    stock: variant.stock,
+    ...(variant.price !== undefined && variant.price !== null ? { price: variant.price } : {}),
+  })),
+});
+
+module.exports = { CSV_COLUMNS, parseCsvImport, parseJsonImport, toCsvRows, toJsonExport };
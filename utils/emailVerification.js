@@ -0,0 +1,28 @@
+// Account email housekeeping outside the request flow (the verification flow itself is in authController)
+const User = require('../models/User');
+const logger = require('./logger');
+
+// Accounts created before email verification existed were trusted with the catalog, so they count
+// as verified. Runs once at startup; new accounts always store emailVerified, so later runs find nothing
+const verifyLegacyUsers = () => User.updateMany(
+  { emailVerified: { $exists: false } },
+  { $set: { emailVerified: true } }
+).setOptions({ withDeleted: true });
+
+// Emails are stored lowercased and looked up lowercased; accounts saved before that are converted at startup
+// An account whose email only differs by case from another account's is left as it is for an administrator
+const normalizeLegacyEmails = async () => {
+  const users = await User.find({ email: /[A-Z]/ }).setOptions({ withDeleted: true }).select('email').lean();
+
+  for (const user of users) {
+    try {
+      await User.updateOne({ _id: user._id }, { $set: { email: user.email.toLowerCase() } })
+        .setOptions({ withDeleted: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      logger.warn('Email differs from another account only by case; left unchanged', { userId: user._id });
+    }
+  }
+};
+
+module.exports = { verifyLegacyUsers, normalizeLegacyEmails };
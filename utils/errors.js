@@ -0,0 +1,48 @@
+// Standard error envelope shared by every endpoint and the global error handler:
+//   { code: 'NOT_FOUND', message: 'Shoe not found', errors: [{ field, message }], requestId: '...' }
+// `errors` is only present for field-level (validation) failures; `requestId` matches the
+// X-Request-Id response header and the server's log entries for the request
+
+// Default machine-readable codes per HTTP status
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'VALIDATION_FAILED',
+  423: 'LOCKED',
+  428: 'PRECONDITION_REQUIRED',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+// Error that carries an HTTP status; throw it or pass it to next() and the
+// global error handler turns it into the standard envelope
+class ApiError extends Error {
+  constructor(status, message, { code, errors } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || 'ERROR';
+    this.errors = errors;
+  }
+}
+
+// Build the envelope body
+const errorBody = (status, message, { code, errors, requestId } = {}) => ({
+  code: code || STATUS_CODES[status] || 'ERROR',
+  message,
+  ...(errors && errors.length > 0 ? { errors } : {}),
+  ...(requestId ? { requestId } : {}),
+});
+
+// Send an error response in the standard envelope
+const sendError = (res, status, message, options) => res.status(status).json(
+  errorBody(status, message, { ...options, requestId: res.req && res.req.id })
+);
+
+module.exports = { ApiError, errorBody, sendError };
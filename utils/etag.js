@@ -0,0 +1,21 @@
+// ETag / If-Match optimistic concurrency for single-document endpoints
+// The tag is the document's version key (__v). Shoe and User use Mongoose's optimisticConcurrency,
+// so every save bumps it and a save racing another one fails with a VersionError
+
+const etagOf = (doc) => `"${doc.__v}"`;
+
+// Send the document's current version as the response's ETag
+const setETag = (res, doc) => res.set('ETag', etagOf(doc));
+
+// Whether the request's If-Match header (if any) still matches the stored document
+// Weak tags (W/"...") never match: If-Match requires a strong comparison
+const ifMatchSatisfied = (req, doc) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return true;
+  return header.split(',').map((tag) => tag.trim()).includes(etagOf(doc));
+};
+
+// Save failed because another request saved the document after it was loaded
+const isVersionConflict = (error) => error.name === 'VersionError';
+
+module.exports = { etagOf, setETag, ifMatchSatisfied, isVersionConflict };
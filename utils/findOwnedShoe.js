@@ -0,0 +1,26 @@
+// Load the shoe from req.params.id and apply the same brand-ownership rule as updateShoe
+// Used by sub-resource controllers (variants, images) that act on a single shoe
+// Sends the 404/403 response itself and returns null when the request must stop
+const Shoe = require('../models/Shoe');
+const { canAccessBrand } = require('./permissions');
+const { sendError } = require('./errors');
+
+const findOwnedShoe = async (req, res) => {
+  const shoe = await Shoe.findById(req.params.id);
+  if (!shoe) {
+    sendError(res, 404, 'Shoe not found');
+    return null;
+  }
+
+  // Brand-scoped users may only manage their own brand's shoes
+  if (!canAccessBrand(req.user, shoe.brand)) {
+    sendError(res, 403, 'Not authorized to manage this shoe');
+    return null;
+  }
+
+  // Price changes made through sub-resources (variant overrides) are attributed to the caller
+  shoe.$locals.changedBy = req.user.id;
+  return shoe;
+};
+
+module.exports = findOwnedShoe;
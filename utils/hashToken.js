@@ -0,0 +1,7 @@
+// Hash opaque tokens (refresh, reset, verification) before storing them
+// SHA-256 is enough here because the tokens are long random values, not passwords
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = hashToken;
@@ -0,0 +1,56 @@
+// Helpers for issuing and accepting invitations
+// Invite tokens are single-use and expiring; only their SHA-256 hash is persisted
+const Invite = require('../models/Invite');
+const createSingleUseToken = require('./singleUseToken');
+const hashToken = require('./hashToken');
+const { notify } = require('./notifier');
+const logger = require('./logger');
+
+// Invite lifetime in hours (defaults to three days)
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+
+// Give the invite a fresh token, save it and deliver it; any previously sent token stops working
+// The invite's brand must be populated (or absent) so the message can name it
+// Resolves to false when the notifier failed - the invite is saved anyway and can be re-sent
+const sendInvite = async (invite) => {
+  const { token, hash, expires } = createSingleUseToken(INVITE_TTL_HOURS * 60);
+  invite.tokenHash = hash;
+  invite.expiresAt = expires;
+  await invite.save();
+
+  try {
+    await notify({
+      type: 'invite',
+      to: invite.email,
+      data: {
+        token,
+        role: invite.role,
+        brandName: invite.brand ? invite.brand.name : undefined,
+        expiresAt: expires,
+      },
+    });
+    return true;
+  } catch (error) {
+    logger.error('Invite delivery error', { error });
+    return false;
+  }
+};
+
+// Atomically mark a pending invite for this email as accepted
+// Returns the invite, or null when the token is unknown, used, revoked, expired or for another address
+const claimInvite = (token, email) => Invite.findOneAndUpdate(
+  {
+    tokenHash: hashToken(token),
+    email: email.trim().toLowerCase(),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  },
+  { $set: { acceptedAt: new Date() } },
+  { new: true }
+);
+
+// Undo claimInvite when the account could not be created, so the invite can be used again
+const releaseInvite = (invite) => Invite.updateOne({ _id: invite._id }, { $unset: { acceptedAt: 1 } });
+
+module.exports = { sendInvite, claimInvite, releaseInvite };
@@ -0,0 +1,123 @@
+// Markets: prices in several currencies and product content in several languages
+// A shoe's `price`, `name` and `description` are in the default currency and locale and are always
+// present. `prices` holds explicit prices in other currencies - any other offered currency is converted
+// from the list price with the ExchangeRate table - and `translations` the name/description per locale,
+// falling back to the default content
+const ExchangeRate = require('../models/ExchangeRate');
+const { round, applyDiscount, listPriceOf, currentPromotionOf } = require('./pricing');
+const { sendError } = require('./errors');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;                         // ISO 4217
+const LOCALE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;  // BCP 47 language tag (e.g. 'de', 'fr-CA')
+
+// Canonical casing of a language tag: 'de-de' -> 'de-DE', 'zh-hant-tw' -> 'zh-Hant-TW'
+const normalizeLocale = (tag) => tag.split('-').map((subtag, index) => {
+  if (index === 0) return subtag.toLowerCase();
+  if (subtag.length === 4) return subtag.charAt(0).toUpperCase() + subtag.slice(1).toLowerCase();
+  if (subtag.length === 2) return subtag.toUpperCase();
+  return subtag.toLowerCase();
+}).join('-');
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+const DEFAULT_LOCALE = normalizeLocale(process.env.DEFAULT_LOCALE || 'en');
+
+// Entry of a Mongoose Map (documents) or of the plain object it becomes in lean queries
+const entryOf = (map, key) => {
+  if (!map) return undefined;
+  return map instanceof Map ? map.get(key) : map[key];
+};
+
+// Language tags of an Accept-Language header, most preferred first ('*' and q=0 are dropped)
+const parseAcceptLanguage = (header) => (header || '')
+  .split(',')
+  .map((part, index) => {
+    const [tag, ...params] = part.trim().split(';');
+    const quality = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+    return { tag: tag.trim(), q: quality ? Number(quality.slice(2)) : 1, index };
+  })
+  .filter(({ tag, q }) => LOCALE_PATTERN.test(tag) && q > 0)
+  .sort((a, b) => b.q - a.q || a.index - b.index)
+  .map(({ tag }) => normalizeLocale(tag));
+
+// Best locale a shoe has content in: exact tag first, then the tag's language ('de-CH' -> 'de')
+const pickLocale = (shoe, locales) => {
+  const available = (locale) => locale === DEFAULT_LOCALE || Boolean(entryOf(shoe.translations, locale));
+
+  for (const locale of locales) {
+    if (available(locale)) return locale;
+    const language = locale.split('-')[0];
+    if (available(language)) return language;
+  }
+  return DEFAULT_LOCALE;
+};
+
+// Name and description of a shoe in the best matching locale
+const localizeContent = (shoe, locales) => {
+  const locale = pickLocale(shoe, locales);
+  const translation = locale === DEFAULT_LOCALE ? undefined : entryOf(shoe.translations, locale);
+
+  return {
+    locale,
+    name: (translation && translation.name) || shoe.name,
+    description: (translation && translation.description) || shoe.description,
+  };
+};
+
+// List price of a shoe (or variant) in a currency offered by `market`
+// Variant overrides are always converted; the shoe's explicit price in the currency wins otherwise
+const priceIn = (market, shoe, variant) => {
+  const listPrice = listPriceOf(shoe, variant);
+  if (market.currency === DEFAULT_CURRENCY) return listPrice;
+
+  const hasOverride = variant && variant.price !== undefined && variant.price !== null;
+  const explicit = entryOf(shoe.prices, market.currency);
+  if (!hasOverride && explicit !== undefined && explicit !== null) return explicit;
+
+  return round(listPrice * market.rate);
+};
+
+// Price a shopper pays today in the market's currency; fixed promotion amounts are converted too
+const effectivePriceIn = (market, shoe, variant) => {
+  const promotion = currentPromotionOf(shoe);
+  const discount = promotion && promotion.type === 'fixed'
+    ? { type: 'fixed', value: round(promotion.value * market.rate) }
+    : promotion;
+  return applyDiscount(priceIn(market, shoe, variant), discount);
+};
+
+// Amount in the market's currency expressed in the default currency (for price filters)
+const toDefaultCurrency = (market, amount) => (amount === undefined ? undefined : round(amount / market.rate));
+
+// Currency and locales for the current request: ?currency= (default currency otherwise) and
+// ?locale= or the Accept-Language header. Sends 400 and returns null for currencies without a rate
+const resolveMarket = async (req, res) => {
+  res.vary('Accept-Language');
+
+  const currency = req.query.currency || DEFAULT_CURRENCY;
+  let rate = 1;
+  if (currency !== DEFAULT_CURRENCY) {
+    const exchangeRate = await ExchangeRate.findOne({ currency }).lean();
+    if (!exchangeRate) {
+      sendError(res, 400, `Currency ${currency} is not offered`);
+      return null;
+    }
+    rate = exchangeRate.rate;
+  }
+
+  const locales = req.query.locale ? [normalizeLocale(req.query.locale)] : parseAcceptLanguage(req.get('Accept-Language'));
+  return { currency, rate, locales };
+};
+
+module.exports = {
+  CURRENCY_PATTERN,
+  LOCALE_PATTERN,
+  DEFAULT_CURRENCY,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  parseAcceptLanguage,
+  localizeContent,
+  priceIn,
+  effectivePriceIn,
+  toDefaultCurrency,
+  resolveMarket,
+};
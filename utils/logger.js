@@ -0,0 +1,58 @@
+// Structured logger: one JSON object per line - stdout, or stderr for errors
+//   {"time":"...","level":"error","msg":"Error fetching shoes","requestId":"...","error":{...}}
+// Levels: debug < info < warn < error; LOG_LEVEL sets the minimum (default info, 'silent' for none)
+// Entries written while a request is handled carry its requestId (see middleware/requestContext.js)
+// Values under secret-looking keys (passwords, tokens, API keys, cookies) are never written
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const SECRET_KEYS = /pass(word)?|secret|token|authorization|cookie|^(x-)?api-?key$|^key$|keyhash/i;
+const MAX_DEPTH = 6;
+
+// Request-scoped fields (requestId) added to every entry logged while the request is handled
+const requestContext = new AsyncLocalStorage();
+
+// Copy of a logged value with secrets replaced, errors expanded and deep nesting cut off
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      stack: value.stack,
+    };
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (typeof value.toJSON === 'function' && !Array.isArray(value)) return redact(value.toJSON(), depth);
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEYS.test(key) ? '[REDACTED]' : redact(item, depth + 1),
+  ]));
+};
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...requestContext.getStore(),
+    ...redact(fields),
+  };
+  (level === 'error' ? process.stderr : process.stdout).write(`${JSON.stringify(entry)}\n`);
+};
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  requestContext,
+  redact,
+};
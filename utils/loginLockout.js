@@ -0,0 +1,43 @@
+// Progressive account lockout after repeated failed logins
+// After LOGIN_MAX_ATTEMPTS consecutive failures the account is locked; each further lock before a
+// successful login doubles the duration (LOGIN_LOCK_MINUTES, 2x, 4x, ... capped at LOGIN_LOCK_MAX_MINUTES)
+// State lives on the User document, so it holds across API instances
+const User = require('../models/User');
+
+const MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60;
+
+const isLocked = (user) => Boolean(user.lockUntil && user.lockUntil > new Date());
+
+// Count a failed login; returns the lock expiry when this failure locked the account, otherwise null
+// The counter is incremented atomically so parallel attempts cannot slip past the limit
+const registerFailedLogin = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < MAX_ATTEMPTS) return null;
+
+  const minutes = Math.min(BASE_LOCK_MINUTES * 2 ** updated.lockCount, MAX_LOCK_MINUTES);
+  const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  // Only the request that crossed the threshold applies the lock
+  const locked = await User.updateOne(
+    { _id: user._id, failedLoginAttempts: { $gte: MAX_ATTEMPTS } },
+    { $set: { failedLoginAttempts: 0, lockUntil }, $inc: { lockCount: 1 } }
+  );
+  return locked.modifiedCount > 0 ? lockUntil : null;
+};
+
+// Forget failures and lock history - after a successful login, password reset or admin unlock
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockCount && !user.lockUntil) return;
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockCount: 0 }, $unset: { lockUntil: 1 } }
+  );
+};
+
+module.exports = { isLocked, registerFailedLogin, clearFailedLogins };
@@ -0,0 +1,47 @@
+// Pluggable mail sender used for verification and password reset emails
+// The transport is chosen with MAIL_TRANSPORT ('console' by default, or 'file')
+// and can be replaced at runtime with setTransport() (e.g. an SMTP or API-based sender)
+// Production has no default: sending fails until a transport is configured explicitly
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Console transport: logs recipient and subject - handy for local development
+// The body is never logged: it carries single-use links (password reset, verification, invites)
+const consoleTransport = async (message) => {
+  logger.info('Mail sent', { to: message.to, subject: message.subject });
+};
+
+// File transport: appends each message as one JSON line to MAIL_OUTBOX (default ./mail-outbox.log)
+// Tests and local tooling can read the file to pick up tokens from sent mail
+const fileTransport = async (message) => {
+  const outbox = process.env.MAIL_OUTBOX || path.join(process.cwd(), 'mail-outbox.log');
+  const entry = { ...message, sentAt: new Date().toISOString() };
+  await fs.promises.appendFile(outbox, JSON.stringify(entry) + '\n');
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+// Used in production when no transport was chosen, so mail is never just logged instead of delivered
+const unconfiguredTransport = async () => {
+  throw new Error('No mail transport configured: set MAIL_TRANSPORT or call setTransport()');
+};
+
+const defaultTransport = process.env.NODE_ENV === 'production' ? unconfiguredTransport : consoleTransport;
+let transport = transports[process.env.MAIL_TRANSPORT] || defaultTransport;
+
+// Replace the active transport; it receives { from, to, subject, text } and returns a promise
+const setTransport = (fn) => {
+  transport = fn;
+};
+
+// Send a message through the active transport
+const sendMail = async ({ to, subject, text }) => {
+  const from = process.env.MAIL_FROM || 'no-reply@shoe-brand.local';
+  await transport({ from, to, subject, text });
+};
+
+module.exports = { sendMail, setTransport, transports };
@@ -0,0 +1,74 @@
+// In-process metrics in the Prometheus text format, served by GET /api/metrics
+// Requests are counted per method, route pattern (e.g. /api/shoes/:id, never the raw URL) and status,
+// with a latency histogram per method and route. Counters restart with the process
+const mongoose = require('mongoose');
+
+// Upper bounds (seconds) of the latency histogram buckets
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const requestCounts = new Map(); // 'method|route|status' -> count
+const requestDurations = new Map(); // 'method|route' -> { buckets, sum, count }
+
+// Record one finished request
+const recordRequest = ({ method, route, status, durationSeconds }) => {
+  const countKey = `${method}|${route}|${status}`;
+  requestCounts.set(countKey, (requestCounts.get(countKey) || 0) + 1);
+
+  const durationKey = `${method}|${route}`;
+  const histogram = requestDurations.get(durationKey)
+    || { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+  DURATION_BUCKETS.forEach((bound, index) => {
+    if (durationSeconds <= bound) histogram.buckets[index] += 1;
+  });
+  histogram.sum += durationSeconds;
+  histogram.count += 1;
+  requestDurations.set(durationKey, histogram);
+};
+
+// {name="value",...} with values escaped as the text format requires
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labels = (pairs) => `{${Object.entries(pairs).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+
+// Lines of one metric family: HELP, TYPE and its samples
+const family = (name, type, help, samples) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples];
+
+// Every metric in the Prometheus text exposition format (version 0.0.4)
+const renderMetrics = () => {
+  const countSamples = [...requestCounts].map(([key, count]) => {
+    const [method, route, status] = key.split('|');
+    return `http_requests_total${labels({ method, route, status })} ${count}`;
+  });
+
+  const durationSamples = [...requestDurations].flatMap(([key, histogram]) => {
+    const [method, route] = key.split('|');
+    return [
+      ...DURATION_BUCKETS.map((bound, index) => (
+        `http_request_duration_seconds_bucket${labels({ method, route, le: bound })} ${histogram.buckets[index]}`
+      )),
+      `http_request_duration_seconds_bucket${labels({ method, route, le: '+Inf' })} ${histogram.count}`,
+      `http_request_duration_seconds_sum${labels({ method, route })} ${histogram.sum}`,
+      `http_request_duration_seconds_count${labels({ method, route })} ${histogram.count}`,
+    ];
+  });
+
+  const memory = process.memoryUsage();
+  return [
+    ...family('http_requests_total', 'counter', 'HTTP requests handled, by method, route and status code', countSamples),
+    ...family('http_request_duration_seconds', 'histogram', 'HTTP request latency in seconds', durationSamples),
+    ...family('process_uptime_seconds', 'gauge', 'Seconds since the process started', [
+      `process_uptime_seconds ${process.uptime()}`,
+    ]),
+    ...family('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes', [
+      `process_resident_memory_bytes ${memory.rss}`,
+    ]),
+    ...family('nodejs_heap_used_bytes', 'gauge', 'V8 heap in use in bytes', [
+      `nodejs_heap_used_bytes ${memory.heapUsed}`,
+    ]),
+    ...family('mongodb_up', 'gauge', 'Whether the MongoDB connection is open (1) or not (0)', [
+      `mongodb_up ${mongoose.connection.readyState === 1 ? 1 : 0}`,
+    ]),
+    '',
+  ].join('\n');
+};
+
+module.exports = { DURATION_BUCKETS, recordRequest, renderMetrics };
@@ -0,0 +1,34 @@
+// Pluggable notifier for messages carrying a secret link to a person (currently invitations)
+// Delivers by email through utils/mailer by default; replace it with setNotifier()
+// (e.g. a Slack or SMS sender) - a notifier receives { type, to, data } and returns a promise
+const { sendMail } = require('./mailer');
+
+// Base URL of the frontend that renders the accept-invite page
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Email body for each notification type
+const emailTemplates = {
+  invite: ({ token, role, brandName, expiresAt }) => ({
+    subject: 'You have been invited to the Shoe Brand dashboard',
+    text: `You have been invited as ${role}${brandName ? ` for ${brandName}` : ''}.\n`
+      + `Create your account by opening ${CLIENT_URL}/accept-invite?token=${token}\n`
+      + `This invitation expires on ${expiresAt.toISOString()}.`,
+  }),
+};
+
+const emailNotifier = async ({ type, to, data }) => {
+  const { subject, text } = emailTemplates[type](data);
+  await sendMail({ to, subject, text });
+};
+
+let notifier = emailNotifier;
+
+// Replace the active notifier
+const setNotifier = (fn) => {
+  notifier = fn;
+};
+
+// Deliver a notification through the active notifier
+const notify = (notification) => notifier(notification);
+
+module.exports = { notify, setNotifier, emailNotifier };
@@ -0,0 +1,332 @@
+// OpenAPI 3 document for the API, generated from the routers themselves
+// Paths, parameters, request bodies, security and permission requirements come from each route's
+// middleware (authMiddleware, apiKeyMiddleware, requirePermission, validate); summaries and success
+// responses from ./operations.js; response schemas from the Mongoose models
+const { version } = require('../../package.json');
+const Shoe = require('../../models/Shoe');
+const User = require('../../models/User');
+const PriceHistory = require('../../models/PriceHistory');
+const ScheduledPriceChange = require('../../models/ScheduledPriceChange');
+const apiKeyMiddleware = require('../../middleware/apiKeyMiddleware');
+const authMiddleware = require('../../middleware/authMiddleware');
+const verifiedMiddleware = require('../../middleware/verifiedMiddleware');
+const { authIpRateLimit, authAccountRateLimit } = require('../../middleware/rateLimit');
+const { DEFAULT_ROLES } = require('../permissions');
+const { newShoeSchema } = require('../validators');
+const joiToSchema = require('./joiToSchema');
+const mongooseToSchema = require('./mongooseToSchema');
+const operations = require('./operations');
+
+// Routers covered by the document, with the prefix server.js mounts them at
+const DOCUMENTED_ROUTERS = [
+  { prefix: '/api/auth', tag: 'Auth', router: require('../../routes/authRoutes') },
+  { prefix: '/api/shoes', tag: 'Shoes', router: require('../../routes/shoeRoutes') },
+  { prefix: '/api/users', tag: 'Users', router: require('../../routes/userRoutes') },
+];
+
+// Error descriptions used for the derived error responses
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid path or query parameters',
+  401: 'Missing, invalid or expired access token',
+  403: 'Not allowed for this user',
+  404: 'Not found (or not visible to this user)',
+  409: 'Conflicts with the current state',
+  412: 'If-Match does not match the current version',
+  413: 'Payload too large',
+  422: 'Request body failed validation',
+  423: 'Account temporarily locked',
+  429: 'Rate limit exceeded (see the Retry-After header)',
+  500: 'Unexpected server error',
+};
+
+// Express '/:id/variants/:variantId' -> OpenAPI '/{id}/variants/{variantId}'; no trailing slash
+const toOpenApiPath = (prefix, path) => {
+  const full = `${prefix}${path}`.replace(/\/$/, '') || '/';
+  return full.replace(/:(\w+)/g, '{$1}');
+};
+
+// Every route of a router with the middleware that runs before its handler
+// Router-level middleware (router.use) applies to the routes registered after it
+const listRoutes = ({ prefix, tag, router }) => {
+  const routes = [];
+  let shared = [];
+
+  router.stack.forEach((layer) => {
+    if (!layer.route) {
+      shared = [...shared, layer.handle];
+      return;
+    }
+
+    const handlers = [...shared, ...layer.route.stack.map((routeLayer) => routeLayer.handle)];
+    Object.keys(layer.route.methods).forEach((method) => {
+      routes.push({
+        method: method.toUpperCase(),
+        path: toOpenApiPath(prefix, layer.route.path),
+        tag,
+        handlers,
+      });
+    });
+  });
+
+  return routes;
+};
+
+const routeKey = (route) => `${route.method} ${route.path}`;
+
+// Every documented route, e.g. for checking that each one has an entry in operations.js
+const listDocumentedRoutes = () => DOCUMENTED_ROUTERS.flatMap(listRoutes);
+
+// Default roles holding all of the given permissions
+const rolesWith = (permissions) => DEFAULT_ROLES
+  .filter((role) => permissions.every((permission) => role.permissions.includes(permission)))
+  .map((role) => role.name);
+
+// Path or query parameters from a validate() Joi object schema
+const parametersFrom = (schema, location) => {
+  if (!schema) return [];
+  const { properties = {}, required = [] } = joiToSchema(schema);
+  return Object.entries(properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: property,
+  }));
+};
+
+const errorResponse = (status) => ({
+  description: ERROR_DESCRIPTIONS[status] || 'Error',
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+// Build the operation object of one route
+const buildOperation = (route) => {
+  const meta = operations[routeKey(route)] || {};
+  const schemas = Object.assign({}, ...route.handlers.map((handler) => handler.schemas || {}));
+  const permissions = [...new Set(route.handlers.flatMap((handler) => handler.permissions || []))];
+  const authenticated = route.handlers.includes(authMiddleware);
+  const acceptsApiKeys = route.handlers.includes(apiKeyMiddleware);
+  const verified = route.handlers.includes(verifiedMiddleware);
+  const rateLimited = route.handlers.some((handler) => [authIpRateLimit, authAccountRateLimit].includes(handler));
+
+  // Requirements are spelled out in the description as well as in x-permissions
+  const notes = [];
+  if (permissions.length > 0) {
+    notes.push(`Requires permission ${permissions.map((permission) => `\`${permission}\``).join(' and ')} `
+      + `(default roles: ${rolesWith(permissions).join(', ')}).`);
+  }
+  if (verified) notes.push('The caller must have verified their email address.');
+  if (acceptsApiKeys) notes.push('Brand API keys holding the permissions may call it too (own brand only).');
+  if (rateLimited) notes.push('Throttled per client IP (and per account where an email is sent).');
+
+  const operation = {
+    tags: [route.tag],
+    summary: meta.summary,
+    description: [meta.description, ...notes].filter(Boolean).join('\n\n') || undefined,
+    security: authenticated ? [{ bearerAuth: [] }, ...(acceptsApiKeys ? [{ apiKeyAuth: [] }] : [])] : [],
+    parameters: [
+      ...parametersFrom(schemas.params, 'path'),
+      ...parametersFrom(schemas.query, 'query'),
+      ...(meta.query || []),
+      ...(meta.headers || []),
+    ],
+  };
+  if (permissions.length > 0) operation['x-permissions'] = permissions;
+
+  if (meta.requestBody) {
+    operation.requestBody = meta.requestBody;
+  } else if (schemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: joiToSchema(schemas.body) } },
+    };
+  }
+
+  // Success response
+  const success = meta.response || { description: 'OK' };
+  const content = success.content || (success.schema ? { 'application/json': { schema: success.schema } } : undefined);
+  operation.responses = {
+    [success.status || 200]: {
+      description: success.description,
+      ...(success.headers ? { headers: success.headers } : {}),
+      ...(content ? { content } : {}),
+    },
+  };
+
+  // Error responses: derived from the middleware, plus the controller-specific ones
+  const errors = new Set([429, 500, ...(meta.errors || [])]);
+  if (schemas.params || schemas.query) errors.add(400);
+  if (schemas.body) errors.add(422);
+  if (authenticated) errors.add(401).add(403);
+  if (permissions.length > 0 || verified) errors.add(403);
+  [...errors].sort().forEach((status) => { operation.responses[status] = errorResponse(status); });
+
+  if (operation.parameters.length === 0) delete operation.parameters;
+  return operation;
+};
+
+// Component schemas shared by the operations
+const buildComponents = () => {
+  const shoe = mongooseToSchema(Shoe, {
+    virtuals: {
+      availability: {
+        type: 'object',
+        properties: {
+          totalStock: { type: 'integer' },
+          inStock: { type: 'boolean' },
+          variantCount: { type: 'integer' },
+          variantsInStock: { type: 'integer' },
+        },
+      },
+    },
+  });
+  shoe.properties.variants.items.properties.effectivePrice = {
+    type: 'number',
+    description: 'Variant list price after the shoe promotion',
+  };
+
+  const user = mongooseToSchema(User, { omit: ['password', 'tokenVersion'] });
+  const authUser = {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      brand: { type: 'string', nullable: true },
+      role: { type: 'string' },
+      emailVerified: { type: 'boolean' },
+    },
+  };
+
+  return {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Access token from /api/auth/login, /api/auth/register or /api/auth/refresh',
+      },
+      apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'Brand API key from /api/api-keys (also accepted as `Authorization: Bearer sbk_...`)',
+      },
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: {
+          code: { type: 'string', example: 'NOT_FOUND' },
+          message: { type: 'string' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string', enum: ['params', 'query', 'body'] },
+                field: { type: 'string' },
+                message: { type: 'string' },
+              },
+            },
+          },
+          requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
+        },
+        required: ['code', 'message'],
+      },
+      Message: { type: 'object', properties: { message: { type: 'string' } } },
+      Pagination: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          total: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          hasNextPage: { type: 'boolean' },
+          nextPage: { type: 'integer', nullable: true },
+        },
+      },
+      TokenPair: {
+        type: 'object',
+        properties: { token: { type: 'string' }, refreshToken: { type: 'string' } },
+      },
+      AuthSession: {
+        type: 'object',
+        properties: { user: authUser, token: { type: 'string' }, refreshToken: { type: 'string' } },
+      },
+      Shoe: shoe,
+      ListedShoe: {
+        description: 'Shoe as listed: name, description and prices in the requested locale and currency',
+        allOf: [
+          { $ref: '#/components/schemas/Shoe' },
+          {
+            type: 'object',
+            properties: {
+              currency: { type: 'string', description: 'ISO 4217 code of every price in the item' },
+              locale: { type: 'string', description: 'Language tag of name and description' },
+            },
+          },
+        ],
+      },
+      ShoeVariant: shoe.properties.variants.items,
+      ShoeImage: shoe.properties.images.items,
+      NewShoe: joiToSchema(newShoeSchema),
+      ImportResult: {
+        type: 'object',
+        properties: {
+          dryRun: { type: 'boolean' },
+          summary: {
+            type: 'object',
+            properties: {
+              total: { type: 'integer' },
+              created: { type: 'integer' },
+              updated: { type: 'integer' },
+              revised: { type: 'integer', description: 'Published shoes whose changes now wait for review' },
+              failed: { type: 'integer' },
+            },
+          },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                rows: { type: 'array', items: { type: 'integer' }, description: 'CSV rows of the item' },
+                name: { type: 'string' },
+                action: { type: 'string', enum: ['create', 'update', 'revise'] },
+                shoeId: { type: 'string' },
+                errors: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } } },
+              },
+            },
+          },
+        },
+      },
+      PriceHistoryEntry: mongooseToSchema(PriceHistory),
+      ScheduledPriceChange: mongooseToSchema(ScheduledPriceChange),
+      User: user,
+    },
+  };
+};
+
+// Build the complete document
+const buildOpenApiSpec = () => {
+  const paths = {};
+  listDocumentedRoutes().forEach((route) => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = buildOperation(route);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Shoe Brand API',
+      version,
+      description: 'Errors always use the envelope `{ code, message, errors? }`. Every /api route is rate '
+        + 'limited per caller (RateLimit-* headers).',
+    },
+    servers: [{ url: '/' }],
+    tags: DOCUMENTED_ROUTERS.map(({ tag }) => ({ name: tag })),
+    paths,
+    components: buildComponents(),
+  };
+};
+
+module.exports = { DOCUMENTED_ROUTERS, listDocumentedRoutes, routeKey, buildOpenApiSpec };
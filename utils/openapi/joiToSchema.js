@@ -0,0 +1,131 @@
+// Convert Joi request schemas (routes/*.js) into OpenAPI 3.0 schema objects
+// Works on Joi's describe() output and covers the subset of Joi used by this API;
+// conditional rules (when) are documented with their base schema
+
+// Argument of the first rule with the given name, if any
+const ruleArg = (description, name, arg) => {
+  const rule = (description.rules || []).find((candidate) => candidate.name === name);
+  return rule && rule.args ? rule.args[arg] : undefined;
+};
+
+const hasRule = (description, name) => (description.rules || []).some((rule) => rule.name === name);
+
+// Literal numbers only - references to other keys cannot be expressed in OpenAPI
+const literal = (value) => (typeof value === 'number' ? value : undefined);
+
+const convertString = (description) => {
+  const schema = { type: 'string' };
+  const length = literal(ruleArg(description, 'length', 'limit'));
+  const min = literal(ruleArg(description, 'min', 'limit'));
+  const max = literal(ruleArg(description, 'max', 'limit'));
+  const regex = ruleArg(description, 'pattern', 'regex');
+
+  if (length !== undefined) {
+    schema.minLength = length;
+    schema.maxLength = length;
+  }
+  if (min !== undefined) schema.minLength = min;
+  if (max !== undefined) schema.maxLength = max;
+  if (hasRule(description, 'email')) schema.format = 'email';
+  if (hasRule(description, 'hex')) schema.pattern = '^[0-9a-fA-F]+$';
+  if (regex) schema.pattern = regex.replace(/^\/(.*)\/[a-z]*$/, '$1');
+
+  return schema;
+};
+
+const convertNumber = (description) => {
+  const schema = { type: hasRule(description, 'integer') ? 'integer' : 'number' };
+  const min = literal(ruleArg(description, 'min', 'limit'));
+  const max = literal(ruleArg(description, 'max', 'limit'));
+  const greater = literal(ruleArg(description, 'greater', 'limit'));
+  const less = literal(ruleArg(description, 'less', 'limit'));
+  const sign = ruleArg(description, 'sign', 'sign');
+
+  if (min !== undefined) schema.minimum = min;
+  if (max !== undefined) schema.maximum = max;
+  if (greater !== undefined || sign === 'positive') {
+    schema.minimum = greater !== undefined ? greater : 0;
+    schema.exclusiveMinimum = true;
+  }
+  if (less !== undefined || sign === 'negative') {
+    schema.maximum = less !== undefined ? less : 0;
+    schema.exclusiveMaximum = true;
+  }
+
+  return schema;
+};
+
+const convertObject = (description, convert) => {
+  const schema = { type: 'object' };
+  const keys = Object.entries(description.keys || {})
+    .filter(([, key]) => !key.flags || key.flags.presence !== 'forbidden');
+
+  if (keys.length > 0 || description.keys) {
+    schema.properties = Object.fromEntries(keys.map(([name, key]) => [name, convert(key)]));
+    schema.additionalProperties = Boolean(description.flags && description.flags.unknown);
+  }
+
+  // pattern(): a map whose keys follow a pattern (e.g. prices by currency code)
+  if (description.patterns && description.patterns.length > 0) {
+    schema.additionalProperties = convert(description.patterns[0].rule);
+  }
+
+  const required = keys.filter(([, key]) => key.flags && key.flags.presence === 'required').map(([name]) => name);
+  if (required.length > 0) schema.required = required;
+
+  const min = literal(ruleArg(description, 'min', 'limit'));
+  if (min !== undefined) schema.minProperties = min;
+
+  return schema;
+};
+
+// Convert one describe() node
+const convert = (description) => {
+  let schema;
+  switch (description.type) {
+    case 'string':
+      schema = convertString(description);
+      break;
+    case 'number':
+      schema = convertNumber(description);
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'date':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    case 'array': {
+      schema = { type: 'array', items: description.items ? convert(description.items[0]) : {} };
+      const min = literal(ruleArg(description, 'min', 'limit'));
+      const max = literal(ruleArg(description, 'max', 'limit'));
+      if (min !== undefined) schema.minItems = min;
+      if (max !== undefined) schema.maxItems = max;
+      break;
+    }
+    case 'object':
+      schema = convertObject(description, convert);
+      break;
+    case 'alternatives':
+      schema = { oneOf: (description.matches || []).map((match) => convert(match.schema)) };
+      break;
+    default:
+      schema = {};
+  }
+
+  // allow()/valid() values: enums and nullability
+  const flags = description.flags || {};
+  const allowed = description.allow || [];
+  if (allowed.includes(null)) schema.nullable = true;
+  if (flags.only) schema.enum = allowed.filter((value) => value !== null && typeof value !== 'object');
+
+  if (flags.default !== undefined && typeof flags.default !== 'object') schema.default = flags.default;
+  if (flags.description) schema.description = flags.description;
+
+  return schema;
+};
+
+// Convert a Joi schema
+const joiToSchema = (joiSchema) => convert(joiSchema.describe());
+
+module.exports = joiToSchema;
@@ -0,0 +1,78 @@
+// Convert Mongoose schemas (models/*.js) into OpenAPI 3.0 schema objects describing API responses
+// Paths with select: false never leave the database and are left out; pass `omit` for other
+// fields the API strips (e.g. password) and `virtuals` for computed fields sent in toJSON
+
+const objectIdSchema = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+// Schema for a single Mongoose SchemaType
+const convertPath = (type, convertSchema) => {
+  switch (type.instance) {
+    case 'String': {
+      const schema = { type: 'string' };
+      if (type.enumValues && type.enumValues.length > 0) schema.enum = type.enumValues;
+      return schema;
+    }
+    case 'Number':
+      return { type: 'number' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'ObjectId':
+    case 'ObjectID':
+      return { ...objectIdSchema };
+    case 'Embedded':
+      return convertSchema(type.schema);
+    case 'Map':
+      return { type: 'object', additionalProperties: convertPath(type.$__schemaType, convertSchema) };
+    case 'Array':
+      return {
+        type: 'array',
+        items: type.schema ? convertSchema(type.schema) : convertPath(type.caster || type.$embeddedSchemaType, convertSchema),
+      };
+    default:
+      return {};
+  }
+};
+
+// Convert a mongoose.Schema; dotted (nested object) paths become nested objects
+const convertSchema = (schema, { omit = [], virtuals = {} } = {}) => {
+  const root = { type: 'object', properties: {}, required: [] };
+
+  schema.eachPath((path, type) => {
+    if (path === '__v' || omit.includes(path) || type.options.select === false) return;
+    if (path.includes('.$*')) return; // Value paths of Maps, covered by the Map itself
+
+    const segments = path.split('.');
+    let target = root;
+    segments.slice(0, -1).forEach((segment) => {
+      target.properties[segment] = target.properties[segment] || { type: 'object', properties: {}, required: [] };
+      target = target.properties[segment];
+    });
+
+    const name = segments[segments.length - 1];
+    target.properties[name] = convertPath(type, (nested) => convertSchema(nested));
+    if (type.isRequired) target.required.push(name);
+  });
+
+  // Virtuals such as `id` are only sent when the schema turns them on for toJSON
+  const toJSON = schema.get('toJSON') || {};
+  if (toJSON.virtuals) {
+    root.properties.id = { type: 'string', description: 'Same as _id' };
+    Object.assign(root.properties, virtuals);
+  }
+
+  // Drop empty required lists so the document stays tidy
+  const prune = (node) => {
+    if (node.required && node.required.length === 0) delete node.required;
+    Object.values(node.properties || {}).forEach(prune);
+  };
+  prune(root);
+
+  return root;
+};
+
+// Convert a Mongoose model
+const mongooseToSchema = (model, options) => convertSchema(model.schema, options);
+
+module.exports = mongooseToSchema;
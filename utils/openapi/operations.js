@@ -0,0 +1,333 @@
+// Hand-written part of the OpenAPI document: what each route does and what it returns
+// Keyed by 'METHOD /full/path' as Express sees it. Request parameters and bodies, security,
+// permissions and the generic error responses are derived from the routes themselves
+// (see utils/openapi/index.js); test/openapi.test.js fails when a route has no entry here
+//
+// Entry fields:
+//   summary, description - shown in the docs
+//   response             - { status, description, schema, headers } of the success response (default 200)
+//   errors               - extra error statuses the controller sends besides the derived ones
+//   query, requestBody   - only for routes whose input is not described by validate()
+//   headers              - request header parameters (e.g. If-Match)
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+const page = (name) => ({
+  type: 'object',
+  properties: { data: arrayOf(ref(name)), pagination: ref('Pagination') },
+});
+const message = (description) => ({ description, schema: ref('Message') });
+
+// Optimistic concurrency (utils/etag.js): reads return the version as ETag, writes accept If-Match
+const etag = { ETag: { description: 'Version of the document, for If-Match', schema: { type: 'string' } } };
+const ifMatch = [{
+  name: 'If-Match',
+  in: 'header',
+  required: false,
+  description: 'ETag from a previous read; the update is refused with 412 if the document changed since',
+  schema: { type: 'string' },
+}];
+
+module.exports = {
+  // Authentication
+  'POST /api/auth/register': {
+    summary: 'Register an account',
+    description: 'Staff accounts need an `inviteToken` from an invite (see /api/invites); the role and brand '
+      + 'come from the invite. Without one a customer account is created. Signs the new user in.',
+    response: { status: 201, description: 'Account created', schema: ref('AuthSession') },
+    errors: [403],
+  },
+  'POST /api/auth/register/customer': {
+    summary: 'Register a shopper account',
+    response: { status: 201, description: 'Account created', schema: ref('AuthSession') },
+  },
+  'POST /api/auth/login': {
+    summary: 'Sign in with email and password',
+    description: 'Repeated failures lock the account for a growing period (423 with Retry-After).',
+    response: { description: 'Signed in', schema: ref('AuthSession') },
+    errors: [403, 423],
+  },
+  'POST /api/auth/refresh': {
+    summary: 'Exchange a refresh token for a new token pair',
+    description: 'Refresh tokens are single-use; presenting a revoked one ends every session of the user.',
+    response: { description: 'New tokens', schema: ref('TokenPair') },
+    errors: [401],
+  },
+  'POST /api/auth/logout': {
+    summary: 'Revoke a refresh token',
+    response: message('Logged out'),
+  },
+  'POST /api/auth/logout-all': {
+    summary: 'Sign out of every session',
+    description: 'Revokes all refresh tokens and invalidates outstanding access tokens.',
+    response: message('Logged out of all sessions'),
+    errors: [404],
+  },
+  'POST /api/auth/verify-email': {
+    summary: 'Confirm an email address with the emailed token',
+    response: message('Email verified'),
+  },
+  'POST /api/auth/resend-verification': {
+    summary: 'Send a new verification email',
+    response: message('Verification email sent'),
+    errors: [400, 404],
+  },
+  'POST /api/auth/forgot-password': {
+    summary: 'Email a password reset link',
+    description: 'Always answers the same way so it cannot be used to discover accounts.',
+    response: message('Reset link sent if the account exists'),
+  },
+  'POST /api/auth/reset-password': {
+    summary: 'Set a new password with the emailed token',
+    description: 'Also lifts a login lock and signs out every session.',
+    response: message('Password has been reset'),
+  },
+
+  // Shoes
+  'GET /api/shoes': {
+    summary: 'List shoes',
+    description: 'Brand-scoped roles only see their own brand; global roles see every active brand. '
+      + 'Prices are shown in `currency` (the default currency, or one with an exchange rate) and names and '
+      + 'descriptions in `locale` or the best match of Accept-Language, falling back to the default content.',
+    response: { description: 'A page of shoes', schema: page('ListedShoe') },
+  },
+  'GET /api/shoes/trash': {
+    summary: 'List trashed shoes',
+    response: { description: 'A page of trashed shoes, most recently deleted first', schema: page('Shoe') },
+  },
+  'POST /api/shoes/create': {
+    summary: 'Create a shoe',
+    description: 'New shoes are drafts: they reach the public catalog once submitted and approved. '
+      + '`price`, `name` and `description` are the default currency and locale; `prices` and `translations` '
+      + 'add other currencies and locales.',
+    response: { status: 201, description: 'Shoe created', schema: ref('Shoe') },
+    errors: [409],
+  },
+  'GET /api/shoes/export': {
+    summary: 'Export the visible catalog as CSV or JSON',
+    response: {
+      description: 'Catalog export (one CSV row per variant, or a JSON array of shoes)',
+      content: {
+        'text/csv': { schema: { type: 'string' } },
+        'application/json': { schema: arrayOf(ref('NewShoe')) },
+      },
+    },
+  },
+  'POST /api/shoes/import': {
+    summary: 'Bulk create or update shoes from CSV or JSON',
+    description: 'Shoes are matched by SKU, then by brand and name. Valid items are applied even when others '
+      + 'fail. `?dryRun=true` reports what would happen without writing. Changes to a published shoe are added '
+      + 'to its pending revision (`action: revise`) and go live once a reviewer approves them.',
+    requestBody: {
+      required: true,
+      content: {
+        'text/csv': { schema: { type: 'string' } },
+        'application/json': {
+          schema: { oneOf: [arrayOf(ref('NewShoe')), { type: 'object', properties: { shoes: arrayOf(ref('NewShoe')) } }] },
+        },
+      },
+    },
+    response: { description: 'Per-item results', schema: ref('ImportResult') },
+    errors: [413],
+  },
+  'GET /api/shoes/{id}': {
+    summary: 'Get a shoe',
+    response: { description: 'The shoe', headers: etag, schema: ref('Shoe') },
+    errors: [404],
+  },
+  'PATCH /api/shoes/{id}': {
+    summary: 'Update some fields of a shoe',
+    description: 'Fields left out are kept; `description: null` clears the description. `prices` and '
+      + '`translations` are merged by currency and locale, and a null entry removes one. Price changes are '
+      + 'recorded in the price history. 409 when another request saved the shoe at the same time or the '
+      + 'shoe is in review. Edits to a published shoe are kept as a pending `revision` until approved.',
+    headers: ifMatch,
+    response: { description: 'Updated shoe', headers: etag, schema: ref('Shoe') },
+    errors: [404, 409, 412],
+  },
+  'PUT /api/shoes/{id}': {
+    summary: 'Update a shoe',
+    description: 'Same partial update as PATCH, kept for existing clients.',
+    headers: ifMatch,
+    response: { description: 'Updated shoe', headers: etag, schema: ref('Shoe') },
+    errors: [404, 409, 412],
+  },
+  'DELETE /api/shoes/{id}': {
+    summary: 'Move a shoe to the trash',
+    response: message('Shoe moved to trash'),
+    errors: [404],
+  },
+  'POST /api/shoes/{id}/restore': {
+    summary: 'Restore a shoe from the trash',
+    response: { description: 'Restored shoe', schema: ref('Shoe') },
+    errors: [404],
+  },
+  'DELETE /api/shoes/{id}/purge': {
+    summary: 'Permanently delete a trashed shoe and its images',
+    response: message('Shoe permanently deleted'),
+    errors: [404],
+  },
+  'POST /api/shoes/{id}/submit': {
+    summary: 'Submit a shoe for review',
+    description: 'Applies to draft or rejected shoes, or to the pending revision of a published shoe.',
+    headers: ifMatch,
+    response: { description: 'The shoe, now in review', headers: etag, schema: ref('Shoe') },
+    errors: [404, 409, 412],
+  },
+  'POST /api/shoes/{id}/withdraw': {
+    summary: 'Take a shoe or revision back out of review',
+    headers: ifMatch,
+    response: { description: 'The shoe, back to draft', headers: etag, schema: ref('Shoe') },
+    errors: [404, 409, 412],
+  },
+  'POST /api/shoes/{id}/approve': {
+    summary: 'Approve a shoe or revision in review',
+    description: 'Publishes a draft shoe, or applies the pending revision to a published shoe.',
+    headers: ifMatch,
+    response: { description: 'The approved shoe', headers: etag, schema: ref('Shoe') },
+    errors: [404, 409, 412],
+  },
+  'POST /api/shoes/{id}/reject': {
+    summary: 'Reject a shoe or revision in review',
+    description: 'The comment is kept in the review details for the authors.',
+    headers: ifMatch,
+    response: { description: 'The rejected shoe', headers: etag, schema: ref('Shoe') },
+    errors: [404, 409, 412],
+  },
+  'DELETE /api/shoes/{id}/revision': {
+    summary: 'Discard the pending revision of a published shoe',
+    response: { description: 'The shoe without a revision', headers: etag, schema: ref('Shoe') },
+    errors: [404, 409],
+  },
+  'GET /api/shoes/{id}/price-history': {
+    summary: 'List list price changes of a shoe and its variants',
+    response: { description: 'A page of price changes, newest first', schema: page('PriceHistoryEntry') },
+    errors: [404],
+  },
+  'GET /api/shoes/{id}/scheduled-prices': {
+    summary: 'List scheduled price changes of a shoe',
+    response: { description: 'Scheduled price changes, soonest first', schema: arrayOf(ref('ScheduledPriceChange')) },
+    errors: [404],
+  },
+  'POST /api/shoes/{id}/scheduled-prices': {
+    summary: 'Schedule a list price change',
+    description: 'Applied by the promotion scheduler once `effectiveAt` has passed. On a published shoe the change '
+      + 'is added to its pending revision (`outcome: pending_review`) and goes live once a reviewer approves it.',
+    response: { status: 201, description: 'Price change scheduled', schema: ref('ScheduledPriceChange') },
+    errors: [404],
+  },
+  'DELETE /api/shoes/{id}/scheduled-prices/{changeId}': {
+    summary: 'Cancel a pending price change',
+    response: message('Scheduled price change cancelled'),
+    errors: [404, 409],
+  },
+  'GET /api/shoes/{id}/variants': {
+    summary: 'List the variants of a shoe',
+    response: { description: 'Variants', schema: arrayOf(ref('ShoeVariant')) },
+    errors: [404],
+  },
+  'POST /api/shoes/{id}/variants': {
+    summary: 'Add a size/color variant',
+    description: 'On a published shoe a `price` override is added to the pending revision; until it is approved '
+      + 'the variant sells at the shoe price.',
+    response: { status: 201, description: 'Variant created', schema: ref('ShoeVariant') },
+    errors: [404, 409],
+  },
+  'PUT /api/shoes/{id}/variants/{variantId}': {
+    summary: 'Update a variant',
+    description: 'Send `price: null` to remove a price override. Price changes to a published shoe are added to '
+      + 'its pending revision and go live once a reviewer approves it; other fields change directly.',
+    response: { description: 'Updated variant', schema: ref('ShoeVariant') },
+    errors: [404, 409],
+  },
+  'DELETE /api/shoes/{id}/variants/{variantId}': {
+    summary: 'Remove a variant',
+    response: message('Variant deleted'),
+    errors: [404],
+  },
+  'POST /api/shoes/{id}/images': {
+    summary: 'Upload images',
+    description: 'Multipart upload; each file is stored with a generated thumbnail.',
+    requestBody: {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: { images: arrayOf({ type: 'string', format: 'binary' }) },
+            required: ['images'],
+          },
+        },
+      },
+    },
+    response: { status: 201, description: 'The gallery after the upload', schema: arrayOf(ref('ShoeImage')) },
+    errors: [404, 413],
+  },
+  'PUT /api/shoes/{id}/images/order': {
+    summary: 'Reorder the image gallery',
+    response: { description: 'The reordered gallery', schema: arrayOf(ref('ShoeImage')) },
+    errors: [404],
+  },
+  'PUT /api/shoes/{id}/images/{imageId}/primary': {
+    summary: 'Set the primary image',
+    response: { description: 'The gallery', schema: arrayOf(ref('ShoeImage')) },
+    errors: [404],
+  },
+  'DELETE /api/shoes/{id}/images/{imageId}': {
+    summary: 'Delete an image',
+    response: { description: 'The remaining gallery', schema: arrayOf(ref('ShoeImage')) },
+    errors: [404],
+  },
+
+  // Users
+  'GET /api/users': {
+    summary: 'List users',
+    description: 'Brand-scoped roles only see users of their own brand.',
+    response: { description: 'Users', schema: arrayOf(ref('User')) },
+  },
+  'GET /api/users/trash': {
+    summary: 'List deactivated users',
+    response: { description: 'Deactivated users', schema: arrayOf(ref('User')) },
+  },
+  'DELETE /api/users/{id}': {
+    summary: 'Deactivate a user (move to the trash)',
+    response: message('User moved to trash'),
+    errors: [404],
+  },
+  'POST /api/users/{id}/restore': {
+    summary: 'Restore a deactivated user',
+    response: { description: 'Restored user', schema: ref('User') },
+    errors: [404],
+  },
+  'DELETE /api/users/{id}/purge': {
+    summary: 'Permanently delete a deactivated user',
+    response: message('User permanently deleted'),
+    errors: [404],
+  },
+  'POST /api/users/{id}/unlock': {
+    summary: 'Lift a brute-force login lock',
+    response: message('User unlocked'),
+    errors: [404],
+  },
+  'GET /api/users/{id}': {
+    summary: 'Get a user',
+    response: { description: 'The user', headers: etag, schema: ref('User') },
+    errors: [404],
+  },
+  'PATCH /api/users/{id}': {
+    summary: "Change a user's role or brand",
+    description: 'Fields left out are kept; `brand: null` removes the brand (global roles only). Callers can '
+      + 'only grant roles whose permissions they hold themselves. The user is signed out everywhere when '
+      + 'their access changes.',
+    headers: ifMatch,
+    response: { description: 'Updated user', headers: etag, schema: ref('User') },
+    errors: [404, 409, 412],
+  },
+  'PUT /api/users/{id}': {
+    summary: "Change a user's role or brand",
+    description: 'Same partial update as PATCH, kept for existing clients.',
+    headers: ifMatch,
+    response: { description: 'Updated user', headers: etag, schema: ref('User') },
+    errors: [404, 409, 412],
+  },
+};
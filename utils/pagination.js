@@ -0,0 +1,29 @@
+// Helpers for page/limit pagination on list endpoints
+// Keeps query parsing and response metadata consistent across controllers
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Parse ?page=&limit= into safe numbers plus the number of documents to skip
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Build the pagination metadata returned alongside list results
+const paginationMeta = ({ page, limit }, total) => {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    nextPage: page < totalPages ? page + 1 : null,
+  };
+};
+
+module.exports = { parsePagination, paginationMeta };
@@ -0,0 +1,132 @@
+// Role and permission helpers
+// Roles live in the database; the built-in ones below are created on startup if missing
+const Role = require('../models/Role');
+const { PERMISSIONS } = require('../models/Role');
+
+// Built-in roles. super_admin always holds every permission; the others are inserted when
+// missing and afterwards only gain newly introduced defaults, so administrators can adjust them
+const DEFAULT_ROLES = [
+  {
+    name: 'super_admin',
+    scope: 'global',
+    description: 'Full access to every brand',
+    permissions: PERMISSIONS,
+  },
+  {
+    name: 'brand_admin',
+    scope: 'brand',
+    description: "Manages the brand's catalog and users",
+    permissions: [
+      'shoe:read', 'shoe:create', 'shoe:update', 'shoe:delete',
+      'user:read', 'user:manage', 'audit:read', 'analytics:read', 'order:read', 'promotion:manage',
+      'webhook:manage', 'api_key:manage',
+    ],
+  },
+  {
+    name: 'brand_user',
+    scope: 'brand',
+    description: "Manages the brand's catalog",
+    permissions: [
+      'shoe:read', 'shoe:create', 'shoe:update', 'shoe:delete',
+      'audit:read', 'analytics:read', 'order:read', 'promotion:manage',
+    ],
+  },
+  {
+    name: 'brand_editor',
+    scope: 'brand',
+    description: "Creates and edits the brand's shoes but cannot delete them",
+    permissions: ['shoe:read', 'shoe:create', 'shoe:update', 'order:read'],
+  },
+  {
+    name: 'brand_viewer',
+    scope: 'brand',
+    description: "Read-only access to the brand's catalog and orders",
+    permissions: ['shoe:read', 'order:read'],
+  },
+  {
+    name: 'customer',
+    scope: 'global',
+    description: 'Shopper - no access to the management API',
+    permissions: [],
+  },
+];
+
+// Hand an existing built-in role the default permissions it has never been given (e.g. ones added
+// in a later release) without restoring defaults an administrator removed. Roles created before
+// grantedDefaults was tracked count their current permissions as already granted
+const grantNewDefaults = (name, permissions) => Role.updateOne({ name }, [
+  {
+    $set: {
+      permissions: {
+        $setUnion: ['$permissions', { $setDifference: [permissions, { $ifNull: ['$grantedDefaults', '$permissions'] }] }],
+      },
+      grantedDefaults: permissions,
+    },
+  },
+]);
+
+// Create missing built-in roles and keep them current (called once the database is connected)
+const ensureDefaultRoles = async () => {
+  await Promise.all(DEFAULT_ROLES.map(async ({ permissions, ...role }) => {
+    if (role.name === 'super_admin') {
+      await Role.updateOne(
+        { name: role.name },
+        { $set: { ...role, permissions, grantedDefaults: permissions, system: true } },
+        { upsert: true }
+      );
+      return;
+    }
+
+    await Role.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, permissions, grantedDefaults: permissions, system: true } },
+      { upsert: true }
+    );
+    await grantNewDefaults(role.name, permissions);
+  }));
+  clearRoleCache();
+};
+
+// Roles are read on every authenticated request, so keep them in memory briefly
+// Changes made through this process clear the cache; other instances pick them up after the TTL
+const ROLE_CACHE_TTL_MS = Number(process.env.ROLE_CACHE_TTL_MS) || 30 * 1000;
+const roleCache = new Map();
+
+// Load a role by name (lean, cached); resolves to null for unknown roles
+const getRole = async (name) => {
+  const cached = roleCache.get(name);
+  if (cached && cached.expires > Date.now()) return cached.role;
+
+  const role = await Role.findOne({ name }).lean();
+  roleCache.set(name, { role, expires: Date.now() + ROLE_CACHE_TTL_MS });
+  return role;
+};
+
+const clearRoleCache = () => roleCache.clear();
+
+// Permission checks on req.user (populated by authMiddleware)
+const hasPermission = (user, permission) => Boolean(user && user.permissions && user.permissions.includes(permission));
+
+// Brand-scoped users only ever act on their own brand
+const isBrandScoped = (user) => user.scope === 'brand';
+
+// Whether the user may act on data belonging to brandId
+const canAccessBrand = (user, brandId) => !isBrandScoped(user) || String(brandId) === user.brand;
+
+// Whether the user may hand out a role: never more than their own permissions,
+// and brand-scoped users only brand-scoped roles (for their own brand)
+const canGrantRole = (user, role) => (
+  role.permissions.every((permission) => hasPermission(user, permission))
+  && (!isBrandScoped(user) || role.scope === 'brand')
+);
+
+module.exports = {
+  DEFAULT_ROLES,
+  ensureDefaultRoles,
+  getRole,
+  clearRoleCache,
+  hasPermission,
+  isBrandScoped,
+  canAccessBrand,
+  canGrantRole,
+};
@@ -0,0 +1,54 @@
+// Price calculations shared by the Shoe model, carts, orders and the storefront
+// A shoe's `price` (and a variant's optional `price` override) is the list price; the effective
+// price is the list price after the promotion currently applied to the shoe (see utils/promotions.js)
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Apply a discount { type: 'percentage' | 'fixed', value } to a price; no discount leaves it unchanged
+const applyDiscount = (price, discount) => {
+  if (!discount || !discount.type) return price;
+  const discounted = discount.type === 'percentage'
+    ? price * (1 - discount.value / 100)
+    : price - discount.value;
+  return round(Math.max(0, discounted));
+};
+
+// List price of a variant: its own override or the shoe's price
+const listPriceOf = (shoe, variant) => (
+  variant && variant.price !== undefined && variant.price !== null ? variant.price : shoe.price
+);
+
+// The shoe's applied promotion, unless it has ended and the scheduler has not caught up yet
+const currentPromotionOf = (shoe) => (
+  shoe.promotion && shoe.promotion.endsAt > new Date() ? shoe.promotion : undefined
+);
+
+// Price a shopper pays today for a variant (or for the shoe itself without one)
+const effectivePriceOf = (shoe, variant) => applyDiscount(listPriceOf(shoe, variant), currentPromotionOf(shoe));
+
+// Of several promotions, the one giving the lowest price on the given list price (ties: ends first)
+const pickBestPromotion = (price, promotions) => promotions.reduce((best, promotion) => {
+  if (!best) return promotion;
+  const difference = applyDiscount(price, promotion) - applyDiscount(price, best);
+  if (difference !== 0) return difference < 0 ? promotion : best;
+  return promotion.endsAt < best.endsAt ? promotion : best;
+}, null);
+
+// The discount snapshot stored on a shoe for a promotion (see Shoe.promotion)
+const toAppliedPromotion = (promotion) => (promotion ? {
+  promotion: promotion._id,
+  name: promotion.name,
+  type: promotion.type,
+  value: promotion.value,
+  endsAt: promotion.endsAt,
+} : undefined);
+
+module.exports = {
+  round,
+  applyDiscount,
+  listPriceOf,
+  currentPromotionOf,
+  effectivePriceOf,
+  pickBestPromotion,
+  toAppliedPromotion,
+};
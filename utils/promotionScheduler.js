@@ -0,0 +1,127 @@
+// Background job moving promotions through their lifecycle and applying scheduled price changes
+// Every step claims its work with a conditional update, so several API instances can run the
+// scheduler side by side without applying anything twice
+const Shoe = require('../models/Shoe');
+const Promotion = require('../models/Promotion');
+const ScheduledPriceChange = require('../models/ScheduledPriceChange');
+const { refreshPromotionShoes, refreshShoePromotions } = require('./promotions');
+const { editShoe } = require('./shoeWorkflow');
+const logger = require('./logger');
+
+const PROMOTION_SCHEDULER_INTERVAL_MS = Number(process.env.PROMOTION_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+// Move promotions whose window has started to 'active' and apply them
+const activatePromotions = async (now) => {
+  const due = await Promotion.find({ status: 'scheduled', startsAt: { $lte: now }, endsAt: { $gt: now } });
+
+  for (const candidate of due) {
+    const promotion = await Promotion.findOneAndUpdate(
+      { _id: candidate._id, status: 'scheduled' },
+      { status: 'active' },
+      { new: true }
+    );
+    if (promotion) await refreshPromotionShoes(promotion);
+  }
+};
+
+// Move promotions whose window has ended to 'expired' and take them off their shoes
+const expirePromotions = async (now) => {
+  const due = await Promotion.find({ status: { $in: ['scheduled', 'active'] }, endsAt: { $lte: now } });
+
+  for (const candidate of due) {
+    const promotion = await Promotion.findOneAndUpdate(
+      { _id: candidate._id, status: candidate.status },
+      { status: 'expired' },
+      { new: true }
+    );
+    if (promotion) await refreshPromotionShoes(promotion);
+  }
+};
+
+// Apply one claimed price change to its shoe (exported for tests); returns the reason when it cannot be applied
+// Like any edit, a change to a published shoe becomes part of its pending revision and only goes
+// live once a reviewer approves it (outcome 'pending_review'); drafts change directly
+const applyPriceChange = async (change) => {
+  const shoe = await Shoe.findById(change.shoe);
+  if (!shoe) return 'Shoe no longer exists';
+
+  const price = change.price ?? null;
+  let changes = { price };
+  if (change.variant) {
+    if (!shoe.variants.id(change.variant)) return 'Variant no longer exists';
+    changes = { variantPrices: { [change.variant.toString()]: price } };
+  }
+
+  const blocked = editShoe(shoe, changes, change.createdBy);
+  if (blocked) return blocked;
+
+  shoe.$locals.changedBy = change.createdBy;
+  shoe.$locals.priceSource = 'schedule';
+  await shoe.save();
+
+  const staged = shoe.status === 'published';
+  await ScheduledPriceChange.updateOne({ _id: change._id }, { outcome: staged ? 'pending_review' : 'applied' });
+
+  // A new list price can change which promotion is the best deal
+  if (!staged) await refreshShoePromotions({ _id: shoe._id });
+  return null;
+};
+
+// Apply every scheduled price change that has become effective, oldest first
+const applyScheduledPriceChanges = async (now) => {
+  const due = await ScheduledPriceChange.find({
+    appliedAt: null,
+    cancelledAt: null,
+    effectiveAt: { $lte: now },
+  }).sort({ effectiveAt: 1 });
+
+  for (const candidate of due) {
+    const change = await ScheduledPriceChange.findOneAndUpdate(
+      { _id: candidate._id, appliedAt: null, cancelledAt: null },
+      { appliedAt: now },
+      { new: true }
+    );
+    if (!change) continue;
+
+    try {
+      const failureReason = await applyPriceChange(change);
+      if (failureReason) await ScheduledPriceChange.updateOne({ _id: change._id }, { failureReason });
+    } catch (error) {
+      logger.error('Scheduled price change error', { error });
+      await ScheduledPriceChange.updateOne({ _id: change._id }, { failureReason: error.message });
+    }
+  }
+};
+
+// One pass of the scheduler; exported so scripts and tests can run it on demand
+const runPromotionTick = async (now = new Date()) => {
+  await expirePromotions(now);
+  await activatePromotions(now);
+  await applyScheduledPriceChanges(now);
+};
+
+// Shoes saved before promotions existed have no effectivePrice yet; it equals their list price
+const backfillEffectivePrices = () => Shoe.updateMany(
+  { effectivePrice: { $exists: false } },
+  [{ $set: { effectivePrice: '$price' } }]
+).setOptions({ withDeleted: true });
+
+let timer = null;
+
+// Start the periodic scheduler (called once the database is connected)
+const startPromotionScheduler = async () => {
+  if (timer) return;
+  await backfillEffectivePrices();
+
+  const tick = () => runPromotionTick().catch((error) => logger.error('Promotion scheduler error', { error }));
+  timer = setInterval(tick, PROMOTION_SCHEDULER_INTERVAL_MS);
+  timer.unref(); // Never keep the process alive just for the scheduler
+  await tick();
+};
+
+const stopPromotionScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { applyPriceChange, runPromotionTick, startPromotionScheduler, stopPromotionScheduler };
@@ -0,0 +1,77 @@
+// Promotion helpers: which promotions are running and which one each shoe gets
+// A shoe carries a snapshot of its best active promotion (Shoe.promotion), so reads never
+// have to join promotions; these helpers recompute that snapshot whenever promotions change
+const Shoe = require('../models/Shoe');
+const Promotion = require('../models/Promotion');
+const { pickBestPromotion, toAppliedPromotion } = require('./pricing');
+const { isVersionConflict } = require('./etag');
+
+// Promotions running at `now`
+const runningPromotionsQuery = (now = new Date()) => ({
+  status: 'active',
+  startsAt: { $lte: now },
+  endsAt: { $gt: now },
+});
+
+// Shoes a promotion covers: the listed shoes of its brand, or the whole brand when none are listed
+const promotionShoeFilter = (promotion) => (
+  promotion.shoes && promotion.shoes.length > 0
+    ? { brand: promotion.brand, _id: { $in: promotion.shoes } }
+    : { brand: promotion.brand }
+);
+
+// Whether a promotion covers a shoe
+const covers = (promotion, shoe) => (
+  promotion.brand.equals(shoe.brand)
+  && (promotion.shoes.length === 0 || promotion.shoes.some((id) => id.equals(shoe._id)))
+);
+
+// Whether two applied-promotion snapshots are identical (an edited promotion must be re-applied)
+const sameApplied = (a, b) => {
+  if (!a || !b) return !a && !b;
+  return String(a.promotion) === String(b.promotion)
+    && a.name === b.name
+    && a.type === b.type
+    && a.value === b.value
+    && new Date(a.endsAt).getTime() === new Date(b.endsAt).getTime();
+};
+
+// Recompute the applied promotion of every shoe matching `filter` and save those that changed
+// Returns the number of shoes updated
+const refreshShoePromotions = async (filter) => {
+  const brands = await Shoe.distinct('brand', filter);
+  if (brands.length === 0) return 0;
+
+  const promotions = await Promotion.find({ ...runningPromotionsQuery(), brand: { $in: brands } }).lean();
+
+  let updated = 0;
+  for await (const shoe of Shoe.find(filter).cursor()) {
+    const applicable = promotions.filter((promotion) => covers(promotion, shoe));
+    const applied = toAppliedPromotion(pickBestPromotion(shoe.price, applicable));
+    if (sameApplied(applied, shoe.promotion)) continue;
+
+    shoe.promotion = applied;
+    try {
+      await shoe.save();
+      updated += 1;
+    } catch (error) {
+      // Edited since the cursor read it: recompute from the fresh document instead
+      if (!isVersionConflict(error)) throw error;
+      updated += await refreshShoePromotions({ _id: shoe._id });
+    }
+  }
+
+  return updated;
+};
+
+// Refresh every shoe a promotion covers or currently carries (e.g. after it was edited or ended)
+const refreshPromotionShoes = (promotion) => refreshShoePromotions({
+  $or: [promotionShoeFilter(promotion), { 'promotion.promotion': promotion._id }],
+});
+
+module.exports = {
+  runningPromotionsQuery,
+  promotionShoeFilter,
+  refreshShoePromotions,
+  refreshPromotionShoes,
+};
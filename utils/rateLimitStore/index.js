@@ -0,0 +1,18 @@
+// Store used by the rate limiters (middleware/rateLimit.js)
+// A store is any object with:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>  (fixed window counter)
+//   reset(key)               -> Promise<void>
+// Memory is the default; call setRateLimitStore(createRedisStore(client)) at startup so
+// limits hold across instances
+const createMemoryStore = require('./memory');
+const createRedisStore = require('./redis');
+
+let store = createMemoryStore();
+
+const getRateLimitStore = () => store;
+
+const setRateLimitStore = (adapter) => {
+  store = adapter;
+};
+
+module.exports = { getRateLimitStore, setRateLimitStore, createMemoryStore, createRedisStore };
@@ -0,0 +1,35 @@
+// In-memory rate limit store - default backend, counts only requests seen by this process
+// Use the Redis store (or another shared store) when running more than one instance
+const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const counters = new Map(); // key -> { count, resetAt }
+
+  // Drop expired windows now and then so idle keys do not pile up
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, cleanupIntervalMs);
+  cleanup.unref(); // Never keep the process alive just for cleanup
+
+  return {
+    // Count one hit in the key's current window, starting a new window when the last one expired
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    // Forget the key's window (e.g. after an administrator unlocks an account)
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+module.exports = createMemoryStore;
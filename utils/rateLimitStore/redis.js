@@ -0,0 +1,24 @@
+// Redis rate limit store - shares counters between all API instances
+// Takes an already connected client with ioredis-style promise commands (incr, pexpire, pttl, del);
+// no Redis library is bundled, install and configure one in the deployment that needs it
+const createRedisStore = (client, { prefix = 'ratelimit:' } = {}) => ({
+  async increment(key, windowMs) {
+    const redisKey = prefix + key;
+    const count = await client.incr(redisKey);
+
+    // First hit of a window starts its expiry; re-arm keys that somehow lost their TTL
+    let ttl = count === 1 ? -1 : await client.pttl(redisKey);
+    if (ttl < 0) {
+      await client.pexpire(redisKey, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: new Date(Date.now() + ttl) };
+  },
+
+  async reset(key) {
+    await client.del(prefix + key);
+  },
+});
+
+module.exports = createRedisStore;
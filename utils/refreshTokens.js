@@ -0,0 +1,76 @@
+// Helpers for issuing, rotating and revoking refresh tokens
+// Refresh tokens are opaque random strings; only their SHA-256 hash is persisted
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const hashToken = require('./hashToken');
+
+// Refresh token lifetime in days (defaults to one week)
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+
+// Create and persist a new refresh token for the user, returning the raw value
+const issueRefreshToken = async (user, ip) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+  });
+
+  return token;
+};
+
+// Revoke every active refresh token belonging to a user ("log out all sessions")
+const revokeAllForUser = async (userId) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Exchange a refresh token for a new one, revoking the old token
+// Returns { user, token } on success or null if the token is unknown, expired or revoked
+const rotateRefreshToken = async (token, ip) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Claim the token in one atomic step, so of several concurrent refreshes with the same token
+  // exactly one succeeds and the others are treated as reuse
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now },
+    { new: true }
+  ).populate('user');
+
+  if (!claimed) {
+    // A revoked token being presented again means it was leaked or replayed -
+    // kill every session for that user so the attacker's copy dies too
+    const stored = await RefreshToken.findOne({ tokenHash }).select('user revokedAt');
+    if (stored && stored.revokedAt) await revokeAllForUser(stored.user);
+    return null;
+  }
+
+  // The session's user no longer exists (or is trashed); the token is used up either way
+  if (!claimed.user) return null;
+
+  const newToken = await issueRefreshToken(claimed.user, ip);
+  await RefreshToken.updateOne({ _id: claimed._id }, { replacedBy: hashToken(newToken) });
+
+  return { user: claimed.user, token: newToken };
+};
+
+// Revoke a single refresh token (used by logout); unknown tokens are ignored
+const revokeRefreshToken = async (token) => {
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+};
@@ -0,0 +1,17 @@
+// Look up a brand from a client-supplied value
+// Accepts a brand ObjectId, slug or exact name so clients are not forced to know IDs
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+
+const resolveBrand = async (value) => {
+  if (!value || typeof value !== 'string') return null;
+
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    const byId = await Brand.findById(value);
+    if (byId) return byId;
+  }
+
+  return Brand.findOne({ $or: [{ slug: value.toLowerCase() }, { name: value }] });
+};
+
+module.exports = resolveBrand;
@@ -0,0 +1,63 @@
+// Helpers for storing shoe images and their thumbnails through the storage adapter
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const logger = require('./logger');
+
+// Thumbnail bounding box in pixels (aspect ratio is preserved)
+const THUMBNAIL_SIZE = Number(process.env.THUMBNAIL_SIZE) || 300;
+
+// File extensions for the accepted upload types
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+// Validate an uploaded file by decoding it, then store the original and a WebP thumbnail
+// Returns the image subdocument fields, or null when the bytes are not a supported image
+const storeShoeImage = async (shoeId, file) => {
+  let metadata;
+  try {
+    // The MIME type comes from the client - trust only what sharp can actually decode
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    return null;
+  }
+  if (!EXTENSIONS[metadata.format]) return null;
+
+  const baseKey = `shoes/${shoeId}/${crypto.randomBytes(12).toString('hex')}`;
+  const key = `${baseKey}.${EXTENSIONS[metadata.format]}`;
+  const thumbnailKey = `${baseKey}-thumb.webp`;
+
+  const thumbnail = await sharp(file.buffer)
+    .rotate() // Respect EXIF orientation
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp()
+    .toBuffer();
+
+  const storage = getStorage();
+  const url = await storage.save(key, file.buffer, `image/${metadata.format}`);
+  const thumbnailUrl = await storage.save(thumbnailKey, thumbnail, 'image/webp');
+
+  return {
+    key,
+    url,
+    thumbnailKey,
+    thumbnailUrl,
+    contentType: `image/${metadata.format}`,
+    width: metadata.width,
+    height: metadata.height,
+    size: file.size,
+  };
+};
+
+// Remove the stored files of the given images (originals and thumbnails)
+// Failures are logged rather than thrown so a storage hiccup never blocks the database change
+const removeShoeImageFiles = async (images) => {
+  const storage = getStorage();
+  const keys = images.flatMap((image) => [image.key, image.thumbnailKey]);
+
+  const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => logger.error('Error removing image file', { error: result.reason }));
+};
+
+module.exports = { storeShoeImage, removeShoeImageFiles };
@@ -0,0 +1,186 @@
+// Review workflow for catalog entries
+// New shoes start as drafts; their authors submit them for review and a reviewer (shoe:review,
+// super_admin by default) approves them - which publishes them - or rejects them with a comment.
+// Edits to a published shoe are staged as a pending revision that goes through the same review
+// while the published version stays live. Variant price overrides are reviewed like the shoe price;
+// the rest of a variant (size, SKU, stock) and images are edited directly
+const Shoe = require('../models/Shoe');
+
+// Fields whose changes to a published shoe need review (plus variantPrices, staged per variant)
+const REVIEWED_FIELDS = ['name', 'price', 'description', 'brand', 'prices', 'translations'];
+
+// Per-currency prices and per-locale content arrive as patches (null removes an entry) and are
+// staged and applied as complete maps
+const MAP_FIELDS = ['prices', 'translations'];
+
+// Workflow actions: the states they are allowed from and the state they lead to
+const TRANSITIONS = {
+  submit: { from: ['draft', 'rejected'], to: 'in_review' },
+  withdraw: { from: ['in_review'], to: 'draft' },
+  approve: { from: ['in_review'], to: 'published' },
+  reject: { from: ['in_review'], to: 'rejected' },
+};
+
+// Whether the shoe or its pending revision is waiting for a reviewer
+const isInReview = (shoe) => shoe.status === 'in_review' || Boolean(shoe.revision && shoe.revision.status === 'in_review');
+
+// Plain copy of a value with object keys sorted, so equal maps serialize identically
+const canonical = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonical(value[key])]));
+};
+
+// Null/undefined/'' all mean "no value" when comparing a change with the current field
+const sameValue = (field, a, b) => (MAP_FIELDS.includes(field)
+  ? JSON.stringify(canonical(a || {})) === JSON.stringify(canonical(b || {}))
+  : String(a ?? '') === String(b ?? ''));
+
+// Current value of a field as a plain value (maps become objects)
+const currentValue = (shoe, field) => shoe.toObject({ flattenMaps: true, virtuals: false })[field];
+
+// Live price override of a variant; null when it uses the shoe price (or no longer exists)
+const variantPriceOf = (shoe, variantId) => {
+  const variant = shoe.variants.id(variantId);
+  return variant && variant.price !== undefined ? variant.price : null;
+};
+
+// Apply a { key: value | null } patch to a plain map
+const patchMap = (map, patch) => {
+  const patched = { ...(map || {}) };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) delete patched[key];
+    else patched[key] = value;
+  });
+  return patched;
+};
+
+// Apply { name, price, description, brand, prices, translations, variantPrices } to the shoe
+// description null removes the description; prices/translations replace the whole map;
+// variantPrices sets the listed variants' overrides (null removes one)
+const applyChanges = (shoe, changes) => {
+  if (changes.name !== undefined) shoe.name = changes.name;
+  if (changes.price !== undefined) shoe.price = changes.price;
+  if (changes.description !== undefined) shoe.description = changes.description ?? undefined;
+  if (changes.brand !== undefined) shoe.brand = changes.brand;
+  if (changes.prices !== undefined) shoe.prices = changes.prices;
+  if (changes.translations !== undefined) shoe.translations = changes.translations;
+  if (changes.variantPrices !== undefined) {
+    Object.entries(changes.variantPrices).forEach(([variantId, price]) => {
+      // Variants removed while the change was pending are skipped
+      const variant = shoe.variants.id(variantId);
+      if (variant) variant.price = price ?? undefined;
+    });
+  }
+};
+
+// Record an edit: drafts and rejected shoes change directly (a rejected shoe becomes a draft again),
+// published shoes collect the changes in their pending revision
+// Returns the reason the shoe cannot be edited right now, or null
+const editShoe = (shoe, changes, userId) => {
+  if (isInReview(shoe)) return 'Shoe is in review; withdraw it before making changes';
+
+  const published = shoe.status === 'published';
+  const pending = shoe.revision ? shoe.revision.toObject({ flattenMaps: true }).changes || {} : {};
+
+  // Map patches build on the pending revision's map when there is one, on the shoe's otherwise
+  const resolved = { ...changes };
+  MAP_FIELDS.forEach((field) => {
+    if (changes[field] === undefined) return;
+    const base = published && pending[field] !== undefined ? pending[field] : currentValue(shoe, field);
+    resolved[field] = patchMap(base, changes[field]);
+  });
+
+  if (!published) {
+    applyChanges(shoe, resolved);
+    if (shoe.status === 'rejected') shoe.status = 'draft';
+    return null;
+  }
+
+  // Keep only real changes to the published fields, merged over those already pending
+  REVIEWED_FIELDS.forEach((field) => {
+    if (resolved[field] === undefined) return;
+    const current = MAP_FIELDS.includes(field) ? currentValue(shoe, field) : shoe[field];
+    if (sameValue(field, resolved[field], current)) delete pending[field];
+    else pending[field] = resolved[field];
+  });
+
+  // Variant overrides merge per variant; those equal to the live override are dropped
+  if (resolved.variantPrices !== undefined) {
+    const variantPrices = { ...(pending.variantPrices || {}), ...resolved.variantPrices };
+    Object.keys(variantPrices).forEach((variantId) => {
+      if (sameValue('price', variantPrices[variantId], variantPriceOf(shoe, variantId))) delete variantPrices[variantId];
+    });
+    if (Object.keys(variantPrices).length > 0) pending.variantPrices = variantPrices;
+    else delete pending.variantPrices;
+  }
+
+  if (Object.keys(pending).length === 0) {
+    shoe.revision = undefined;
+    return null;
+  }
+
+  shoe.revision = {
+    changes: pending,
+    status: 'draft',
+    review: shoe.revision && shoe.revision.review ? shoe.revision.review.toObject() : undefined,
+    createdBy: shoe.revision ? shoe.revision.createdBy : userId,
+    updatedAt: new Date(),
+  };
+  return null;
+};
+
+// Run a workflow action on a shoe - on its pending revision when the shoe is already published
+// Returns the reason the action is not allowed, or null once the shoe has been changed (not saved)
+const transitionShoe = (shoe, action, { userId, comment }) => {
+  const onRevision = shoe.status === 'published';
+  const subject = onRevision ? shoe.revision : shoe;
+  if (!subject) return 'Shoe is published and has no pending changes';
+
+  const { from, to } = TRANSITIONS[action];
+  if (!from.includes(subject.status)) {
+    return `Cannot ${action} a ${onRevision ? 'revision' : 'shoe'} that is ${subject.status.replace('_', ' ')}`;
+  }
+
+  const now = new Date();
+  if (action === 'submit') subject.review = { submittedBy: userId, submittedAt: now };
+  if (action === 'withdraw') subject.review = undefined;
+  if (action === 'approve' || action === 'reject') {
+    subject.review = {
+      ...(subject.review ? subject.review.toObject() : {}),
+      reviewedBy: userId,
+      reviewedAt: now,
+      decision: action === 'approve' ? 'approved' : 'rejected',
+      comment,
+    };
+  }
+
+  // An approved revision replaces the published fields and is done with
+  // Its price changes are attributed to the revision's author in the price history
+  if (onRevision && action === 'approve') {
+    applyChanges(shoe, shoe.revision.toObject({ flattenMaps: true }).changes || {});
+    shoe.review = shoe.revision.review.toObject();
+    shoe.$locals.changedBy = shoe.revision.createdBy;
+    shoe.revision = undefined;
+    return null;
+  }
+
+  subject.status = to;
+  if (!onRevision && to === 'published') shoe.publishedAt = now;
+  return null;
+};
+
+// Shoes created before the review workflow existed were live, so they count as published
+// Runs once at startup; later runs find nothing to update
+const publishLegacyShoes = () => Shoe.updateMany(
+  { status: { $exists: false } },
+  [{ $set: { status: 'published', publishedAt: '$createdAt' } }]
+).setOptions({ withDeleted: true });
+
+module.exports = {
+  REVIEWED_FIELDS,
+  TRANSITIONS,
+  isInReview,
+  editShoe,
+  transitionShoe,
+  publishLegacyShoes,
+};
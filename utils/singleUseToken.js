@@ -0,0 +1,17 @@
+// Generate single-use, expiring tokens for email verification and password reset
+// The raw token is sent to the user; only its hash and expiry are stored on the User document
+const crypto = require('crypto');
+const hashToken = require('./hashToken');
+
+// Returns { token, hash, expires } - token lifetime is given in minutes
+const createSingleUseToken = (ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  return {
+    token,
+    hash: hashToken(token),
+    expires: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  };
+};
+
+module.exports = createSingleUseToken;
@@ -0,0 +1,48 @@
+// Atomic stock reservation for shoe variants
+// Each decrement is a single conditional update, so concurrent orders can never oversell:
+// the update only matches while the variant still has enough stock
+// Stock updates bump the shoe's version (__v) like a save would, so an editor's stale copy of the
+// variants cannot overwrite them and cached ETags go stale
+const Shoe = require('../models/Shoe');
+
+// Try to take `quantity` units of a variant; resolves true when the stock was reserved
+const reserveVariantStock = async (shoeId, variantId, quantity) => {
+  const result = await Shoe.updateOne(
+    { _id: shoeId, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+    { $inc: { 'variants.$.stock': -quantity, __v: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give units back to a variant (cancellation, refund or a failed multi-line reservation)
+// Trashed shoes are restocked too so a later restore has the right counts
+const releaseVariantStock = async (shoeId, variantId, quantity) => {
+  await Shoe.updateOne(
+    { _id: shoeId, 'variants._id': variantId },
+    { $inc: { 'variants.$.stock': quantity, __v: 1 } }
+  ).setOptions({ withDeleted: true });
+};
+
+// Reserve every line or none: on the first failure, release what was already taken
+// Returns the index of the line that could not be reserved, or -1 on success
+const reserveLines = async (lines) => {
+  const reserved = [];
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const { shoe, variant, quantity } = lines[index];
+    if (!(await reserveVariantStock(shoe, variant, quantity))) {
+      await Promise.all(reserved.map((line) => releaseVariantStock(line.shoe, line.variant, line.quantity)));
+      return index;
+    }
+    reserved.push(lines[index]);
+  }
+
+  return -1;
+};
+
+// Release stock for every line (e.g. when an order is cancelled)
+const releaseLines = (lines) => Promise.all(
+  lines.map((line) => releaseVariantStock(line.shoe, line.variant, line.quantity))
+);
+
+module.exports = { reserveLines, releaseLines };
@@ -0,0 +1,21 @@
+// Storage adapter used for uploaded files (shoe images and thumbnails)
+// An adapter is any object with:
+//   save(key, buffer, contentType) -> Promise<publicUrl>
+//   remove(key)                    -> Promise<void>
+// Local disk is the default; call setStorage() at startup to plug in object storage (S3, GCS, ...)
+const path = require('path');
+const createLocalDiskStorage = require('./localDisk');
+
+// Directory for locally stored uploads and the URL prefix they are served from
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads');
+const UPLOAD_PUBLIC_PATH = '/uploads';
+
+let storage = createLocalDiskStorage({ rootDir: UPLOAD_DIR, publicPath: UPLOAD_PUBLIC_PATH });
+
+const getStorage = () => storage;
+
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = { getStorage, setStorage, UPLOAD_DIR, UPLOAD_PUBLIC_PATH };
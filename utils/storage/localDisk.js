@@ -0,0 +1,32 @@
+// Local disk storage adapter - default backend for uploaded files
+// Files are written under UPLOAD_DIR and served by express.static at /uploads
+const fs = require('fs');
+const path = require('path');
+
+const createLocalDiskStorage = ({ rootDir, publicPath }) => {
+  // Resolve a storage key to an absolute path, refusing keys that escape rootDir
+  const resolve = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    // Write a buffer under the given key and return its public URL
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return `${publicPath}/${key}`;
+    },
+
+    // Delete the file stored under key; missing files are ignored
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+};
+
+module.exports = createLocalDiskStorage;
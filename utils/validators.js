@@ -0,0 +1,106 @@
+// Reusable Joi building blocks for route schemas (see routes/*.js)
+const Joi = require('joi');
+const {
+  CURRENCY_PATTERN,
+  LOCALE_PATTERN,
+  DEFAULT_CURRENCY,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+} = require('./localization');
+
+// 24-character hex MongoDB ObjectId
+const objectId = () => Joi.string().hex().length(24).messages({
+  'string.hex': '{{#label}} must be a valid ID',
+  'string.length': '{{#label}} must be a valid ID',
+});
+
+// Params for routes addressing a single document by :id
+const idParams = Joi.object({ id: objectId().required() });
+
+// Role name - whether the role exists is checked against the Role collection by the controller
+const role = () => Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_]*$/).max(50)
+  .messages({ 'string.pattern.base': '{{#label}} may only contain lowercase letters, digits and underscores' });
+
+// Brand reference as sent by clients: ID, slug or exact name (resolved by utils/resolveBrand)
+const brandRef = () => Joi.string().trim().min(1).max(100);
+
+// Monetary amount - never negative
+const price = () => Joi.number().min(0).precision(2);
+
+// ISO 4217 currency code (e.g. 'EUR') - lowercase input is accepted in query strings
+const currencyCode = () => Joi.string().trim().uppercase().pattern(CURRENCY_PATTERN)
+  .messages({ 'string.pattern.base': '{{#label}} must be an ISO 4217 currency code' });
+
+// BCP 47 language tag (e.g. 'de', 'fr-CA')
+const localeTag = () => Joi.string().trim().max(35).pattern(LOCALE_PATTERN)
+  .messages({ 'string.pattern.base': '{{#label}} must be a language tag such as de or fr-CA' });
+
+// Localized name/description of a shoe
+const translation = () => Joi.object({
+  name: Joi.string().trim().min(1).max(200),
+  description: Joi.string().allow('').max(5000),
+}).min(1);
+
+// Per-currency prices and per-locale content of a shoe, keyed by currency code / language tag
+// The default currency and locale are always `price` and `name`/`description`, so they are refused
+// here; `nullable` patches may remove an entry with null. Language tags are stored in canonical case
+const shoePrices = ({ nullable = false } = {}) => Joi.object().pattern(
+  Joi.string().pattern(CURRENCY_PATTERN).invalid(DEFAULT_CURRENCY),
+  nullable ? price().allow(null) : price()
+).messages({
+  'object.unknown': `{{#label}} is not allowed: use a currency code other than ${DEFAULT_CURRENCY} (set by price)`,
+});
+const shoeTranslations = ({ nullable = false } = {}) => Joi.object().pattern(
+  Joi.string().max(35).pattern(LOCALE_PATTERN).insensitive().invalid(DEFAULT_LOCALE),
+  nullable ? translation().allow(null) : translation()
+).custom((translations) => Object.fromEntries(
+  Object.entries(translations).map(([locale, value]) => [normalizeLocale(locale), value])
+)).messages({
+  'object.unknown': `{{#label}} is not allowed: use a language tag other than ${DEFAULT_LOCALE} (set by name/description)`,
+});
+
+// Page/limit query parameters understood by utils/pagination
+const paginationQuery = {
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+};
+
+// Shoe variant fields - all optional here so update schemas can reuse them
+const variantFields = {
+  size: Joi.string().trim().max(20),
+  sizeSystem: Joi.string().valid('EU', 'US', 'UK'),
+  color: Joi.string().trim().max(50),
+  sku: Joi.string().trim().max(64),
+  stock: Joi.number().integer().min(0),
+  price: price().allow(null),
+};
+
+// A complete new variant / new shoe (used by create routes and the bulk importer)
+const newVariantSchema = Joi.object(variantFields)
+  .fork(['size', 'sizeSystem', 'color', 'sku'], (field) => field.required());
+const newShoeSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  price: price().required(),
+  description: Joi.string().allow('').max(5000),
+  prices: shoePrices(),
+  translations: shoeTranslations(),
+  brand: brandRef().required(),
+  variants: Joi.array().items(newVariantSchema),
+});
+
+module.exports = {
+  Joi,
+  objectId,
+  idParams,
+  role,
+  brandRef,
+  price,
+  currencyCode,
+  localeTag,
+  shoePrices,
+  shoeTranslations,
+  paginationQuery,
+  variantFields,
+  newVariantSchema,
+  newShoeSchema,
+};
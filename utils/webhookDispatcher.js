@@ -0,0 +1,155 @@
+// Background job sending queued webhook deliveries
+// Each delivery is claimed with a conditional update (lockedUntil), so several API instances
+// can dispatch side by side; failed attempts are retried with exponential backoff
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload, checkWebhookDestination } = require('./webhooks');
+const logger = require('./logger');
+
+const DISPATCH_INTERVAL_MS = Number(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 5 * 1000;
+const BATCH_SIZE = Number(process.env.WEBHOOK_BATCH_SIZE) || 20;        // Deliveries per tick
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000; // Per HTTP attempt
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000;
+const MAX_RESPONSE_BODY = 2048; // Characters of the response kept in the delivery log
+
+// Delay before the next attempt: 30s, 1m, 2m, 4m, ... capped, with up to 20% jitter so
+// retries to a recovering receiver do not all arrive at once
+const retryDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+// One HTTP attempt; resolves to { responseStatus, responseBody } or { error }
+const send = async (webhook, delivery) => {
+  const refused = await checkWebhookDestination(webhook.url);
+  if (refused) return { error: refused };
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ShoeBrand-Webhooks/1.0',
+        'X-Webhook-Id': delivery._id.toString(),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual', // A redirect could lead to an address the destination check refused
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    const responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY);
+    return { responseStatus: response.status, responseBody };
+  } catch (error) {
+    return { error: error.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : error.message };
+  }
+};
+
+// Send one claimed delivery and record the outcome
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const now = new Date();
+
+  // Deleted or paused webhooks end their pending deliveries
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.attemptLog.push({ at: now, error: webhook ? 'Webhook is inactive' : 'Webhook was deleted' });
+    delivery.lockedUntil = undefined;
+    await delivery.save();
+    return;
+  }
+
+  const started = Date.now();
+  const result = await send(webhook, delivery);
+  const succeeded = result.responseStatus >= 200 && result.responseStatus < 300;
+
+  delivery.attempts += 1;
+  delivery.attemptLog.push({
+    at: now,
+    responseStatus: result.responseStatus,
+    error: result.error,
+    durationMs: Date.now() - started,
+  });
+  delivery.responseStatus = result.responseStatus;
+  delivery.responseBody = result.responseBody;
+  delivery.lockedUntil = undefined;
+
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+  }
+
+  await delivery.save();
+};
+
+// Claim the next due delivery; the lock outlasts an attempt so no other dispatcher takes it
+const claimNext = (now) => WebhookDelivery.findOneAndUpdate(
+  {
+    status: 'pending',
+    nextAttemptAt: { $lte: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  },
+  { lockedUntil: new Date(now.getTime() + TIMEOUT_MS * 3) },
+  { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+// One pass of the dispatcher; exported so scripts and tests can run it on demand
+// Returns the number of deliveries attempted
+const runWebhookTick = async () => {
+  let processed = 0;
+  while (processed < BATCH_SIZE) {
+    const delivery = await claimNext(new Date());
+    if (!delivery) break;
+
+    try {
+      await attemptDelivery(delivery);
+    } catch (error) {
+      // The lock expires on its own, so the delivery is retried by a later tick
+      logger.error('Webhook delivery error', { error });
+    }
+    processed += 1;
+  }
+  return processed;
+};
+
+let timer = null;
+let running = false;
+
+// Start the periodic dispatcher (called once the database is connected)
+const startWebhookDispatcher = () => {
+  if (timer) return;
+
+  // Ticks never overlap: a slow batch simply delays the next one
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runWebhookTick();
+    } catch (error) {
+      logger.error('Webhook dispatcher error', { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, DISPATCH_INTERVAL_MS);
+  timer.unref(); // Never keep the process alive just for the dispatcher
+  tick();
+};
+
+const stopWebhookDispatcher = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { runWebhookTick, startWebhookDispatcher, stopWebhookDispatcher };
@@ -0,0 +1,82 @@
+// Outgoing webhooks: queue events for subscribed URLs and sign what is sent
+// Controllers call emitWebhookEvent() after a change is saved; utils/webhookDispatcher.js
+// delivers the queued WebhookDelivery documents in the background
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('./logger');
+
+// New signing secret for a webhook
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Signature over "<timestamp>.<body>" so receivers can reject replays of old deliveries
+// Sent as X-Webhook-Signature: sha256=<hex>
+const signPayload = (secret, timestamp, body) => (
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+// Addresses webhooks may not target unless WEBHOOK_ALLOW_PRIVATE_URLS=true (e.g. in development):
+// loopback, private networks and link-local (cloud metadata) ranges
+const blockedAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16]].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::1', 128], ['::', 128], ['fc00::', 7], ['fe80::', 10]].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Resolve the URL's host and refuse internal destinations
+// Returns the reason the URL may not be used, or null when it is allowed
+const checkWebhookDestination = async (url) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return null;
+
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+  } catch (error) {
+    return `Host ${host} could not be resolved`;
+  }
+
+  const blocked = addresses.some(({ address, family }) => blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  return blocked ? `Host ${host} resolves to a private address` : null;
+};
+
+// Queue an event for every active webhook subscribed to it: the brand's own webhooks plus
+// global ones. Failures are logged and swallowed - webhooks must never break the change they report
+const emitWebhookEvent = async (event, { brand, data }) => {
+  try {
+    const webhooks = await Webhook.find({
+      active: true,
+      events: event,
+      brand: brand ? { $in: [brand, null] } : null,
+    }).select('_id');
+    if (webhooks.length === 0) return;
+
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, event, createdAt: new Date().toISOString(), brand, data };
+
+    // Round-trip through JSON so the stored payload is exactly what will be sent
+    const stored = JSON.parse(JSON.stringify(payload));
+    await WebhookDelivery.insertMany(webhooks.map((webhook) => ({
+      webhook: webhook._id,
+      brand,
+      event,
+      eventId,
+      payload: stored,
+    })));
+  } catch (error) {
+    logger.error('Webhook event error', { error });
+  }
+};
+
+// Shoe events carry the full shoe as the API returns it
+const emitShoeEvent = (event, shoe) => emitWebhookEvent(event, { brand: shoe.brand, data: { shoe } });
+
+module.exports = {
+  generateWebhookSecret,
+  signPayload,
+  checkWebhookDestination,
+  emitWebhookEvent,
+  emitShoeEvent,
+};